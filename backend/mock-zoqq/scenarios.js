@@ -0,0 +1,65 @@
+/**
+ * RFI Scenarios for the Mock Zoqq Server
+ * Each scenario is a list of RFI rounds; a round is raised on the first activation
+ * attempt (and after each answered round) until all rounds are answered
+ */
+
+// Questions the mock can ask, keyed by answer type
+const QUESTION_TEMPLATES = {
+  ADDRESS: {
+    key: 'PROOF_OF_ADDRESS',
+    title: 'Residential address',
+    description: 'Please confirm your current residential address.'
+  },
+  TEXT: {
+    key: 'SOURCE_OF_FUNDS',
+    title: 'Source of funds',
+    description: 'Please describe the source of the funds you will hold in this account.'
+  },
+  DOCUMENT: {
+    key: 'IDENTITY_DOCUMENT',
+    title: 'Identity document',
+    description: 'Please upload a clear copy of a valid government-issued identity document.'
+  }
+};
+
+// Fields an answer of each type must contain
+const REQUIRED_ANSWER_FIELDS = {
+  ADDRESS: ['address_line1', 'country_code', 'postcode', 'state', 'suburb'],
+  TEXT: ['text'],
+  DOCUMENT: ['file_id']
+};
+
+const SCENARIOS = {
+  // Activation succeeds straight after terms acceptance
+  none: [],
+  address: [['ADDRESS']],
+  text: [['TEXT']],
+  document: [['DOCUMENT']],
+  // One round asking every question type at once
+  multiple: [['ADDRESS', 'TEXT', 'DOCUMENT']],
+  // A second round follows once the first is answered
+  followup: [['ADDRESS'], ['DOCUMENT']],
+  // Every activation attempt is refused (manual review)
+  rejected: 'rejected'
+};
+
+/**
+ * Pick the scenario for a new user
+ * An email tag such as "jane+rfi-multiple@example.com" overrides the default
+ * @param {string} email - User email
+ * @param {string} fallback - Default scenario name
+ * @returns {string} Scenario name
+ */
+const scenarioForEmail = (email, fallback = 'none') => {
+  const match = /\+rfi-([a-z]+)@/i.exec(email || '');
+  const requested = match ? match[1].toLowerCase() : fallback;
+  return Object.prototype.hasOwnProperty.call(SCENARIOS, requested) ? requested : 'none';
+};
+
+module.exports = {
+  QUESTION_TEMPLATES,
+  REQUIRED_ANSWER_FIELDS,
+  SCENARIOS,
+  scenarioForEmail
+};
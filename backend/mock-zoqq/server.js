@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Zoqq API Server
+ * Stateful, in-memory stand-in for the Zoqq endpoints used by services/zoqqAuth.js,
+ * with configurable RFI scenarios, fault injection and latency simulation.
+ * Point ZOQQ_BASE_URL at it to run the whole onboarding flow offline.
+ *
+ * Control API (not part of Zoqq):
+ *   GET    /__mock/state                  - Tokens, users, RFI rounds and payouts
+ *   POST   /__mock/reset                  - Drop all state and faults
+ *   PUT    /__mock/config                 - { latencyMs, jitterMs, defaultScenario }
+ *   POST   /__mock/faults                 - { method, path, status | timeout | reset, times, holdMs, message }
+ *   DELETE /__mock/faults                 - Clear injected faults
+ *   POST   /__mock/tokens/expire          - Invalidate every issued bearer token
+ *   POST   /__mock/users/:accountId/rfi   - { types: ['ADDRESS', ...] } raise an RFI round now
+ *   POST   /__mock/users/:accountId/suspend - { reason } suspend the account
+ *   GET    /__mock/webhooks               - Webhook events sent so far
+ *   POST   /__mock/webhooks/:eventId/redeliver - Send a logged event again (same id)
+ *
+ * Webhooks: with MOCK_ZOQQ_WEBHOOK_URL and MOCK_ZOQQ_WEBHOOK_SECRET set, signed
+ * user.terms_accepted, user.rfi_raised, user.activated, user.rejected and
+ * user.suspended events are POSTed as state changes.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const MockZoqqStore = require('./store');
+const MockWebhookEmitter = require('./webhooks');
+const { QUESTION_TEMPLATES, SCENARIOS, scenarioForEmail } = require('./scenarios');
+
+// Same list services/zoqqAuth.js validates before calling Zoqq
+const REQUIRED_USER_FIELDS = [
+  'emailId', 'amount', 'currency', 'businessName', 'businessStructure',
+  'contactNumber', 'identificationType', 'Idnumber', 'issuingCountryCode',
+  'effectiveAt', 'expireAt', 'firstName', 'lastName', 'dateOfBirth',
+  'nationality', 'mobile', 'roles', 'legalEntityType', 'asTrustee',
+  'agreedToTermsAndConditions', 'productReference', 'type', 'number',
+  'descriptionOfGoodsOrServices', 'industryCategoryCode', 'operatingCountry',
+  'registrationAddressLine1', 'registrationCountryCode', 'registrationPostcode',
+  'registrationState', 'registrationSuburb', 'residentialAddressLine1',
+  'residentialCountryCode', 'residentialPostcode', 'residentialState',
+  'residentialSuburb', 'fileId', 'tag', 'frontFileId', 'personDocumentsFileId',
+  'personDocumentsTag', 'liveSelfieFileId', 'countryCode'
+];
+
+// Longer than the 30s axios timeout in zoqqAuth.js
+const DEFAULT_TIMEOUT_HOLD_MS = 35000;
+
+// Larger uploads are refused with 413
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Parse fault rules from MOCK_ZOQQ_FAULTS (JSON object or array)
+ * @param {string} raw - Environment value
+ * @returns {Object[]} Fault rules
+ */
+const parseFaults = (raw) => {
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    console.warn('[MOCK ZOQQ] Ignoring invalid MOCK_ZOQQ_FAULTS:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Build the mock Zoqq Express app
+ * @param {Object} options - Mock configuration
+ * @param {number} options.latencyMs - Base delay added to every Zoqq response
+ * @param {number} options.jitterMs - Random extra delay of up to this many ms
+ * @param {string} options.defaultScenario - RFI scenario for users without an email tag
+ * @param {string} options.clientId - Required x-client-id (any value if unset)
+ * @param {string} options.apiKey - Required x-api-key (any value if unset)
+ * @param {number} options.tokenTtlSeconds - Lifetime of issued bearer tokens
+ * @param {Object[]} options.faults - Initial fault rules
+ * @param {string} options.webhookUrl - Where to POST signed webhook events
+ * @param {string} options.webhookSecret - Shared secret used to sign them
+ * @param {boolean} options.quiet - Disable request logging
+ * @returns {express.Application} App with `mock` state attached
+ */
+const createMockZoqqServer = (options = {}) => {
+  const config = {
+    latencyMs: Number(options.latencyMs ?? process.env.MOCK_ZOQQ_LATENCY_MS ?? 0),
+    jitterMs: Number(options.jitterMs ?? process.env.MOCK_ZOQQ_JITTER_MS ?? 0),
+    defaultScenario: options.defaultScenario || process.env.MOCK_ZOQQ_RFI_SCENARIO || 'none',
+    clientId: options.clientId ?? process.env.MOCK_ZOQQ_CLIENT_ID,
+    apiKey: options.apiKey ?? process.env.MOCK_ZOQQ_API_KEY,
+    quiet: options.quiet ?? process.env.MOCK_ZOQQ_QUIET === 'true'
+  };
+
+  const store = new MockZoqqStore({
+    tokenTtlSeconds: Number(options.tokenTtlSeconds ?? process.env.MOCK_ZOQQ_TOKEN_TTL_SECONDS ?? 3600)
+  });
+  let faults = options.faults || parseFaults(process.env.MOCK_ZOQQ_FAULTS);
+
+  const webhooks = new MockWebhookEmitter({
+    url: options.webhookUrl ?? process.env.MOCK_ZOQQ_WEBHOOK_URL,
+    secret: options.webhookSecret ?? process.env.MOCK_ZOQQ_WEBHOOK_SECRET,
+    quiet: config.quiet
+  });
+
+  const emitRfiRaised = (user) => webhooks.emit('user.rfi_raised', user, {
+    rfi_id: user.activeRequest.id,
+    questions: user.activeRequest.questions.map(({ id, type }) => ({ id, type }))
+  });
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  const sendError = (res, statusCode, message, code) =>
+    res.status(statusCode).json({ status: 'error', message, ...(code && { code }) });
+
+  // ========== CONTROL API ==========
+
+  const control = express.Router();
+
+  control.get('/state', (req, res) => {
+    res.json({ config, faults, ...store.snapshot() });
+  });
+
+  control.post('/reset', (req, res) => {
+    store.reset();
+    faults = [];
+    webhooks.log = [];
+    res.json({ message: 'Mock state reset' });
+  });
+
+  control.put('/config', (req, res) => {
+    const { latencyMs, jitterMs, defaultScenario } = req.body || {};
+
+    if (defaultScenario !== undefined && !Object.prototype.hasOwnProperty.call(SCENARIOS, defaultScenario)) {
+      return res.status(400).json({ message: `Unknown scenario: ${defaultScenario}`, scenarios: Object.keys(SCENARIOS) });
+    }
+
+    if (latencyMs !== undefined) config.latencyMs = Number(latencyMs) || 0;
+    if (jitterMs !== undefined) config.jitterMs = Number(jitterMs) || 0;
+    if (defaultScenario !== undefined) config.defaultScenario = defaultScenario;
+
+    res.json({ config });
+  });
+
+  control.post('/faults', (req, res) => {
+    const rule = req.body || {};
+
+    if (!rule.path || !(rule.status || rule.timeout || rule.reset)) {
+      return res.status(400).json({ message: 'A fault needs a path and one of status, timeout or reset' });
+    }
+
+    faults.push({ ...rule, method: (rule.method || '*').toUpperCase() });
+    res.status(201).json({ faults });
+  });
+
+  control.delete('/faults', (req, res) => {
+    faults = [];
+    res.json({ faults });
+  });
+
+  control.post('/tokens/expire', (req, res) => {
+    store.expireTokens();
+    res.json({ message: 'All bearer tokens expired' });
+  });
+
+  control.post('/users/:accountId/rfi', (req, res) => {
+    const user = store.findUser(req.params.accountId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const types = req.body?.types || ['TEXT'];
+    const unknown = types.filter((type) => !QUESTION_TEMPLATES[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown question types: ${unknown.join(', ')}` });
+    }
+
+    if (user.activeRequest) {
+      return res.status(409).json({ message: 'User already has an active RFI' });
+    }
+
+    store.raiseRfi(user, types);
+    emitRfiRaised(user);
+    res.status(201).json(store.serializeRfi(user));
+  });
+
+  control.post('/users/:accountId/suspend', (req, res) => {
+    const user = store.findUser(req.params.accountId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.status = 'SUSPENDED';
+    store.touch(user);
+    webhooks.emit('user.suspended', user, { reason: req.body?.reason || null });
+    res.json(store.serializeUser(user));
+  });
+
+  control.get('/webhooks', (req, res) => {
+    res.json({ enabled: webhooks.enabled, url: webhooks.url || null, events: webhooks.log });
+  });
+
+  control.post('/webhooks/:eventId/redeliver', async (req, res) => {
+    const event = webhooks.find(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({ event, status: await webhooks.deliver(event) });
+  });
+
+  app.use('/__mock', control);
+
+  // ========== SIMULATION MIDDLEWARE ==========
+
+  if (!config.quiet) {
+    app.use((req, res, next) => {
+      const startTime = Date.now();
+      res.on('finish', () => {
+        console.log(`[MOCK ZOQQ] ${req.method} ${req.path} -> ${res.statusCode} (${Date.now() - startTime}ms)`);
+      });
+      next();
+    });
+  }
+
+  // Latency simulation
+  app.use((req, res, next) => {
+    const delay = config.latencyMs + Math.floor(Math.random() * config.jitterMs);
+    if (delay > 0) {
+      setTimeout(next, delay);
+    } else {
+      next();
+    }
+  });
+
+  // Fault injection; a rule without `times` applies until cleared
+  app.use((req, res, next) => {
+    const rule = faults.find((fault) =>
+      [undefined, '*', req.method].includes(fault.method?.toUpperCase()) && fault.path === req.path
+    );
+
+    if (!rule) return next();
+
+    if (rule.times !== undefined) {
+      rule.times -= 1;
+      if (rule.times <= 0) faults = faults.filter((fault) => fault !== rule);
+    }
+
+    console.warn(`[MOCK ZOQQ] Injecting fault on ${req.method} ${req.path}:`,
+      rule.timeout ? 'timeout' : rule.reset ? 'connection reset' : rule.status);
+
+    if (rule.reset) {
+      return req.socket.destroy();
+    }
+
+    if (rule.timeout) {
+      const timer = setTimeout(() => req.socket.destroy(), rule.holdMs || DEFAULT_TIMEOUT_HOLD_MS);
+      req.socket.once('close', () => clearTimeout(timer));
+      return undefined;
+    }
+
+    return sendError(res, rule.status, rule.message || `Injected ${rule.status} error`, rule.code);
+  });
+
+  // ========== ZOQQ API ==========
+
+  const hasClientCredentials = (req) => {
+    const clientId = req.get('x-client-id');
+    const apiKey = req.get('x-api-key');
+
+    if (!clientId || !apiKey) return false;
+    if (config.clientId && clientId !== config.clientId) return false;
+    if (config.apiKey && apiKey !== config.apiKey) return false;
+    return true;
+  };
+
+  app.post('/api/v1/authentication/login', (req, res) => {
+    if (!hasClientCredentials(req)) {
+      return sendError(res, 401, 'Invalid client credentials');
+    }
+
+    res.json(store.issueToken());
+  });
+
+  const zoqq = express.Router();
+
+  // Bearer token on every Zoqq user endpoint
+  zoqq.use((req, res, next) => {
+    if (!req.get('x-api-key')) {
+      return sendError(res, 403, 'Missing API key');
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !store.isTokenValid(token)) {
+      return sendError(res, 401, 'Invalid or expired token');
+    }
+
+    next();
+  });
+
+  // Resolve the x-user-id account for the per-user endpoints
+  const loadUser = (req, res, next) => {
+    const accountId = req.get('x-user-id');
+    if (!accountId) {
+      return sendError(res, 400, 'Missing x-user-id header');
+    }
+
+    req.mockUser = store.findUser(accountId);
+    if (!req.mockUser) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    next();
+  };
+
+  zoqq.post('/user', (req, res) => {
+    const details = req.body || {};
+    const missingFields = REQUIRED_USER_FIELDS.filter((field) => details[field] === undefined || details[field] === null || details[field] === '');
+
+    if (missingFields.length > 0) {
+      return sendError(res, 400, `Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    if (store.findUserByEmail(details.emailId)) {
+      return sendError(res, 409, 'A user with this emailId already exists');
+    }
+
+    const user = store.createUser(details, scenarioForEmail(details.emailId, config.defaultScenario));
+    console.log(`[MOCK ZOQQ] Created user ${user.accountId} (scenario: ${user.scenario})`);
+
+    res.json({
+      status: 'Success',
+      message: 'User created successfully',
+      data: [{ accountid: user.accountId }]
+    });
+  });
+
+  zoqq.get('/user', loadUser, (req, res) => {
+    res.json({
+      status: 'success',
+      message: 'User details retrieved successfully',
+      data: store.serializeUser(req.mockUser)
+    });
+  });
+
+  zoqq.get('/user/termsConditions', loadUser, (req, res) => {
+    if (!req.mockUser.termsAcceptedAt) {
+      store.acceptTerms(req.mockUser);
+      webhooks.emit('user.terms_accepted', req.mockUser);
+    }
+    res.json({ status: 'success', message: 'Terms and conditions accepted' });
+  });
+
+  zoqq.get('/user/activate', loadUser, (req, res) => {
+    const user = req.mockUser;
+
+    if (user.status === 'ACTIVE') {
+      return res.json({ status: 'success', message: 'Account is already active' });
+    }
+
+    if (!user.termsAcceptedAt) {
+      return sendError(res, 400, 'Terms and conditions must be accepted before activation', 'TERMS_NOT_ACCEPTED');
+    }
+
+    if (user.rounds === 'rejected') {
+      user.status = 'REJECTED';
+      store.touch(user);
+      webhooks.emit('user.rejected', user, { reason: 'Compliance review' });
+      return sendError(res, 400, 'Account activation rejected after compliance review', 'ACTIVATION_REJECTED');
+    }
+
+    if (!user.activeRequest && store.openNextRfi(user)) {
+      emitRfiRaised(user);
+    }
+
+    if (user.activeRequest) {
+      return sendError(res, 400, 'RFI required: answer the outstanding request for information before activation', 'RFI_REQUIRED');
+    }
+
+    store.activate(user);
+    webhooks.emit('user.activated', user);
+    res.json({ status: 'success', message: 'Account activated successfully' });
+  });
+
+  zoqq.get('/user/rfi', loadUser, (req, res) => {
+    res.json(store.serializeRfi(req.mockUser));
+  });
+
+  zoqq.post('/user/rfi', loadUser, (req, res) => {
+    const user = req.mockUser;
+    const answer = req.body || {};
+
+    if (!user.activeRequest) {
+      return sendError(res, 400, 'No active RFI for this user', 'NO_ACTIVE_RFI');
+    }
+
+    const validationError = store.validateAnswer(user, answer);
+    if (validationError) {
+      return sendError(res, 400, validationError, 'INVALID_RFI_RESPONSE');
+    }
+
+    const { requestId, remainingQuestions } = store.answerRfi(user, answer);
+
+    res.json({
+      status: 'success',
+      message: remainingQuestions > 0
+        ? `Answer recorded, ${remainingQuestions} question(s) remaining`
+        : 'RFI answered',
+      data: { id: requestId, remaining_questions: remainingQuestions }
+    });
+  });
+
+  const fileUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: 1 } });
+
+  zoqq.post('/file/upload', (req, res) => {
+    fileUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return sendError(res, error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, error.message, 'INVALID_FILE');
+      }
+
+      if (!req.file || req.file.size === 0) {
+        return sendError(res, 400, 'Missing file', 'INVALID_FILE');
+      }
+
+      const file = store.storeFile({
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      });
+      console.log(`[MOCK ZOQQ] Stored file ${file.originalName} (${file.size} bytes)`);
+
+      res.json({
+        status: 'success',
+        message: 'File uploaded successfully',
+        data: { file_id: file.fileId }
+      });
+    });
+  });
+
+  zoqq.post('/payout', loadUser, (req, res) => {
+    const { amount, currency, beneficiary } = req.body || {};
+
+    if (req.mockUser.status !== 'ACTIVE') {
+      return sendError(res, 400, 'Payouts need an active account', 'ACCOUNT_NOT_ACTIVE');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(amount || '') || Number(amount) <= 0 || !/^[A-Z]{3}$/.test(currency || '')) {
+      return sendError(res, 400, 'amount must be a positive decimal string and currency an ISO code', 'INVALID_PAYOUT');
+    }
+
+    if (!beneficiary || !beneficiary.name || !beneficiary.country || !beneficiary.bankDetails) {
+      return sendError(res, 400, 'beneficiary needs name, country and bankDetails', 'INVALID_PAYOUT');
+    }
+
+    const payout = store.createPayout(req.mockUser, req.get('x-request-id'), req.body);
+    console.log(`[MOCK ZOQQ] Payout ${payout.payoutId}: ${payout.amount} ${payout.currency} from ${payout.accountId}`);
+
+    res.json({
+      status: 'success',
+      message: 'Payout accepted',
+      data: { payout_id: payout.payoutId, status: payout.status }
+    });
+  });
+
+  app.use('/zoqq/api/v1', zoqq);
+
+  app.use((req, res) => sendError(res, 404, `No mock for ${req.method} ${req.path}`));
+
+  // Malformed JSON and anything unexpected
+  app.use((err, req, res, _next) => {
+    sendError(res, err.status || 500, err.status ? err.message : 'Mock Zoqq internal error');
+  });
+
+  app.mock = {
+    store,
+    config,
+    webhooks,
+    get faults() {
+      return faults;
+    }
+  };
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_ZOQQ_PORT || 4010);
+  const app = createMockZoqqServer();
+
+  app.listen(port, () => {
+    console.log(`[MOCK ZOQQ] Listening on http://localhost:${port}`);
+    console.log(`[MOCK ZOQQ] Default RFI scenario: ${app.mock.config.defaultScenario} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    console.log(`[MOCK ZOQQ] Set ZOQQ_BASE_URL=http://localhost:${port} in the backend .env`);
+    console.log(`[MOCK ZOQQ] Webhooks: ${app.mock.webhooks.enabled ? app.mock.webhooks.url : 'disabled (set MOCK_ZOQQ_WEBHOOK_URL and MOCK_ZOQQ_WEBHOOK_SECRET)'}`);
+  });
+}
+
+module.exports = { createMockZoqqServer };
@@ -0,0 +1,324 @@
+/**
+ * In-Memory State for the Mock Zoqq Server
+ * Holds issued tokens, uploaded files, onboarded users and their RFI rounds
+ */
+
+const crypto = require('crypto');
+const { QUESTION_TEMPLATES, REQUIRED_ANSWER_FIELDS, SCENARIOS } = require('./scenarios');
+
+// Raised RFIs are due this long after creation
+const RFI_DUE_DAYS = 14;
+
+class MockZoqqStore {
+  constructor({ tokenTtlSeconds = 3600 } = {}) {
+    this.tokenTtlSeconds = tokenTtlSeconds;
+    this.reset();
+  }
+
+  /**
+   * Drop all tokens, files, users and payouts
+   */
+  reset() {
+    this.tokens = new Map();
+    this.files = new Map();
+    this.users = new Map();
+    this.payouts = new Map();
+  }
+
+  // ========== TOKENS ==========
+
+  /**
+   * Issue a bearer token
+   * @returns {Object} { token, expires_at }
+   */
+  issueToken() {
+    const token = `mock_${crypto.randomBytes(24).toString('hex')}`;
+    const expiresAt = new Date(Date.now() + this.tokenTtlSeconds * 1000);
+
+    this.tokens.set(token, expiresAt);
+    return { token, expires_at: expiresAt.toISOString() };
+  }
+
+  /**
+   * Whether a bearer token was issued and has not expired
+   * @param {string} token - Bearer token
+   * @returns {boolean} True if valid
+   */
+  isTokenValid(token) {
+    const expiresAt = this.tokens.get(token);
+    return !!expiresAt && expiresAt > new Date();
+  }
+
+  /**
+   * Expire every issued token (simulates a credential rotation upstream)
+   */
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  // ========== FILES ==========
+
+  /**
+   * Record an uploaded file; only its metadata is kept
+   * @param {Object} file - { originalName, mimeType, size }
+   * @returns {Object} Stored file with its file ID
+   */
+  storeFile({ originalName, mimeType, size }) {
+    // Same shape as real Zoqq IDs: base64 of "<uuid>,|,<region>,|,<name>_<timestamp>"
+    const fileId = Buffer.from(`${crypto.randomUUID()},|,mock,|,${originalName}_${Date.now()}`).toString('base64url');
+
+    const file = { fileId, originalName, mimeType, size, uploadedAt: new Date().toISOString() };
+    this.files.set(fileId, file);
+    return file;
+  }
+
+  // ========== USERS ==========
+
+  /**
+   * Create an onboarding user
+   * @param {Object} details - Create-user request body
+   * @param {string} scenario - RFI scenario name
+   * @returns {Object} Stored user
+   */
+  createUser(details, scenario) {
+    const accountId = `acc_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date().toISOString();
+
+    const user = {
+      accountId,
+      details,
+      scenario,
+      // Own copy so rounds raised through the control API stay per user
+      rounds: Array.isArray(SCENARIOS[scenario]) ? SCENARIOS[scenario].map((round) => [...round]) : SCENARIOS[scenario],
+      status: 'CREATED',
+      rfiRound: 0,
+      activeRequest: null,
+      rfiHistory: [],
+      createdAt: now,
+      updatedAt: now,
+      termsAcceptedAt: null,
+      activatedAt: null
+    };
+
+    this.users.set(accountId, user);
+    return user;
+  }
+
+  findUser(accountId) {
+    return this.users.get(accountId) || null;
+  }
+
+  findUserByEmail(email) {
+    const normalized = (email || '').toLowerCase();
+    return [...this.users.values()].find((user) => (user.details.emailId || '').toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Public view of a user as returned by GET /zoqq/api/v1/user
+   * @param {Object} user - Stored user
+   * @returns {Object} User details
+   */
+  serializeUser(user) {
+    const { details } = user;
+
+    return {
+      accountid: user.accountId,
+      status: user.status,
+      emailId: details.emailId,
+      firstName: details.firstName,
+      lastName: details.lastName,
+      businessName: details.businessName,
+      legalEntityType: details.legalEntityType,
+      currency: details.currency,
+      countryCode: details.countryCode,
+      termsAccepted: !!user.termsAcceptedAt,
+      termsAcceptedAt: user.termsAcceptedAt,
+      rfiPending: !!user.activeRequest,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      activatedAt: user.activatedAt
+    };
+  }
+
+  touch(user) {
+    user.updatedAt = new Date().toISOString();
+  }
+
+  acceptTerms(user) {
+    if (!user.termsAcceptedAt) {
+      user.termsAcceptedAt = new Date().toISOString();
+      if (user.status === 'CREATED') user.status = 'TERMS_ACCEPTED';
+      this.touch(user);
+    }
+  }
+
+  activate(user) {
+    user.status = 'ACTIVE';
+    user.activatedAt = user.activatedAt || new Date().toISOString();
+    this.touch(user);
+  }
+
+  // ========== RFI ==========
+
+  /**
+   * Open the next RFI round of the user's scenario, if any remain
+   * @param {Object} user - Stored user
+   * @returns {Object|null} Active request, or null when the scenario is complete
+   */
+  openNextRfi(user) {
+    const { rounds } = user;
+    if (!Array.isArray(rounds) || user.rfiRound >= rounds.length) {
+      return null;
+    }
+
+    const requestId = `rfi_${crypto.randomBytes(6).toString('hex')}`;
+    const questions = rounds[user.rfiRound].map((type, index) => ({
+      id: `${requestId}_q${index + 1}`,
+      key: QUESTION_TEMPLATES[type].key,
+      type,
+      title: { en: QUESTION_TEMPLATES[type].title },
+      description: { en: QUESTION_TEMPLATES[type].description },
+      answered: false
+    }));
+
+    user.rfiRound += 1;
+    const createdAt = new Date();
+    user.activeRequest = {
+      id: requestId,
+      status: 'ACTION_REQUIRED',
+      created_at: createdAt.toISOString(),
+      due_at: new Date(createdAt.getTime() + RFI_DUE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      questions
+    };
+    user.status = 'RFI_REQUIRED';
+    this.touch(user);
+
+    return user.activeRequest;
+  }
+
+  /**
+   * Raise a specific RFI on demand (control API)
+   * @param {Object} user - Stored user
+   * @param {string[]} types - Question types for the round
+   * @returns {Object} Active request
+   */
+  raiseRfi(user, types) {
+    if (!Array.isArray(user.rounds)) user.rounds = [];
+
+    // Splice the requested round in as the next one to open
+    user.rounds.splice(user.rfiRound, 0, [...types]);
+
+    return this.openNextRfi(user);
+  }
+
+  /**
+   * Validate an answer against the active request
+   * @param {Object} user - Stored user
+   * @param {Object} answer - { id, type, ...fields }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateAnswer(user, answer) {
+    const question = user.activeRequest?.questions.find((q) => q.id === answer.id);
+
+    if (!question) return `Unknown or closed RFI question: ${answer.id}`;
+    if (question.answered) return `RFI question ${answer.id} has already been answered`;
+    if (question.type !== answer.type) return `RFI question ${answer.id} expects a ${question.type} answer`;
+
+    const missing = REQUIRED_ANSWER_FIELDS[question.type].filter((field) => !answer[field]);
+    if (missing.length > 0) return `Missing RFI answer fields: ${missing.join(', ')}`;
+
+    return null;
+  }
+
+  /**
+   * Record a valid answer; closes the round once every question is answered
+   * @param {Object} user - Stored user
+   * @param {Object} answer - { id, type, ...fields }
+   * @returns {Object} { requestId, remainingQuestions }
+   */
+  answerRfi(user, answer) {
+    const request = user.activeRequest;
+    const question = request.questions.find((q) => q.id === answer.id);
+
+    question.answered = true;
+    question.answer = { ...answer };
+    question.answered_at = new Date().toISOString();
+
+    const remainingQuestions = request.questions.filter((q) => !q.answered).length;
+
+    if (remainingQuestions === 0) {
+      request.status = 'ANSWERED';
+      request.answered_at = new Date().toISOString();
+      user.rfiHistory.push(request);
+      user.activeRequest = null;
+      user.status = user.termsAcceptedAt ? 'TERMS_ACCEPTED' : 'CREATED';
+    }
+
+    this.touch(user);
+    return { requestId: request.id, remainingQuestions };
+  }
+
+  /**
+   * RFI view as returned by GET /zoqq/api/v1/user/rfi
+   * @param {Object} user - Stored user
+   * @returns {Object} { active_request, history }
+   */
+  serializeRfi(user) {
+    const strip = (request) => request && {
+      ...request,
+      questions: request.questions.map(({ answer, ...question }) => question)
+    };
+
+    return {
+      active_request: strip(user.activeRequest),
+      history: user.rfiHistory.map(strip)
+    };
+  }
+
+  // ========== PAYOUTS ==========
+
+  /**
+   * Record a payout; a repeated request ID returns the payout it created first
+   * @param {Object} user - Paying user
+   * @param {string} requestId - x-request-id of the call
+   * @param {Object} details - Payout request body
+   * @returns {Object} Stored payout
+   */
+  createPayout(user, requestId, details) {
+    const existing = requestId && this.payouts.get(requestId);
+    if (existing) return existing;
+
+    const payout = {
+      payoutId: `pay_${crypto.randomBytes(8).toString('hex')}`,
+      accountId: user.accountId,
+      amount: details.amount,
+      currency: details.currency,
+      reference: details.reference,
+      beneficiary: details.beneficiary,
+      status: 'PROCESSING',
+      createdAt: new Date().toISOString()
+    };
+
+    this.payouts.set(requestId || payout.payoutId, payout);
+    return payout;
+  }
+
+  /**
+   * Summary of all state for the control API
+   * @returns {Object} Tokens count, files, users and payouts
+   */
+  snapshot() {
+    return {
+      activeTokens: [...this.tokens.values()].filter((expiresAt) => expiresAt > new Date()).length,
+      files: [...this.files.values()],
+      users: [...this.users.values()].map((user) => ({
+        ...this.serializeUser(user),
+        scenario: user.scenario,
+        rfi: this.serializeRfi(user)
+      })),
+      payouts: [...this.payouts.values()]
+    };
+  }
+}
+
+module.exports = MockZoqqStore;
@@ -0,0 +1,84 @@
+/**
+ * Webhook Emitter for the Mock Zoqq Server
+ * Signs and delivers account events the way Zoqq does, so the backend's
+ * POST /api/webhooks/zoqq can be exercised offline. Disabled without a URL and secret.
+ */
+
+const crypto = require('crypto');
+
+// Delivered events kept for redelivery through the control API
+const MAX_LOG_SIZE = 100;
+
+class MockWebhookEmitter {
+  constructor({ url, secret, quiet = false } = {}) {
+    this.url = url;
+    this.secret = secret;
+    this.quiet = quiet;
+    this.log = [];
+  }
+
+  get enabled() {
+    return !!(this.url && this.secret);
+  }
+
+  /**
+   * Build, record and deliver an event
+   * @param {string} type - Event type, e.g. user.activated
+   * @param {Object} user - Stored mock user
+   * @param {Object} data - Extra event data
+   * @returns {Object|null} Event, or null when webhooks are disabled
+   */
+  emit(type, user, data = {}) {
+    if (!this.enabled) return null;
+
+    const event = {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      created_at: new Date().toISOString(),
+      data: { user_id: user.accountId, status: user.status, ...data }
+    };
+
+    this.log.push(event);
+    if (this.log.length > MAX_LOG_SIZE) this.log.shift();
+
+    this.deliver(event);
+    return event;
+  }
+
+  /**
+   * POST a signed event; failures are logged, never thrown (delivery is fire-and-forget)
+   * @param {Object} event - Event to send
+   * @returns {Promise<number|null>} Response status, or null if the request failed
+   */
+  async deliver(event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Zoqq-Timestamp': String(timestamp),
+          'X-Zoqq-Signature': `sha256=${signature}`
+        },
+        body
+      });
+
+      if (!this.quiet) {
+        console.log(`[MOCK ZOQQ] Webhook ${event.type} (${event.id}) -> ${response.status}`);
+      }
+      return response.status;
+    } catch (error) {
+      console.warn(`[MOCK ZOQQ] Webhook ${event.type} (${event.id}) delivery failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  find(eventId) {
+    return this.log.find((event) => event.id === eventId);
+  }
+}
+
+module.exports = MockWebhookEmitter;
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Zoqq Webhook Replay Script for StyloPay
+ * Reprocesses stored Zoqq webhook events, e.g. after a bug fix or an outage
+ *
+ * Usage: node replay-zoqq-webhooks.js [options]
+ *
+ *   --event <eventId>    Replay one event, whatever its status (bypasses the stale-event check)
+ *   --status <status>    Replay events with this status (default: failed)
+ *   --since <date>       Only events received on or after this date
+ *   --limit <n>          Maximum number of events (default: 100)
+ *   --force              Also replay events that were processed or ignored
+ *   --dry-run            List the matching events without processing them
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const zoqqWebhookService = require('./src/services/zoqqWebhookService');
+
+const STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+function parseArgs(argv) {
+  const options = { status: 'failed', limit: 100, force: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--event':
+        options.eventId = argv[++i];
+        break;
+      case '--status':
+        options.status = argv[++i];
+        break;
+      case '--since':
+        options.since = new Date(argv[++i]);
+        break;
+      case '--limit':
+        options.limit = Number(argv[++i]);
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.eventId === undefined && !STATUSES.includes(options.status)) {
+    throw new Error(`--status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (options.since && Number.isNaN(options.since.getTime())) {
+    throw new Error('--since must be a valid date');
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  return options;
+}
+
+async function replayWebhooks(options) {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/stylopay';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    const events = await zoqqWebhookService.replay(options);
+
+    if (events.length === 0) {
+      console.log('ℹ️  No matching events');
+      return;
+    }
+
+    for (const event of events) {
+      const detail = event.lastError ? ` - ${event.lastError}` : '';
+      console.log(`   ${event.eventId}  ${event.type.padEnd(22)} ${event.status}${detail}`);
+    }
+
+    const failed = events.filter((event) => event.status === 'failed').length;
+    console.log(`\n${options.dryRun ? '🔍' : '✅'} ${events.length} event(s) ${options.dryRun ? 'matched' : 'replayed'}${failed ? `, ${failed} failed` : ''}`);
+
+    if (!options.dryRun && failed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error replaying webhooks:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Handle script execution
+if (require.main === module) {
+  console.log('🔁 StyloPay Zoqq Webhook Replay');
+  console.log('==============================\n');
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  replayWebhooks(options);
+}
+
+module.exports = { replayWebhooks };
@@ -3,6 +3,11 @@
  * Run this script to create test users for development
  * 
  * Usage: node setup-test-users.js
+ *        node setup-test-users.js --bootstrap-superadmin
+ *
+ * Staff accounts are otherwise created through admin invitations; the bootstrap
+ * command creates the first superadmin from SUPERADMIN_* environment variables
+ * and refuses to run once a superadmin exists.
  */
 
 require('dotenv').config();
@@ -160,11 +165,82 @@ async function setupTestUsers() {
   }
 }
 
+async function bootstrapSuperadmin() {
+  const email = (process.env.SUPERADMIN_EMAIL || '').toLowerCase().trim();
+  const password = process.env.SUPERADMIN_PASSWORD || '';
+  const firstName = process.env.SUPERADMIN_FIRST_NAME || 'Super';
+  const lastName = process.env.SUPERADMIN_LAST_NAME || 'Admin';
+
+  // Same strength rules as signup
+  const strongPassword = password.length >= 8
+    && /[A-Z]/.test(password)
+    && /[a-z]/.test(password)
+    && /\d/.test(password)
+    && /\W/.test(password);
+
+  if (!email || !strongPassword) {
+    console.error('❌ Set SUPERADMIN_EMAIL and a strong SUPERADMIN_PASSWORD (8+ characters with uppercase, lowercase, number and special character)');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/stylopay';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const existingSuperadmin = await User.findOne({ role: 'superadmin' });
+    if (existingSuperadmin) {
+      console.error(`❌ A superadmin already exists (${existingSuperadmin.email}). Invite further staff from the admin console.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (await User.findOne({ email })) {
+      console.error(`❌ An account with ${email} already exists`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.floor(Math.random() * 9999).toString().padStart(4, '0');
+
+    await new User({
+      firstName,
+      lastName,
+      email,
+      password: await bcrypt.hash(password, 12),
+      role: 'superadmin',
+      accountStatus: 'active',
+      isVerified: true,
+      accountNumber: `${timestamp}${random}`,
+      profileCompleteness: 100
+    }).save();
+
+    console.log(`✅ Created superadmin: ${email}`);
+    console.log('   Sign in and invite other staff from the admin console.');
+
+  } catch (error) {
+    console.error('❌ Error creating superadmin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
 // Handle script execution
 if (require.main === module) {
-  console.log('🧪 StyloPay Test Users Setup');
-  console.log('============================\n');
-  setupTestUsers();
+  if (process.argv.includes('--bootstrap-superadmin')) {
+    console.log('🔐 StyloPay Superadmin Bootstrap');
+    console.log('===============================\n');
+    bootstrapSuperadmin();
+  } else {
+    console.log('🧪 StyloPay Test Users Setup');
+    console.log('============================\n');
+    setupTestUsers();
+  }
 }
 
-module.exports = { setupTestUsers }; 
\ No newline at end of file
+module.exports = { setupTestUsers, bootstrapSuperadmin }; 
\ No newline at end of file
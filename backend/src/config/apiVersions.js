@@ -0,0 +1,22 @@
+/**
+ * API Version Configuration
+ * Versions served under /api/<version>, and the retirement schedule of the
+ * unversioned routes they replace
+ */
+
+// Oldest first; a route without a handler for a version falls back to the newest earlier one
+const API_VERSIONS = Object.freeze(['v1']);
+
+const CURRENT_API_VERSION = API_VERSIONS[API_VERSIONS.length - 1];
+
+// Unversioned onboarding routes (/api/zoqq/*, /api/user/zoqq/*) replaced by /api/v1/onboarding
+const LEGACY_ONBOARDING_ROUTES = Object.freeze({
+  deprecatedAt: '2026-10-19',
+  sunset: process.env.LEGACY_ONBOARDING_SUNSET || '2027-04-30'
+});
+
+module.exports = {
+  API_VERSIONS,
+  CURRENT_API_VERSION,
+  LEGACY_ONBOARDING_ROUTES
+};
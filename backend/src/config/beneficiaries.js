@@ -0,0 +1,62 @@
+/**
+ * Beneficiary Configuration
+ * Saved payees for external payouts: which bank details each country's payees
+ * need, and the cooling-off period before a new payee can receive large amounts
+ */
+
+// IBAN length by country (ISO 13616 registry)
+const IBAN_LENGTHS = Object.freeze({
+  AD: 24, AE: 23, AT: 20, BE: 16, BG: 22, BH: 22, CH: 21, CY: 28, CZ: 24, DE: 22,
+  DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28,
+  IE: 22, IL: 23, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31,
+  NL: 18, NO: 15, PL: 28, PT: 25, QA: 29, RO: 24, SA: 24, SE: 24, SI: 19, SK: 24,
+  SM: 27, TR: 26
+});
+
+// Bank details a payee needs, by scheme
+const BANK_DETAIL_SCHEMES = Object.freeze({
+  iban: ['iban'],                               // IBAN countries
+  sort_code: ['sortCode', 'accountNumber'],     // United Kingdom
+  aba: ['routingNumber', 'accountNumber'],      // United States
+  swift: ['swiftCode', 'accountNumber']         // Everywhere else
+});
+
+// Countries that do not use the scheme their IBAN membership suggests
+const COUNTRY_SCHEMES = Object.freeze({
+  GB: 'sort_code',
+  US: 'aba'
+});
+
+const BENEFICIARY_ENTITY_TYPES = Object.freeze(['individual', 'company']);
+
+// Hours after a payee is added (or its bank details change) before large payouts are allowed; 0 turns it off
+// Negative values are treated as 0, so a misconfiguration cannot backdate the period
+const coolingOffHours = parseInt(process.env.BENEFICIARY_COOLING_OFF_HOURS, 10);
+const BENEFICIARY_COOLING_OFF_HOURS = Number.isNaN(coolingOffHours) ? 24 : Math.max(0, coolingOffHours);
+
+// Payouts at or above these amounts (major units) wait for the cooling-off period
+const BENEFICIARY_LARGE_AMOUNTS = Object.freeze({
+  USD: 1000,
+  EUR: 1000,
+  GBP: 800,
+  SGD: 1350,
+  AUD: 1500,
+  HKD: 7800,
+  CAD: 1350,
+  CNY: 7000,
+  INR: 80000,
+  JPY: 150000
+});
+
+// Saved payees a user may hold at once
+const MAX_BENEFICIARIES_PER_USER = parseInt(process.env.MAX_BENEFICIARIES_PER_USER, 10) || 100;
+
+module.exports = {
+  IBAN_LENGTHS,
+  BANK_DETAIL_SCHEMES,
+  COUNTRY_SCHEMES,
+  BENEFICIARY_ENTITY_TYPES,
+  BENEFICIARY_COOLING_OFF_HOURS,
+  BENEFICIARY_LARGE_AMOUNTS,
+  MAX_BENEFICIARIES_PER_USER
+};
@@ -0,0 +1,50 @@
+/**
+ * KYC Document Configuration
+ * Documents a customer uploads for Zoqq onboarding, keyed by purpose: the Zoqq
+ * create-user field each one's file ID fills, and the file types accepted for it.
+ * RFI attachments are uploaded the same way
+ */
+
+const KYC_DOCUMENT_PURPOSES = Object.freeze({
+  business_document: {
+    label: 'Business registration document',
+    zoqqField: 'fileId',
+    tagField: 'tag',
+    defaultTag: 'BUSINESS_LICENSE',
+    fileTypes: ['jpeg', 'png', 'pdf']
+  },
+  identity_front: {
+    label: 'Identity document (front)',
+    zoqqField: 'frontFileId',
+    fileTypes: ['jpeg', 'png', 'pdf']
+  },
+  person_document: {
+    label: 'Authorisation document',
+    zoqqField: 'personDocumentsFileId',
+    tagField: 'personDocumentsTag',
+    defaultTag: 'PERSON_PURPORTING_TO_ACT_AUTHORISATION_LETTER',
+    fileTypes: ['jpeg', 'png', 'pdf']
+  },
+  live_selfie: {
+    label: 'Live selfie',
+    zoqqField: 'liveSelfieFileId',
+    fileTypes: ['jpeg', 'png']
+  },
+  // Attached to RFI answers rather than the application, so it fills no create-user field
+  rfi_document: {
+    label: 'RFI supporting document',
+    zoqqField: null,
+    fileTypes: ['jpeg', 'png', 'pdf']
+  }
+});
+
+const KYC_DOCUMENT_STATUSES = Object.freeze([
+  'stored',    // Kept in file storage, not yet accepted by Zoqq
+  'forwarded', // Zoqq returned a file ID
+  'failed'     // Zoqq upload failed; can be retried
+]);
+
+module.exports = {
+  KYC_DOCUMENT_PURPOSES,
+  KYC_DOCUMENT_STATUSES
+};
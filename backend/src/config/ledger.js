@@ -0,0 +1,109 @@
+/**
+ * Ledger Configuration
+ * Currencies the double-entry ledger holds, account types and which side each
+ * one grows on, and the platform accounts postings balance against.
+ * Amounts are integers in a currency's minor unit (cents for USD, yen for JPY)
+ */
+
+// ISO 4217 currencies and their minor-unit exponent
+const LEDGER_CURRENCIES = Object.freeze({
+  USD: { minorUnits: 2 },
+  EUR: { minorUnits: 2 },
+  GBP: { minorUnits: 2 },
+  SGD: { minorUnits: 2 },
+  AUD: { minorUnits: 2 },
+  HKD: { minorUnits: 2 },
+  CAD: { minorUnits: 2 },
+  CNY: { minorUnits: 2 },
+  INR: { minorUnits: 2 },
+  JPY: { minorUnits: 0 }
+});
+
+// Side an account's balance increases on
+const LEDGER_ACCOUNT_TYPES = Object.freeze({
+  asset: { normalSide: 'debit' },
+  liability: { normalSide: 'credit' }, // Customer wallets: money the platform owes
+  equity: { normalSide: 'credit' },
+  income: { normalSide: 'credit' },
+  expense: { normalSide: 'debit' }
+});
+
+const LEDGER_ACCOUNT_STATUSES = Object.freeze([
+  'active',
+  'frozen', // Can receive money but not pay it out
+  'closed'  // No postings at all
+]);
+
+const JOURNAL_ENTRY_TYPES = Object.freeze([
+  'deposit',
+  'withdrawal',
+  'transfer',
+  'fee',
+  'adjustment',
+  'reversal'
+]);
+
+const JOURNAL_ENTRY_STATUSES = Object.freeze([
+  'pending', // Holds funds; counts against the available balance only
+  'posted',  // Final; changes the ledger balance
+  'voided'   // A pending entry released without posting
+]);
+
+// Platform accounts, one per currency, created on first use
+const LEDGER_SYSTEM_ACCOUNTS = Object.freeze({
+  settlement: { name: 'Zoqq settlement', type: 'asset' },
+  fees: { name: 'Fee income', type: 'income' },
+  suspense: { name: 'Suspense', type: 'liability' }
+});
+
+/**
+ * Minor-unit exponent of a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number|undefined} Undefined for currencies the ledger does not hold
+ */
+const minorUnitsFor = (currency) => LEDGER_CURRENCIES[currency]?.minorUnits;
+
+/**
+ * Convert a decimal amount ("12.34" or 12.34) to integer minor units
+ * @param {string|number} amount - Decimal amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number|null} Null when the amount has more decimals than the currency allows
+ */
+const toMinorUnits = (amount, currency) => {
+  const exponent = minorUnitsFor(currency);
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(String(amount).trim());
+
+  if (exponent === undefined || !match || (match[3] || '').length > exponent) {
+    return null;
+  }
+
+  const minor = Number(`${match[2]}${(match[3] || '').padEnd(exponent, '0')}`);
+  return Number.isSafeInteger(minor) ? (match[1] ? -minor : minor) : null;
+};
+
+/**
+ * Format integer minor units as a decimal string ("12.34")
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Decimal amount
+ */
+const fromMinorUnits = (minor, currency) => {
+  const exponent = minorUnitsFor(currency) || 0;
+  const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+  const whole = digits.slice(0, digits.length - exponent);
+  const fraction = exponent > 0 ? `.${digits.slice(-exponent)}` : '';
+
+  return `${minor < 0 ? '-' : ''}${whole}${fraction}`;
+};
+
+module.exports = {
+  LEDGER_CURRENCIES,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_ACCOUNT_STATUSES,
+  JOURNAL_ENTRY_TYPES,
+  JOURNAL_ENTRY_STATUSES,
+  LEDGER_SYSTEM_ACCOUNTS,
+  minorUnitsFor,
+  toMinorUnits,
+  fromMinorUnits
+};
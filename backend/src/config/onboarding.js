@@ -0,0 +1,173 @@
+/**
+ * Onboarding State Machine Configuration
+ * States of a customer's Zoqq account (User.zoqqAccountStatus), the transitions
+ * between them, the guards each transition must pass, the next actions
+ * offered to the client in each state, and the sections of the application draft
+ */
+
+const ONBOARDING_STATES = Object.freeze([
+  'draft',          // Application not sent to Zoqq yet
+  'submitted',      // Create request in flight
+  'zoqq_created',   // Zoqq account exists, terms not accepted
+  'terms_accepted', // Ready for activation
+  'rfi_pending',    // Zoqq compliance asked for more information
+  'active',
+  'rejected',       // Final: Zoqq declined the application
+  'suspended'       // Zoqq suspended the account
+]);
+
+// Stored by earlier versions before the draft state existed
+const LEGACY_STATES = Object.freeze({
+  not_created: 'draft'
+});
+
+// Allowed moves, by current state
+const ONBOARDING_TRANSITIONS = Object.freeze({
+  // zoqq_created directly only for accounts linked outside the create flow (reconciler repair)
+  draft: ['submitted', 'zoqq_created'],
+  submitted: ['zoqq_created', 'draft', 'rejected'],
+  zoqq_created: ['terms_accepted', 'rfi_pending', 'active', 'rejected', 'suspended'],
+  terms_accepted: ['active', 'rfi_pending', 'rejected', 'suspended'],
+  rfi_pending: ['zoqq_created', 'terms_accepted', 'active', 'rejected', 'suspended'],
+  active: ['suspended'],
+  rejected: [],
+  suspended: ['zoqq_created', 'terms_accepted', 'rfi_pending', 'active']
+});
+
+const requireZoqqAccount = (user) => (user.zoqqAccountId
+  ? null
+  : { code: 'ZOQQ_ACCOUNT_MISSING', message: 'Zoqq account has not been created' });
+
+/**
+ * Preconditions for entering a state, checked against the user as it is before the move
+ * Each returns null when satisfied, or { code, message } when not
+ */
+const ONBOARDING_GUARDS = Object.freeze({
+  submitted: (user) => {
+    if (user.zoqqAccountId) {
+      return { code: 'USER_EXISTS', message: 'User already has a Zoqq account' };
+    }
+    if (user.accountStatus === 'closed') {
+      return { code: 'ACCOUNT_CLOSED', message: 'Closed accounts cannot be onboarded' };
+    }
+    return null;
+  },
+
+  zoqq_created: requireZoqqAccount,
+  terms_accepted: requireZoqqAccount,
+  rfi_pending: requireZoqqAccount,
+
+  active: (user) => (user.termsAcceptedAt
+    ? null
+    : { code: 'TERMS_NOT_ACCEPTED', message: 'Terms and conditions must be accepted before activation' })
+});
+
+// Progress shown to the customer; states outside the happy path map onto the step they block
+const ONBOARDING_STEPS = Object.freeze([
+  { key: 'application', label: 'Create Zoqq account', states: ['draft', 'submitted'] },
+  { key: 'terms', label: 'Accept terms and conditions', states: ['zoqq_created'] },
+  { key: 'activation', label: 'Activate account', states: ['terms_accepted', 'rfi_pending'] },
+  { key: 'complete', label: 'Account active', states: ['active', 'rejected', 'suspended'] }
+]);
+
+// What the client can do next, by state
+const ONBOARDING_ACTIONS = Object.freeze({
+  draft: [
+    { action: 'create_account', label: 'Create Zoqq account', method: 'POST', path: '/api/v1/onboarding/account' }
+  ],
+  submitted: [],
+  zoqq_created: [
+    { action: 'accept_terms', label: 'Accept terms and conditions', method: 'POST', path: '/api/v1/onboarding/account/terms' }
+  ],
+  terms_accepted: [
+    { action: 'activate_account', label: 'Activate account', method: 'POST', path: '/api/v1/onboarding/account/activate' }
+  ],
+  rfi_pending: [
+    { action: 'view_rfi', label: 'Review requested information', method: 'GET', path: '/api/v1/onboarding/account/rfi' },
+    { action: 'respond_to_rfi', label: 'Answer the request for information', method: 'POST', path: '/api/v1/onboarding/account/rfi' }
+  ],
+  active: [],
+  rejected: [
+    { action: 'contact_support', label: 'Contact support' }
+  ],
+  suspended: [
+    { action: 'contact_support', label: 'Contact support' }
+  ]
+});
+
+// Sections of the Zoqq business application, autosaved one at a time as a draft
+const ONBOARDING_DRAFT_STEPS = Object.freeze([
+  {
+    key: 'business',
+    label: 'Business details',
+    fields: [
+      'emailId', 'businessName', 'businessStructure', 'contactNumber', 'type', 'number',
+      'descriptionOfGoodsOrServices', 'industryCategoryCode', 'operatingCountry', 'amount', 'currency'
+    ]
+  },
+  {
+    key: 'registration_address',
+    label: 'Registered address',
+    fields: [
+      'registrationAddressLine1', 'registrationAddressLine2', 'registrationSuburb',
+      'registrationState', 'registrationPostcode', 'registrationCountryCode'
+    ]
+  },
+  {
+    key: 'applicant',
+    label: 'Applicant details',
+    fields: [
+      'firstName', 'middleName', 'lastName', 'dateOfBirth', 'nationality', 'mobile', 'roles',
+      'residentialAddressLine1', 'residentialSuburb', 'residentialState', 'residentialPostcode', 'residentialCountryCode'
+    ]
+  },
+  {
+    key: 'identity',
+    label: 'Identity document',
+    fields: ['identificationType', 'Idnumber', 'issuingCountryCode', 'effectiveAt', 'expireAt']
+  },
+  {
+    key: 'documents',
+    label: 'Supporting documents',
+    fields: ['fileId', 'tag', 'frontFileId', 'personDocumentsFileId', 'personDocumentsTag', 'liveSelfieFileId']
+  },
+  {
+    key: 'declarations',
+    label: 'Declarations',
+    fields: ['legalEntityType', 'asTrustee', 'productReference', 'countryCode', 'agreedToTermsAndConditions']
+  }
+]);
+
+// Application fields Zoqq accepts but does not require
+const OPTIONAL_APPLICATION_FIELDS = Object.freeze(['middleName', 'registrationAddressLine2']);
+
+const ONBOARDING_DESCRIPTIONS = Object.freeze({
+  draft: 'Start the onboarding process by creating your Zoqq account',
+  submitted: 'Your application is being sent to Zoqq',
+  zoqq_created: 'Review and accept the terms and conditions to proceed',
+  terms_accepted: 'Submit your account for activation and verification',
+  rfi_pending: 'Additional information is required for compliance verification',
+  active: 'Your account is fully activated and ready to use',
+  rejected: 'Your application was not approved. Please contact support',
+  suspended: 'Your account has been suspended. Please contact support'
+});
+
+/**
+ * Normalise a stored status to an onboarding state
+ * @param {string} status - User.zoqqAccountStatus
+ * @returns {string} Onboarding state
+ */
+const normalizeOnboardingState = (status) => LEGACY_STATES[status] || status || 'draft';
+
+module.exports = {
+  ONBOARDING_STATES,
+  LEGACY_STATES,
+  ONBOARDING_TRANSITIONS,
+  ONBOARDING_GUARDS,
+  ONBOARDING_STEPS,
+  ONBOARDING_ACTIONS,
+  ONBOARDING_DRAFT_STEPS,
+  OPTIONAL_APPLICATION_FIELDS,
+  ONBOARDING_DESCRIPTIONS,
+  normalizeOnboardingState
+};
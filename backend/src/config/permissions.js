@@ -0,0 +1,122 @@
+/**
+ * Role and Permission Configuration
+ * Maps user roles to the fine-grained permissions checked by the authorize middleware
+ * and embedded in access tokens
+ */
+
+// All permissions known to the application, grouped by resource
+const PERMISSIONS = Object.freeze({
+  ADMIN_ACCESS: 'admin:access',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  USERS_SUSPEND: 'users:suspend',
+  ROLES_ASSIGN: 'roles:assign',
+  ADMINS_INVITE: 'admins:invite',
+  KYC_READ: 'kyc:read',
+  KYC_APPROVE: 'kyc:approve',
+  TRANSACTIONS_READ: 'transactions:read',
+  PAYOUTS_READ: 'payouts:read',
+  PAYOUTS_RELEASE: 'payouts:release',
+  LEDGER_ADJUST: 'ledger:adjust',
+  ZOQQ_SYNC: 'zoqq:sync',
+  AUDIT_READ: 'audit:read'
+});
+
+const ALL_PERMISSIONS = Object.freeze(Object.values(PERMISSIONS));
+
+// Roles that grant access to the admin console
+const ADMIN_ROLES = Object.freeze(['support', 'compliance', 'finance', 'admin', 'superadmin']);
+
+// Roles a customer account can hold
+const CUSTOMER_ROLES = Object.freeze(['user', 'premium']);
+
+const ROLES = Object.freeze([...CUSTOMER_ROLES, ...ADMIN_ROLES]);
+
+const ROLE_PERMISSIONS = Object.freeze({
+  user: [],
+  premium: [],
+  support: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.KYC_READ,
+    PERMISSIONS.TRANSACTIONS_READ
+  ],
+  compliance: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.KYC_READ,
+    PERMISSIONS.KYC_APPROVE,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.AUDIT_READ
+  ],
+  finance: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.PAYOUTS_READ,
+    PERMISSIONS.PAYOUTS_RELEASE,
+    PERMISSIONS.LEDGER_ADJUST
+  ],
+  admin: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_WRITE,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.ADMINS_INVITE,
+    PERMISSIONS.KYC_READ,
+    PERMISSIONS.KYC_APPROVE,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.PAYOUTS_READ,
+    PERMISSIONS.ZOQQ_SYNC,
+    PERMISSIONS.AUDIT_READ
+  ],
+  // Superadmin holds every permission and is the only role that can assign roles
+  superadmin: ALL_PERMISSIONS
+});
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Permission names (empty for unknown roles)
+ */
+const getPermissionsForRole = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * Whether a role belongs to staff with admin console access
+ * @param {string} role - User role
+ * @returns {boolean} True for admin roles
+ */
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+/**
+ * Whether a set of granted permissions covers every required permission
+ * @param {string[]} granted - Permissions held by the user
+ * @param {string[]} required - Permissions needed
+ * @returns {boolean} True if all required permissions are granted
+ */
+const hasPermissions = (granted = [], required = []) =>
+  required.every((permission) => granted.includes(permission));
+
+/**
+ * Whether a holder of the given permissions may grant a role to someone else
+ * A role can only be granted by someone who already holds all of its permissions
+ * @param {string[]} granted - Permissions held by the granting user
+ * @param {string} role - Role to grant
+ * @returns {boolean} True if the role can be granted
+ */
+const canGrantRole = (granted = [], role) =>
+  ROLES.includes(role) && hasPermissions(granted, ROLE_PERMISSIONS[role]);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLES,
+  ADMIN_ROLES,
+  CUSTOMER_ROLES,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  isAdminRole,
+  hasPermissions,
+  canGrantRole
+};
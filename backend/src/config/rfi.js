@@ -0,0 +1,40 @@
+/**
+ * RFI Configuration
+ * Requests for information Zoqq compliance raises during onboarding: the
+ * question types a customer can answer and the fields each answer needs
+ */
+
+// Fields a Zoqq answer of each type must contain
+const RFI_QUESTION_TYPES = Object.freeze({
+  ADDRESS: {
+    label: 'Address',
+    fields: ['address_line1', 'country_code', 'postcode', 'state', 'suburb']
+  },
+  TEXT: {
+    label: 'Written answer',
+    fields: ['text']
+  },
+  DOCUMENT: {
+    label: 'Document',
+    fields: ['file_id']
+  }
+});
+
+const RFI_STATUSES = Object.freeze([
+  'open',     // Questions still waiting for an answer
+  'answered', // Every question answered, or Zoqq closed the request
+  'closed'    // No longer reported by Zoqq
+]);
+
+// Answers kept on a request, oldest dropped first
+const RFI_RESPONSE_HISTORY_LIMIT = 50;
+
+// Zoqq does not always set a deadline; requests without one are due this many days after they were raised
+const RFI_DEFAULT_DUE_DAYS = parseInt(process.env.RFI_DEFAULT_DUE_DAYS, 10) || 14;
+
+module.exports = {
+  RFI_QUESTION_TYPES,
+  RFI_STATUSES,
+  RFI_RESPONSE_HISTORY_LIMIT,
+  RFI_DEFAULT_DUE_DAYS
+};
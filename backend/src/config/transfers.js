@@ -0,0 +1,34 @@
+/**
+ * Transfer Configuration
+ * Peer-to-peer transfers between StyloPay customers: the statuses a transfer moves
+ * through and how much a sender may move per transfer and per UTC day
+ */
+
+const TRANSFER_STATUSES = Object.freeze([
+  'pending',   // Recorded; the ledger posting has not committed yet
+  'completed', // Money moved
+  'failed',    // Nothing moved; failureReason says why
+  'reversed'   // Money moved, then the journal entry was reversed and it moved back
+]);
+
+// Limits in major units of the transfer currency
+const TRANSFER_LIMITS = Object.freeze({
+  USD: { perTransfer: 10000, daily: 25000 },
+  EUR: { perTransfer: 10000, daily: 25000 },
+  GBP: { perTransfer: 8000, daily: 20000 },
+  SGD: { perTransfer: 13500, daily: 34000 },
+  AUD: { perTransfer: 15000, daily: 37500 },
+  HKD: { perTransfer: 78000, daily: 195000 },
+  CAD: { perTransfer: 13500, daily: 34000 },
+  CNY: { perTransfer: 70000, daily: 175000 },
+  INR: { perTransfer: 800000, daily: 2000000 },
+  JPY: { perTransfer: 1500000, daily: 3750000 }
+});
+
+const TRANSFER_NOTE_MAX_LENGTH = 140;
+
+module.exports = {
+  TRANSFER_STATUSES,
+  TRANSFER_LIMITS,
+  TRANSFER_NOTE_MAX_LENGTH
+};
@@ -0,0 +1,35 @@
+/**
+ * Wallet Configuration
+ * Customer wallets: one open wallet per currency, each backed by a ledger
+ * liability account, and the moves their lifecycle allows
+ */
+
+const { LEDGER_CURRENCIES } = require('./ledger');
+
+const WALLET_STATUSES = Object.freeze([
+  'active',
+  'frozen', // Can receive money but not pay it out
+  'closed'  // Final; the currency can be opened again as a new wallet
+]);
+
+// Lifecycle moves a wallet may make
+const WALLET_TRANSITIONS = Object.freeze({
+  active: ['frozen', 'closed'],
+  frozen: ['active', 'closed'],
+  closed: []
+});
+
+// Primary wallet currency when the user's preferred currency is not held by the ledger
+const DEFAULT_WALLET_CURRENCY = LEDGER_CURRENCIES[process.env.DEFAULT_WALLET_CURRENCY]
+  ? process.env.DEFAULT_WALLET_CURRENCY
+  : 'USD';
+
+// Open wallets a user may hold at once
+const MAX_WALLETS_PER_USER = parseInt(process.env.MAX_WALLETS_PER_USER, 10) || 10;
+
+module.exports = {
+  WALLET_STATUSES,
+  WALLET_TRANSITIONS,
+  DEFAULT_WALLET_CURRENCY,
+  MAX_WALLETS_PER_USER
+};
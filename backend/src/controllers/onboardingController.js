@@ -0,0 +1,394 @@
+/**
+ * Onboarding Controller
+ * Request handlers for Zoqq business onboarding, shared by /api/v1/onboarding and the
+ * deprecated routes it replaces. Every action applies to the signed-in user's own account
+ */
+
+const User = require('../models/User');
+const zoqqAuthService = require('../services/zoqqAuth');
+const onboardingService = require('../services/onboardingService');
+const onboardingDraftService = require('../services/onboardingDraftService');
+const rfiService = require('../services/rfiService');
+const { AppError } = require('../middleware/errorHandler');
+const { checkApplicationDates, validateApplication } = require('../middleware/onboardingValidators');
+
+const NEXT_STEPS_AFTER_CREATE = [
+  'Accept Terms and Conditions',
+  'Submit for Account Activation',
+  'Complete any required RFI (Request for Information)'
+];
+
+/**
+ * Wrap a handler so failures are answered as { status, message, code, data }
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @param {string} fallbackCode - Code for unexpected errors
+ * @param {Function} handler - async (req, res)
+ * @returns {Function} Express handler
+ */
+const action = (fallbackMessage, fallbackCode, handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error(`[ONBOARDING API] ${req.method} ${req.originalUrl.split('?')[0]} failed:`, error.message);
+
+    // Only AppErrors are written for clients; anything else (Mongo, runtime) stays in the log
+    if (!(error instanceof AppError)) {
+      return res.status(500).json({
+        status: 'error',
+        message: fallbackMessage,
+        code: fallbackCode
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || fallbackMessage,
+      code: error.code || fallbackCode,
+      ...(error.data && { data: error.data })
+    });
+  }
+};
+
+/**
+ * AppError carrying a response payload
+ */
+const errorWithData = (message, statusCode, code, data) => Object.assign(new AppError(message, statusCode, code), { data });
+
+/**
+ * Load the signed-in user or fail with 404
+ */
+const findSignedInUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+/**
+ * The signed-in user's Zoqq account ID
+ * The deprecated routes name the account in the path; any account but the user's own is not found
+ * @throws {AppError} ZOQQ_ACCOUNT_NOT_FOUND
+ */
+const findOwnAccountId = async (req) => {
+  const user = await findSignedInUser(req.user.userId);
+
+  if (!user.zoqqAccountId || (req.params.userId && req.params.userId !== user.zoqqAccountId)) {
+    throw new AppError('Zoqq account not found', 404, 'ZOQQ_ACCOUNT_NOT_FOUND');
+  }
+
+  return user.zoqqAccountId;
+};
+
+/**
+ * Create the Zoqq account for a user from a validated application
+ * @returns {Promise<Object>} Response data
+ */
+const submitApplication = async (user, application, { idempotencyKey }) => {
+  if (user.zoqqAccountId) {
+    throw errorWithData('User already has a Zoqq account', 409, 'USER_EXISTS', { accountId: user.zoqqAccountId });
+  }
+
+  const dateError = checkApplicationDates(application);
+  if (dateError) {
+    throw new AppError(dateError.message, 400, dateError.code);
+  }
+
+  console.log(`[ONBOARDING API] Creating Zoqq account for: ${user.email}`);
+
+  // Moves onboarding draft -> submitted -> zoqq_created
+  const result = await onboardingService.createAccount(user, application, { idempotencyKey });
+
+  console.log(`[ONBOARDING API] Zoqq account created: ${result.accountId}`);
+
+  return {
+    accountId: result.accountId,
+    status: result.status,
+    message: result.message,
+    next_steps: NEXT_STEPS_AFTER_CREATE
+  };
+};
+
+/**
+ * Validate a draft and build its client view, recording progress unless it was never saved
+ */
+const describeDraft = async (user, draft) => {
+  const data = onboardingDraftService.applicationData(user, draft);
+  const fieldErrors = await validateApplication(data, { partial: true });
+  const progress = onboardingDraftService.progress(data, fieldErrors);
+
+  if (!draft.isNew || draft.saveCount > 0) {
+    await onboardingDraftService.recordProgress(draft, progress);
+  }
+
+  return onboardingDraftService.describe(draft, { data, fieldErrors, progress });
+};
+
+// ========== ONBOARDING STATE ==========
+
+const getState = action('Failed to retrieve onboarding state', 'ONBOARDING_GET_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Onboarding state retrieved successfully',
+    code: 'ONBOARDING_RETRIEVED',
+    data: onboardingService.describe(user)
+  });
+});
+
+// ========== ZOQQ ACCOUNT ==========
+
+const createAccount = action('Failed to create user account', 'USER_CREATE_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const data = await submitApplication(user, req.body, { idempotencyKey: req.idempotencyKey });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'User account created successfully in Zoqq system',
+    code: 'USER_CREATED',
+    data
+  });
+});
+
+const getAccount = action('Failed to retrieve user details', 'USER_GET_ERROR', async (req, res) => {
+  const accountId = await findOwnAccountId(req);
+
+  const result = await zoqqAuthService.getUser(accountId);
+  if (!result.success) {
+    throw new AppError('Failed to retrieve user details', 400, 'USER_GET_FAILED');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User details retrieved successfully',
+    code: 'USER_RETRIEVED',
+    data: result.userData
+  });
+});
+
+const acceptTerms = action('Failed to accept terms and conditions', 'TERMS_ACCEPT_ERROR', async (req, res) => {
+  const accountId = await findOwnAccountId(req);
+  const result = await onboardingService.acceptTerms(accountId, { idempotencyKey: req.idempotencyKey });
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message || 'Terms and conditions accepted successfully',
+    code: 'TERMS_ACCEPTED',
+    data: {
+      acceptedAt: new Date().toISOString(),
+      nextStep: 'Account ready for activation'
+    }
+  });
+});
+
+const activate = action('Failed to activate account', 'ACTIVATION_ERROR', async (req, res) => {
+  const accountId = await findOwnAccountId(req);
+
+  // Requires accepted terms; an RFI or rejection from Zoqq is recorded on the user
+  const result = await onboardingService.activate(accountId, { idempotencyKey: req.idempotencyKey });
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message || 'Account activated successfully',
+    code: 'ACCOUNT_ACTIVATED',
+    data: {
+      activatedAt: new Date().toISOString(),
+      status: 'active',
+      message: 'Account is now fully operational'
+    }
+  });
+});
+
+// ========== RFI (REQUEST FOR INFORMATION) ==========
+
+const getRFI = action('Failed to retrieve RFI details', 'RFI_GET_ERROR', async (req, res) => {
+  const accountId = await findOwnAccountId(req);
+
+  const result = await zoqqAuthService.getRFI(accountId);
+  if (!result.success) {
+    throw new AppError('Failed to retrieve RFI details', 400, 'RFI_GET_FAILED');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'RFI details retrieved successfully',
+    code: 'RFI_RETRIEVED',
+    data: result.rfiData
+  });
+});
+
+const respondToRFI = action('Failed to submit RFI response', 'RFI_RESPONSE_ERROR', async (req, res) => {
+  await findOwnAccountId(req);
+  const user = await findSignedInUser(req.user.userId);
+
+  // Recorded in the RFI's response history like answers sent from the inbox
+  const { results } = await rfiService.respond(user, [req.body], { idempotencyKey: req.idempotencyKey });
+  const [outcome] = results;
+  if (outcome.status === 'failed') {
+    throw outcome.error;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: outcome.result.message || 'RFI response submitted successfully',
+    code: 'RFI_RESPONSE_SUBMITTED',
+    data: {
+      submittedAt: new Date().toISOString(),
+      rfiId: req.body.id,
+      responseType: req.body.type,
+      ...outcome.result.data
+    }
+  });
+});
+
+// ========== RFI INBOX ==========
+
+const listRfis = action('Failed to retrieve requests for information', 'RFI_LIST_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const data = await rfiService.list(user, { status: req.query.status });
+
+  res.status(200).json({
+    status: 'success',
+    message: data.stale ? 'Zoqq is unavailable; showing saved requests' : 'Requests for information retrieved successfully',
+    code: 'RFIS_RETRIEVED',
+    data
+  });
+});
+
+const getRfiSummary = action('Failed to count requests for information', 'RFI_SUMMARY_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Request for information counts retrieved successfully',
+    code: 'RFI_SUMMARY_RETRIEVED',
+    data: await rfiService.counts(user._id)
+  });
+});
+
+const getRfi = action('Failed to retrieve request for information', 'RFI_GET_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const request = await rfiService.find(user, req.params.rfiId);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Request for information retrieved successfully',
+    code: 'RFI_RETRIEVED',
+    data: rfiService.serialize(request, { withResponses: true })
+  });
+});
+
+const submitRfiResponse = action('Failed to submit RFI response', 'RFI_RESPONSE_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  if (!user.zoqqAccountId) {
+    throw new AppError('Zoqq account not found', 404, 'ZOQQ_ACCOUNT_NOT_FOUND');
+  }
+
+  const { request, response, results } = await rfiService.respond(user, req.body.answers, {
+    rfiId: req.params.rfiId,
+    idempotencyKey: req.idempotencyKey
+  });
+
+  const accepted = results.filter((result) => result.status === 'accepted').length;
+  const data = {
+    rfi: rfiService.serialize(request, { withResponses: true }),
+    response: { id: response._id, submittedAt: response.submittedAt },
+    results: results.map((result) => ({
+      questionId: result.questionId,
+      status: result.status,
+      ...(result.error && { error: { code: result.error.code || 'RFI_RESPONSE_ERROR', message: result.error.message } })
+    }))
+  };
+
+  if (accepted === 0) {
+    const firstError = results[0].error;
+    throw errorWithData('None of your answers were accepted', firstError.statusCode || 400, 'RFI_RESPONSE_FAILED', data);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: accepted === results.length
+      ? 'RFI response submitted successfully'
+      : `${accepted} of ${results.length} answers were accepted`,
+    code: accepted === results.length ? 'RFI_RESPONSE_SUBMITTED' : 'RFI_RESPONSE_PARTIAL',
+    data
+  });
+});
+
+// ========== APPLICATION DRAFT ==========
+
+const getDraft = action('Failed to retrieve onboarding draft', 'ONBOARDING_DRAFT_GET_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const draft = await onboardingDraftService.load(user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Onboarding draft retrieved successfully',
+    code: 'ONBOARDING_DRAFT_RETRIEVED',
+    data: await describeDraft(user, draft)
+  });
+});
+
+const saveDraft = action('Failed to save onboarding draft', 'ONBOARDING_DRAFT_SAVE_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const draft = await onboardingDraftService.load(user);
+  onboardingDraftService.assertEditable(user, draft);
+
+  onboardingDraftService.applyChanges(draft, req.body, { userAgent: req.get('User-Agent') });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Onboarding draft saved',
+    code: 'ONBOARDING_DRAFT_SAVED',
+    data: await describeDraft(user, draft)
+  });
+});
+
+const submitDraft = action('Failed to submit onboarding draft', 'ONBOARDING_DRAFT_SUBMIT_ERROR', async (req, res) => {
+  const user = await findSignedInUser(req.user.userId);
+  const draft = await onboardingDraftService.load(user);
+
+  if (draft.isNew) {
+    throw new AppError('No saved application to submit', 404, 'DRAFT_NOT_FOUND');
+  }
+
+  if (!user.zoqqAccountId) {
+    onboardingDraftService.assertEditable(user, draft);
+  }
+
+  const payload = onboardingDraftService.buildPayload(user, draft);
+  const fieldErrors = await validateApplication(payload);
+
+  if (Object.keys(fieldErrors).length > 0) {
+    const data = onboardingDraftService.applicationData(user, draft);
+    throw errorWithData('Your application has missing or invalid fields', 400, 'DRAFT_INVALID',
+      onboardingDraftService.describe(draft, { data, fieldErrors }));
+  }
+
+  const data = await submitApplication(user, payload, { idempotencyKey: req.idempotencyKey });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'User account created successfully in Zoqq system',
+    code: 'USER_CREATED',
+    data
+  });
+});
+
+module.exports = {
+  getState,
+  createAccount,
+  getAccount,
+  acceptTerms,
+  activate,
+  getRFI,
+  respondToRFI,
+  listRfis,
+  getRfiSummary,
+  getRfi,
+  submitRfiResponse,
+  getDraft,
+  saveDraft,
+  submitDraft
+};
@@ -20,10 +20,19 @@ const database = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const zoqqRoutes = require('./routes/zoqq');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const v1Routes = require('./routes/v1');
+const walletRoutes = require('./routes/wallets');
+const transactionRoutes = require('./routes/transactions');
+const transferRoutes = require('./routes/transfers');
+const beneficiaryRoutes = require('./routes/beneficiaries');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { securityMiddleware } = require('./middleware/security');
+const profilePictureService = require('./services/profilePictureService');
+const zoqqSyncService = require('./services/zoqqSyncService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -79,8 +88,8 @@ const generalLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limiting for OPTIONS requests (CORS preflight)
-    return req.method === 'OPTIONS';
+    // Skip rate limiting for OPTIONS requests (CORS preflight) and signed partner webhooks
+    return req.method === 'OPTIONS' || req.originalUrl.startsWith('/api/webhooks/');
   }
 });
 
@@ -130,9 +139,10 @@ const corsOptions = {
     'Origin',
     'Cache-Control',
     'Pragma',
-    'Expires'
+    'Expires',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Idempotent-Replayed', 'API-Version', 'Deprecation', 'Sunset', 'Link'],
   maxAge: isDevelopment ? 0 : 86400, // Disable preflight caching in development
   preflightContinue: false,
   optionsSuccessStatus: 200 // For legacy browser support
@@ -143,6 +153,9 @@ app.use(cors(corsOptions));
 // Handle preflight requests explicitly
 app.options('*', cors(corsOptions));
 
+// Partner webhooks verify signatures over the raw body, so they are mounted before the JSON parser
+app.use('/api/webhooks', webhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -169,10 +182,25 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded profile pictures (random file names, no directory listing)
+app.use('/uploads/avatars', express.static(profilePictureService.directory, {
+  index: false,
+  setHeaders: (res) => {
+    // Loaded cross-origin by the frontend's <img> tags
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/zoqq', zoqqRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/transactions', transactionRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/beneficiaries', beneficiaryRoutes);
+app.use('/api/v1', v1Routes);
 
 // Handle 404 errors
 app.use('*', (req, res) => {
@@ -204,6 +232,9 @@ async function startServer() {
     await database.connect();
     console.log('📊 Database connected successfully');
 
+    // Reconcile local Zoqq account state in the background
+    zoqqSyncService.start();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 StyloPay Backend Server running on port ${PORT}`);
@@ -0,0 +1,83 @@
+/**
+ * API Versioning Middleware
+ * Tags requests with the API version they were made against, picks per-version
+ * route handlers, and marks deprecated routes with Deprecation and Sunset headers
+ */
+
+const { API_VERSIONS } = require('../config/apiVersions');
+
+/**
+ * Tag every request through a versioned router with its version
+ * @param {string} version - One of API_VERSIONS
+ * @returns {Function} Express middleware
+ */
+const apiVersion = (version) => {
+  if (!API_VERSIONS.includes(version)) {
+    throw new Error(`Unknown API version: ${version}`);
+  }
+
+  return (req, res, next) => {
+    req.apiVersion = version;
+    res.set('API-Version', version);
+    next();
+  };
+};
+
+/**
+ * Route handler chosen by the request's API version. A version without its own
+ * handler uses the newest earlier one, so a v2 router only overrides what changed:
+ *
+ *   router.post('/account', versioned({ v1: createAccount, v2: createAccountV2 }))
+ *
+ * @param {Object} handlers - Handler by version
+ * @returns {Function} Express middleware
+ */
+const versioned = (handlers) => {
+  const unknown = Object.keys(handlers).filter((version) => !API_VERSIONS.includes(version));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown API version: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const requested = API_VERSIONS.indexOf(req.apiVersion || API_VERSIONS[0]);
+    const version = API_VERSIONS.slice(0, requested + 1).reverse().find((candidate) => handlers[candidate]);
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Not available in API ${req.apiVersion}`,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    return handlers[version](req, res, next);
+  };
+};
+
+/**
+ * Announce that a route is deprecated (RFC 9745) and when it stops working (RFC 8594)
+ * @param {Object} options - { deprecatedAt, sunset, successor } where successor is the replacement path
+ * @returns {Function} Express middleware
+ */
+const deprecated = ({ deprecatedAt, sunset, successor }) => {
+  const deprecation = `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`;
+  const sunsetDate = new Date(sunset).toUTCString();
+
+  return (req, res, next) => {
+    res.set('Deprecation', deprecation);
+    res.set('Sunset', sunsetDate);
+
+    if (successor) {
+      res.set('Link', `<${successor}>; rel="successor-version"`);
+    }
+
+    console.warn(`[API] Deprecated route called: ${req.method} ${req.originalUrl.split('?')[0]}${successor ? ` (use ${successor})` : ''}`);
+    next();
+  };
+};
+
+module.exports = {
+  apiVersion,
+  versioned,
+  deprecated
+};
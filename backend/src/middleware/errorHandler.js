@@ -207,7 +207,7 @@ const dbErrorHandler = (err) => {
  * Handles errors from external APIs (like Zoqq)
  */
 const externalApiErrorHandler = (err, apiName) => {
-  if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
+  if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN'].includes(err.code)) {
     return new AppError(
       `${apiName} service is currently unavailable`,
       503,
@@ -215,14 +215,23 @@ const externalApiErrorHandler = (err, apiName) => {
     );
   }
 
+  if (!err.response && (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT')) {
+    return new AppError(
+      `${apiName} service did not respond in time`,
+      504,
+      'EXTERNAL_SERVICE_TIMEOUT'
+    );
+  }
+
   if (err.response) {
     const status = err.response.status;
     const message = err.response.data?.message || err.message;
     
+    // Our credentials were rejected upstream; a 401 here would look like an expired user session
     if (status === 401) {
       return new AppError(
         'Authentication failed with external service',
-        401,
+        502,
         'EXTERNAL_AUTH_FAILED'
       );
     }
@@ -243,11 +252,14 @@ const externalApiErrorHandler = (err, apiName) => {
       );
     }
     
-    return new AppError(
+    const error = new AppError(
       message,
       status,
       'EXTERNAL_API_ERROR'
     );
+    // Keep the provider's own code (e.g. RFI_REQUIRED) for callers that branch on it
+    error.externalCode = err.response.data?.code || null;
+    return error;
   }
 
   return new AppError(
@@ -0,0 +1,143 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key request header on mutating routes: the first request
+ * runs and its response is stored in Mongo; repeats with the same key and payload
+ * replay that response, and reuse of a key with a different payload is rejected
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// How long a stored response can be replayed
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// An in-progress request older than this is treated as abandoned (e.g. the process died)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so equal payloads hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+const sendError = (res, statusCode, message, code) =>
+  res.status(statusCode).json({ status: 'error', message, code });
+
+/**
+ * Key sent to Zoqq as x-request-id, so upstream retries of the same client request
+ * are deduplicated as well
+ * @param {string} userId - Authenticated user
+ * @param {string} key - Client Idempotency-Key
+ * @returns {string} Upstream idempotency key
+ */
+const upstreamKeyFor = (userId, key) =>
+  `stylopay_${crypto.createHash('sha256').update(`${userId}:${key}`).digest('hex').slice(0, 32)}`;
+
+const handleIdempotencyKey = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'Idempotency-Key must be 1-255 printable ASCII characters', 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  const userId = String(req.user.userId);
+  const path = req.originalUrl.split('?')[0];
+  const requestHash = crypto.createHash('sha256')
+    .update(`${req.method} ${path} ${canonicalJson(req.body)}`)
+    .digest('hex');
+
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      userId,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ userId, key });
+
+    if (!existing || existing.requestHash !== requestHash) {
+      console.warn(`[IDEMPOTENCY] Key reused with a different request by user ${userId}: ${req.method} ${path}`);
+      return sendError(res, 422, 'Idempotency-Key was already used with a different request', 'IDEMPOTENCY_KEY_REUSED');
+    }
+
+    if (existing.status === 'completed') {
+      console.log(`[IDEMPOTENCY] Replaying stored response for ${req.method} ${path}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Reclaim an abandoned lock atomically; otherwise the first request is still running
+    record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'in_progress', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+      { $set: { lockedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!record) {
+      res.set('Retry-After', '1');
+      return sendError(res, 409, 'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    }
+  }
+
+  req.idempotencyKey = upstreamKeyFor(userId, key);
+
+  // Store the outcome when the route responds
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+
+    // 5xx and 429 outcomes are not final, so release the key and let the client retry
+    const settle = statusCode >= 500 || statusCode === 429
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', responseStatus: statusCode, responseBody: body, completedAt: new Date() } }
+      );
+
+    settle.catch((error) => {
+      console.error(`[IDEMPOTENCY] Failed to store outcome for key ${record._id}:`, error.message);
+    });
+
+    return json(body);
+  };
+
+  next();
+};
+
+/**
+ * Idempotency-Key handling for a mutating route (after authenticateToken and validation)
+ * Requests without the header run normally
+ * @returns {Function} Express middleware
+ */
+const idempotent = () => (req, res, next) => {
+  handleIdempotencyKey(req, res, next).catch(next);
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,210 @@
+/**
+ * Onboarding Validators
+ * express-validator rules shared by the versioned onboarding API and its deprecated
+ * aliases, so every path to the same action accepts exactly the same input
+ */
+
+const { body, param, validationResult } = require("express-validator");
+const { ONBOARDING_DRAFT_STEPS } = require("../config/onboarding");
+
+/**
+ * Answer 400 with the validation errors, if any
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+      code: "VALIDATION_ERROR"
+    });
+  }
+  next();
+};
+
+/**
+ * Zoqq create-user field rules
+ * With partial, empty fields are skipped so an unfinished application can be checked as it is filled in
+ */
+const zoqqUserRules = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional({ values: "falsy" }) : body(name));
+
+  return [
+    // Business Information
+    field("emailId").isEmail().normalizeEmail().withMessage("Valid email address is required"),
+    field("amount").isNumeric({ min: 0 }).withMessage("Amount must be a positive number"),
+    field("currency").isLength({ min: 3, max: 3 }).isAlpha().withMessage("Currency must be 3-letter code"),
+    field("businessName").isLength({ min: 2, max: 100 }).withMessage("Business name must be 2-100 characters"),
+    field("businessStructure").isIn(['COMPANY', 'PARTNERSHIP', 'SOLE_PROPRIETORSHIP', 'TRUST', 'OTHER']).withMessage("Valid business structure required"),
+    field("contactNumber").isMobilePhone().withMessage("Valid contact number required"),
+    
+    // Personal Information
+    field("firstName").isLength({ min: 1, max: 50 }).withMessage("First name is required (1-50 characters)"),
+    field("lastName").isLength({ min: 1, max: 50 }).withMessage("Last name is required (1-50 characters)"),
+    body("middleName").optional().isLength({ max: 50 }).withMessage("Middle name max 50 characters"),
+    field("dateOfBirth").isISO8601().withMessage("Valid date of birth required (YYYY-MM-DD)"),
+    field("nationality").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Nationality must be 2-letter country code"),
+    field("mobile").isMobilePhone().withMessage("Valid mobile number required"),
+    
+    // Identity Documents
+    field("identificationType").isIn(['Passport', 'National_ID', 'Driving_License']).withMessage("Valid identification type required"),
+    field("Idnumber").isLength({ min: 5, max: 20 }).withMessage("ID number required (5-20 characters)"),
+    field("issuingCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid issuing country code required"),
+    field("effectiveAt").isISO8601().withMessage("Valid effective date required (YYYY-MM-DD)"),
+    field("expireAt").isISO8601().withMessage("Valid expiry date required (YYYY-MM-DD)"),
+    
+    // Legal and Compliance
+    field("roles").isIn(['BENEFICIAL_OWNER', 'DIRECTOR', 'SIGNATORY', 'OTHER']).withMessage("Valid role required"),
+    field("legalEntityType").isIn(['BUSINESS', 'INDIVIDUAL']).withMessage("Valid legal entity type required"),
+    field("asTrustee").isBoolean().withMessage("asTrustee must be boolean"),
+    field("agreedToTermsAndConditions").isBoolean().withMessage("Terms and conditions agreement required"),
+    field("productReference").isIn([
+      'ACCEPT_ONLINE_PAYMENTS', 'COLLECT_MARKETPLACE_PROCEEDS', 'RECEIVE_TRANSFERS',
+      'GET_PAID', 'CONVERT_FUNDS', 'MAKE_TRANSFERS', 'CREATE_CARDS', 'MANAGE_EXPENSES',
+      'USE_AWX_API', 'TRANSFER_CNY_INBOUND'
+    ]).withMessage("Valid product reference required"),
+    
+    // Business Registration
+    field("type").isLength({ min: 1, max: 20 }).withMessage("Business registration type required"),
+    field("number").isLength({ min: 5, max: 20 }).withMessage("Business registration number required (5-20 characters)"),
+    field("descriptionOfGoodsOrServices").isLength({ min: 10, max: 500 }).withMessage("Service description required (10-500 characters)"),
+    field("industryCategoryCode").matches(/^ICCV3_[A-Z0-9]+$/).withMessage("Valid industry category code required (ICCV3_XXXXXX format)"),
+    field("operatingCountry").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid operating country code required"),
+    
+    // Addresses
+    field("registrationAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Registration address line 1 required (5-100 characters)"),
+    body("registrationAddressLine2").optional().isLength({ max: 100 }).withMessage("Registration address line 2 max 100 characters"),
+    field("registrationCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid registration country code required"),
+    field("registrationPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid registration postcode required (3-10 characters)"),
+    field("registrationState").isLength({ min: 2, max: 50 }).withMessage("Registration state required (2-50 characters)"),
+    field("registrationSuburb").isLength({ min: 2, max: 50 }).withMessage("Registration suburb required (2-50 characters)"),
+    
+    field("residentialAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Residential address line 1 required (5-100 characters)"),
+    field("residentialCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid residential country code required"),
+    field("residentialPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid residential postcode required (3-10 characters)"),
+    field("residentialState").isLength({ min: 2, max: 50 }).withMessage("Residential state required (2-50 characters)"),
+    field("residentialSuburb").isLength({ min: 2, max: 50 }).withMessage("Residential suburb required (2-50 characters)"),
+    
+    // Document Files
+    field("fileId").isLength({ min: 10 }).withMessage("Business document file ID required (minimum 10 characters)"),
+    field("tag").isIn([
+      'ACRA_COMPANY_PROFILE_DOCUMENT', 'ANNUAL_REPORT', 'ANNUAL_RETURN', 'ARTICLES_OF_ASSOCIATION',
+      'ASIC_CURRENT_COMPANY_EXTRACT', 'ASSUMED_NAME_CERTIFICATE', 'BUSINESS_LICENSE',
+      'CERTIFICATE_OF_INCORPORATION', 'CERTIFICATION_REGISTRATION', 'COMPANY_CERTIFICATE',
+      'COMPANY_CONSTITUTION', 'COMPANY_PROFILE', 'CONFIRMATION_STATEMENT', 'DIRECTOR_LIST',
+      'LEGAL_NAME_AND_ADDRESS', 'OPERATING_AGREEMENT', 'PARTNERSHIP_AGREEMENT',
+      'REGISTRATION_CERTIFICATE', 'SHAREHOLDING_STRUCTURE_CHART', 'SUPPORTIVE_OTHER',
+      'TRUST_DEED', 'UNIT_HOLDER_REGISTER', 'UBO_SUPPORTIVE', 'THIRD_PARTY_SHAREHOLDING_DOCUMENT'
+    ]).withMessage("Valid business document tag required"),
+    
+    field("frontFileId").isLength({ min: 10 }).withMessage("ID document front file ID required (minimum 10 characters)"),
+    field("personDocumentsFileId").isLength({ min: 10 }).withMessage("Person documents file ID required (minimum 10 characters)"),
+    field("personDocumentsTag").isLength({ min: 1 }).withMessage("Person documents tag required"),
+    field("liveSelfieFileId").isLength({ min: 10 }).withMessage("Live selfie file ID required (minimum 10 characters)"),
+    field("countryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid country code required (2-letter code)")
+  ];
+};
+
+/**
+ * Date checks the field rules cannot express
+ * @returns {Object|null} { field, message, code } for the first failing check
+ */
+const checkApplicationDates = ({ dateOfBirth, effectiveAt, expireAt }) => {
+  if (effectiveAt && expireAt && new Date(effectiveAt) >= new Date(expireAt)) {
+    return { field: "expireAt", message: "ID document expiry date must be after effective date", code: "INVALID_DATE_RANGE" };
+  }
+
+  if (dateOfBirth && new Date(dateOfBirth) >= new Date()) {
+    return { field: "dateOfBirth", message: "Date of birth must be in the past", code: "INVALID_BIRTH_DATE" };
+  }
+
+  return null;
+};
+
+/**
+ * Run the create-user rules against application data outside a request
+ * @returns {Promise<Object>} Validation message by field
+ */
+const validateApplication = async (data, { partial = false } = {}) => {
+  const req = { body: { ...data } };
+  await Promise.all(zoqqUserRules({ partial }).map((rule) => rule.run(req)));
+
+  const fieldErrors = {};
+  Object.entries(validationResult(req).mapped()).forEach(([field, error]) => {
+    fieldErrors[field] = error.msg;
+  });
+
+  const dateError = checkApplicationDates(data);
+  if (dateError && !fieldErrors[dateError.field]) {
+    fieldErrors[dateError.field] = dateError.message;
+  }
+
+  return fieldErrors;
+};
+
+/**
+ * Zoqq account ID in the path of the deprecated per-account routes
+ */
+const accountIdParamRules = [
+  param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+];
+
+/**
+ * One RFI answer
+ */
+const rfiResponseRules = [
+  body("id").isLength({ min: 1 }).withMessage("RFI question ID required"),
+  body("type").isIn(['ADDRESS', 'DOCUMENT', 'TEXT']).withMessage("Valid response type required"),
+
+  // Conditional validation based on response type
+  body("address_line1").if(body("type").equals("ADDRESS")).isLength({ min: 5, max: 100 }).withMessage("Address line 1 required for ADDRESS type (5-100 characters)"),
+  body("address_line2").if(body("type").equals("ADDRESS")).optional().isLength({ max: 100 }).withMessage("Address line 2 max 100 characters"),
+  body("country_code").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid country code required for ADDRESS type"),
+  body("postcode").if(body("type").equals("ADDRESS")).isLength({ min: 3, max: 10 }).withMessage("Valid postcode required for ADDRESS type (3-10 characters)"),
+  body("state").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("State required for ADDRESS type (2-50 characters)"),
+  body("suburb").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("Suburb required for ADDRESS type (2-50 characters)"),
+
+  body("attachments").optional().isArray().withMessage("Attachments must be an array if provided"),
+  body("attachments.*.file_id").if(body("attachments").exists()).isLength({ min: 10 }).withMessage("Each attachment must have a valid file ID (minimum 10 characters)")
+];
+
+/**
+ * Several answers to one RFI; fields each question type needs are checked against the question
+ */
+const rfiSubmissionRules = [
+  param("rfiId").isLength({ min: 1, max: 100 }).withMessage("Valid RFI ID required"),
+  body("answers").isArray({ min: 1, max: 20 }).withMessage("answers must list 1-20 answers"),
+  body("answers.*.id").isString().isLength({ min: 1 }).withMessage("RFI question ID required"),
+  body("answers.*.type").isIn(['ADDRESS', 'DOCUMENT', 'TEXT']).withMessage("Valid response type required"),
+
+  body("answers.*.address_line1").optional().isLength({ min: 5, max: 100 }).withMessage("Address line 1 must be 5-100 characters"),
+  body("answers.*.address_line2").optional().isLength({ max: 100 }).withMessage("Address line 2 max 100 characters"),
+  body("answers.*.country_code").optional().isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid country code required"),
+  body("answers.*.postcode").optional().isLength({ min: 3, max: 10 }).withMessage("Postcode must be 3-10 characters"),
+  body("answers.*.state").optional().isLength({ min: 2, max: 50 }).withMessage("State must be 2-50 characters"),
+  body("answers.*.suburb").optional().isLength({ min: 2, max: 50 }).withMessage("Suburb must be 2-50 characters"),
+  body("answers.*.text").optional().isString().trim().isLength({ min: 1, max: 2000 }).withMessage("Answer must be 1-2000 characters"),
+
+  body("answers.*.documentIds").optional().isArray({ max: 5 }).withMessage("Attach up to 5 documents"),
+  body("answers.*.documentIds.*").isMongoId().withMessage("Valid document ID required")
+];
+
+/**
+ * Autosave of an onboarding draft
+ */
+const draftSaveRules = [
+  body("step").optional().isIn(ONBOARDING_DRAFT_STEPS.map((step) => step.key)).withMessage("Valid onboarding step required"),
+  body("fields").isObject().withMessage("fields must be an object of application fields")
+];
+
+module.exports = {
+  handleValidationErrors,
+  zoqqUserRules,
+  checkApplicationDates,
+  validateApplication,
+  accountIdParamRules,
+  rfiResponseRules,
+  rfiSubmissionRules,
+  draftSaveRules
+};
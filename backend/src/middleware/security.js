@@ -5,6 +5,14 @@
 
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const tokenRevocation = require('../services/tokenRevocation');
+const { PERMISSIONS, hasPermissions } = require('../config/permissions');
+
+// Claims every login session token is signed with (see zoqqAuth.js)
+const SESSION_TOKEN_OPTIONS = Object.freeze({
+  issuer: 'stylopay-backend',
+  audience: 'stylopay-frontend'
+});
 
 /**
  * General security middleware for all requests
@@ -35,7 +43,7 @@ const securityMiddleware = (req, res, next) => {
 
 /**
  * JWT Authentication Middleware
- * Verifies JWT tokens for protected routes
+ * Verifies JWT tokens for protected routes and rejects revoked tokens
  */
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -48,8 +56,17 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  // Only login session tokens; 2FA pending and action tokens share the secret but not the audience
+  jwt.verify(token, process.env.JWT_SECRET, SESSION_TOKEN_OPTIONS, (err, user) => {
     if (err) {
+      // Expired tokens get a 401 so clients know to use their refresh token
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          error: 'Access token has expired',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
+
       // Token validation failed
       console.log(`[SECURITY] Invalid token attempt from IP: ${req.ip} - Error: ${err.message}`);
       return res.status(403).json({
@@ -58,7 +75,7 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    // Check token structure (userId is required, zoqqToken only when Zoqq is enabled)
+    // Check token structure (the Zoqq service token is held server-side, never in the JWT)
     if (!user.userId) {
       return res.status(403).json({
         error: 'Invalid token structure - missing userId',
@@ -66,36 +83,74 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    // Only require zoqqToken when Zoqq integration is enabled
-    const zoqqEnabled = process.env.ZOQQ_ENABLED === 'true';
-    if (zoqqEnabled && !user.zoqqToken) {
+    if (user.tokenType !== 'banking_session') {
+      console.log(`[SECURITY] Non-session token (${user.tokenType || 'untyped'}) used as access token from IP: ${req.ip}`);
       return res.status(403).json({
-        error: 'Invalid token structure - missing zoqqToken',
-        code: 'TOKEN_STRUCTURE_INVALID'
+        error: 'Invalid token type',
+        code: 'TOKEN_TYPE_INVALID'
       });
     }
 
-    req.user = user;
-    next();
+    // Reject tokens revoked by logout, password change or suspension
+    tokenRevocation.isRevoked(user)
+      .then((revoked) => {
+        if (revoked) {
+          console.log(`[SECURITY] Revoked token used for user: ${user.userId} from IP: ${req.ip}`);
+          return res.status(401).json({
+            error: 'Access token has been revoked',
+            code: 'TOKEN_REVOKED'
+          });
+        }
+
+        req.user = user;
+        next();
+      })
+      .catch((error) => {
+        // Fail closed: without the revocation list we cannot trust the token
+        console.error(`[SECURITY] Token revocation check failed: ${error.message}`);
+        res.status(503).json({
+          error: 'Authentication service temporarily unavailable',
+          code: 'REVOCATION_CHECK_FAILED'
+        });
+      });
   });
 };
 
+/**
+ * Permission Authorization Middleware
+ * Requires every listed permission to be present in the access token
+ * @param {...string} requiredPermissions - Permissions the route needs
+ * @returns {Function} Express middleware
+ */
+const authorize = (...requiredPermissions) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+
+  if (!req.user || !hasPermissions(granted, requiredPermissions)) {
+    console.log(`[SECURITY] Permission denied for user: ${req.user?.email || 'unknown'} - Role: ${req.user?.role || 'none'} - Required: ${requiredPermissions.join(', ')}`);
+    return res.status(403).json({
+      error: 'You do not have permission to perform this action',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required: requiredPermissions
+    });
+  }
+
+  next();
+};
+
 /**
  * Admin Authentication Middleware
- * Additional check for admin-only routes
+ * Additional check for admin-only routes: any staff role with admin console access
  */
 const authenticateAdmin = (req, res, next) => {
-  const isAdmin = req.user?.isAdmin === true || req.user?.role === 'admin';
-  
-  if (!req.user || !isAdmin) {
-    console.log(`[SECURITY] Admin access denied for user: ${req.user?.email || 'unknown'} - Role: ${req.user?.role || 'none'} - isAdmin: ${req.user?.isAdmin}`);
+  if (!req.user || !hasPermissions(req.user.permissions, [PERMISSIONS.ADMIN_ACCESS])) {
+    console.log(`[SECURITY] Admin access denied for user: ${req.user?.email || 'unknown'} - Role: ${req.user?.role || 'none'}`);
     return res.status(403).json({
       error: 'Admin access required',
       code: 'ADMIN_ACCESS_REQUIRED'
     });
   }
-  
-  console.log(`[SECURITY] Admin access granted for user: ${req.user.email} (role: ${req.user.role}, isAdmin: ${req.user.isAdmin})`);
+
+  console.log(`[SECURITY] Admin access granted for user: ${req.user.email} (role: ${req.user.role})`);
   next();
 };
 
@@ -137,9 +192,57 @@ const profileValidationRules = () => {
       .withMessage('Last name contains invalid characters'),
     
     body('phone')
-      .optional()
+      .optional({ values: 'falsy' })
       .matches(/^\+?[\d\s-()]{10,15}$/)
       .withMessage('Invalid phone number format'),
+
+    body('email')
+      .not()
+      .exists()
+      .withMessage('Email address cannot be changed from the profile'),
+
+    body('dateOfBirth')
+      .optional({ values: 'falsy' })
+      .isISO8601({ strict: true })
+      .withMessage('Date of birth must be a valid date')
+      .custom((value) => {
+        const age = (Date.now() - new Date(value).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+        if (age < 18) {
+          throw new Error('You must be at least 18 years old');
+        }
+        if (age > 120) {
+          throw new Error('Date of birth must be a valid date');
+        }
+        return true;
+      }),
+
+    body('address')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Address must be less than 200 characters'),
+
+    body(['city', 'state', 'country'])
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .matches(/^[\p{L}\s.'-]*$/u)
+      .withMessage('Location fields can only contain letters, spaces, periods, hyphens, and apostrophes'),
+
+    body('postalCode')
+      .optional()
+      .matches(/^[A-Za-z0-9\s-]{0,20}$/)
+      .withMessage('Invalid postal code format'),
+
+    body('notifications')
+      .optional()
+      .isObject()
+      .withMessage('Notifications must be an object'),
+
+    body(['notifications.email', 'notifications.sms', 'notifications.push', 'notifications.marketing'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Notification settings must be true or false'),
   ];
 };
 
@@ -229,6 +332,7 @@ module.exports = {
   securityMiddleware,
   authenticateToken,
   authenticateAdmin,
+  authorize,
   authValidationRules,
   profileValidationRules,
   validate,
@@ -0,0 +1,102 @@
+/**
+ * Account Model for StyloPay Banking Application
+ * A ledger account in one currency. Balances are kept in integer minor units on the
+ * account's normal side and only change through ledgerService postings
+ */
+
+const mongoose = require('mongoose');
+const {
+  LEDGER_CURRENCIES,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_ACCOUNT_STATUSES
+} = require('../config/ledger');
+
+const minorUnits = {
+  type: Number,
+  default: 0,
+  validate: {
+    validator: Number.isSafeInteger,
+    message: 'Balances are whole minor units'
+  }
+};
+
+const accountSchema = new mongoose.Schema({
+  // Stable identifier, e.g. system:settlement:USD
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: 100
+  },
+
+  type: {
+    type: String,
+    enum: Object.keys(LEDGER_ACCOUNT_TYPES),
+    required: [true, 'Account type is required']
+  },
+
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: [true, 'Currency is required']
+  },
+
+  // Customer the money belongs to; platform accounts have none
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: LEDGER_ACCOUNT_STATUSES,
+    default: 'active'
+  },
+
+  // Platform accounts may go below zero; customer money may not
+  allowNegative: {
+    type: Boolean,
+    default: false
+  },
+
+  // Cached from the journal inside the posting transaction; ledgerService.verifyBalance re-derives them
+  balances: {
+    posted: minorUnits,     // Ledger balance, positive on the normal side
+    pendingIn: minorUnits,  // Pending entries that will increase it
+    pendingOut: minorUnits  // Pending entries that will decrease it (held)
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  closedAt: Date
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+accountSchema.index({ ownerId: 1, currency: 1 });
+accountSchema.index({ type: 1, currency: 1 });
+
+// Side postings increase this account on
+accountSchema.virtual('normalSide').get(function() {
+  return LEDGER_ACCOUNT_TYPES[this.type].normalSide;
+});
+
+// Ledger balance less funds held by pending entries
+accountSchema.virtual('availableBalance').get(function() {
+  return this.balances.posted - this.balances.pendingOut;
+});
+
+// Export the model
+module.exports = mongoose.model('Account', accountSchema);
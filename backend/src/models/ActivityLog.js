@@ -0,0 +1,60 @@
+/**
+ * ActivityLog Model for StyloPay Banking Application
+ * Append-only record of account and security activity shown to the user
+ */
+
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['login', 'security', 'profile', 'preferences', 'account'];
+
+const activityLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Broad category used for filtering
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: [true, 'Activity type is required']
+  },
+
+  // Specific event, e.g. login_success, password_changed
+  action: {
+    type: String,
+    required: [true, 'Activity action is required'],
+    maxlength: 64
+  },
+
+  description: {
+    type: String,
+    maxlength: 255
+  },
+
+  // Client information for security auditing
+  ip: String,
+  userAgent: String,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+activityLogSchema.index({ userId: 1, createdAt: -1 });
+activityLogSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Activity is kept for one year
+activityLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Entries are never edited once written
+activityLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  next(new Error('Activity log entries are immutable'));
+});
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
@@ -0,0 +1,114 @@
+/**
+ * AdminInvitation Model for StyloPay Banking Application
+ * Single-use invitations that grant a staff role to a new account
+ */
+
+const mongoose = require('mongoose');
+const { ADMIN_ROLES } = require('../config/permissions');
+
+// Audit trail entry: who did what to the invitation, and from where
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['created', 'resent', 'accepted', 'revoked'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  note: {
+    type: String,
+    maxlength: 255
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const adminInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+    required: [true, 'Role is required']
+  },
+
+  // SHA-256 hash of the invitation token (the plain token is only emailed)
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invitation expiry is required']
+  },
+
+  acceptedAt: Date,
+
+  // Account created when the invitation was accepted
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokedAt: Date,
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  history: {
+    type: [historyEntrySchema],
+    default: []
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+adminInvitationSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for expiry status
+adminInvitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= Date.now();
+});
+
+// Pending invitations past their expiry are reported as expired
+adminInvitationSchema.virtual('effectiveStatus').get(function() {
+  return this.status === 'pending' && this.isExpired ? 'expired' : this.status;
+});
+
+// Static method to find the open invitation for an email address
+adminInvitationSchema.statics.findPendingByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase(), status: 'pending', expiresAt: { $gt: new Date() } });
+};
+
+// Export the model
+module.exports = mongoose.model('AdminInvitation', adminInvitationSchema);
@@ -0,0 +1,100 @@
+/**
+ * Beneficiary Model for StyloPay Banking Application
+ * A saved payee outside StyloPay that a customer pays out to. Bank details are
+ * stored normalized and checked per country when saved; coolingOffUntil holds back
+ * large payouts to payees that were just added or whose bank details just changed
+ */
+
+const mongoose = require('mongoose');
+const { LEDGER_CURRENCIES } = require('../config/ledger');
+const { BANK_DETAIL_SCHEMES, BENEFICIARY_ENTITY_TYPES } = require('../config/beneficiaries');
+
+const beneficiarySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // The customer's own label, e.g. "Landlord"
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Name on the receiving account
+  accountHolderName: {
+    type: String,
+    trim: true,
+    required: [true, 'Account holder name is required'],
+    maxlength: 100
+  },
+
+  entityType: {
+    type: String,
+    enum: BENEFICIARY_ENTITY_TYPES,
+    default: 'individual'
+  },
+
+  // ISO 3166-1 alpha-2 code of the receiving bank
+  country: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{2}$/,
+    required: true
+  },
+
+  // Currency the payee is paid in
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: true
+  },
+
+  bankDetails: {
+    scheme: { type: String, enum: Object.keys(BANK_DETAIL_SCHEMES), required: true },
+    iban: String,
+    swiftCode: String,
+    sortCode: String,
+    routingNumber: String,
+    accountNumber: String,
+    bankName: { type: String, trim: true, maxlength: 100 }
+  },
+
+  // Identifies the receiving account, so the same account is not saved twice
+  fingerprint: {
+    type: String,
+    required: true
+  },
+
+  isFavourite: {
+    type: Boolean,
+    default: false
+  },
+
+  // When the payee was added or last re-pointed; payouts since then count toward the threshold
+  coolingOffStartedAt: {
+    type: Date
+  },
+
+  // Payouts that would take the total since coolingOffStartedAt to the large-amount threshold are refused until then
+  coolingOffUntil: {
+    type: Date,
+    required: true
+  },
+
+  // Set by each payout, so concurrent payouts to one payee are checked one after the other
+  lastPayoutAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+beneficiarySchema.index({ userId: 1, fingerprint: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('Beneficiary', beneficiarySchema);
@@ -0,0 +1,72 @@
+/**
+ * IdempotencyKey Model for StyloPay Banking Application
+ * Client-supplied Idempotency-Key headers with the request fingerprint and stored response,
+ * so a repeated mutation replays its first outcome instead of running again
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Keys are scoped to the authenticated user that sent them
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of method, path and canonical JSON body
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+
+  // When the in-progress lock was taken; stale locks can be reclaimed
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  responseStatus: Number,
+
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  completedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Expired keys are removed automatically by MongoDB
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,139 @@
+/**
+ * JournalEntry Model for StyloPay Banking Application
+ * One balanced double-entry posting: debit and credit lines across ledger accounts
+ * whose totals match per currency. Entries are never edited or deleted; a mistake
+ * is undone by posting its reversal
+ */
+
+const mongoose = require('mongoose');
+const {
+  LEDGER_CURRENCIES,
+  JOURNAL_ENTRY_TYPES,
+  JOURNAL_ENTRY_STATUSES
+} = require('../config/ledger');
+
+// The only change an entry accepts: a pending entry being posted or voided
+const STATUS_CHANGE_FIELDS = ['status', 'postedAt', 'voidedAt'];
+
+const journalLineSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // Positive, in minor units of the account's currency
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => Number.isSafeInteger(value) && value > 0,
+      message: 'Line amounts are positive whole minor units'
+    }
+  },
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: true
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOURNAL_ENTRY_TYPES,
+    required: [true, 'Entry type is required']
+  },
+
+  status: {
+    type: String,
+    enum: JOURNAL_ENTRY_STATUSES,
+    default: 'posted'
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+
+  // Caller's unique reference; posting the same reference and lines again returns the first entry
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true,
+    maxlength: 128
+  },
+
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'An entry needs at least two lines'
+    }
+  },
+
+  // Entry this one undoes; an entry can be reversed once
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    unique: true,
+    sparse: true
+  },
+
+  // User or staff member who caused the posting; system postings have none
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  postedAt: Date,
+  voidedAt: Date,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Account statements, newest first
+journalEntrySchema.index({ 'lines.accountId': 1, createdAt: -1 });
+journalEntrySchema.index({ status: 1, createdAt: -1 });
+
+// Payouts to one payee, for the cooling-off total
+journalEntrySchema.index({ 'metadata.beneficiaryId': 1, createdAt: -1 }, { sparse: true });
+
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries are immutable; post a reversal instead'));
+  }
+  next();
+});
+
+// A pending entry may be posted or voided once; nothing else about an entry changes
+journalEntrySchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys(update.$set || {});
+  const onlyStatus = Object.keys(update).every((operator) => operator === '$set')
+    && fields.length > 0
+    && fields.every((field) => STATUS_CHANGE_FIELDS.includes(field));
+
+  if (!onlyStatus || this.getFilter().status !== 'pending') {
+    return next(new Error('Journal entries are immutable; post a reversal instead'));
+  }
+  next();
+});
+
+journalEntrySchema.pre(['updateMany', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'], function(next) {
+  next(new Error('Journal entries are immutable; post a reversal instead'));
+});
+
+// Export the model
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,65 @@
+/**
+ * Notification Model for StyloPay Banking Application
+ * In-app notifications shown to the user (account status changes, requests for information)
+ */
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_CATEGORIES = ['account', 'compliance', 'security', 'transaction'];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    required: [true, 'Notification category is required']
+  },
+
+  // Specific event, e.g. zoqq_account_activated
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    maxlength: 64
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    maxlength: 120
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    maxlength: 500
+  },
+
+  // Frontend path the notification points to
+  link: {
+    type: String,
+    maxlength: 255
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  readAt: Date
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Notifications are kept for one year
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,96 @@
+/**
+ * OnboardingDraft Model for StyloPay Banking Application
+ * A customer's Zoqq business application, saved section by section until it is submitted
+ */
+
+const mongoose = require('mongoose');
+const { ONBOARDING_DRAFT_STEPS } = require('../config/onboarding');
+
+const STEP_KEYS = ONBOARDING_DRAFT_STEPS.map((step) => step.key);
+
+// Drafts are deleted this long after they were last touched
+const DRAFT_RETENTION_DAYS = 180;
+
+const onboardingDraftSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+
+  // Application fields as entered, keyed by their Zoqq create-user name
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Section the customer last saved
+  currentStep: {
+    type: String,
+    enum: STEP_KEYS,
+    default: STEP_KEYS[0]
+  },
+
+  // First section still incomplete, where the customer would resume
+  resumeStep: {
+    type: String,
+    enum: [...STEP_KEYS, 'review'],
+    default: STEP_KEYS[0]
+  },
+
+  completedSteps: [{
+    type: String,
+    enum: STEP_KEYS
+  }],
+
+  // Required fields filled with a valid value, as a percentage
+  completion: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  invalidFieldCount: {
+    type: Number,
+    default: 0
+  },
+
+  saveCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastSavedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Device the last save came from, so support can see a resume on another device
+  lastSavedUserAgent: {
+    type: String,
+    maxlength: 300
+  },
+
+  submittedAt: Date,
+  zoqqAccountId: String
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Abandoned-draft reporting
+onboardingDraftSchema.index({ status: 1, lastSavedAt: -1 });
+
+onboardingDraftSchema.index({ lastSavedAt: 1 }, { expireAfterSeconds: DRAFT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Export the model
+module.exports = mongoose.model('OnboardingDraft', onboardingDraftSchema);
@@ -0,0 +1,118 @@
+/**
+ * RfiRequest Model for StyloPay Banking Application
+ * A request for information from Zoqq compliance as last fetched, with its
+ * questions and every answer the customer submitted to it
+ */
+
+const mongoose = require('mongoose');
+const { RFI_QUESTION_TYPES, RFI_STATUSES } = require('../config/rfi');
+
+const rfiQuestionSchema = new mongoose.Schema({
+  // Zoqq question ID, answered as "id"
+  questionId: {
+    type: String,
+    required: true
+  },
+  key: String,
+  type: {
+    type: String,
+    enum: Object.keys(RFI_QUESTION_TYPES),
+    required: true
+  },
+  title: String,
+  description: String,
+  answered: {
+    type: Boolean,
+    default: false
+  },
+  answeredAt: Date
+}, { _id: false });
+
+// One answer as submitted; document answers keep the stored attachments, not their contents
+const rfiAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(RFI_QUESTION_TYPES),
+    required: true
+  },
+  // Address fields or text, as sent to Zoqq
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attachments: [{
+    documentId: mongoose.Schema.Types.ObjectId,
+    zoqqFileId: String,
+    originalName: String,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['accepted', 'failed'],
+    required: true
+  },
+  error: {
+    code: String,
+    message: String
+  }
+}, { _id: false });
+
+const rfiResponseSchema = new mongoose.Schema({
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answers: [rfiAnswerSchema]
+});
+
+const rfiRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  zoqqAccountId: {
+    type: String,
+    required: [true, 'Zoqq account ID is required']
+  },
+
+  // Zoqq request ID
+  rfiId: {
+    type: String,
+    required: [true, 'RFI ID is required'],
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: RFI_STATUSES,
+    default: 'open'
+  },
+
+  // Status as reported by Zoqq, e.g. ACTION_REQUIRED
+  zoqqStatus: String,
+
+  questions: [rfiQuestionSchema],
+
+  raisedAt: Date,
+  dueAt: Date,
+  answeredAt: Date,
+  lastFetchedAt: Date,
+
+  responses: [rfiResponseSchema]
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Inbox listing and badge counts
+rfiRequestSchema.index({ userId: 1, status: 1, raisedAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('RfiRequest', rfiRequestSchema);
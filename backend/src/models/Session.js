@@ -0,0 +1,107 @@
+/**
+ * Session Model for StyloPay Banking Application
+ * Server-side store for refresh tokens with rotation and reuse detection
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Owner of the session
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // All tokens issued from one login share a family; reuse revokes the family
+  familyId: {
+    type: String,
+    required: [true, 'Token family ID is required'],
+    index: true
+  },
+
+  // When the family's first token was issued at login; rotation cannot outlive it by more than the maximum lifetime
+  familyCreatedAt: {
+    type: Date
+  },
+
+  // SHA-256 hash of the refresh token (the plain token is never stored)
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'rotated', 'revoked'],
+    default: 'active'
+  },
+
+  // Session that superseded this one on rotation
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+
+  rotatedAt: {
+    type: Date
+  },
+
+  revokedAt: {
+    type: Date
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'reuse_detected', 'account_inactive', 'admin', 'user_not_found', 'device_revoked', 'lifetime_exceeded']
+  },
+
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+
+  // Client information for security auditing
+  ip: String,
+  userAgent: String,
+
+  // Registered device (User.registeredDevices entry) the session was opened on
+  deviceId: {
+    type: String,
+    index: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required']
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Expired sessions are removed automatically by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, status: 1 });
+
+// Virtual for expiry status
+sessionSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= Date.now();
+});
+
+// Static method to find the active sessions of a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ userId, status: 'active', expiresAt: { $gt: new Date() } });
+};
+
+// Export the model
+module.exports = mongoose.model('Session', sessionSchema);
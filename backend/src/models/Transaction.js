@@ -0,0 +1,109 @@
+/**
+ * Transaction Model for StyloPay Banking Application
+ * A customer's statement line: how one journal entry moved money in or out of one
+ * of their wallets. Written by the ledger alongside the entry and kept in step with
+ * its status, so statements can be filtered and paged without reading journal lines
+ */
+
+const mongoose = require('mongoose');
+const {
+  LEDGER_CURRENCIES,
+  JOURNAL_ENTRY_TYPES,
+  JOURNAL_ENTRY_STATUSES
+} = require('../config/ledger');
+
+const transactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: [true, 'Wallet ID is required']
+  },
+
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: JOURNAL_ENTRY_TYPES,
+    required: true
+  },
+
+  // Mirrors the journal entry
+  status: {
+    type: String,
+    enum: JOURNAL_ENTRY_STATUSES,
+    required: true
+  },
+
+  direction: {
+    type: String,
+    enum: ['incoming', 'outgoing'],
+    required: true
+  },
+
+  // Net amount for the wallet, positive, in minor units
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  reference: String,
+
+  // Other side of the movement: another customer by masked name, or an outside party
+  counterparty: {
+    name: String
+  },
+
+  // Transaction this one reverses, and the one that reversed it
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversedAt: Date,
+
+  postedAt: Date,
+  voidedAt: Date
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// One statement line per wallet per entry
+transactionSchema.index({ journalEntryId: 1, accountId: 1 }, { unique: true });
+// Cursor pages by date or amount, newest or largest first
+transactionSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ userId: 1, amount: -1, _id: -1 });
+
+// Export the model
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -0,0 +1,104 @@
+/**
+ * Transfer Model for StyloPay Banking Application
+ * A peer-to-peer payment from one customer's wallet to another's. The record is
+ * written as pending before any money moves and settles as completed (with the
+ * journal entry that moved it) or failed (with the reason), so every attempt is auditable.
+ * A completed transfer whose entry is reversed becomes reversed
+ */
+
+const mongoose = require('mongoose');
+const { LEDGER_CURRENCIES } = require('../config/ledger');
+const { TRANSFER_STATUSES, TRANSFER_NOTE_MAX_LENGTH } = require('../config/transfers');
+
+const transferSchema = new mongoose.Schema({
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+
+  senderWalletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+
+  recipientWalletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+
+  // Positive, in minor units of the currency
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => Number.isSafeInteger(value) && value > 0,
+      message: 'Transfer amounts are positive whole minor units'
+    }
+  },
+
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: true
+  },
+
+  // Shown to both parties
+  note: {
+    type: String,
+    trim: true,
+    maxlength: TRANSFER_NOTE_MAX_LENGTH
+  },
+
+  // How the sender identified the recipient
+  recipientLookup: {
+    type: String,
+    enum: ['email', 'accountNumber']
+  },
+
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'pending'
+  },
+
+  // Ledger posting that moved the money (completed transfers only)
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+
+  failureReason: {
+    code: String,
+    message: String
+  },
+
+  // Ledger posting that moved the money back (reversed transfers only)
+  reversalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+
+  completedAt: Date,
+  failedAt: Date,
+  reversedAt: Date
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+transferSchema.index({ senderId: 1, createdAt: -1 });
+transferSchema.index({ recipientId: 1, createdAt: -1 });
+transferSchema.index({ journalEntryId: 1 }, { sparse: true });
+
+// Export the model
+module.exports = mongoose.model('Transfer', transferSchema);
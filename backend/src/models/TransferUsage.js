@@ -0,0 +1,51 @@
+/**
+ * TransferUsage Model for StyloPay Banking Application
+ * How much a sender has moved in one currency on one UTC day. Raised in the same
+ * transaction that posts each transfer, so concurrent transfers cannot overrun the daily limit
+ */
+
+const mongoose = require('mongoose');
+
+const transferUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true
+  },
+
+  // UTC calendar day, YYYY-MM-DD
+  day: {
+    type: String,
+    required: [true, 'Day is required']
+  },
+
+  // Minor units sent so far that day
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+transferUsageSchema.index({ userId: 1, currency: 1, day: 1 }, { unique: true });
+
+// Past days are removed automatically by MongoDB
+transferUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model
+module.exports = mongoose.model('TransferUsage', transferUsageSchema);
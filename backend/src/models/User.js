@@ -5,6 +5,88 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const {
+  ONBOARDING_STATES,
+  LEGACY_STATES,
+  ONBOARDING_TRANSITIONS,
+  ONBOARDING_GUARDS,
+  normalizeOnboardingState
+} = require('../config/onboarding');
+const { KYC_DOCUMENT_PURPOSES, KYC_DOCUMENT_STATUSES } = require('../config/kycDocuments');
+const { AppError } = require('../middleware/errorHandler');
+
+// Onboarding transitions kept on the user, oldest dropped first
+const MAX_ONBOARDING_HISTORY = 50;
+
+// One onboarding state change and what caused it
+const onboardingTransitionSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  // Operation or Zoqq event that caused the move, e.g. accept_terms or user.activated
+  event: String,
+  source: {
+    type: String,
+    enum: ['user', 'zoqq_webhook', 'zoqq_sync', 'admin', 'system'],
+    default: 'user'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An uploaded KYC document; the file itself lives in private file storage
+const kycDocumentSchema = new mongoose.Schema({
+  // Onboarding documents are identified by purpose; documentType is kept for earlier records
+  purpose: {
+    type: String,
+    enum: Object.keys(KYC_DOCUMENT_PURPOSES)
+  },
+  documentType: {
+    type: String,
+    enum: ['passport', 'drivers_license', 'national_id', 'utility_bill', 'bank_statement']
+  },
+  // Zoqq document tag, e.g. BUSINESS_LICENSE
+  tag: String,
+  documentUrl: String,
+  storageDriver: String,
+  storageKey: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  sha256: String,
+  status: {
+    type: String,
+    enum: KYC_DOCUMENT_STATUSES,
+    default: 'stored'
+  },
+  zoqqFileId: String,
+  failureReason: {
+    type: String,
+    maxlength: 500
+  },
+  uploadedAt: Date,
+  forwardedAt: Date,
+  // Sent to Zoqq as an RFI answer attachment
+  submittedAt: Date,
+  verificationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  }
+});
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -37,6 +119,29 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+?[\d\s\-()]{10,15}$/, 'Please provide a valid phone number']
+  },
+
+  dateOfBirth: {
+    type: Date
+  },
+
+  address: {
+    street: { type: String, trim: true, maxlength: 200 },
+    city: { type: String, trim: true, maxlength: 100 },
+    state: { type: String, trim: true, maxlength: 100 },
+    country: { type: String, trim: true, maxlength: 100 },
+    postalCode: { type: String, trim: true, maxlength: 20 }
+  },
+
+  // Public path of the uploaded avatar image
+  profilePicture: {
+    type: String
+  },
+
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -58,7 +163,7 @@ const userSchema = new mongoose.Schema({
   
   role: {
     type: String,
-    enum: ['user', 'premium', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   
@@ -72,7 +177,17 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
-  
+
+  // Used to throttle verification email resends
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+
+  emailVerifiedAt: {
+    type: Date
+  },
+
   passwordResetToken: {
     type: String,
     select: false
@@ -104,15 +219,29 @@ const userSchema = new mongoose.Schema({
   
   // Device and session tracking
   registeredDevices: [{
+    // SHA-256 of the client's device identifier (the plain value is never stored)
     deviceId: String,
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
     deviceType: String,
     browser: String,
     os: String,
+    firstSeenAt: Date,
     lastAccess: Date,
+    lastIp: String,
+    // Keyed by a client-generated device ID rather than the User-Agent fallback; only these can be trusted
+    identified: {
+      type: Boolean,
+      default: false
+    },
     trusted: {
       type: Boolean,
       default: false
-    }
+    },
+    trustedAt: Date
   }],
   
   // Banking-specific fields
@@ -128,19 +257,7 @@ const userSchema = new mongoose.Schema({
     default: 'not_started'
   },
   
-  kycDocuments: [{
-    documentType: {
-      type: String,
-      enum: ['passport', 'drivers_license', 'national_id', 'utility_bill', 'bank_statement']
-    },
-    documentUrl: String,
-    uploadedAt: Date,
-    verificationStatus: {
-      type: String,
-      enum: ['pending', 'approved', 'rejected'],
-      default: 'pending'
-    }
-  }],
+  kycDocuments: [kycDocumentSchema],
   
   // Security settings
   twoFactorEnabled: {
@@ -148,11 +265,37 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // TOTP secret, encrypted at rest
   twoFactorSecret: {
     type: String,
     select: false
   },
-  
+
+  // Secret awaiting confirmation of the first code during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+
+  twoFactorEnabledAt: {
+    type: Date
+  },
+
+  // Last accepted TOTP time step (prevents code replay)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+
+  // One-time recovery codes (hashed)
+  twoFactorRecoveryCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+
   securityQuestions: [{
     question: String,
     answer: {
@@ -181,6 +324,44 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Display preferences
+  preferences: {
+    language: {
+      type: String,
+      enum: ['en', 'fr', 'de', 'es', 'zh'],
+      default: 'en'
+    },
+    currency: {
+      type: String,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+      default: 'USD'
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    theme: {
+      type: String,
+      enum: ['light', 'dark', 'system'],
+      default: 'system'
+    },
+    dateFormat: {
+      type: String,
+      enum: ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'],
+      default: 'DD/MM/YYYY'
+    }
+  },
+
+  // Set when the user closes their account (records are retained, not deleted)
+  closedAt: {
+    type: Date
+  },
+
+  closureReason: {
+    type: String,
+    maxlength: 500
+  },
+
   // Profile completion
   profileCompleteness: {
     type: Number,
@@ -197,10 +378,16 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   
+  // Onboarding state; only changed through transitionOnboarding()
   zoqqAccountStatus: {
     type: String,
-    enum: ['not_created', 'zoqq_created', 'terms_accepted', 'active', 'suspended'],
-    default: 'not_created'
+    enum: [...ONBOARDING_STATES, ...Object.keys(LEGACY_STATES)],
+    default: 'draft'
+  },
+
+  onboardingHistory: {
+    type: [onboardingTransitionSchema],
+    default: []
   },
   
   termsAcceptedAt: {
@@ -230,12 +417,19 @@ userSchema.index({ accountNumber: 1, accountStatus: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ zoqqAccountId: 1, zoqqAccountStatus: 1 });
 userSchema.index({ zoqqAccountStatus: 1, updatedAt: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for the name other customers see: first name and last initial
+userSchema.virtual('maskedName').get(function() {
+  return [this.firstName, this.lastName ? `${this.lastName.charAt(0)}.` : null].filter(Boolean).join(' ');
+});
+
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -263,6 +457,34 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to flag changes that must invalidate outstanding tokens
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  if (this.isModified('password')) {
+    this.$locals.revokeTokensReason = 'password_changed';
+  } else if (this.isModified('accountStatus') && ['suspended', 'closed'].includes(this.accountStatus)) {
+    this.$locals.revokeTokensReason = 'account_inactive';
+  }
+  next();
+});
+
+// Post-save middleware to revoke every token once the change is persisted
+userSchema.post('save', async function(doc) {
+  const reason = doc.$locals.revokeTokensReason;
+  if (!reason) return;
+
+  delete doc.$locals.revokeTokensReason;
+
+  try {
+    // Required lazily: the auth service itself loads this model
+    const zoqqAuthService = require('../services/zoqqAuth');
+    await zoqqAuthService.revokeAllUserTokens(doc._id, reason);
+  } catch (error) {
+    console.error(`[USER MODEL] Failed to revoke tokens for user: ${doc._id} - ${error.message}`);
+  }
+});
+
 // Pre-save middleware to calculate profile completeness
 userSchema.pre('save', function(next) {
   let completeness = 0;
@@ -331,6 +553,56 @@ userSchema.methods.generateAccountNumber = function() {
   return `${timestamp}${random}`;
 };
 
+// Instance method to check an onboarding move without applying it
+// Returns null when allowed, or { code, message } describing why not
+userSchema.methods.checkOnboardingTransition = function(to) {
+  const from = normalizeOnboardingState(this.zoqqAccountStatus);
+
+  if (!ONBOARDING_TRANSITIONS[from]?.includes(to)) {
+    return {
+      code: 'INVALID_ONBOARDING_TRANSITION',
+      message: `Onboarding cannot move from ${from} to ${to}`
+    };
+  }
+
+  const guard = ONBOARDING_GUARDS[to];
+  return guard ? guard(this) : null;
+};
+
+userSchema.methods.canTransitionOnboarding = function(to) {
+  return !this.checkOnboardingTransition(to);
+};
+
+// Instance method to reject a disallowed onboarding move before any side effect
+userSchema.methods.assertOnboardingTransition = function(to) {
+  const failure = this.checkOnboardingTransition(to);
+  if (failure) {
+    throw new AppError(failure.message, 409, failure.code);
+  }
+};
+
+// Instance method to move onboarding to a new state and record why (caller saves)
+userSchema.methods.transitionOnboarding = function(to, { event, source = 'user', actor, reason } = {}) {
+  this.assertOnboardingTransition(to);
+
+  this.onboardingHistory.push({
+    from: normalizeOnboardingState(this.zoqqAccountStatus),
+    to,
+    event,
+    source,
+    actor,
+    reason: reason ? String(reason).slice(0, 500) : undefined,
+    at: new Date()
+  });
+
+  if (this.onboardingHistory.length > MAX_ONBOARDING_HISTORY) {
+    this.onboardingHistory.splice(0, this.onboardingHistory.length - MAX_ONBOARDING_HISTORY);
+  }
+
+  this.zoqqAccountStatus = to;
+  return this;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
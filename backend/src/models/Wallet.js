@@ -0,0 +1,75 @@
+/**
+ * Wallet Model for StyloPay Banking Application
+ * A customer's balance in one currency. The money itself is held in the linked
+ * ledger account; the wallet carries ownership, naming and lifecycle
+ */
+
+const mongoose = require('mongoose');
+const { LEDGER_CURRENCIES } = require('../config/ledger');
+const { WALLET_STATUSES } = require('../config/wallets');
+
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  currency: {
+    type: String,
+    enum: Object.keys(LEDGER_CURRENCIES),
+    required: [true, 'Currency is required']
+  },
+
+  // Ledger liability account holding the balance
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Ledger account is required']
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Opened at signup; receives money when no wallet is named
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+
+  status: {
+    type: String,
+    enum: WALLET_STATUSES,
+    default: 'active'
+  },
+
+  // Every status change, oldest first
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+
+  frozenAt: Date,
+
+  // Unset while open, so a user has at most one open wallet per currency
+  closedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+walletSchema.index({ userId: 1, currency: 1, closedAt: 1 }, { unique: true });
+walletSchema.index({ userId: 1, status: 1 });
+
+// Export the model
+module.exports = mongoose.model('Wallet', walletSchema);
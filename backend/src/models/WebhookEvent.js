@@ -0,0 +1,86 @@
+/**
+ * WebhookEvent Model for StyloPay Banking Application
+ * Every verified webhook delivery, stored once per provider event id so redeliveries
+ * are deduplicated and failed events can be replayed
+ */
+
+const mongoose = require('mongoose');
+
+const EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['zoqq'],
+    required: [true, 'Provider is required']
+  },
+
+  // Provider's event id, used for deduplication
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    maxlength: 128
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    maxlength: 64
+  },
+
+  // When the provider says the event happened
+  occurredAt: {
+    type: Date,
+    required: [true, 'Event time is required']
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Zoqq account the event is about, and the matching local user once resolved
+  zoqqAccountId: String,
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: EVENT_STATUSES,
+    default: 'received'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Redeliveries of the same event id
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+
+  lastError: {
+    type: String,
+    maxlength: 500
+  },
+
+  processingStartedAt: Date,
+
+  processedAt: Date
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: 1 });
+webhookEventSchema.index({ userId: 1, occurredAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,85 @@
+/**
+ * ZoqqSyncRecord Model for StyloPay Banking Application
+ * Sync history: the outcome of reconciling one user with Zoqq, including
+ * mismatches that could not be applied automatically and need an admin
+ */
+
+const mongoose = require('mongoose');
+
+const SYNC_OUTCOMES = ['unchanged', 'updated', 'mismatch', 'error'];
+
+const zoqqSyncRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  zoqqAccountId: {
+    type: String,
+    required: [true, 'Zoqq account ID is required']
+  },
+
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ZoqqSyncRun'
+  },
+
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+
+  outcome: {
+    type: String,
+    enum: SYNC_OUTCOMES,
+    required: true
+  },
+
+  localStatusBefore: String,
+  localStatusAfter: String,
+
+  // Status as reported by Zoqq
+  remoteStatus: String,
+
+  // Open RFI seen on Zoqq, if any
+  rfi: {
+    pending: { type: Boolean, default: false },
+    requestId: String,
+    questionCount: Number
+  },
+
+  // Fields changed on the local user
+  changes: [String],
+
+  // Mismatch flagged for admins
+  mismatch: {
+    reason: String,
+    details: String
+  },
+
+  // Set once a later sync of the same user no longer disagrees
+  resolvedAt: Date,
+
+  error: {
+    code: String,
+    message: String
+  },
+
+  durationMs: Number
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+zoqqSyncRecordSchema.index({ userId: 1, createdAt: -1 });
+zoqqSyncRecordSchema.index({ outcome: 1, resolvedAt: 1, createdAt: -1 });
+zoqqSyncRecordSchema.index({ runId: 1 });
+
+// Sync history is kept for 90 days
+zoqqSyncRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Export the model
+module.exports = mongoose.model('ZoqqSyncRecord', zoqqSyncRecordSchema);
@@ -0,0 +1,64 @@
+/**
+ * ZoqqSyncRun Model for StyloPay Banking Application
+ * One pass of the Zoqq account reconciler with its run-level metrics
+ */
+
+const mongoose = require('mongoose');
+
+const zoqqSyncRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: [true, 'Run trigger is required']
+  },
+
+  // Staff member who asked for a manual sync
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'aborted', 'failed'],
+    default: 'running'
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: Date,
+
+  durationMs: Number,
+
+  // Users checked, and what happened to them
+  usersScanned: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  mismatches: { type: Number, default: 0 },
+  errored: { type: Number, default: 0 },
+
+  // Zoqq calls made and their total latency, for average call time
+  zoqqCalls: { type: Number, default: 0 },
+  zoqqLatencyMs: { type: Number, default: 0 },
+
+  // Why the run stopped early or failed
+  error: {
+    type: String,
+    maxlength: 500
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+zoqqSyncRunSchema.index({ status: 1, startedAt: -1 });
+
+// Runs are kept for 90 days
+zoqqSyncRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Export the model
+module.exports = mongoose.model('ZoqqSyncRun', zoqqSyncRunSchema);
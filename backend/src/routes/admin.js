@@ -0,0 +1,442 @@
+/**
+ * Admin Routes for StyloPay Banking Application
+ * Staff-only operations, each guarded by a fine-grained permission
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const invitationService = require('../services/invitationService');
+const zoqqSyncService = require('../services/zoqqSyncService');
+const onboardingDraftService = require('../services/onboardingDraftService');
+const ledgerService = require('../services/ledgerService');
+const transferService = require('../services/transferService');
+const beneficiaryService = require('../services/beneficiaryService');
+const { ADMIN_ROLES, PERMISSIONS } = require('../config/permissions');
+const {
+  authenticateToken,
+  authenticateAdmin,
+  authorize,
+  validate,
+  sanitizeRequest
+} = require('../middleware/security');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Every admin route needs a staff session
+router.use(authenticateToken, authenticateAdmin);
+
+const paginationRules = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number')
+    .toInt(),
+];
+
+/**
+ * GET /api/admin/invitations
+ * List staff invitations with their audit history
+ */
+router.get('/invitations',
+  authorize(PERMISSIONS.ADMINS_INVITE),
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'accepted', 'revoked', 'expired'])
+      .withMessage('Status must be pending, accepted, revoked or expired'),
+
+    ...paginationRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status, limit = 20, offset = 0 } = req.query;
+    const { invitations, total } = await invitationService.list({ status, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      invitations,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * POST /api/admin/invitations
+ * Invite an email address to join with a staff role
+ */
+router.post('/invitations',
+  authorize(PERMISSIONS.ADMINS_INVITE),
+  sanitizeRequest,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email address required')
+      .isLength({ max: 100 })
+      .withMessage('Email address too long'),
+
+    body('role')
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+
+    body('expiresInHours')
+      .optional()
+      .isInt({ min: invitationService.minTtlHours, max: invitationService.maxTtlHours })
+      .withMessage(`Expiry must be between ${invitationService.minTtlHours} and ${invitationService.maxTtlHours} hours`)
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email, role, expiresInHours } = req.body;
+    const invitation = await invitationService.create(req.user, { email, role, expiresInHours }, { ip: req.ip });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      invitation
+    });
+  })
+);
+
+/**
+ * POST /api/admin/invitations/:id/resend
+ * Send a pending or expired invitation again with a new link
+ */
+router.post('/invitations/:id/resend',
+  authorize(PERMISSIONS.ADMINS_INVITE),
+  [
+    param('id').isMongoId().withMessage('Invalid invitation ID'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const invitation = await invitationService.resend(req.user, req.params.id, { ip: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation resent to ${invitation.email}`,
+      invitation
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke a pending invitation
+ */
+router.delete('/invitations/:id',
+  authorize(PERMISSIONS.ADMINS_INVITE),
+  sanitizeRequest,
+  [
+    param('id').isMongoId().withMessage('Invalid invitation ID'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const invitation = await invitationService.revoke(req.user, req.params.id, {
+      ip: req.ip,
+      reason: req.body?.reason || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation for ${invitation.email} revoked`,
+      invitation
+    });
+  })
+);
+
+/**
+ * GET /api/admin/zoqq/sync/runs
+ * Recent reconciler runs with their metrics, plus the scheduler state
+ */
+router.get('/zoqq/sync/runs',
+  authorize(PERMISSIONS.ZOQQ_SYNC),
+  [
+    query('trigger')
+      .optional()
+      .isIn(['scheduled', 'manual'])
+      .withMessage('Trigger must be scheduled or manual'),
+
+    ...paginationRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { trigger, limit = 20, offset = 0 } = req.query;
+    const { runs, total } = await zoqqSyncService.listRuns({ trigger, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      scheduler: zoqqSyncService.getStatus(),
+      runs,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * GET /api/admin/zoqq/sync/mismatches
+ * Users whose local state disagrees with Zoqq in a way the reconciler would not apply
+ */
+router.get('/zoqq/sync/mismatches',
+  authorize(PERMISSIONS.ZOQQ_SYNC),
+  paginationRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { limit = 20, offset = 0 } = req.query;
+    const { mismatches, total } = await zoqqSyncService.listMismatches({ limit, offset });
+
+    res.status(200).json({
+      success: true,
+      mismatches,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * GET /api/admin/zoqq/sync/:userId/history
+ * Sync history for one user
+ */
+router.get('/zoqq/sync/:userId/history',
+  authorize(PERMISSIONS.ZOQQ_SYNC),
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    ...paginationRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { limit = 20, offset = 0 } = req.query;
+    const { records, total } = await zoqqSyncService.listHistory(req.params.userId, { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      records,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * POST /api/admin/zoqq/sync/:userId
+ * Reconcile one user with Zoqq now
+ */
+router.post('/zoqq/sync/:userId',
+  authorize(PERMISSIONS.ZOQQ_SYNC),
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { run, record } = await zoqqSyncService.syncUserById(req.params.userId, {
+      triggeredBy: req.user.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Sync ${record.outcome}`,
+      run: zoqqSyncService.serializeRun(run),
+      record
+    });
+  })
+);
+
+/**
+ * GET /api/admin/onboarding/drafts
+ * Abandoned onboarding applications and the section each one stopped at
+ */
+router.get('/onboarding/drafts',
+  authorize(PERMISSIONS.KYC_READ),
+  [
+    query('olderThanDays')
+      .optional()
+      .isInt({ min: 1, max: 180 })
+      .withMessage('olderThanDays must be between 1 and 180')
+      .toInt(),
+
+    ...paginationRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { olderThanDays, limit = 20, offset = 0 } = req.query;
+    const { drafts, total, funnel, abandonedAfterDays } = await onboardingDraftService.listAbandoned({
+      olderThanDays,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      abandonedAfterDays,
+      funnel,
+      drafts,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * GET /api/admin/ledger/trial-balance
+ * Posted debits and credits per currency; any unbalanced currency is a ledger fault
+ */
+router.get('/ledger/trial-balance',
+  authorize(PERMISSIONS.TRANSACTIONS_READ),
+  asyncHandler(async (req, res) => {
+    const currencies = await ledgerService.trialBalance();
+
+    res.status(200).json({
+      success: true,
+      balanced: currencies.every((row) => row.balanced),
+      currencies
+    });
+  })
+);
+
+/**
+ * GET /api/admin/ledger/accounts/:accountId
+ * Account balances, re-derived from the journal and checked against the cached ones
+ */
+router.get('/ledger/accounts/:accountId',
+  authorize(PERMISSIONS.TRANSACTIONS_READ),
+  [
+    param('accountId').isMongoId().withMessage('Invalid account ID'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { account, cached, derived, matches } = await ledgerService.verifyBalance(req.params.accountId);
+
+    res.status(200).json({
+      success: true,
+      account,
+      verification: { matches, cached, derived }
+    });
+  })
+);
+
+/**
+ * POST /api/admin/ledger/entries/:entryId/reverse
+ * Undo a posted journal entry by posting its reversal; a transfer's entry also marks the transfer reversed
+ */
+router.post('/ledger/entries/:entryId/reverse',
+  authorize(PERMISSIONS.LEDGER_ADJUST),
+  sanitizeRequest,
+  [
+    param('entryId').isMongoId().withMessage('Invalid journal entry ID'),
+
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('A reason of 3-200 characters is required'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const reversal = await ledgerService.withTransaction(async (session) => {
+      const entry = await ledgerService.reverse(req.params.entryId, {
+        description: req.body.reason,
+        createdBy: req.user.userId,
+        session
+      });
+      await transferService.recordReversal(entry, { session });
+      return entry;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Journal entry reversed',
+      reversal
+    });
+  })
+);
+
+/**
+ * GET /api/admin/payouts
+ * Customer payouts by status; pending ones are held until released or rejected
+ */
+router.get('/payouts',
+  authorize(PERMISSIONS.PAYOUTS_READ),
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'posted', 'voided'])
+      .withMessage('Status must be pending, posted or voided'),
+
+    ...paginationRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { status = 'pending', limit = 20, offset = 0 } = req.query;
+    const { payouts, total } = await beneficiaryService.listPayouts({ status, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      payouts,
+      pagination: { total, limit, offset }
+    });
+  })
+);
+
+/**
+ * POST /api/admin/payouts/:payoutId/release
+ * Post a held payout and send it through Zoqq; a posted payout Zoqq did not take is sent again
+ */
+router.post('/payouts/:payoutId/release',
+  authorize(PERMISSIONS.PAYOUTS_RELEASE),
+  [
+    param('payoutId').isMongoId().withMessage('Invalid payout ID'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const payout = await beneficiaryService.releasePayout(req.params.payoutId, {
+      releasedBy: req.user.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout released',
+      payout: { ...beneficiaryService.serializePayout(payout), zoqqPayoutId: payout.zoqqPayoutId }
+    });
+  })
+);
+
+/**
+ * POST /api/admin/payouts/:payoutId/reject
+ * Void a held payout; the customer gets the amount back and is told why
+ */
+router.post('/payouts/:payoutId/reject',
+  authorize(PERMISSIONS.PAYOUTS_RELEASE),
+  sanitizeRequest,
+  [
+    param('payoutId').isMongoId().withMessage('Invalid payout ID'),
+
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('A reason of 3-200 characters is required'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const payout = await beneficiaryService.rejectPayout(req.params.payoutId, {
+      reason: req.body.reason,
+      rejectedBy: req.user.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout rejected',
+      payout: beneficiaryService.serializePayout(payout)
+    });
+  })
+);
+
+module.exports = router;
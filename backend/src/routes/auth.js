@@ -4,8 +4,17 @@
  */
 
 const express = require('express');
-const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
 const zoqqAuthService = require('../services/zoqqAuth');
+const sessionService = require('../services/sessionService');
+const tokenRevocation = require('../services/tokenRevocation');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const passwordResetService = require('../services/passwordResetService');
+const activityService = require('../services/activityService');
+const invitationService = require('../services/invitationService');
+const walletService = require('../services/walletService');
 const { 
   authValidationRules, 
   validate, 
@@ -13,9 +22,102 @@ const {
   authenticateToken 
 } = require('../middleware/security');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { LEDGER_CURRENCIES } = require('../config/ledger');
 
 const router = express.Router();
 
+// Refresh tokens travel in an HTTP-only cookie scoped to the auth routes
+const REFRESH_COOKIE = 'refresh_token';
+
+const refreshCookieOptions = (expiresAt) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth',
+  ...(expiresAt && { expires: new Date(expiresAt) })
+});
+
+/**
+ * Read the refresh token from the cookie or, for non-browser clients that keep the
+ * cookie value themselves, the body
+ */
+const getRefreshToken = (req) => req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken || null;
+
+/**
+ * Set the session cookies and send the token pair after a completed login
+ */
+const sendLoginSuccess = (res, authResult, { rememberMe, deviceInfo }) => {
+  // Set secure HTTP-only cookie for additional security
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000, // 7 days or 1 day
+    path: '/'
+  };
+
+  res.cookie('auth_session', authResult.token, cookieOptions);
+  res.cookie(REFRESH_COOKIE, authResult.refreshToken, refreshCookieOptions(authResult.refreshExpiresAt));
+
+  // Create response without sensitive information
+  res.status(200).json({
+    success: true,
+    message: 'Authentication successful',
+    user: authResult.user,
+    token: {
+      accessToken: authResult.token,
+      type: authResult.tokenType,
+      expiresAt: authResult.expiresAt,
+      validFor: authResult.validFor,
+      // The refresh token itself only travels in the HttpOnly cookie
+      refreshExpiresAt: authResult.refreshExpiresAt
+    },
+    session: {
+      rememberMe: rememberMe,
+      deviceInfo: deviceInfo || null,
+      device: authResult.device || null,
+      hasZoqqIntegration: authResult.hasZoqqIntegration || false
+    }
+  });
+};
+
+/**
+ * Per-IP limit for endpoints that send email
+ */
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.EMAIL_REQUESTS_PER_WINDOW, 10) || 5,
+  message: {
+    error: 'Too many email requests, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Validation rules for a TOTP code or a recovery code
+ */
+const secondFactorRules = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code format'),
+
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A verification code or recovery code is required');
+      }
+      return true;
+    }),
+];
+
 /**
  * POST /api/auth/login
  * Authenticate user and return secure token
@@ -66,6 +168,11 @@ router.post('/login',
       .optional()
       .isLength({ max: 100 })
       .withMessage('OS name too long'),
+
+    body('deviceInfo.deviceId')
+      .optional()
+      .matches(/^[A-Za-z0-9-]{16,64}$/)
+      .withMessage('Invalid device identifier'),
   ],
   validate,
   asyncHandler(async (req, res) => {
@@ -78,41 +185,30 @@ router.post('/login',
 
     try {
       // Authenticate user with database and create token
-      const authResult = await zoqqAuthService.authenticateUser(email, password, userIp);
+      const authResult = await zoqqAuthService.authenticateUser(email, password, userIp, {
+        rememberMe,
+        userAgent,
+        deviceInfo
+      });
+
+      // Second step required: no session is issued until the code is verified
+      if (authResult.twoFactorRequired) {
+        return res.status(200).json({
+          success: true,
+          twoFactorRequired: true,
+          message: 'Two-factor authentication required',
+          pendingToken: authResult.pendingToken,
+          pendingExpiresAt: authResult.pendingExpiresAt,
+          session: {
+            rememberMe: rememberMe
+          }
+        });
+      }
 
       // Log successful authentication
       console.log(`[AUTH] Successful login for email: ${email} - Token expires: ${authResult.expiresAt}`);
 
-      // Set secure HTTP-only cookie for additional security
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000, // 7 days or 1 day
-        path: '/'
-      };
-
-      res.cookie('auth_session', authResult.token, cookieOptions);
-
-      // Create response without sensitive information
-      const response = {
-        success: true,
-        message: 'Authentication successful',
-        user: authResult.user,
-        token: {
-          accessToken: authResult.token,
-          type: authResult.tokenType,
-          expiresAt: authResult.expiresAt,
-          validFor: authResult.validFor
-        },
-        session: {
-          rememberMe: rememberMe,
-          deviceInfo: deviceInfo || null,
-          hasZoqqIntegration: authResult.hasZoqqIntegration || false
-        }
-      };
-
-      res.status(200).json(response);
+      sendLoginSuccess(res, authResult, { rememberMe, deviceInfo });
 
     } catch (error) {
       // Log failed authentication attempt
@@ -128,6 +224,40 @@ router.post('/login',
   })
 );
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: verify a TOTP or recovery code against the pending token
+ */
+router.post('/login/2fa',
+  sanitizeRequest,
+  [
+    body('pendingToken')
+      .notEmpty()
+      .withMessage('Pending token is required'),
+
+    ...secondFactorRules,
+
+    body('deviceInfo')
+      .optional()
+      .isObject()
+      .withMessage('Device info must be an object'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { pendingToken, code, recoveryCode, deviceInfo } = req.body;
+    const userIp = req.ip || req.connection.remoteAddress;
+
+    const authResult = await zoqqAuthService.completeTwoFactorLogin(pendingToken, { code, recoveryCode }, userIp, {
+      userAgent: req.get('User-Agent'),
+      deviceInfo
+    });
+
+    console.log(`[AUTH] Successful two-factor login for user: ${authResult.user.email} - Token expires: ${authResult.expiresAt}`);
+
+    sendLoginSuccess(res, authResult, { rememberMe: authResult.rememberMe, deviceInfo });
+  })
+);
+
 /**
  * POST /api/auth/signup
  * Register new user account
@@ -184,11 +314,14 @@ router.post('/signup',
       .equals('true')
       .withMessage('You must agree to the terms of service'),
       
-    body('role')
+    // Preferred currency; the primary wallet is opened in it
+    body('currency')
       .optional()
-      .isIn(['user', 'premium', 'admin'])
-      .withMessage('Role must be either user, premium, or admin'),
-      
+      .trim()
+      .toUpperCase()
+      .isIn(Object.keys(LEDGER_CURRENCIES))
+      .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(', ')}`),
+
     // Optional device information for security tracking
     body('deviceInfo')
       .optional()
@@ -197,12 +330,17 @@ router.post('/signup',
   ],
   validate,
   asyncHandler(async (req, res) => {
-    const { email, password, firstName, lastName, role, deviceInfo } = req.body;
+    const { email, password, firstName, lastName, currency, deviceInfo } = req.body;
     const userIp = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
     console.log(`[AUTH] Signup attempt for email: ${email} from IP: ${userIp}`);
 
+    // Public signup always creates a customer; staff roles come from admin invitations
+    if (req.body.role && req.body.role !== 'user') {
+      console.warn(`[AUTH] Ignoring requested role "${req.body.role}" in signup for email: ${email}`);
+    }
+
          try {
        // Check if user already exists
        const existingUserCheck = await zoqqAuthService.checkUserExists(email);
@@ -217,7 +355,8 @@ router.post('/signup',
          lastName: lastName.trim(),
          email: email.toLowerCase().trim(),
          password: password,
-         role: role || 'user', // Default to 'user' if no role specified
+         role: 'user',
+         currency,
          deviceInfo: deviceInfo
        });
 
@@ -228,16 +367,22 @@ router.post('/signup',
        // Log successful registration
        console.log(`[AUTH] User registration successful for email: ${email}`);
 
-       // In production, you would send email verification here
-       // For demo purposes, we'll return success immediately
+       // Primary wallet; if this fails it is opened when the user first lists their wallets
+       await walletService.openPrimary(createUserResult.user.id, createUserResult.user.preferredCurrency);
+
+       // Send the verification link; a failed send can be retried via resend-verification
+       const verificationEmailSent = await emailVerificationService.sendForNewUser(createUserResult.user.id);
+
        const response = {
          success: true,
-         message: 'Account created successfully! Please check your email to verify your account.',
+         message: verificationEmailSent
+           ? 'Account created successfully! Please check your email to verify your account.'
+           : 'Account created successfully! We could not send the verification email, please request a new one.',
          user: createUserResult.user,
          nextSteps: {
            emailVerificationRequired: true,
            loginAfterVerification: true,
-           verificationEmailSent: true
+           verificationEmailSent
          }
        };
 
@@ -262,44 +407,273 @@ router.post('/signup',
   })
 );
 
+/**
+ * GET /api/auth/verify-email/:token
+ * Confirm an email address from the verification link
+ */
+router.get('/verify-email/:token',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid verification token'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await emailVerificationService.verify(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully. Your account is now active.',
+      user: {
+        email: user.email,
+        isVerified: user.isVerified,
+        accountStatus: user.accountStatus
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification email (throttled, same response for every address)
+ */
+router.post('/resend-verification',
+  emailLimiter,
+  sanitizeRequest,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email address required'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    await emailVerificationService.resend(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent.'
+    });
+  })
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link (same response whether or not the account exists)
+ */
+router.post('/forgot-password',
+  emailLimiter,
+  sanitizeRequest,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email address required'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const userIp = req.ip || req.connection.remoteAddress;
+
+    console.log(`[AUTH] Password reset requested for email: ${req.body.email} from IP: ${userIp}`);
+
+    // Runs after the response, so every address gets the same answer equally fast
+    passwordResetService.requestReset(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  })
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a single-use reset token
+ */
+router.post('/reset-password',
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid reset token'),
+
+    body('password')
+      .isLength({ min: 8, max: 128 })
+      .withMessage('Password must be between 8 and 128 characters')
+      .custom((value) => {
+        // Same strength rules as signup
+        const hasUpperCase = /[A-Z]/.test(value);
+        const hasLowerCase = /[a-z]/.test(value);
+        const hasNumbers = /\d/.test(value);
+        const hasNonalphas = /\W/.test(value);
+
+        if (!(hasUpperCase && hasLowerCase && hasNumbers && hasNonalphas)) {
+          throw new Error('Password must contain uppercase, lowercase, number, and special character');
+        }
+        return true;
+      }),
+
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Password confirmation does not match password');
+        }
+        return true;
+      }),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const userIp = req.ip || req.connection.remoteAddress;
+    const user = await passwordResetService.resetPassword(req.body.token, req.body.password);
+
+    console.log(`[AUTH] Password reset for user: ${user.email} from IP: ${userIp}`);
+    activityService.record(user._id, 'security', 'password_reset', { req, description: 'Password reset via email link' });
+
+    // Any refresh cookie in this browser belongs to a session that was just revoked
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been reset. Please sign in with your new password.'
+    });
+  })
+);
+
 /**
  * POST /api/auth/refresh
- * Refresh authentication token
+ * Rotate the refresh token and issue a new access token
  */
 router.post('/refresh',
-  authenticateToken,
   asyncHandler(async (req, res) => {
-    const currentToken = req.headers.authorization?.split(' ')[1];
-    
-    if (!currentToken) {
-      throw new AppError('No token provided for refresh', 400, 'TOKEN_MISSING');
-    }
+    const refreshToken = getRefreshToken(req);
+    const userIp = req.ip || req.connection.remoteAddress;
 
     try {
-      const refreshResult = await zoqqAuthService.refreshTokenIfNeeded(currentToken);
-      
-      console.log(`[AUTH] Token refresh for user: ${req.user.userId} - Refresh required: ${refreshResult.refreshRequired}`);
+      const refreshResult = await zoqqAuthService.refreshSession(refreshToken, {
+        ip: userIp,
+        userAgent: req.get('User-Agent')
+      });
+
+      console.log(`[AUTH] Token refreshed for user: ${refreshResult.user.id} from IP: ${userIp}`);
+
+      res.cookie(REFRESH_COOKIE, refreshResult.refreshToken, refreshCookieOptions(refreshResult.refreshExpiresAt));
 
       res.status(200).json({
         success: true,
-        refreshRequired: refreshResult.refreshRequired,
-        token: refreshResult.refreshRequired ? {
-          type: 'Bearer',
+        refreshRequired: true,
+        user: refreshResult.user,
+        token: {
+          accessToken: refreshResult.token,
+          type: refreshResult.tokenType,
           expiresAt: refreshResult.expiresAt,
-          validFor: refreshResult.validFor
-        } : {
-          validFor: refreshResult.validFor
+          validFor: refreshResult.validFor,
+          refreshExpiresAt: refreshResult.refreshExpiresAt
         },
-        message: refreshResult.refreshRequired ? 'Token refreshed successfully' : 'Token is still valid'
+        message: 'Token refreshed successfully'
       });
 
     } catch (error) {
-      console.error(`[AUTH] Token refresh failed for user: ${req.user.userId} - Error: ${error.message}`);
+      console.error(`[AUTH] Token refresh failed from IP: ${userIp} - Error: ${error.message}`);
+
+      // A stale token means another request already rotated it; keep the cookie
+      if (error.code !== 'REFRESH_TOKEN_STALE') {
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+      }
       throw error;
     }
   })
 );
 
+/**
+ * GET /api/auth/invitations/:token
+ * Details of a staff invitation for the accept page
+ */
+router.get('/invitations/:token',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid invitation token'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const invitation = await invitationService.preview(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      invitation
+    });
+  })
+);
+
+/**
+ * POST /api/auth/invitations/:token/accept
+ * Accept a staff invitation and create the account
+ */
+router.post('/invitations/:token/accept',
+  sanitizeRequest,
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid invitation token'),
+
+    body('firstName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('First name must be between 2 and 50 characters')
+      .matches(/^[a-zA-Z\s'-]+$/)
+      .withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
+
+    body('lastName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Last name must be between 2 and 50 characters')
+      .matches(/^[a-zA-Z\s'-]+$/)
+      .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
+
+    body('password')
+      .isLength({ min: 8, max: 128 })
+      .withMessage('Password must be between 8 and 128 characters')
+      .custom((value) => {
+        // Same strength rules as signup
+        const hasUpperCase = /[A-Z]/.test(value);
+        const hasLowerCase = /[a-z]/.test(value);
+        const hasNumbers = /\d/.test(value);
+        const hasNonalphas = /\W/.test(value);
+
+        if (!(hasUpperCase && hasLowerCase && hasNumbers && hasNonalphas)) {
+          throw new Error('Password must contain uppercase, lowercase, number, and special character');
+        }
+        return true;
+      }),
+
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Password confirmation does not match password');
+        }
+        return true;
+      }),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const userIp = req.ip || req.connection.remoteAddress;
+    const { firstName, lastName, password } = req.body;
+
+    const user = await invitationService.accept(req.params.token, { firstName, lastName, password }, { ip: userIp });
+
+    console.log(`[AUTH] Staff account created from invitation: ${user.email} (${user.role}) from IP: ${userIp}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now sign in.',
+      user: zoqqAuthService.serializeUser(user)
+    });
+  })
+);
+
 /**
  * GET /api/auth/status
  * Check authentication status
@@ -317,6 +691,7 @@ router.get('/status',
         email: user.email,
         role: user.role,
         isAdmin: user.isAdmin,
+        permissions: user.permissions || [],
         authenticatedAt: user.authenticatedAt,
         ip: user.ip,
         tokenType: user.tokenType,
@@ -324,8 +699,8 @@ router.get('/status',
         accountStatus: user.accountStatus
       },
       token: {
-        expiresAt: user.zoqqExpiresAt,
-        validFor: Math.floor((new Date(user.zoqqExpiresAt) - new Date()) / 1000)
+        expiresAt: new Date(user.exp * 1000).toISOString(),
+        validFor: Math.max(0, user.exp - Math.floor(Date.now() / 1000))
       }
     });
   })
@@ -343,18 +718,21 @@ router.post('/logout',
 
     console.log(`[AUTH] Logout request for user: ${userId} from IP: ${userIp}`);
 
-    // Clear HTTP-only cookie
+    // End the refresh session so the refresh token cannot be used again
+    const revoked = await sessionService.revokeByToken(getRefreshToken(req), 'logout')
+      || (req.user.sid && await sessionService.revokeSession(req.user.sid, 'logout'));
+
+    // Revoke the access token too so it cannot be replayed before it expires
+    const tokenRevoked = await tokenRevocation.revokeToken(req.user, 'logout');
+
+    // Clear HTTP-only cookies
     res.clearCookie('auth_session', {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict',
       path: '/'
     });
-
-    // In a real implementation, you might want to:
-    // 1. Add token to blacklist/revocation list
-    // 2. Log logout event for security audit
-    // 3. Clean up any session data
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
 
     console.log(`[AUTH] Successful logout for user: ${userId}`);
 
@@ -362,11 +740,142 @@ router.post('/logout',
       success: true,
       message: 'Logout successful',
       loggedOut: true,
+      sessionRevoked: !!revoked,
+      tokenRevoked,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * POST /api/auth/logout-all
+ * Log out everywhere: revoke every access token and refresh session of the user
+ */
+router.post('/logout-all',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const userIp = req.ip || req.connection.remoteAddress;
+
+    console.log(`[AUTH] Logout-all request for user: ${userId} from IP: ${userIp}`);
+
+    const { sessionsRevoked, revokedAt } = await zoqqAuthService.revokeAllUserTokens(userId, 'logout_all');
+
+    res.clearCookie('auth_session', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/'
+    });
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+    console.log(`[AUTH] Logged out all sessions for user: ${userId} - Sessions revoked: ${sessionsRevoked}`);
+    activityService.record(userId, 'security', 'logout_all_sessions', { req, metadata: { sessionsRevoked } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      loggedOut: true,
+      sessionsRevoked,
+      revokedAt,
       timestamp: new Date().toISOString()
     });
   })
 );
 
+/**
+ * GET /api/auth/2fa/status
+ * Two-factor authentication status for the current user
+ */
+router.get('/2fa/status',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      twoFactor: status
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment and return the otpauth URI and QR code
+ */
+router.post('/2fa/setup',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      setup: enrollment
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Confirm enrollment with the first code and issue recovery codes
+ */
+router.post('/2fa/confirm',
+  authenticateToken,
+  sanitizeRequest,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Verification code must be 6 digits'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const result = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+    activityService.record(req.user.userId, 'security', 'two_factor_enabled', { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      twoFactor: {
+        enabled: true,
+        enabledAt: result.enabledAt
+      },
+      recoveryCodes: result.recoveryCodes
+    });
+  })
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable two-factor authentication (requires password and a current code)
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  sanitizeRequest,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Current password is required'),
+
+    ...secondFactorRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(req.user.userId, { password, code, recoveryCode });
+    activityService.record(req.user.userId, 'security', 'two_factor_disabled', { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      twoFactor: {
+        enabled: false
+      }
+    });
+  })
+);
+
 /**
  * POST /api/auth/validate-token
  * Validate token without full authentication middleware
@@ -386,21 +895,24 @@ router.post('/validate-token',
 
     try {
       const decoded = zoqqAuthService.validateInternalToken(token);
-      const expiresAt = new Date(decoded.zoqqExpiresAt);
+      const expiresAt = new Date(decoded.exp * 1000);
       const now = new Date();
       const isExpired = expiresAt <= now;
+      const isRevoked = await tokenRevocation.isRevoked(decoded);
 
       res.status(200).json({
         success: true,
-        valid: !isExpired,
+        valid: !isExpired && !isRevoked,
         expired: isExpired,
-        expiresAt: decoded.zoqqExpiresAt,
+        revoked: isRevoked,
+        expiresAt: expiresAt.toISOString(),
         validFor: isExpired ? 0 : Math.floor((expiresAt - now) / 1000),
         user: {
           userId: decoded.userId,
           email: decoded.email,
           role: decoded.role,
           isAdmin: decoded.isAdmin,
+          permissions: decoded.permissions || [],
           authenticatedAt: decoded.authenticatedAt,
           isVerified: decoded.isVerified,
           accountStatus: decoded.accountStatus
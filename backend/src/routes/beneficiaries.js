@@ -0,0 +1,331 @@
+/**
+ * Beneficiary Routes
+ * Saved payees for external payouts: create, list, edit, favourite, delete and pay.
+ * Bank details are checked for the payee's country (IBAN, UK sort code, US ABA
+ * routing number or SWIFT/BIC) before anything is stored
+ */
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const beneficiaryService = require("../services/beneficiaryService");
+const bankDetailsService = require("../services/bankDetailsService");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { authenticateToken, sanitizeRequest } = require("../middleware/security");
+const { idempotent } = require("../middleware/idempotency");
+const { LEDGER_CURRENCIES } = require("../config/ledger");
+const { BENEFICIARY_ENTITY_TYPES } = require("../config/beneficiaries");
+
+const router = express.Router();
+
+// ========== VALIDATION MIDDLEWARE ==========
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+      code: "VALIDATION_ERROR"
+    });
+  }
+  next();
+};
+
+const FIELD_LABELS = {
+  iban: "IBAN",
+  sortCode: "sort code",
+  routingNumber: "routing number",
+  swiftCode: "SWIFT/BIC",
+  accountNumber: "account number"
+};
+
+// Bank identifier: drop spaces and dashes, upper-case
+const bankField = (name) => body(`bankDetails.${name}`)
+  .optional({ values: "falsy" })
+  .isString()
+  .withMessage(`${FIELD_LABELS[name]} must be text`)
+  .bail()
+  .customSanitizer((value) => bankDetailsService.normalize(value));
+
+const beneficiaryRules = [
+  body("accountHolderName")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Account holder name must be 2-100 characters"),
+  body("nickname")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Nickname must be at most 50 characters"),
+  body("entityType")
+    .optional()
+    .isIn(BENEFICIARY_ENTITY_TYPES)
+    .withMessage(`Entity type must be one of: ${BENEFICIARY_ENTITY_TYPES.join(", ")}`),
+  body("country")
+    .trim()
+    .toUpperCase()
+    .isISO31661Alpha2()
+    .withMessage("Country must be a 2-letter ISO country code"),
+  body("currency")
+    .trim()
+    .toUpperCase()
+    .isIn(Object.keys(LEDGER_CURRENCIES))
+    .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(", ")}`),
+  body("isFavourite")
+    .optional()
+    .isBoolean()
+    .withMessage("isFavourite must be true or false")
+    .toBoolean(),
+  body("bankDetails")
+    .isObject()
+    .withMessage("Bank details are required")
+    .bail()
+    .custom((bankDetails, { req }) => {
+      const missing = bankDetailsService.requiredFields(req.body.country).filter((field) => !bankDetails[field]);
+      if (missing.length > 0) {
+        throw new Error(`Payees in ${req.body.country} need: ${missing.map((field) => FIELD_LABELS[field]).join(", ")}`);
+      }
+      return true;
+    }),
+  bankField("iban")
+    .custom((iban, { req }) => {
+      if (!bankDetailsService.isValidIban(iban)) {
+        throw new Error("IBAN is invalid; check for typos");
+      }
+      if (iban.slice(0, 2) !== req.body.country) {
+        throw new Error(`IBAN is not from ${req.body.country}`);
+      }
+      return true;
+    }),
+  bankField("sortCode")
+    .custom((sortCode) => bankDetailsService.isValidSortCode(sortCode))
+    .withMessage("Sort code must be 6 digits, e.g. 12-34-56"),
+  bankField("routingNumber")
+    .custom((routingNumber) => bankDetailsService.isValidAbaRouting(routingNumber))
+    .withMessage("Routing number is not a valid 9-digit ABA number"),
+  bankField("swiftCode")
+    .custom((swiftCode, { req }) => {
+      if (!bankDetailsService.isValidSwift(swiftCode)) {
+        throw new Error("SWIFT/BIC must be 8 or 11 characters, e.g. DEUTDEFF");
+      }
+      if (swiftCode.slice(4, 6) !== req.body.country) {
+        throw new Error(`SWIFT/BIC is not for a bank in ${req.body.country}`);
+      }
+      return true;
+    }),
+  bankField("accountNumber")
+    .custom((accountNumber, { req }) => bankDetailsService.isValidAccountNumber(req.body.country, accountNumber))
+    .withMessage("Account number format is not valid for this country"),
+  body("bankDetails.bankName")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Bank name must be at most 100 characters"),
+];
+
+const beneficiaryIdRule = param("beneficiaryId").isMongoId().withMessage("Invalid payee ID");
+
+const PAYOUT_REFERENCE_MAX_LENGTH = 140;
+
+const payoutRules = [
+  body("amount")
+    .trim()
+    .matches(/^\d+(\.\d+)?$/)
+    .withMessage("Amount must be a positive decimal, e.g. 25.00"),
+  body("currency")
+    .trim()
+    .toUpperCase()
+    .isIn(Object.keys(LEDGER_CURRENCIES))
+    .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(", ")}`),
+  body("reference")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: PAYOUT_REFERENCE_MAX_LENGTH })
+    .withMessage(`Reference must be at most ${PAYOUT_REFERENCE_MAX_LENGTH} characters`),
+];
+
+// ========== BENEFICIARIES ==========
+
+/**
+ * LIST BENEFICIARIES
+ * GET /api/beneficiaries?favourites=true&search=landlord
+ */
+router.get("/",
+  authenticateToken,
+  [
+    query("favourites")
+      .optional()
+      .isBoolean()
+      .withMessage("favourites must be true or false")
+      .toBoolean(),
+    query("search")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Search must be at most 100 characters"),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const beneficiaries = await beneficiaryService.list(req.user.userId, {
+      favourites: req.query.favourites,
+      search: req.query.search
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Payees retrieved successfully",
+      code: "BENEFICIARIES_RETRIEVED",
+      data: {
+        beneficiaries: beneficiaries.map((beneficiary) => beneficiaryService.serialize(beneficiary))
+      }
+    });
+  })
+);
+
+/**
+ * ADD BENEFICIARY
+ * POST /api/beneficiaries
+ */
+router.post("/",
+  authenticateToken,
+  sanitizeRequest,
+  beneficiaryRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const beneficiary = await beneficiaryService.create(req.user.userId, req.body, { req });
+
+    res.status(201).json({
+      status: "success",
+      message: "Payee added",
+      code: "BENEFICIARY_CREATED",
+      data: beneficiaryService.serialize(beneficiary)
+    });
+  })
+);
+
+/**
+ * GET BENEFICIARY
+ * GET /api/beneficiaries/:beneficiaryId
+ */
+router.get("/:beneficiaryId",
+  authenticateToken,
+  [beneficiaryIdRule],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const beneficiary = await beneficiaryService.find(req.user.userId, req.params.beneficiaryId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Payee retrieved successfully",
+      code: "BENEFICIARY_RETRIEVED",
+      data: beneficiaryService.serialize(beneficiary)
+    });
+  })
+);
+
+/**
+ * REPLACE BENEFICIARY DETAILS (a new holder or account restarts the cooling-off period)
+ * PUT /api/beneficiaries/:beneficiaryId
+ */
+router.put("/:beneficiaryId",
+  authenticateToken,
+  sanitizeRequest,
+  [beneficiaryIdRule, ...beneficiaryRules],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const beneficiary = await beneficiaryService.update(req.user.userId, req.params.beneficiaryId, req.body, { req });
+
+    res.status(200).json({
+      status: "success",
+      message: "Payee updated",
+      code: "BENEFICIARY_UPDATED",
+      data: beneficiaryService.serialize(beneficiary)
+    });
+  })
+);
+
+/**
+ * RENAME OR (UN)FAVOURITE BENEFICIARY
+ * PATCH /api/beneficiaries/:beneficiaryId
+ */
+router.patch("/:beneficiaryId",
+  authenticateToken,
+  sanitizeRequest,
+  [
+    beneficiaryIdRule,
+    body()
+      .custom((value) => value.nickname !== undefined || value.isFavourite !== undefined)
+      .withMessage("Send a nickname or isFavourite"),
+    body("nickname")
+      .optional({ values: "null" })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Nickname must be at most 50 characters"),
+    body("isFavourite")
+      .optional()
+      .isBoolean()
+      .withMessage("isFavourite must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const beneficiary = await beneficiaryService.setPreferences(req.user.userId, req.params.beneficiaryId, req.body);
+
+    res.status(200).json({
+      status: "success",
+      message: "Payee updated",
+      code: "BENEFICIARY_UPDATED",
+      data: beneficiaryService.serialize(beneficiary)
+    });
+  })
+);
+
+/**
+ * DELETE BENEFICIARY
+ * DELETE /api/beneficiaries/:beneficiaryId
+ */
+router.delete("/:beneficiaryId",
+  authenticateToken,
+  [beneficiaryIdRule],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await beneficiaryService.remove(req.user.userId, req.params.beneficiaryId, { req });
+
+    res.status(200).json({
+      status: "success",
+      message: "Payee deleted",
+      code: "BENEFICIARY_DELETED"
+    });
+  })
+);
+
+// ========== PAYOUTS ==========
+
+/**
+ * PAY A BENEFICIARY (held on the wallet until the payout is released; large amounts
+ * wait for the payee's cooling-off period)
+ * POST /api/beneficiaries/:beneficiaryId/payouts
+ */
+router.post("/:beneficiaryId/payouts",
+  authenticateToken,
+  sanitizeRequest,
+  [beneficiaryIdRule, ...payoutRules],
+  handleValidationErrors,
+  idempotent(),
+  asyncHandler(async (req, res) => {
+    const payout = await beneficiaryService.payout(req.user.userId, req.params.beneficiaryId, req.body, { req });
+
+    res.status(201).json({
+      status: "success",
+      message: "Payout submitted",
+      code: "PAYOUT_SUBMITTED",
+      data: beneficiaryService.serializePayout(payout)
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * Onboarding Routes
+ * Zoqq business onboarding of the signed-in user: application draft, account
+ * creation, terms, activation and RFIs. Mounted per API version by routes/v1.js
+ */
+
+const express = require('express');
+const onboardingController = require('../controllers/onboardingController');
+const { authenticateToken } = require('../middleware/security');
+const { query } = require('express-validator');
+const { idempotent } = require('../middleware/idempotency');
+const { RFI_STATUSES } = require('../config/rfi');
+const {
+  handleValidationErrors,
+  zoqqUserRules,
+  rfiResponseRules,
+  rfiSubmissionRules,
+  draftSaveRules
+} = require('../middleware/onboardingValidators');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * GET /onboarding
+ * Onboarding state, its step, next actions and recent transitions
+ */
+router.get('/', onboardingController.getState);
+
+// ========== APPLICATION DRAFT ==========
+
+/**
+ * GET /onboarding/draft
+ * Saved application with per-section progress and field errors; a user without one
+ * gets a new draft started from their profile, saved on the first PUT
+ */
+router.get('/draft', onboardingController.getDraft);
+
+/**
+ * PUT /onboarding/draft
+ * Body: { step, fields } with the changed create-user fields; empty values clear a field.
+ * Invalid values are kept and reported in fieldErrors. Document file IDs come from KYC uploads
+ */
+router.put('/draft', draftSaveRules, handleValidationErrors, onboardingController.saveDraft);
+
+/**
+ * POST /onboarding/draft/submit
+ * Validate the whole saved application and create the Zoqq account from it
+ */
+router.post('/draft/submit', idempotent(), onboardingController.submitDraft);
+
+// ========== ZOQQ ACCOUNT ==========
+
+/**
+ * POST /onboarding/account
+ * Create the Zoqq account from a complete application
+ */
+router.post('/account', zoqqUserRules(), handleValidationErrors, idempotent(), onboardingController.createAccount);
+
+/**
+ * GET /onboarding/account
+ * Account details held by Zoqq
+ */
+router.get('/account', onboardingController.getAccount);
+
+/**
+ * POST /onboarding/account/terms
+ */
+router.post('/account/terms', idempotent(), onboardingController.acceptTerms);
+
+/**
+ * POST /onboarding/account/activate
+ * Requires accepted terms
+ */
+router.post('/account/activate', idempotent(), onboardingController.activate);
+
+// ========== RFI (REQUEST FOR INFORMATION) ==========
+
+/**
+ * GET /onboarding/account/rfi
+ */
+router.get('/account/rfi', onboardingController.getRFI);
+
+/**
+ * POST /onboarding/account/rfi
+ * Body: one RFI answer { id, type, ... }
+ */
+router.post('/account/rfi', rfiResponseRules, handleValidationErrors, idempotent(), onboardingController.respondToRFI);
+
+// ========== RFI INBOX ==========
+
+/**
+ * GET /onboarding/rfis
+ * Every RFI Zoqq raised, refreshed from Zoqq first; ?status=open|answered|closed
+ */
+router.get('/rfis', query('status').optional().isIn(RFI_STATUSES), handleValidationErrors, onboardingController.listRfis);
+
+/**
+ * GET /onboarding/rfis/summary
+ * Open and overdue counts from saved RFIs, for badges
+ */
+router.get('/rfis/summary', onboardingController.getRfiSummary);
+
+/**
+ * GET /onboarding/rfis/:rfiId
+ * One RFI with its questions and response history
+ */
+router.get('/rfis/:rfiId', onboardingController.getRfi);
+
+/**
+ * POST /onboarding/rfis/:rfiId/responses
+ * Body: { answers: [{ id, type, ...fields, documentIds }] } answering any of the open
+ * questions. DOCUMENT answers attach rfi_document KYC uploads by document ID
+ */
+router.post('/rfis/:rfiId/responses', rfiSubmissionRules, handleValidationErrors, idempotent(), onboardingController.submitRfiResponse);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * Transaction Routes
+ * The signed-in customer's statement across all wallets: cursor-paged, filterable
+ * and sortable, with X-Total-Count carrying the number of matches
+ */
+
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const transactionService = require("../services/transactionService");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { authenticateToken } = require("../middleware/security");
+const { LEDGER_CURRENCIES, JOURNAL_ENTRY_TYPES, JOURNAL_ENTRY_STATUSES } = require("../config/ledger");
+
+const router = express.Router();
+
+// ========== VALIDATION MIDDLEWARE ==========
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+      code: "VALIDATION_ERROR"
+    });
+  }
+  next();
+};
+
+const listRules = [
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("to must be an ISO 8601 date")
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage("to must not be before from"),
+  query("type")
+    .optional()
+    .isIn(JOURNAL_ENTRY_TYPES)
+    .withMessage(`Type must be one of: ${JOURNAL_ENTRY_TYPES.join(", ")}`),
+  query("status")
+    .optional()
+    .isIn(JOURNAL_ENTRY_STATUSES)
+    .withMessage(`Status must be one of: ${JOURNAL_ENTRY_STATUSES.join(", ")}`),
+  query("currency")
+    .optional()
+    .toUpperCase()
+    .isIn(Object.keys(LEDGER_CURRENCIES))
+    .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(", ")}`),
+  query("direction")
+    .optional()
+    .isIn(["incoming", "outgoing"])
+    .withMessage("Direction must be incoming or outgoing"),
+  query("walletId").optional().isMongoId().withMessage("Invalid wallet ID"),
+  query("minAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minAmount must be a positive amount"),
+  query("maxAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("maxAmount must be a positive amount")
+    .custom((max, { req }) => req.query.minAmount === undefined || Number(max) >= Number(req.query.minAmount))
+    .withMessage("maxAmount must not be below minAmount"),
+  query("counterparty")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Counterparty must be between 1 and 100 characters"),
+  query("sort")
+    .optional()
+    .isIn(transactionService.sortOptions)
+    .withMessage(`Sort must be one of: ${transactionService.sortOptions.join(", ")}`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("cursor").optional().isString().isLength({ max: 200 }).withMessage("Invalid pagination cursor"),
+];
+
+// ========== TRANSACTIONS ==========
+
+/**
+ * LIST TRANSACTIONS
+ * GET /api/transactions?from=&to=&type=&status=&currency=&direction=&walletId=
+ *   &minAmount=&maxAmount=&counterparty=&sort=-createdAt&limit=20&cursor=
+ */
+router.get("/",
+  authenticateToken,
+  listRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { sort, limit = 20, cursor, ...filters } = req.query;
+    const { transactions, total, nextCursor } = await transactionService.list(req.user.userId, {
+      filters,
+      sort,
+      limit,
+      cursor
+    });
+
+    res.set("X-Total-Count", String(total));
+    res.status(200).json({
+      status: "success",
+      message: "Transactions retrieved successfully",
+      code: "TRANSACTIONS_RETRIEVED",
+      data: {
+        transactions: transactions.map((transaction) => transactionService.serialize(transaction)),
+        nextCursor,
+        hasMore: nextCursor !== null
+      }
+    });
+  })
+);
+
+/**
+ * GET TRANSACTION
+ * GET /api/transactions/:transactionId
+ */
+router.get("/:transactionId",
+  authenticateToken,
+  [param("transactionId").isMongoId().withMessage("Invalid transaction ID")],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const transaction = await transactionService.find(req.user.userId, req.params.transactionId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Transaction retrieved successfully",
+      code: "TRANSACTION_RETRIEVED",
+      data: transactionService.serialize(transaction)
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * Transfer Routes
+ * Peer-to-peer payments: preview a transfer for the confirmation screen, send it
+ * (Idempotency-Key aware, so a retried submit cannot pay twice) and list past transfers
+ */
+
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { body, param, query, validationResult } = require("express-validator");
+const transferService = require("../services/transferService");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { authenticateToken, sanitizeRequest } = require("../middleware/security");
+const { idempotent } = require("../middleware/idempotency");
+const { LEDGER_CURRENCIES } = require("../config/ledger");
+const { TRANSFER_STATUSES, TRANSFER_NOTE_MAX_LENGTH } = require("../config/transfers");
+
+const router = express.Router();
+
+// ========== VALIDATION MIDDLEWARE ==========
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+      code: "VALIDATION_ERROR"
+    });
+  }
+  next();
+};
+
+/**
+ * Per-user limit on recipient lookups: previews and sends answer with the recipient's
+ * name, so unlimited lookups would reveal which emails and account numbers are customers
+ */
+const recipientLookupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.TRANSFER_LOOKUPS_PER_WINDOW, 10) || 30,
+  keyGenerator: (req) => String(req.user.userId),
+  message: {
+    error: "Too many transfer attempts, please try again later.",
+    code: "RATE_LIMIT_EXCEEDED"
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const transferRules = [
+  body("recipient")
+    .custom((recipient) => Boolean(recipient) && typeof recipient === "object" && !recipient.email !== !recipient.accountNumber)
+    .withMessage("Identify the recipient by either email or accountNumber"),
+  body("recipient.email")
+    .optional()
+    .isEmail()
+    .withMessage("Recipient email is invalid")
+    .normalizeEmail(),
+  body("recipient.accountNumber")
+    .optional()
+    .trim()
+    .matches(/^\d{10}$/)
+    .withMessage("Account numbers are 10 digits"),
+  body("amount")
+    .trim()
+    .matches(/^\d+(\.\d+)?$/)
+    .withMessage("Amount must be a positive decimal, e.g. 25.00"),
+  body("currency")
+    .trim()
+    .toUpperCase()
+    .isIn(Object.keys(LEDGER_CURRENCIES))
+    .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(", ")}`),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: TRANSFER_NOTE_MAX_LENGTH })
+    .withMessage(`Note must be at most ${TRANSFER_NOTE_MAX_LENGTH} characters`),
+];
+
+// ========== TRANSFERS ==========
+
+/**
+ * PREVIEW TRANSFER (runs every check, moves nothing)
+ * POST /api/transfers/preview
+ */
+router.post("/preview",
+  authenticateToken,
+  recipientLookupLimiter,
+  sanitizeRequest,
+  transferRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const preview = await transferService.preview(req.user.userId, req.body);
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer can be sent",
+      code: "TRANSFER_PREVIEWED",
+      data: preview
+    });
+  })
+);
+
+/**
+ * SEND TRANSFER
+ * POST /api/transfers
+ */
+router.post("/",
+  authenticateToken,
+  recipientLookupLimiter,
+  sanitizeRequest,
+  transferRules,
+  handleValidationErrors,
+  idempotent(),
+  asyncHandler(async (req, res) => {
+    const transfer = await transferService.create(req.user.userId, req.body, { req });
+
+    res.status(201).json({
+      status: "success",
+      message: "Transfer completed",
+      code: "TRANSFER_COMPLETED",
+      data: transferService.serialize(transfer, req.user.userId)
+    });
+  })
+);
+
+/**
+ * LIST TRANSFERS
+ * GET /api/transfers?direction=sent&status=failed&limit=20&offset=0
+ */
+router.get("/",
+  authenticateToken,
+  [
+    query("direction")
+      .optional()
+      .isIn(["sent", "received"])
+      .withMessage("Direction must be sent or received"),
+    query("status")
+      .optional()
+      .isIn(TRANSFER_STATUSES)
+      .withMessage(`Status must be one of: ${TRANSFER_STATUSES.join(", ")}`),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100")
+      .toInt(),
+    query("offset")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Offset must be 0 or more")
+      .toInt(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { direction, status, limit = 20, offset = 0 } = req.query;
+    const { transfers, total } = await transferService.list(req.user.userId, { direction, status, limit, offset });
+
+    res.set("X-Total-Count", String(total));
+    res.status(200).json({
+      status: "success",
+      message: "Transfers retrieved successfully",
+      code: "TRANSFERS_RETRIEVED",
+      data: {
+        transfers: transfers.map((transfer) => transferService.serialize(transfer, req.user.userId)),
+        total,
+        limit,
+        offset
+      }
+    });
+  })
+);
+
+/**
+ * GET TRANSFER
+ * GET /api/transfers/:transferId
+ */
+router.get("/:transferId",
+  authenticateToken,
+  [param("transferId").isMongoId().withMessage("Invalid transfer ID")],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const transfer = await transferService.find(req.user.userId, req.params.transferId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Transfer retrieved successfully",
+      code: "TRANSFER_RETRIEVED",
+      data: transferService.serialize(transfer, req.user.userId)
+    });
+  })
+);
+
+module.exports = router;
@@ -5,11 +5,28 @@
  */
 
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
+const multer = require("multer");
+const { body, param, query, validationResult } = require("express-validator");
 const User = require("../models/User");
 const zoqqAuthService = require("../services/zoqqAuth");
-const { AppError } = require("../middleware/errorHandler");
-const { authenticateToken } = require("../middleware/security");
+const sessionService = require("../services/sessionService");
+const activityService = require("../services/activityService");
+const actionVerificationService = require("../services/actionVerificationService");
+const profilePictureService = require("../services/profilePictureService");
+const deviceService = require("../services/deviceService");
+const mailService = require("../services/mailService");
+const notificationService = require("../services/notificationService");
+const onboardingController = require("../controllers/onboardingController");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const {
+  authenticateToken,
+  profileValidationRules,
+  sanitizeRequest
+} = require("../middleware/security");
+const { idempotent } = require("../middleware/idempotency");
+const { deprecated } = require("../middleware/apiVersion");
+const { zoqqUserRules, accountIdParamRules, rfiResponseRules } = require("../middleware/onboardingValidators");
+const { LEGACY_ONBOARDING_ROUTES } = require("../config/apiVersions");
 
 const router = express.Router();
 // zoqqAuthService is already instantiated as a singleton
@@ -32,467 +49,1071 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// ========== DEPRECATED ZOQQ ONBOARDING ROUTES ==========
+// Aliases of /api/v1/onboarding, answered by the same controller with Deprecation and Sunset headers.
+// Per-account routes only act on the signed-in user's own Zoqq account
+
 /**
- * Extract Zoqq token from user's JWT
+ * Mark a route as replaced by /api/v1/onboarding<path>
  */
-const extractZoqqToken = (req, res, next) => {
-  try {
-    const userToken = req.user;
-    if (!userToken || !userToken.zoqqToken) {
-      return res.status(401).json({
-        status: "error",
-        message: "Zoqq authentication required. Please login again.",
-        code: "ZOQQ_TOKEN_MISSING"
-      });
+const replacedBy = (path) => deprecated({ ...LEGACY_ONBOARDING_ROUTES, successor: `/api/v1/onboarding${path}` });
+
+/**
+ * CREATE USER - Zoqq Onboarding
+ * POST /api/user/zoqq/create -> POST /api/v1/onboarding/account
+ */
+router.post("/zoqq/create",
+  replacedBy("/account"),
+  authenticateToken,
+  zoqqUserRules(),
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.createAccount
+);
+
+/**
+ * GET USER - Retrieve Zoqq User Details
+ * GET /api/user/zoqq/details/:userId -> GET /api/v1/onboarding/account
+ */
+router.get("/zoqq/details/:userId",
+  replacedBy("/account"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  onboardingController.getAccount
+);
+
+/**
+ * ACCEPT TERMS AND CONDITIONS
+ * POST /api/user/zoqq/terms/:userId -> POST /api/v1/onboarding/account/terms
+ */
+router.post("/zoqq/terms/:userId",
+  replacedBy("/account/terms"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.acceptTerms
+);
+
+/**
+ * ACTIVATE ACCOUNT
+ * POST /api/user/zoqq/activate/:userId -> POST /api/v1/onboarding/account/activate
+ */
+router.post("/zoqq/activate/:userId",
+  replacedBy("/account/activate"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.activate
+);
+
+/**
+ * GET RFI DETAILS
+ * GET /api/user/zoqq/rfi/:userId -> GET /api/v1/onboarding/account/rfi
+ */
+router.get("/zoqq/rfi/:userId",
+  replacedBy("/account/rfi"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  onboardingController.getRFI
+);
+
+/**
+ * RESPOND TO RFI
+ * POST /api/user/zoqq/rfi/:userId -> POST /api/v1/onboarding/account/rfi
+ */
+router.post("/zoqq/rfi/:userId",
+  replacedBy("/account/rfi"),
+  authenticateToken,
+  accountIdParamRules,
+  rfiResponseRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.respondToRFI
+);
+
+// ========== ACCOUNT SELF-SERVICE HELPERS ==========
+
+// Avatars are held in memory until their content has been checked
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: profilePictureService.maxBytes, files: 1 }
+});
+
+/**
+ * Parse a single "profilePicture" file and map upload errors to AppErrors
+ */
+const uploadProfilePicture = (req, res, next) => {
+  avatarUpload.single("profilePicture")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === "LIMIT_FILE_SIZE"
+        ? new AppError(`Image must be smaller than ${Math.round(profilePictureService.maxBytes / 1024)}KB`, 413, "FILE_TOO_LARGE")
+        : new AppError(error.message, 400, "UPLOAD_ERROR"));
     }
-    
-    req.zoqqToken = userToken.zoqqToken;
-    req.userId = userToken.userId;
-    next();
-  } catch (error) {
-    console.error('[USER ROUTES] Error extracting Zoqq token:', error);
-    return res.status(401).json({
-      status: "error",
-      message: "Invalid authentication token",
-      code: "INVALID_TOKEN"
-    });
+    next(error);
+  });
+};
+
+/**
+ * Load the authenticated user or fail with 404
+ */
+const findCurrentUser = async (userId, select = "") => {
+  const user = await User.findById(userId).select(select);
+
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND");
   }
+
+  return user;
 };
 
-// ========== ZOQQ USER MANAGEMENT ROUTES ==========
+/**
+ * Clear the session cookies set by /api/auth after all sessions are revoked
+ */
+const clearSessionCookies = (res) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict"
+  };
+
+  res.clearCookie("auth_session", { ...options, path: "/" });
+  res.clearCookie("refresh_token", { ...options, path: "/api/auth" });
+};
 
 /**
- * CREATE USER - Zoqq Onboarding
- * POST /api/user/zoqq/create
- * Creates a new user account in Zoqq system with comprehensive business and personal details
+ * Build the client-facing profile of a user
  */
-router.post("/zoqq/create", 
-  authenticateToken, 
-  extractZoqqToken,
-  [
-    // Business Information Validation
-    body("emailId").isEmail().normalizeEmail().withMessage("Valid email is required"),
-    body("amount").isNumeric().withMessage("Amount must be numeric"),
-    body("currency").isLength({ min: 3, max: 3 }).withMessage("Currency must be 3 letter code"),
-    body("businessName").isLength({ min: 2, max: 100 }).withMessage("Business name required (2-100 characters)"),
-    body("businessStructure").isIn(['COMPANY', 'PARTNERSHIP', 'SOLE_PROPRIETORSHIP', 'TRUST', 'OTHER']).withMessage("Valid business structure required"),
-    body("contactNumber").isMobilePhone().withMessage("Valid contact number required"),
-    
-    // Personal Information Validation
-    body("firstName").isLength({ min: 1, max: 50 }).withMessage("First name required (1-50 characters)"),
-    body("lastName").isLength({ min: 1, max: 50 }).withMessage("Last name required (1-50 characters)"),
-    body("middleName").optional().isLength({ max: 50 }).withMessage("Middle name max 50 characters"),
-    body("dateOfBirth").isISO8601().withMessage("Valid date of birth required (YYYY-MM-DD)"),
-    body("nationality").isLength({ min: 2, max: 2 }).withMessage("Nationality must be 2 letter country code"),
-    body("mobile").isMobilePhone().withMessage("Valid mobile number required"),
-    
-    // Identity Document Validation
-    body("identificationType").isIn(['Passport', 'National_ID', 'Driving_License']).withMessage("Valid identification type required"),
-    body("Idnumber").isLength({ min: 5, max: 20 }).withMessage("ID number required (5-20 characters)"),
-    body("issuingCountryCode").isLength({ min: 2, max: 2 }).withMessage("Valid issuing country code required"),
-    body("effectiveAt").isISO8601().withMessage("Valid effective date required (YYYY-MM-DD)"),
-    body("expireAt").isISO8601().withMessage("Valid expiry date required (YYYY-MM-DD)"),
-    
-    // Legal and Compliance Validation
-    body("roles").isIn(['BENEFICIAL_OWNER', 'DIRECTOR', 'SIGNATORY', 'OTHER']).withMessage("Valid role required"),
-    body("legalEntityType").isIn(['BUSINESS', 'INDIVIDUAL']).withMessage("Valid legal entity type required"),
-    body("asTrustee").isBoolean().withMessage("asTrustee must be boolean"),
-    body("agreedToTermsAndConditions").isBoolean().withMessage("Terms and conditions agreement required"),
-    body("productReference").isIn([
-      'ACCEPT_ONLINE_PAYMENTS', 'COLLECT_MARKETPLACE_PROCEEDS', 'RECEIVE_TRANSFERS',
-      'GET_PAID', 'CONVERT_FUNDS', 'MAKE_TRANSFERS', 'CREATE_CARDS', 'MANAGE_EXPENSES',
-      'USE_AWX_API', 'TRANSFER_CNY_INBOUND'
-    ]).withMessage("Valid product reference required"),
-    
-    // Business Registration Validation
-    body("type").isLength({ min: 1, max: 20 }).withMessage("Registration type required"),
-    body("number").isLength({ min: 5, max: 20 }).withMessage("Registration number required"),
-    body("descriptionOfGoodsOrServices").isLength({ min: 10, max: 500 }).withMessage("Description required (10-500 characters)"),
-    body("industryCategoryCode").matches(/^ICCV3_[A-Z0-9]+$/).withMessage("Valid industry category code required"),
-    body("operatingCountry").isLength({ min: 2, max: 2 }).withMessage("Valid operating country code required"),
-    
-    // Address Validation
-    body("registrationAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Registration address line 1 required"),
-    body("registrationAddressLine2").optional().isLength({ max: 100 }).withMessage("Registration address line 2 max 100 characters"),
-    body("registrationCountryCode").isLength({ min: 2, max: 2 }).withMessage("Valid registration country code required"),
-    body("registrationPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid registration postcode required"),
-    body("registrationState").isLength({ min: 2, max: 50 }).withMessage("Registration state required"),
-    body("registrationSuburb").isLength({ min: 2, max: 50 }).withMessage("Registration suburb required"),
-    
-    body("residentialAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Residential address line 1 required"),
-    body("residentialCountryCode").isLength({ min: 2, max: 2 }).withMessage("Valid residential country code required"),
-    body("residentialPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid residential postcode required"),
-    body("residentialState").isLength({ min: 2, max: 50 }).withMessage("Residential state required"),
-    body("residentialSuburb").isLength({ min: 2, max: 50 }).withMessage("Residential suburb required"),
-    
-    // Document File Validation
-    body("fileId").isLength({ min: 10 }).withMessage("Business document file ID required"),
-    body("tag").isIn([
-      'ACRA_COMPANY_PROFILE_DOCUMENT', 'ANNUAL_REPORT', 'ANNUAL_RETURN', 'ARTICLES_OF_ASSOCIATION',
-      'ASIC_CURRENT_COMPANY_EXTRACT', 'ASSUMED_NAME_CERTIFICATE', 'BUSINESS_LICENSE',
-      'CERTIFICATE_OF_INCORPORATION', 'CERTIFICATION_REGISTRATION', 'COMPANY_CERTIFICATE',
-      'COMPANY_CONSTITUTION', 'COMPANY_PROFILE', 'CONFIRMATION_STATEMENT', 'DIRECTOR_LIST',
-      'LEGAL_NAME_AND_ADDRESS', 'OPERATING_AGREEMENT', 'PARTNERSHIP_AGREEMENT',
-      'REGISTRATION_CERTIFICATE', 'SHAREHOLDING_STRUCTURE_CHART', 'SUPPORTIVE_OTHER',
-      'TRUST_DEED', 'UNIT_HOLDER_REGISTER', 'UBO_SUPPORTIVE', 'THIRD_PARTY_SHAREHOLDING_DOCUMENT'
-    ]).withMessage("Valid business document tag required"),
-    
-    body("frontFileId").isLength({ min: 10 }).withMessage("ID document front file ID required"),
-    body("personDocumentsFileId").isLength({ min: 10 }).withMessage("Person documents file ID required"),
-    body("personDocumentsTag").isLength({ min: 1 }).withMessage("Person documents tag required"),
-    body("liveSelfieFileId").isLength({ min: 10 }).withMessage("Live selfie file ID required"),
-    body("countryCode").isLength({ min: 2, max: 2 }).withMessage("Valid country code required"),
-  ],
+const serializeProfile = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  phone: user.phone || "",
+  dateOfBirth: user.dateOfBirth ? user.dateOfBirth.toISOString().slice(0, 10) : "",
+  address: user.address?.street || "",
+  city: user.address?.city || "",
+  state: user.address?.state || "",
+  country: user.address?.country || "",
+  postalCode: user.address?.postalCode || "",
+  profilePicture: user.profilePicture || null,
+  role: user.role,
+  accountStatus: user.accountStatus,
+  isVerified: user.isVerified,
+  kycStatus: user.kycStatus,
+  twoFactorEnabled: !!user.twoFactorEnabled,
+  notifications: user.notifications,
+  profileCompleteness: user.profileCompleteness,
+  lastLogin: user.lastLogin,
+  zoqqAccountId: user.zoqqAccountId,
+  hasZoqqAccount: !!user.zoqqAccountId,
+  termsAcceptedAt: user.termsAcceptedAt,
+  activatedAt: user.activatedAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Flat request fields and where they live on the User document
+const PROFILE_FIELD_PATHS = {
+  firstName: "firstName",
+  lastName: "lastName",
+  phone: "phone",
+  dateOfBirth: "dateOfBirth",
+  address: "address.street",
+  city: "address.city",
+  state: "address.state",
+  country: "address.country",
+  postalCode: "address.postalCode"
+};
+
+const NOTIFICATION_CHANNELS = ["email", "sms", "push", "marketing"];
+
+const paginationRules = (defaultLimit) => [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer")
+    .toInt(),
+
+  (req, res, next) => {
+    req.query.limit = req.query.limit || defaultLimit;
+    req.query.offset = req.query.offset || 0;
+    next();
+  }
+];
+
+// ========== PROFILE ROUTES ==========
+
+/**
+ * GET USER PROFILE - Enhanced with Zoqq Integration
+ * GET /api/user/profile
+ * Retrieves user profile with Zoqq account status
+ */
+router.get("/profile",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    res.status(200).json({
+      status: "success",
+      message: "User profile retrieved successfully",
+      code: "PROFILE_RETRIEVED",
+      data: { user: serializeProfile(user) }
+    });
+  })
+);
+
+/**
+ * UPDATE USER PROFILE
+ * PUT /api/user/profile
+ * Updates personal details and notification settings (email is not editable here)
+ */
+router.put("/profile",
+  authenticateToken,
+  sanitizeRequest,
+  profileValidationRules(),
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      console.log(`[USER CREATE] Creating Zoqq user for: ${req.body.emailId}`);
-      
-      // Check if user already exists in local database
-      const existingUser = await User.findOne({ email: req.body.emailId.toLowerCase() });
-      if (existingUser && existingUser.zoqqAccountId) {
-        return res.status(409).json({
-          status: "error",
-          message: "User already has a Zoqq account",
-          code: "USER_EXISTS",
-          data: { accountId: existingUser.zoqqAccountId }
-        });
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    for (const [field, path] of Object.entries(PROFILE_FIELD_PATHS)) {
+      if (req.body[field] !== undefined) {
+        // Empty strings clear optional fields
+        user.set(path, req.body[field] === "" ? undefined : req.body[field]);
       }
+    }
 
-      // Create user in Zoqq system
-      const result = await zoqqAuthService.createUser(req.body, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record with Zoqq account ID
-        if (existingUser) {
-          existingUser.zoqqAccountId = result.accountId;
-          existingUser.accountStatus = 'zoqq_created';
-          await existingUser.save();
-        }
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (req.body.notifications?.[channel] !== undefined) {
+        user.notifications[channel] = req.body.notifications[channel];
+      }
+    }
+
+    const changedFields = user.modifiedPaths({ includeChildren: false })
+      .filter((path) => !["address", "notifications"].includes(path));
 
-        console.log(`[USER CREATE] Zoqq user created successfully: ${result.accountId}`);
-        
-        res.status(201).json({
-          status: "success",
-          message: "User account created successfully in Zoqq system",
-          code: "USER_CREATED",
-          data: {
-            accountId: result.accountId,
-            status: result.status,
-            message: result.message
-          }
-        });
-      } else {
-        throw new AppError("Failed to create user in Zoqq system", 400, "ZOQQ_CREATE_FAILED");
+    if (changedFields.length > 0) {
+      await user.save();
+      activityService.record(user._id, "profile", "profile_updated", {
+        req,
+        metadata: { fields: changedFields }
+      });
+    }
+
+    console.log(`[USER PROFILE] Profile updated for user: ${user.email} - Fields: ${changedFields.join(", ") || "none"}`);
+
+    res.status(200).json({
+      status: "success",
+      message: changedFields.length > 0 ? "Profile updated successfully" : "No changes to save",
+      code: "PROFILE_UPDATED",
+      data: {
+        user: serializeProfile(user),
+        updatedFields: changedFields
       }
-    } catch (error) {
-      console.error(`[USER CREATE] Error creating Zoqq user:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to create user account",
-        code: error.code || "USER_CREATE_ERROR"
+    });
+  })
+);
+
+/**
+ * UPLOAD PROFILE PICTURE
+ * POST /api/user/profile-picture
+ * Accepts a single JPEG, PNG or WebP image in the "profilePicture" field
+ */
+router.post("/profile-picture",
+  authenticateToken,
+  uploadProfilePicture,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    await profilePictureService.replace(user, req.file);
+    await user.save();
+
+    activityService.record(user._id, "profile", "profile_picture_updated", { req });
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile picture updated successfully",
+      code: "PROFILE_PICTURE_UPDATED",
+      data: { profilePicture: user.profilePicture }
+    });
+  })
+);
+
+/**
+ * REMOVE PROFILE PICTURE
+ * DELETE /api/user/profile-picture
+ */
+router.delete("/profile-picture",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    if (user.profilePicture) {
+      await profilePictureService.remove(user.profilePicture);
+      user.profilePicture = undefined;
+      await user.save();
+
+      activityService.record(user._id, "profile", "profile_picture_removed", { req });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile picture removed",
+      code: "PROFILE_PICTURE_REMOVED",
+      data: { profilePicture: null }
+    });
+  })
+);
+
+// ========== ACCOUNT & SECURITY ROUTES ==========
+
+/**
+ * GET ACCOUNT STATUS
+ * GET /api/user/account-status
+ * Account, verification, KYC and lockout state in one place
+ */
+router.get("/account-status",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Account status retrieved successfully",
+      code: "ACCOUNT_STATUS_RETRIEVED",
+      data: {
+        accountStatus: {
+          status: user.accountStatus,
+          isVerified: user.isVerified,
+          emailVerifiedAt: user.emailVerifiedAt || null,
+          kycStatus: user.kycStatus,
+          zoqqAccountStatus: user.zoqqAccountStatus,
+          hasZoqqAccount: !!user.zoqqAccountId,
+          twoFactorEnabled: !!user.twoFactorEnabled,
+          isLocked: user.isLocked,
+          lockUntil: user.isLocked ? user.lockUntil : null,
+          failedLoginAttempts: user.loginAttempts || 0,
+          passwordChangedAt: user.passwordChangedAt,
+          lastLogin: user.lastLogin,
+          profileCompleteness: user.profileCompleteness,
+          memberSince: user.createdAt
+        }
+      }
+    });
+  })
+);
+
+/**
+ * CHANGE PASSWORD
+ * POST /api/user/change-password
+ * Saving the new password revokes every session (see User model hooks),
+ * so the client must sign in again
+ */
+router.post("/change-password",
+  authenticateToken,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+
+    body("newPassword")
+      .isLength({ min: 8, max: 128 })
+      .withMessage("Password must be between 8 and 128 characters")
+      .custom((value, { req }) => {
+        const hasUpperCase = /[A-Z]/.test(value);
+        const hasLowerCase = /[a-z]/.test(value);
+        const hasNumbers = /\d/.test(value);
+        const hasNonalphas = /\W/.test(value);
+
+        if (!(hasUpperCase && hasLowerCase && hasNumbers && hasNonalphas)) {
+          throw new Error("Password must contain uppercase, lowercase, number, and special character");
+        }
+        if (value === req.body.currentPassword) {
+          throw new Error("New password must be different from your current password");
+        }
+        return true;
+      }),
+
+    body("confirmPassword")
+      .optional()
+      .custom((value, { req }) => {
+        if (value !== req.body.newPassword) {
+          throw new Error("Password confirmation does not match password");
+        }
+        return true;
+      }),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId, "+password");
+
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      activityService.record(user._id, "security", "password_change_failed", {
+        req,
+        description: "Incorrect current password"
       });
+      // 400 rather than 401 so clients do not treat it as an expired session
+      throw new AppError("Current password is incorrect", 400, "INVALID_PASSWORD");
     }
-  }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    activityService.record(user._id, "security", "password_changed", { req });
+
+    mailService.sendPasswordChangedEmail(user).catch((error) => {
+      console.error(`[USER ROUTES] Could not send password change notice to ${user.email}: ${error.message}`);
+    });
+
+    clearSessionCookies(res);
+
+    console.log(`[USER ROUTES] Password changed for user: ${user.email}`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Password changed successfully. Please sign in again on all your devices.",
+      code: "PASSWORD_CHANGED",
+      data: {
+        passwordChangedAt: user.passwordChangedAt,
+        reauthenticationRequired: true
+      }
+    });
+  })
 );
 
 /**
- * GET USER - Retrieve Zoqq User Details
- * GET /api/user/zoqq/details/:userId
- * Retrieves comprehensive user details from Zoqq system
+ * GET SESSION INFO
+ * GET /api/user/session-info
+ * Current token details and the user's other active sessions
  */
-router.get("/zoqq/details/:userId",
+router.get("/session-info",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listActiveForUser(req.user.userId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Session information retrieved successfully",
+      code: "SESSION_INFO_RETRIEVED",
+      data: {
+        session: {
+          current: {
+            sessionId: req.user.sid || null,
+            authenticatedAt: req.user.authenticatedAt,
+            issuedAt: new Date(req.user.iat * 1000).toISOString(),
+            expiresAt: new Date(req.user.exp * 1000).toISOString(),
+            ip: req.ip,
+            userAgent: req.get("User-Agent") || null
+          },
+          activeSessions: sessions.map((session) => ({
+            id: session._id,
+            current: session._id.toString() === req.user.sid,
+            ip: session.ip || null,
+            userAgent: session.userAgent || null,
+            rememberMe: session.rememberMe,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt
+          })),
+          activeSessionCount: sessions.length
+        }
+      }
+    });
+  })
+);
+
+/**
+ * GET SECURITY EVENTS
+ * GET /api/user/security-events?limit=10&offset=0
+ * Logins, failed logins, password and 2FA changes
+ */
+router.get("/security-events",
+  authenticateToken,
+  paginationRules(10),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit, offset } = req.query;
+    const { events, total } = await activityService.listSecurityEvents(req.user.userId, { limit, offset });
+
+    res.status(200).json({
+      status: "success",
+      message: "Security events retrieved successfully",
+      code: "SECURITY_EVENTS_RETRIEVED",
+      data: { events, total, limit, offset }
+    });
+  })
+);
+
+/**
+ * LOGOUT ALL SESSIONS
+ * POST /api/user/logout-all-sessions
+ * Revokes every access token and refresh session of the user
+ */
+router.post("/logout-all-sessions",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { sessionsRevoked, revokedAt } = await zoqqAuthService.revokeAllUserTokens(req.user.userId, "logout_all");
+
+    activityService.record(req.user.userId, "security", "logout_all_sessions", {
+      req,
+      metadata: { sessionsRevoked }
+    });
+
+    clearSessionCookies(res);
+
+    res.status(200).json({
+      status: "success",
+      message: "Logged out of all sessions",
+      code: "ALL_SESSIONS_REVOKED",
+      data: { sessionsRevoked, revokedAt }
+    });
+  })
+);
+
+/**
+ * VERIFY ACTION
+ * POST /api/user/verify-action
+ * Re-authenticate for a sensitive operation; returns a single-use action token
+ */
+router.post("/verify-action",
   authenticateToken,
-  extractZoqqToken,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    body("action")
+      .isIn(actionVerificationService.actions)
+      .withMessage(`Action must be one of: ${actionVerificationService.actions.join(", ")}`),
+
+    body("password")
+      .notEmpty()
+      .withMessage("Current password is required"),
+
+    body("code")
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage("Verification code must be 6 digits"),
+
+    body("recoveryCode")
+      .optional()
+      .isString()
+      .isLength({ max: 32 })
+      .withMessage("Invalid recovery code"),
   ],
   handleValidationErrors,
-  async (req, res) => {
+  asyncHandler(async (req, res) => {
+    const { action, password, code, recoveryCode } = req.body;
+
+    let result;
     try {
-      const { userId } = req.params;
-      console.log(`[USER GET] Retrieving Zoqq user details for: ${userId}`);
-
-      const result = await zoqqAuthService.getUser(userId, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[USER GET] User details retrieved successfully for: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: "User details retrieved successfully",
-          code: "USER_RETRIEVED",
-          data: result.userData
-        });
-      } else {
-        throw new AppError("Failed to retrieve user details", 400, "ZOQQ_GET_FAILED");
-      }
+      result = await actionVerificationService.verify(req.user.userId, {
+        action,
+        password,
+        code,
+        recoveryCode,
+        deviceId: req.user.did
+      });
     } catch (error) {
-      console.error(`[USER GET] Error retrieving user details:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to retrieve user details",
-        code: error.code || "USER_GET_ERROR"
+      activityService.record(req.user.userId, "security", "action_verification_failed", {
+        req,
+        metadata: { action, reason: error.code }
       });
+      throw error;
     }
-  }
+
+    activityService.record(req.user.userId, "security", "action_verified", { req, metadata: { action } });
+
+    res.status(200).json({
+      status: "success",
+      message: "Identity verified",
+      code: "ACTION_VERIFIED",
+      data: result
+    });
+  })
 );
 
 /**
- * ACCEPT TERMS AND CONDITIONS
- * POST /api/user/zoqq/terms/:userId
- * Accepts terms and conditions for a user
+ * DELETE ACCOUNT
+ * DELETE /api/user/delete-account
+ * Closes the account after step-up verification. Banking records are retained,
+ * so the user is marked closed rather than removed
  */
-router.post("/zoqq/terms/:userId",
+router.delete("/delete-account",
   authenticateToken,
-  extractZoqqToken,
+  sanitizeRequest,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    body("confirmation")
+      .equals("DELETE")
+      .withMessage('Type "DELETE" to confirm account deletion'),
+
+    body("actionToken")
+      .notEmpty()
+      .withMessage("Identity verification is required"),
+
+    body("reason")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Reason must be less than 500 characters"),
   ],
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      console.log(`[USER TERMS] Accepting terms for user: ${userId}`);
-
-      const result = await zoqqAuthService.acceptTermsAndConditions(userId, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record
-        const user = await User.findOne({ zoqqAccountId: userId });
-        if (user) {
-          user.termsAcceptedAt = new Date();
-          user.accountStatus = 'terms_accepted';
-          await user.save();
-        }
+  asyncHandler(async (req, res) => {
+    await actionVerificationService.consume(req.body.actionToken, req.user.userId, "delete_account");
 
-        console.log(`[USER TERMS] Terms accepted successfully for: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "Terms and conditions accepted successfully",
-          code: "TERMS_ACCEPTED"
-        });
-      } else {
-        throw new AppError("Failed to accept terms and conditions", 400, "TERMS_ACCEPT_FAILED");
-      }
-    } catch (error) {
-      console.error(`[USER TERMS] Error accepting terms:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to accept terms and conditions",
-        code: error.code || "TERMS_ACCEPT_ERROR"
-      });
+    const user = await findCurrentUser(req.user.userId);
+
+    if (user.zoqqAccountStatus === "active") {
+      throw new AppError(
+        "Accounts with an active banking profile must be closed by support",
+        409,
+        "ACCOUNT_CLOSURE_REQUIRES_SUPPORT"
+      );
     }
-  }
+
+    if (user.profilePicture) {
+      await profilePictureService.remove(user.profilePicture);
+      user.profilePicture = undefined;
+    }
+
+    // Closing the account revokes every session (see User model hooks)
+    user.accountStatus = "closed";
+    user.closedAt = new Date();
+    user.closureReason = req.body.reason;
+    await user.save();
+
+    activityService.record(user._id, "account", "account_closed", { req, description: req.body.reason });
+
+    clearSessionCookies(res);
+
+    console.log(`[USER ROUTES] Account closed by user: ${user.email}`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Your account has been closed",
+      code: "ACCOUNT_CLOSED",
+      data: { closedAt: user.closedAt }
+    });
+  })
 );
 
+// ========== DEVICE ROUTES ==========
+
+const deviceIdRules = [
+  param("deviceId")
+    .isMongoId()
+    .withMessage("Invalid device ID"),
+];
+
 /**
- * ACTIVATE ACCOUNT
- * POST /api/user/zoqq/activate/:userId
- * Activates a user account in Zoqq system
+ * LIST DEVICES
+ * GET /api/user/devices
+ * Devices that have signed in to the account, most recently used first
  */
-router.post("/zoqq/activate/:userId",
+router.get("/devices",
   authenticateToken,
-  extractZoqqToken,
+  asyncHandler(async (req, res) => {
+    const devices = await deviceService.list(req.user.userId, req.user.did);
+
+    res.status(200).json({
+      status: "success",
+      message: "Devices retrieved successfully",
+      code: "DEVICES_RETRIEVED",
+      data: { devices, currentDeviceId: req.user.did || null }
+    });
+  })
+);
+
+/**
+ * RENAME DEVICE
+ * PATCH /api/user/devices/:deviceId
+ */
+router.patch("/devices/:deviceId",
+  authenticateToken,
+  sanitizeRequest,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    ...deviceIdRules,
+
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Device name must be between 1 and 50 characters"),
   ],
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      console.log(`[USER ACTIVATE] Activating account for user: ${userId}`);
-
-      const result = await zoqqAuthService.activateAccount(userId, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record
-        const user = await User.findOne({ zoqqAccountId: userId });
-        if (user) {
-          user.accountStatus = 'active';
-          user.isVerified = true;
-          user.activatedAt = new Date();
-          await user.save();
-        }
+  asyncHandler(async (req, res) => {
+    const device = await deviceService.rename(req.user.userId, req.params.deviceId, req.body.name);
 
-        console.log(`[USER ACTIVATE] Account activated successfully for: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "Account activated successfully",
-          code: "ACCOUNT_ACTIVATED"
-        });
-      } else {
-        throw new AppError("Failed to activate account", 400, "ACCOUNT_ACTIVATE_FAILED");
-      }
-    } catch (error) {
-      console.error(`[USER ACTIVATE] Error activating account:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to activate account",
-        code: error.code || "ACCOUNT_ACTIVATE_ERROR"
-      });
+    res.status(200).json({
+      status: "success",
+      message: "Device renamed",
+      code: "DEVICE_RENAMED",
+      data: { device }
+    });
+  })
+);
+
+/**
+ * TRUST DEVICE
+ * PUT /api/user/devices/:deviceId/trust
+ * Requires an action token for "trust_device" (always verified with the second factor)
+ */
+router.put("/devices/:deviceId/trust",
+  authenticateToken,
+  [
+    ...deviceIdRules,
+
+    body("actionToken")
+      .notEmpty()
+      .withMessage("Identity verification is required"),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await actionVerificationService.consume(req.body.actionToken, req.user.userId, "trust_device");
+
+    const device = await deviceService.setTrusted(req.user.userId, req.params.deviceId, true);
+
+    res.status(200).json({
+      status: "success",
+      message: "Device trusted. It will skip extra verification until the trust expires.",
+      code: "DEVICE_TRUSTED",
+      data: { device }
+    });
+  })
+);
+
+/**
+ * UNTRUST DEVICE
+ * DELETE /api/user/devices/:deviceId/trust
+ */
+router.delete("/devices/:deviceId/trust",
+  authenticateToken,
+  deviceIdRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const device = await deviceService.setTrusted(req.user.userId, req.params.deviceId, false);
+
+    res.status(200).json({
+      status: "success",
+      message: "Device is no longer trusted",
+      code: "DEVICE_UNTRUSTED",
+      data: { device }
+    });
+  })
+);
+
+/**
+ * REVOKE DEVICE
+ * DELETE /api/user/devices/:deviceId
+ * Removes the device and signs out every session opened on it
+ */
+router.delete("/devices/:deviceId",
+  authenticateToken,
+  deviceIdRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { sessionsRevoked } = await deviceService.revoke(req.user.userId, req.params.deviceId);
+    const currentDevice = req.params.deviceId === req.user.did;
+
+    if (currentDevice) {
+      clearSessionCookies(res);
     }
-  }
+
+    res.status(200).json({
+      status: "success",
+      message: currentDevice ? "This device was removed and signed out" : "Device removed and signed out",
+      code: "DEVICE_REVOKED",
+      data: { sessionsRevoked, currentDevice }
+    });
+  })
 );
 
-// ========== RFI (Request for Information) ROUTES ==========
+// ========== PREFERENCES & ACTIVITY ROUTES ==========
 
 /**
- * GET RFI DETAILS
- * GET /api/user/zoqq/rfi/:userId
- * Retrieves RFI (Request for Information) details for a user
+ * GET USER PREFERENCES
+ * GET /api/user/preferences
  */
-router.get("/zoqq/rfi/:userId",
+router.get("/preferences",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Preferences retrieved successfully",
+      code: "PREFERENCES_RETRIEVED",
+      data: {
+        preferences: {
+          ...user.preferences.toObject(),
+          notifications: user.notifications
+        }
+      }
+    });
+  })
+);
+
+/**
+ * UPDATE USER PREFERENCES
+ * PUT /api/user/preferences
+ */
+router.put("/preferences",
   authenticateToken,
-  extractZoqqToken,
+  sanitizeRequest,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    body("language")
+      .optional()
+      .isIn(User.schema.path("preferences.language").enumValues)
+      .withMessage("Unsupported language"),
+
+    body("currency")
+      .optional()
+      .matches(/^[A-Z]{3}$/)
+      .withMessage("Currency must be a 3-letter ISO code"),
+
+    body("timezone")
+      .optional()
+      .custom((value) => {
+        try {
+          new Intl.DateTimeFormat("en-US", { timeZone: value });
+          return true;
+        } catch (error) {
+          throw new Error("Unknown timezone");
+        }
+      }),
+
+    body("theme")
+      .optional()
+      .isIn(User.schema.path("preferences.theme").enumValues)
+      .withMessage("Theme must be light, dark or system"),
+
+    body("dateFormat")
+      .optional()
+      .isIn(User.schema.path("preferences.dateFormat").enumValues)
+      .withMessage("Unsupported date format"),
   ],
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      console.log(`[USER RFI] Retrieving RFI details for user: ${userId}`);
-
-      const result = await zoqqAuthService.getRFI(userId, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[USER RFI] RFI details retrieved successfully for: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: "RFI details retrieved successfully",
-          code: "RFI_RETRIEVED",
-          data: result.rfiData
-        });
-      } else {
-        throw new AppError("Failed to retrieve RFI details", 400, "RFI_GET_FAILED");
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+    const updatedFields = [];
+
+    for (const field of ["language", "currency", "timezone", "theme", "dateFormat"]) {
+      if (req.body[field] !== undefined && req.body[field] !== user.preferences[field]) {
+        user.preferences[field] = req.body[field];
+        updatedFields.push(field);
       }
-    } catch (error) {
-      console.error(`[USER RFI] Error retrieving RFI details:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to retrieve RFI details",
-        code: error.code || "RFI_GET_ERROR"
+    }
+
+    if (updatedFields.length > 0) {
+      await user.save();
+      activityService.record(user._id, "preferences", "preferences_updated", {
+        req,
+        metadata: { fields: updatedFields }
       });
     }
-  }
+
+    res.status(200).json({
+      status: "success",
+      message: "Preferences updated successfully",
+      code: "PREFERENCES_UPDATED",
+      data: {
+        preferences: {
+          ...user.preferences.toObject(),
+          notifications: user.notifications
+        },
+        updatedFields
+      }
+    });
+  })
 );
 
 /**
- * RESPOND TO RFI
- * POST /api/user/zoqq/rfi/:userId
- * Submits a response to an RFI request
+ * UPDATE NOTIFICATION SETTINGS
+ * PUT /api/user/notifications
  */
-router.post("/zoqq/rfi/:userId",
+router.put("/notifications",
   authenticateToken,
-  extractZoqqToken,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required"),
-    body("id").isLength({ min: 1 }).withMessage("RFI question ID required"),
-    body("type").isIn(['ADDRESS', 'DOCUMENT', 'TEXT']).withMessage("Valid response type required"),
-    
-    // Conditional validation based on type
-    body("address_line1").if(body("type").equals("ADDRESS")).isLength({ min: 5, max: 100 }).withMessage("Address line 1 required for ADDRESS type"),
-    body("country_code").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 2 }).withMessage("Country code required for ADDRESS type"),
-    body("postcode").if(body("type").equals("ADDRESS")).isLength({ min: 3, max: 10 }).withMessage("Postcode required for ADDRESS type"),
-    body("state").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("State required for ADDRESS type"),
-    body("suburb").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("Suburb required for ADDRESS type"),
-    
-    body("attachments").optional().isArray().withMessage("Attachments must be an array")
+    body(NOTIFICATION_CHANNELS)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Notification settings must be true or false"),
+
+    body()
+      .custom((value) => {
+        if (!NOTIFICATION_CHANNELS.some((channel) => value[channel] !== undefined)) {
+          throw new Error(`Provide at least one of: ${NOTIFICATION_CHANNELS.join(", ")}`);
+        }
+        return true;
+      }),
   ],
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      console.log(`[USER RFI] Responding to RFI for user: ${userId}`);
-
-      const result = await zoqqAuthService.respondToRFI(userId, req.body, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[USER RFI] RFI response submitted successfully for: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "RFI response submitted successfully",
-          code: "RFI_RESPONSE_SUBMITTED",
-          data: result.data
-        });
-      } else {
-        throw new AppError("Failed to submit RFI response", 400, "RFI_RESPONSE_FAILED");
+  asyncHandler(async (req, res) => {
+    const user = await findCurrentUser(req.user.userId);
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (req.body[channel] !== undefined) {
+        user.notifications[channel] = req.body[channel];
       }
-    } catch (error) {
-      console.error(`[USER RFI] Error submitting RFI response:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to submit RFI response",
-        code: error.code || "RFI_RESPONSE_ERROR"
+    }
+
+    if (user.isModified("notifications")) {
+      await user.save();
+      activityService.record(user._id, "preferences", "notifications_updated", {
+        req,
+        metadata: { notifications: user.notifications }
       });
     }
-  }
+
+    res.status(200).json({
+      status: "success",
+      message: "Notification settings updated successfully",
+      code: "NOTIFICATIONS_UPDATED",
+      data: {
+        notifications: user.notifications,
+        user: serializeProfile(user)
+      }
+    });
+  })
 );
 
-// ========== EXISTING USER ROUTES (ENHANCED) ==========
+/**
+ * GET USER ACTIVITY
+ * GET /api/user/activity?limit=20&offset=0&type=login
+ */
+router.get("/activity",
+  authenticateToken,
+  [
+    query("type")
+      .optional()
+      .isIn(activityService.types)
+      .withMessage(`Type must be one of: ${activityService.types.join(", ")}`),
+  ],
+  paginationRules(20),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit, offset, type } = req.query;
+    const { activities, total } = await activityService.list(req.user.userId, { type, limit, offset });
+
+    res.status(200).json({
+      status: "success",
+      message: "Activity retrieved successfully",
+      code: "ACTIVITY_RETRIEVED",
+      data: { activities, total, limit, offset }
+    });
+  })
+);
 
 /**
- * GET USER PROFILE - Enhanced with Zoqq Integration
- * GET /api/user/profile
- * Retrieves user profile with Zoqq account status
+ * GET NOTIFICATIONS
+ * GET /api/user/notifications/inbox?unread=true&limit=20&offset=0
  */
-router.get("/profile", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId).select("-password");
-    
-    if (!user) {
-      return res.status(404).json({
-        status: "error",
-        message: "User not found",
-        code: "USER_NOT_FOUND"
-      });
-    }
+router.get("/notifications/inbox",
+  authenticateToken,
+  [
+    query("unread")
+      .optional()
+      .isBoolean()
+      .withMessage("Unread must be true or false")
+      .toBoolean(),
+  ],
+  paginationRules(20),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { limit, offset, unread } = req.query;
+    const { notifications, total, unread: unreadCount } = await notificationService.list(req.user.userId, {
+      unreadOnly: unread === true,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Notifications retrieved successfully",
+      code: "NOTIFICATIONS_RETRIEVED",
+      data: { notifications, total, unread: unreadCount, limit, offset }
+    });
+  })
+);
+
+/**
+ * MARK NOTIFICATIONS AS READ
+ * POST /api/user/notifications/inbox/read
+ * Body: { ids: [...] } for specific notifications, or {} for all
+ */
+router.post("/notifications/inbox/read",
+  authenticateToken,
+  [
+    body("ids")
+      .optional()
+      .isArray({ min: 1, max: 100 })
+      .withMessage("ids must be an array of 1-100 notification IDs"),
 
-    // Include Zoqq status in response
-    const userProfile = {
-      id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      fullName: user.fullName,
-      accountStatus: user.accountStatus,
-      isVerified: user.isVerified,
-      profileCompleteness: user.profileCompleteness,
-      zoqqAccountId: user.zoqqAccountId,
-      hasZoqqAccount: !!user.zoqqAccountId,
-      termsAcceptedAt: user.termsAcceptedAt,
-      activatedAt: user.activatedAt,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    };
+    body("ids.*")
+      .isMongoId()
+      .withMessage("Invalid notification ID"),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const updated = await notificationService.markRead(req.user.userId, req.body.ids || null);
 
     res.status(200).json({
       status: "success",
-      message: "User profile retrieved successfully",
-      code: "PROFILE_RETRIEVED",
-      data: { user: userProfile }
+      message: "Notifications marked as read",
+      code: "NOTIFICATIONS_READ",
+      data: { updated }
     });
-  } catch (error) {
-    console.error("[USER PROFILE] Error retrieving profile:", error);
-    
-    res.status(500).json({
-      status: "error",
-      message: "Failed to retrieve user profile",
-      code: "PROFILE_GET_ERROR"
+  })
+);
+
+/**
+ * GET DASHBOARD DATA
+ * GET /api/user/dashboard
+ * Profile, account state, security summary and recent activity in one call
+ */
+router.get("/dashboard",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const [user, sessions, recent] = await Promise.all([
+      findCurrentUser(req.user.userId),
+      sessionService.listActiveForUser(req.user.userId),
+      activityService.list(req.user.userId, { limit: 5 })
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      message: "Dashboard data retrieved successfully",
+      code: "DASHBOARD_RETRIEVED",
+      data: {
+        dashboard: {
+          user: serializeProfile(user),
+          account: {
+            status: user.accountStatus,
+            accountNumber: user.accountNumber || null,
+            isVerified: user.isVerified,
+            kycStatus: user.kycStatus,
+            zoqqAccountStatus: user.zoqqAccountStatus,
+            hasZoqqAccount: !!user.zoqqAccountId,
+            onboardingComplete: user.zoqqAccountStatus === "active"
+          },
+          security: {
+            twoFactorEnabled: !!user.twoFactorEnabled,
+            lastLogin: user.lastLogin,
+            passwordChangedAt: user.passwordChangedAt,
+            activeSessions: sessions.length
+          },
+          preferences: user.preferences,
+          recentActivity: recent.activities
+        }
+      }
     });
-  }
-});
+  })
+);
 
 /**
  * Error handling middleware for this router
@@ -507,6 +1128,16 @@ router.use((error, req, res, next) => {
       code: error.code
     });
   }
+
+  // Schema validation failures from Mongoose
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((item) => ({ path: item.path, msg: item.message })),
+      code: "VALIDATION_ERROR"
+    });
+  }
   
   res.status(500).json({
     status: "error",
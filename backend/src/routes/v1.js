@@ -0,0 +1,17 @@
+/**
+ * API v1 Routes
+ * Everything served under /api/v1. A later version gets its own router mounting
+ * the same route modules, with versioned() handlers where behaviour differs
+ */
+
+const express = require('express');
+const onboardingRoutes = require('./onboarding');
+const { apiVersion } = require('../middleware/apiVersion');
+
+const router = express.Router();
+
+router.use(apiVersion('v1'));
+
+router.use('/onboarding', onboardingRoutes);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+/**
+ * Wallet Routes
+ * The signed-in customer's wallets: open one per currency, read balances with the
+ * available/pending breakdown, and freeze, unfreeze or close them
+ */
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const walletService = require("../services/walletService");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { authenticateToken, sanitizeRequest } = require("../middleware/security");
+const { LEDGER_CURRENCIES } = require("../config/ledger");
+
+const router = express.Router();
+
+// ========== VALIDATION MIDDLEWARE ==========
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation failed",
+      errors: errors.array(),
+      code: "VALIDATION_ERROR"
+    });
+  }
+  next();
+};
+
+const walletIdRules = [
+  param("walletId").isMongoId().withMessage("Invalid wallet ID"),
+];
+
+const reasonRules = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+/**
+ * Respond with a wallet after a lifecycle move
+ */
+const statusChange = (to, message, code) => [
+  authenticateToken,
+  sanitizeRequest,
+  walletIdRules,
+  reasonRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const wallet = await walletService.changeStatus(req.user.userId, req.params.walletId, to, {
+      reason: req.body.reason,
+      req
+    });
+
+    res.status(200).json({
+      status: "success",
+      message,
+      code,
+      data: walletService.serialize(wallet)
+    });
+  })
+];
+
+// ========== WALLETS ==========
+
+/**
+ * LIST WALLETS
+ * GET /api/wallets?includeClosed=true
+ */
+router.get("/",
+  authenticateToken,
+  [
+    query("includeClosed")
+      .optional()
+      .isBoolean()
+      .withMessage("includeClosed must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const wallets = await walletService.list(req.user.userId, { includeClosed: req.query.includeClosed });
+
+    res.status(200).json({
+      status: "success",
+      message: "Wallets retrieved successfully",
+      code: "WALLETS_RETRIEVED",
+      data: { wallets: wallets.map((wallet) => walletService.serialize(wallet)) }
+    });
+  })
+);
+
+/**
+ * OPEN WALLET
+ * POST /api/wallets
+ */
+router.post("/",
+  authenticateToken,
+  sanitizeRequest,
+  [
+    body("currency")
+      .trim()
+      .toUpperCase()
+      .isIn(Object.keys(LEDGER_CURRENCIES))
+      .withMessage(`Currency must be one of: ${Object.keys(LEDGER_CURRENCIES).join(", ")}`),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Name must be between 1 and 50 characters"),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const wallet = await walletService.open(req.user.userId, req.body.currency, { name: req.body.name, req });
+
+    res.status(201).json({
+      status: "success",
+      message: `${wallet.currency} wallet opened`,
+      code: "WALLET_OPENED",
+      data: walletService.serialize(wallet)
+    });
+  })
+);
+
+/**
+ * GET WALLET
+ * GET /api/wallets/:walletId
+ */
+router.get("/:walletId",
+  authenticateToken,
+  walletIdRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const wallet = await walletService.find(req.user.userId, req.params.walletId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Wallet retrieved successfully",
+      code: "WALLET_RETRIEVED",
+      data: { ...walletService.serialize(wallet), statusHistory: wallet.statusHistory }
+    });
+  })
+);
+
+/**
+ * GET WALLET BALANCE
+ * GET /api/wallets/:walletId/balance
+ */
+router.get("/:walletId/balance",
+  authenticateToken,
+  walletIdRules,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const wallet = await walletService.find(req.user.userId, req.params.walletId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Balance retrieved successfully",
+      code: "WALLET_BALANCE_RETRIEVED",
+      data: { walletId: wallet._id, status: wallet.status, ...walletService.describeBalance(wallet.accountId) }
+    });
+  })
+);
+
+/**
+ * FREEZE WALLET (incoming money still arrives; nothing can be paid out)
+ * POST /api/wallets/:walletId/freeze
+ */
+router.post("/:walletId/freeze", ...statusChange("frozen", "Wallet frozen", "WALLET_FROZEN"));
+
+/**
+ * UNFREEZE WALLET
+ * POST /api/wallets/:walletId/unfreeze
+ */
+router.post("/:walletId/unfreeze", ...statusChange("active", "Wallet unfrozen", "WALLET_UNFROZEN"));
+
+/**
+ * CLOSE WALLET (empty, non-primary wallets only)
+ * POST /api/wallets/:walletId/close
+ */
+router.post("/:walletId/close", ...statusChange("closed", "Wallet closed", "WALLET_CLOSED"));
+
+module.exports = router;
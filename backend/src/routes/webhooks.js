@@ -0,0 +1,46 @@
+/**
+ * Webhook Routes for StyloPay Banking Application
+ * Server-to-server callbacks from partners, authenticated by signature rather than JWT.
+ * Mounted before the JSON body parser: signatures are computed over the exact raw body.
+ */
+
+const express = require('express');
+const zoqqWebhookService = require('../services/zoqqWebhookService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * POST /api/webhooks/zoqq
+ * Zoqq account events (activation, RFI raised, suspension)
+ * 200 once the event is stored and handled (or already was); 5xx asks Zoqq to redeliver
+ */
+router.post('/zoqq',
+  express.raw({ type: '*/*', limit: '1mb' }),
+  asyncHandler(async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    const { event, duplicate } = await zoqqWebhookService.receive(rawBody, {
+      signature: req.get('X-Zoqq-Signature'),
+      timestamp: req.get('X-Zoqq-Timestamp')
+    });
+
+    if (event.status === 'failed') {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Webhook event stored but could not be processed',
+        code: 'WEBHOOK_PROCESSING_FAILED',
+        data: { eventId: event.eventId }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: duplicate ? 'Webhook event already received' : 'Webhook event received',
+      code: duplicate ? 'WEBHOOK_DUPLICATE' : 'WEBHOOK_RECEIVED',
+      data: { eventId: event.eventId, status: event.status }
+    });
+  })
+);
+
+module.exports = router;
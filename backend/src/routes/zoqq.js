@@ -1,102 +1,71 @@
 /**
  * Zoqq API Integration Routes
  * Comprehensive implementation of all Zoqq endpoints as per API documentation
- * Includes authentication, user management, onboarding, and RFI handling
+ * Includes authentication, KYC documents and integration status; the user management,
+ * onboarding and RFI routes are deprecated aliases of /api/v1/onboarding
  */
 
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
+const multer = require("multer");
+const { body, param } = require("express-validator");
 const User = require("../models/User");
 const zoqqAuthService = require("../services/zoqqAuth");
+const zoqqTokenManager = require("../services/zoqqTokenManager");
+const zoqqClient = require("../services/zoqqClient");
+const kycDocumentService = require("../services/kycDocumentService");
+const activityService = require("../services/activityService");
+const onboardingController = require("../controllers/onboardingController");
 const { AppError } = require("../middleware/errorHandler");
 const { authenticateToken } = require("../middleware/security");
+const { idempotent } = require("../middleware/idempotency");
+const { deprecated } = require("../middleware/apiVersion");
+const {
+  handleValidationErrors,
+  zoqqUserRules,
+  accountIdParamRules,
+  rfiResponseRules,
+  draftSaveRules
+} = require("../middleware/onboardingValidators");
+const { KYC_DOCUMENT_PURPOSES } = require("../config/kycDocuments");
+const { LEGACY_ONBOARDING_ROUTES } = require("../config/apiVersions");
 
 const router = express.Router();
 // zoqqAuthService is already instantiated as a singleton
 
-// ========== VALIDATION MIDDLEWARE ==========
-
 /**
- * Handle validation errors consistently
+ * Load the signed-in user or fail with 404
  */
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      status: "error",
-      message: "Validation failed",
-      errors: errors.array(),
-      code: "VALIDATION_ERROR"
-    });
-  }
-  next();
-};
-
-/**
- * Extract and validate Zoqq token from user's JWT
- */
-const extractZoqqToken = (req, res, next) => {
-  try {
-    const userToken = req.user;
-    if (!userToken || !userToken.zoqqToken) {
-      return res.status(401).json({
-        status: "error",
-        message: "Zoqq authentication required. Please login again.",
-        code: "ZOQQ_TOKEN_MISSING"
-      });
-    }
-    
-    // Check token expiration
-    if (userToken.zoqqExpiresAt && new Date(userToken.zoqqExpiresAt) < new Date()) {
-      return res.status(401).json({
-        status: "error",
-        message: "Zoqq token expired. Please login again.",
-        code: "ZOQQ_TOKEN_EXPIRED"
-      });
-    }
-    
-    req.zoqqToken = userToken.zoqqToken;
-    req.userId = userToken.userId;
-    next();
-  } catch (error) {
-    console.error('[ZOQQ ROUTES] Error extracting Zoqq token:', error);
-    return res.status(401).json({
-      status: "error",
-      message: "Invalid authentication token",
-      code: "INVALID_TOKEN"
-    });
+const findSignedInUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND");
   }
+  return user;
 };
 
 // ========== AUTHENTICATION ENDPOINTS ==========
 
 /**
- * GET ZOQQ TOKEN
+ * ENSURE ZOQQ SERVICE TOKEN
  * POST /api/zoqq/auth/token
- * Obtains a fresh Zoqq authentication token
+ * Makes sure the shared Zoqq service token is available; the token itself stays on the server
  */
 router.post("/auth/token", authenticateToken, async (req, res) => {
   try {
-    console.log('[ZOQQ AUTH] Requesting new Zoqq token...');
+    console.log('[ZOQQ AUTH] Checking shared Zoqq service token...');
     
-    const result = await zoqqAuthService.getZoqqToken();
+    await zoqqTokenManager.getToken();
+    const { expiresAt } = zoqqTokenManager.getStatus();
     
-    if (result.success) {
-      console.log('[ZOQQ AUTH] Token obtained successfully');
-      
-      res.status(200).json({
-        status: "success",
-        message: "Zoqq authentication token obtained successfully",
-        code: "TOKEN_OBTAINED",
-        data: {
-          token: result.token,
-          expires_at: result.expires_at,
-          valid_for_minutes: Math.floor((new Date(result.expires_at) - new Date()) / 60000)
-        }
-      });
-    } else {
-      throw new AppError("Failed to obtain Zoqq token", 401, "TOKEN_FAILED");
-    }
+    res.status(200).json({
+      status: "success",
+      message: "Zoqq service token is available",
+      code: "TOKEN_AVAILABLE",
+      data: {
+        expires_at: expiresAt,
+        valid_for_minutes: Math.floor((new Date(expiresAt) - new Date()) / 60000)
+      }
+    });
   } catch (error) {
     console.error('[ZOQQ AUTH] Token request failed:', error);
     
@@ -108,439 +77,322 @@ router.post("/auth/token", authenticateToken, async (req, res) => {
   }
 });
 
-// ========== USER MANAGEMENT ENDPOINTS ==========
+// ========== DEPRECATED ONBOARDING ROUTES ==========
+// Aliases of /api/v1/onboarding, answered by the same controller with Deprecation and Sunset headers.
+// Per-account routes only act on the signed-in user's own Zoqq account
+
+/**
+ * Mark a route as replaced by /api/v1/onboarding<path>
+ */
+const replacedBy = (path) => deprecated({ ...LEGACY_ONBOARDING_ROUTES, successor: `/api/v1/onboarding${path}` });
 
 /**
  * CREATE USER IN ZOQQ SYSTEM
- * POST /api/zoqq/user/create
- * Creates a comprehensive user account with business and personal details
+ * POST /api/zoqq/user/create -> POST /api/v1/onboarding/account
  */
 router.post("/user/create",
+  replacedBy("/account"),
   authenticateToken,
-  extractZoqqToken,
-  [
-    // Business Information
-    body("emailId").isEmail().normalizeEmail().withMessage("Valid email address is required"),
-    body("amount").isNumeric({ min: 0 }).withMessage("Amount must be a positive number"),
-    body("currency").isLength({ min: 3, max: 3 }).isAlpha().withMessage("Currency must be 3-letter code"),
-    body("businessName").isLength({ min: 2, max: 100 }).withMessage("Business name must be 2-100 characters"),
-    body("businessStructure").isIn(['COMPANY', 'PARTNERSHIP', 'SOLE_PROPRIETORSHIP', 'TRUST', 'OTHER']).withMessage("Valid business structure required"),
-    body("contactNumber").isMobilePhone().withMessage("Valid contact number required"),
-    
-    // Personal Information
-    body("firstName").isLength({ min: 1, max: 50 }).withMessage("First name is required (1-50 characters)"),
-    body("lastName").isLength({ min: 1, max: 50 }).withMessage("Last name is required (1-50 characters)"),
-    body("middleName").optional().isLength({ max: 50 }).withMessage("Middle name max 50 characters"),
-    body("dateOfBirth").isISO8601().withMessage("Valid date of birth required (YYYY-MM-DD)"),
-    body("nationality").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Nationality must be 2-letter country code"),
-    body("mobile").isMobilePhone().withMessage("Valid mobile number required"),
-    
-    // Identity Documents
-    body("identificationType").isIn(['Passport', 'National_ID', 'Driving_License']).withMessage("Valid identification type required"),
-    body("Idnumber").isLength({ min: 5, max: 20 }).withMessage("ID number required (5-20 characters)"),
-    body("issuingCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid issuing country code required"),
-    body("effectiveAt").isISO8601().withMessage("Valid effective date required (YYYY-MM-DD)"),
-    body("expireAt").isISO8601().withMessage("Valid expiry date required (YYYY-MM-DD)"),
-    
-    // Legal and Compliance
-    body("roles").isIn(['BENEFICIAL_OWNER', 'DIRECTOR', 'SIGNATORY', 'OTHER']).withMessage("Valid role required"),
-    body("legalEntityType").isIn(['BUSINESS', 'INDIVIDUAL']).withMessage("Valid legal entity type required"),
-    body("asTrustee").isBoolean().withMessage("asTrustee must be boolean"),
-    body("agreedToTermsAndConditions").isBoolean().withMessage("Terms and conditions agreement required"),
-    body("productReference").isIn([
-      'ACCEPT_ONLINE_PAYMENTS', 'COLLECT_MARKETPLACE_PROCEEDS', 'RECEIVE_TRANSFERS',
-      'GET_PAID', 'CONVERT_FUNDS', 'MAKE_TRANSFERS', 'CREATE_CARDS', 'MANAGE_EXPENSES',
-      'USE_AWX_API', 'TRANSFER_CNY_INBOUND'
-    ]).withMessage("Valid product reference required"),
-    
-    // Business Registration
-    body("type").isLength({ min: 1, max: 20 }).withMessage("Business registration type required"),
-    body("number").isLength({ min: 5, max: 20 }).withMessage("Business registration number required (5-20 characters)"),
-    body("descriptionOfGoodsOrServices").isLength({ min: 10, max: 500 }).withMessage("Service description required (10-500 characters)"),
-    body("industryCategoryCode").matches(/^ICCV3_[A-Z0-9]+$/).withMessage("Valid industry category code required (ICCV3_XXXXXX format)"),
-    body("operatingCountry").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid operating country code required"),
-    
-    // Addresses
-    body("registrationAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Registration address line 1 required (5-100 characters)"),
-    body("registrationAddressLine2").optional().isLength({ max: 100 }).withMessage("Registration address line 2 max 100 characters"),
-    body("registrationCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid registration country code required"),
-    body("registrationPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid registration postcode required (3-10 characters)"),
-    body("registrationState").isLength({ min: 2, max: 50 }).withMessage("Registration state required (2-50 characters)"),
-    body("registrationSuburb").isLength({ min: 2, max: 50 }).withMessage("Registration suburb required (2-50 characters)"),
-    
-    body("residentialAddressLine1").isLength({ min: 5, max: 100 }).withMessage("Residential address line 1 required (5-100 characters)"),
-    body("residentialCountryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid residential country code required"),
-    body("residentialPostcode").isLength({ min: 3, max: 10 }).withMessage("Valid residential postcode required (3-10 characters)"),
-    body("residentialState").isLength({ min: 2, max: 50 }).withMessage("Residential state required (2-50 characters)"),
-    body("residentialSuburb").isLength({ min: 2, max: 50 }).withMessage("Residential suburb required (2-50 characters)"),
-    
-    // Document Files
-    body("fileId").isLength({ min: 10 }).withMessage("Business document file ID required (minimum 10 characters)"),
-    body("tag").isIn([
-      'ACRA_COMPANY_PROFILE_DOCUMENT', 'ANNUAL_REPORT', 'ANNUAL_RETURN', 'ARTICLES_OF_ASSOCIATION',
-      'ASIC_CURRENT_COMPANY_EXTRACT', 'ASSUMED_NAME_CERTIFICATE', 'BUSINESS_LICENSE',
-      'CERTIFICATE_OF_INCORPORATION', 'CERTIFICATION_REGISTRATION', 'COMPANY_CERTIFICATE',
-      'COMPANY_CONSTITUTION', 'COMPANY_PROFILE', 'CONFIRMATION_STATEMENT', 'DIRECTOR_LIST',
-      'LEGAL_NAME_AND_ADDRESS', 'OPERATING_AGREEMENT', 'PARTNERSHIP_AGREEMENT',
-      'REGISTRATION_CERTIFICATE', 'SHAREHOLDING_STRUCTURE_CHART', 'SUPPORTIVE_OTHER',
-      'TRUST_DEED', 'UNIT_HOLDER_REGISTER', 'UBO_SUPPORTIVE', 'THIRD_PARTY_SHAREHOLDING_DOCUMENT'
-    ]).withMessage("Valid business document tag required"),
-    
-    body("frontFileId").isLength({ min: 10 }).withMessage("ID document front file ID required (minimum 10 characters)"),
-    body("personDocumentsFileId").isLength({ min: 10 }).withMessage("Person documents file ID required (minimum 10 characters)"),
-    body("personDocumentsTag").isLength({ min: 1 }).withMessage("Person documents tag required"),
-    body("liveSelfieFileId").isLength({ min: 10 }).withMessage("Live selfie file ID required (minimum 10 characters)"),
-    body("countryCode").isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid country code required (2-letter code)"),
-  ],
+  zoqqUserRules(),
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      console.log(`[ZOQQ USER] Creating user account for: ${req.body.emailId}`);
-      
-      // Check if user already exists locally
-      const existingUser = await User.findOne({ email: req.body.emailId.toLowerCase() });
-      if (existingUser && existingUser.zoqqAccountId) {
-        return res.status(409).json({
-          status: "error",
-          message: "User already has a Zoqq account",
-          code: "USER_EXISTS",
-          data: { accountId: existingUser.zoqqAccountId }
-        });
-      }
-
-      // Validate date logic
-      const effectiveDate = new Date(req.body.effectiveAt);
-      const expiryDate = new Date(req.body.expireAt);
-      const birthDate = new Date(req.body.dateOfBirth);
-      const today = new Date();
-
-      if (effectiveDate >= expiryDate) {
-        return res.status(400).json({
-          status: "error",
-          message: "ID document expiry date must be after effective date",
-          code: "INVALID_DATE_RANGE"
-        });
-      }
-
-      if (birthDate >= today) {
-        return res.status(400).json({
-          status: "error",
-          message: "Date of birth must be in the past",
-          code: "INVALID_BIRTH_DATE"
-        });
-      }
-
-      // Create user in Zoqq system
-      const result = await zoqqAuthService.createUser(req.body, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record
-        if (existingUser) {
-          existingUser.zoqqAccountId = result.accountId;
-          existingUser.accountStatus = 'zoqq_created';
-          existingUser.updatedAt = new Date();
-          await existingUser.save();
-        } else {
-          // Create new local user record
-          const newUser = new User({
-            email: req.body.emailId.toLowerCase(),
-            firstName: req.body.firstName,
-            lastName: req.body.lastName,
-            zoqqAccountId: result.accountId,
-            accountStatus: 'zoqq_created'
-          });
-          await newUser.save();
-        }
-
-        console.log(`[ZOQQ USER] User created successfully with account ID: ${result.accountId}`);
-        
-        res.status(201).json({
-          status: "success",
-          message: "User account created successfully in Zoqq system",
-          code: "USER_CREATED",
-          data: {
-            accountId: result.accountId,
-            status: result.status,
-            message: result.message,
-            next_steps: [
-              "Accept Terms and Conditions",
-              "Submit for Account Activation",
-              "Complete any required RFI (Request for Information)"
-            ]
-          }
-        });
-      } else {
-        throw new AppError("Failed to create user in Zoqq system", 400, "ZOQQ_CREATE_FAILED");
-      }
-    } catch (error) {
-      console.error(`[ZOQQ USER] User creation failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to create user account",
-        code: error.code || "USER_CREATE_ERROR"
-      });
-    }
-  }
+  idempotent(),
+  onboardingController.createAccount
 );
 
 /**
  * GET USER DETAILS
- * GET /api/zoqq/user/:userId
- * Retrieves comprehensive user details from Zoqq system
+ * GET /api/zoqq/user/:userId -> GET /api/v1/onboarding/account
  */
 router.get("/user/:userId",
+  replacedBy("/account"),
   authenticateToken,
-  extractZoqqToken,
-  [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
-  ],
+  accountIdParamRules,
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      console.log(`[ZOQQ USER] Retrieving user details for: ${userId}`);
-
-      const result = await zoqqAuthService.getUser(userId, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[ZOQQ USER] User details retrieved successfully`);
-        
-        res.status(200).json({
-          status: "success",
-          message: "User details retrieved successfully",
-          code: "USER_RETRIEVED",
-          data: result.userData
-        });
-      } else {
-        throw new AppError("Failed to retrieve user details", 400, "USER_GET_FAILED");
-      }
-    } catch (error) {
-      console.error(`[ZOQQ USER] User retrieval failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to retrieve user details",
-        code: error.code || "USER_GET_ERROR"
-      });
-    }
-  }
+  onboardingController.getAccount
 );
 
 /**
  * ACCEPT TERMS AND CONDITIONS
- * POST /api/zoqq/user/:userId/terms
- * Accepts terms and conditions for the user account
+ * POST /api/zoqq/user/:userId/terms -> POST /api/v1/onboarding/account/terms
  */
 router.post("/user/:userId/terms",
+  replacedBy("/account/terms"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.acceptTerms
+);
+
+/**
+ * ACTIVATE ACCOUNT
+ * POST /api/zoqq/user/:userId/activate -> POST /api/v1/onboarding/account/activate
+ */
+router.post("/user/:userId/activate",
+  replacedBy("/account/activate"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.activate
+);
+
+/**
+ * GET RFI DETAILS
+ * GET /api/zoqq/user/:userId/rfi -> GET /api/v1/onboarding/account/rfi
+ */
+router.get("/user/:userId/rfi",
+  replacedBy("/account/rfi"),
+  authenticateToken,
+  accountIdParamRules,
+  handleValidationErrors,
+  onboardingController.getRFI
+);
+
+/**
+ * RESPOND TO RFI
+ * POST /api/zoqq/user/:userId/rfi -> POST /api/v1/onboarding/account/rfi
+ */
+router.post("/user/:userId/rfi",
+  replacedBy("/account/rfi"),
+  authenticateToken,
+  accountIdParamRules,
+  rfiResponseRules,
+  handleValidationErrors,
+  idempotent(),
+  onboardingController.respondToRFI
+);
+
+/**
+ * GET ONBOARDING STATE
+ * GET /api/zoqq/onboarding -> GET /api/v1/onboarding
+ */
+router.get("/onboarding", replacedBy(""), authenticateToken, onboardingController.getState);
+
+/**
+ * GET ONBOARDING DRAFT
+ * GET /api/zoqq/onboarding/draft -> GET /api/v1/onboarding/draft
+ */
+router.get("/onboarding/draft", replacedBy("/draft"), authenticateToken, onboardingController.getDraft);
+
+/**
+ * SAVE ONBOARDING DRAFT
+ * PUT /api/zoqq/onboarding/draft -> PUT /api/v1/onboarding/draft
+ */
+router.put("/onboarding/draft",
+  replacedBy("/draft"),
+  authenticateToken,
+  draftSaveRules,
+  handleValidationErrors,
+  onboardingController.saveDraft
+);
+
+/**
+ * SUBMIT ONBOARDING DRAFT
+ * POST /api/zoqq/onboarding/draft/submit -> POST /api/v1/onboarding/draft/submit
+ */
+router.post("/onboarding/draft/submit",
+  replacedBy("/draft/submit"),
+  authenticateToken,
+  idempotent(),
+  onboardingController.submitDraft
+);
+
+// ========== KYC DOCUMENT ENDPOINTS ==========
+
+// Documents are held in memory until their content has been checked
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: kycDocumentService.maxBytes, files: 1, fields: 5 }
+});
+
+/**
+ * Parse a single "document" file and map upload errors to AppErrors
+ */
+const uploadKycDocument = (req, res, next) => {
+  documentUpload.single("document")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === "LIMIT_FILE_SIZE"
+        ? new AppError(`Document must be smaller than ${Math.round(kycDocumentService.maxBytes / 1024)}KB`, 413, "FILE_TOO_LARGE")
+        : new AppError(error.message, 400, "UPLOAD_ERROR"));
+    }
+    next(error);
+  });
+};
+
+/**
+ * Respond with a KYC route error
+ */
+const sendKycError = (res, error, fallbackMessage, fallbackCode) => {
+  console.error('[KYC DOCUMENTS] Request failed:', error.message);
+
+  res.status(error.statusCode || 500).json({
+    status: "error",
+    message: error.message || fallbackMessage,
+    code: error.code || fallbackCode
+  });
+};
+
+/**
+ * UPLOAD KYC DOCUMENT
+ * POST /api/zoqq/kyc/documents
+ * Multipart: "document" (JPEG, PNG or PDF), "purpose" and an optional Zoqq "tag".
+ * The document is stored, then forwarded to Zoqq; its zoqqFileId fills the create-user field for the purpose
+ */
+router.post("/kyc/documents",
   authenticateToken,
-  extractZoqqToken,
+  uploadKycDocument,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    body("purpose").isIn(Object.keys(KYC_DOCUMENT_PURPOSES)).withMessage(`Purpose must be one of: ${Object.keys(KYC_DOCUMENT_PURPOSES).join(", ")}`),
+    body("tag").optional().matches(/^[A-Z][A-Z0-9_]{2,63}$/).withMessage("Tag must be an uppercase Zoqq document tag")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { userId } = req.params;
-      console.log(`[ZOQQ TERMS] Accepting terms for user: ${userId}`);
-
-      const result = await zoqqAuthService.acceptTermsAndConditions(userId, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record
-        const user = await User.findOne({ zoqqAccountId: userId });
-        if (user) {
-          user.termsAcceptedAt = new Date();
-          user.accountStatus = 'terms_accepted';
-          user.updatedAt = new Date();
-          await user.save();
-        }
+      const user = await findSignedInUser(req.user.userId);
+      const document = await kycDocumentService.upload(user, { purpose: req.body.purpose, tag: req.body.tag }, req.file);
 
-        console.log(`[ZOQQ TERMS] Terms accepted successfully for user: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "Terms and conditions accepted successfully",
-          code: "TERMS_ACCEPTED",
-          data: {
-            acceptedAt: new Date().toISOString(),
-            nextStep: "Account ready for activation"
-          }
-        });
-      } else {
-        throw new AppError("Failed to accept terms and conditions", 400, "TERMS_ACCEPT_FAILED");
-      }
-    } catch (error) {
-      console.error(`[ZOQQ TERMS] Terms acceptance failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to accept terms and conditions",
-        code: error.code || "TERMS_ACCEPT_ERROR"
+      activityService.record(user._id, "account", "kyc_document_uploaded", {
+        req,
+        metadata: { documentId: document._id, purpose: document.purpose, status: document.status }
       });
+
+      const forwarded = document.status === "forwarded";
+
+      res.status(201).json({
+        status: "success",
+        message: forwarded
+          ? "Document uploaded successfully"
+          : "Document saved, but could not be sent to Zoqq. Please retry",
+        code: forwarded ? "KYC_DOCUMENT_UPLOADED" : "KYC_DOCUMENT_FORWARD_FAILED",
+        data: {
+          document: kycDocumentService.serialize(document),
+          fileIds: kycDocumentService.fileIds(user)
+        }
+      });
+    } catch (error) {
+      sendKycError(res, error, "Failed to upload document", "KYC_DOCUMENT_UPLOAD_ERROR");
     }
   }
 );
 
 /**
- * ACTIVATE ACCOUNT
- * POST /api/zoqq/user/:userId/activate
- * Activates the user account for full access
+ * LIST KYC DOCUMENTS
+ * GET /api/zoqq/kyc/documents
+ * The signed-in user's documents and the Zoqq file IDs they provide so far
  */
-router.post("/user/:userId/activate",
+router.get("/kyc/documents", authenticateToken, async (req, res) => {
+  try {
+    const user = await findSignedInUser(req.user.userId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Documents retrieved successfully",
+      code: "KYC_DOCUMENTS_RETRIEVED",
+      data: {
+        kycStatus: user.kycStatus,
+        documents: user.kycDocuments.map((document) => kycDocumentService.serialize(document)),
+        fileIds: kycDocumentService.fileIds(user)
+      }
+    });
+  } catch (error) {
+    sendKycError(res, error, "Failed to retrieve documents", "KYC_DOCUMENTS_GET_ERROR");
+  }
+});
+
+/**
+ * RETRY KYC DOCUMENT FORWARDING
+ * POST /api/zoqq/kyc/documents/:documentId/forward
+ * Sends a stored document to Zoqq again after a failed upload
+ */
+router.post("/kyc/documents/:documentId/forward",
   authenticateToken,
-  extractZoqqToken,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    param("documentId").isMongoId().withMessage("Valid document ID required")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { userId } = req.params;
-      console.log(`[ZOQQ ACTIVATE] Activating account for user: ${userId}`);
-
-      const result = await zoqqAuthService.activateAccount(userId, req.zoqqToken);
-      
-      if (result.success) {
-        // Update local user record
-        const user = await User.findOne({ zoqqAccountId: userId });
-        if (user) {
-          user.accountStatus = 'active';
-          user.isVerified = true;
-          user.activatedAt = new Date();
-          user.updatedAt = new Date();
-          await user.save();
-        }
+      const user = await findSignedInUser(req.user.userId);
+      const document = await kycDocumentService.retryForward(user, req.params.documentId);
 
-        console.log(`[ZOQQ ACTIVATE] Account activated successfully for user: ${userId}`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "Account activated successfully",
-          code: "ACCOUNT_ACTIVATED",
-          data: {
-            activatedAt: new Date().toISOString(),
-            status: "active",
-            message: "Account is now fully operational"
-          }
-        });
-      } else {
-        throw new AppError("Failed to activate account", 400, "ACTIVATION_FAILED");
+      if (document.status !== "forwarded") {
+        throw new AppError(document.failureReason || "Zoqq upload failed", 502, "KYC_DOCUMENT_FORWARD_FAILED");
       }
-    } catch (error) {
-      console.error(`[ZOQQ ACTIVATE] Account activation failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to activate account",
-        code: error.code || "ACTIVATION_ERROR"
+
+      res.status(200).json({
+        status: "success",
+        message: "Document sent to Zoqq",
+        code: "KYC_DOCUMENT_FORWARDED",
+        data: {
+          document: kycDocumentService.serialize(document),
+          fileIds: kycDocumentService.fileIds(user)
+        }
       });
+    } catch (error) {
+      sendKycError(res, error, "Failed to send document to Zoqq", "KYC_DOCUMENT_FORWARD_ERROR");
     }
   }
 );
 
-// ========== RFI (REQUEST FOR INFORMATION) ENDPOINTS ==========
-
 /**
- * GET RFI DETAILS
- * GET /api/zoqq/user/:userId/rfi
- * Retrieves RFI (Request for Information) details for compliance
+ * DOWNLOAD KYC DOCUMENT
+ * GET /api/zoqq/kyc/documents/:documentId/file
+ * Documents are never served statically; only their owner can read them back
  */
-router.get("/user/:userId/rfi",
+router.get("/kyc/documents/:documentId/file",
   authenticateToken,
-  extractZoqqToken,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required")
+    param("documentId").isMongoId().withMessage("Valid document ID required")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { userId } = req.params;
-      console.log(`[ZOQQ RFI] Retrieving RFI details for user: ${userId}`);
-
-      const result = await zoqqAuthService.getRFI(userId, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[ZOQQ RFI] RFI details retrieved successfully`);
-        
-        res.status(200).json({
-          status: "success",
-          message: "RFI details retrieved successfully",
-          code: "RFI_RETRIEVED",
-          data: result.rfiData
-        });
-      } else {
-        throw new AppError("Failed to retrieve RFI details", 400, "RFI_GET_FAILED");
-      }
-    } catch (error) {
-      console.error(`[ZOQQ RFI] RFI retrieval failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to retrieve RFI details",
-        code: error.code || "RFI_GET_ERROR"
+      const user = await findSignedInUser(req.user.userId);
+      const { document, buffer } = await kycDocumentService.read(user, req.params.documentId);
+
+      res.set({
+        "Content-Type": document.mimeType,
+        "Content-Disposition": `attachment; filename="${document.originalName}"`,
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff"
       });
+      res.status(200).send(buffer);
+    } catch (error) {
+      sendKycError(res, error, "Failed to read document", "KYC_DOCUMENT_GET_ERROR");
     }
   }
 );
 
 /**
- * RESPOND TO RFI
- * POST /api/zoqq/user/:userId/rfi
- * Submits response to RFI request with supporting documentation
+ * DELETE KYC DOCUMENT
+ * DELETE /api/zoqq/kyc/documents/:documentId
+ * Only documents not yet submitted with a Zoqq application can be deleted
  */
-router.post("/user/:userId/rfi",
+router.delete("/kyc/documents/:documentId",
   authenticateToken,
-  extractZoqqToken,
   [
-    param("userId").isLength({ min: 1 }).withMessage("Valid user ID required"),
-    body("id").isLength({ min: 1 }).withMessage("RFI question ID required"),
-    body("type").isIn(['ADDRESS', 'DOCUMENT', 'TEXT']).withMessage("Valid response type required"),
-    
-    // Conditional validation based on response type
-    body("address_line1").if(body("type").equals("ADDRESS")).isLength({ min: 5, max: 100 }).withMessage("Address line 1 required for ADDRESS type (5-100 characters)"),
-    body("address_line2").if(body("type").equals("ADDRESS")).optional().isLength({ max: 100 }).withMessage("Address line 2 max 100 characters"),
-    body("country_code").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 2 }).isAlpha().withMessage("Valid country code required for ADDRESS type"),
-    body("postcode").if(body("type").equals("ADDRESS")).isLength({ min: 3, max: 10 }).withMessage("Valid postcode required for ADDRESS type (3-10 characters)"),
-    body("state").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("State required for ADDRESS type (2-50 characters)"),
-    body("suburb").if(body("type").equals("ADDRESS")).isLength({ min: 2, max: 50 }).withMessage("Suburb required for ADDRESS type (2-50 characters)"),
-    
-    body("attachments").optional().isArray().withMessage("Attachments must be an array if provided"),
-    body("attachments.*.file_id").if(body("attachments").exists()).isLength({ min: 10 }).withMessage("Each attachment must have a valid file ID (minimum 10 characters)")
+    param("documentId").isMongoId().withMessage("Valid document ID required")
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { userId } = req.params;
-      console.log(`[ZOQQ RFI] Submitting RFI response for user: ${userId}`);
-
-      const result = await zoqqAuthService.respondToRFI(userId, req.body, req.zoqqToken);
-      
-      if (result.success) {
-        console.log(`[ZOQQ RFI] RFI response submitted successfully`);
-        
-        res.status(200).json({
-          status: "success",
-          message: result.message || "RFI response submitted successfully",
-          code: "RFI_RESPONSE_SUBMITTED",
-          data: {
-            submittedAt: new Date().toISOString(),
-            rfiId: req.body.id,
-            responseType: req.body.type,
-            ...result.data
-          }
-        });
-      } else {
-        throw new AppError("Failed to submit RFI response", 400, "RFI_RESPONSE_FAILED");
-      }
-    } catch (error) {
-      console.error(`[ZOQQ RFI] RFI response failed:`, error);
-      
-      res.status(error.statusCode || 500).json({
-        status: "error",
-        message: error.message || "Failed to submit RFI response",
-        code: error.code || "RFI_RESPONSE_ERROR"
+      const user = await findSignedInUser(req.user.userId);
+      await kycDocumentService.remove(user, req.params.documentId);
+
+      activityService.record(user._id, "account", "kyc_document_removed", {
+        req,
+        metadata: { documentId: req.params.documentId }
       });
+
+      res.status(200).json({
+        status: "success",
+        message: "Document deleted",
+        code: "KYC_DOCUMENT_DELETED",
+        data: { fileIds: kycDocumentService.fileIds(user) }
+      });
+    } catch (error) {
+      sendKycError(res, error, "Failed to delete document", "KYC_DOCUMENT_DELETE_ERROR");
     }
   }
 );
@@ -562,16 +414,18 @@ router.get("/status", authenticateToken, async (req, res) => {
       last_check: new Date().toISOString()
     };
 
-          if (zoqqAuthService.zoqqEnabled) {
+    if (zoqqAuthService.zoqqEnabled) {
       try {
-        // Test connectivity by getting a token
-        const tokenResult = await zoqqAuthService.getZoqqToken();
-        status.service_available = tokenResult.success;
-        status.token_expires_at = tokenResult.expires_at;
+        // Only logs in to Zoqq when the cached service token is missing or due for refresh
+        await zoqqTokenManager.getToken();
+        status.service_available = zoqqClient.getCircuitState().state !== 'open';
       } catch (error) {
         status.service_available = false;
         status.error = error.message;
       }
+
+      status.token = zoqqTokenManager.getStatus();
+      status.circuit_breaker = zoqqClient.getCircuitState();
     }
 
     res.status(200).json({
@@ -0,0 +1,122 @@
+/**
+ * Action Verification Service
+ * Step-up re-authentication for sensitive operations: the user re-enters their
+ * password (and a 2FA code when enabled, unless on a trusted device) to obtain
+ * a short-lived, single-use token bound to one action
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const tokenRevocation = require('./tokenRevocation');
+const twoFactorService = require('./twoFactorService');
+const deviceService = require('./deviceService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Operations that require a fresh verification
+const SENSITIVE_ACTIONS = ['delete_account', 'change_email', 'view_sensitive_data', 'update_security_settings', 'trust_device'];
+
+class ActionVerificationService {
+  constructor() {
+    this.tokenTtl = '5m';
+    this.jwtSecret = process.env.JWT_SECRET || 'stylopay-default-secret-key-change-in-production';
+    this.actions = SENSITIVE_ACTIONS;
+  }
+
+  /**
+   * Re-check the user's credentials and issue an action token
+   * @param {string} userId - User ID
+   * @param {Object} input - { action, password, code, recoveryCode, deviceId }
+   * @returns {Promise<Object>} { actionToken, action, expiresAt, secondFactor }
+   * @throws {AppError} If the password or second factor is wrong
+   */
+  async verify(userId, { action, password, code, recoveryCode, deviceId = null }) {
+    const user = await twoFactorService.findUserWithSecrets(userId);
+
+    if (!(await user.comparePassword(password))) {
+      // 400 rather than 401 so clients do not treat it as an expired session
+      throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+
+    // Trusted devices only need the password; trusting a device always needs the second factor
+    const trustedDevice = action !== 'trust_device'
+      && deviceService.isTrusted(deviceId && user.registeredDevices.id(deviceId));
+    let secondFactor = null;
+
+    if (user.twoFactorEnabled && trustedDevice) {
+      secondFactor = 'trusted_device';
+    } else if (user.twoFactorEnabled) {
+      if (!code && !recoveryCode) {
+        throw new AppError('Two-factor verification code is required', 400, 'TWO_FACTOR_REQUIRED');
+      }
+
+      // Claims the step / recovery code in the database so it cannot be replayed
+      secondFactor = await twoFactorService.consumeSecondFactor(user, { code, recoveryCode });
+      if (!secondFactor) {
+        throw new AppError('Invalid verification code', 400, 'TWO_FACTOR_INVALID');
+      }
+    }
+
+    // Its own audience and tokenType keep it from passing as a login session (authenticateToken)
+    const actionToken = jwt.sign(
+      {
+        userId: user._id.toString(),
+        action,
+        tokenType: 'action_verification'
+      },
+      this.jwtSecret,
+      {
+        jwtid: crypto.randomUUID(),
+        expiresIn: this.tokenTtl,
+        issuer: 'stylopay-backend',
+        audience: 'stylopay-action'
+      }
+    );
+
+    const { exp } = jwt.decode(actionToken);
+
+    console.log(`[ACTION VERIFICATION] Verified ${action} for user: ${user.email}`);
+
+    return {
+      actionToken,
+      action,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      secondFactor
+    };
+  }
+
+  /**
+   * Check an action token and mark it used
+   * @param {string} actionToken - Token returned by verify()
+   * @param {string} userId - User performing the action
+   * @param {string} action - Action being performed
+   * @returns {Promise<Object>} Decoded payload
+   * @throws {AppError} If the token is invalid, expired, used or for another action
+   */
+  async consume(actionToken, userId, action) {
+    let payload;
+
+    try {
+      payload = jwt.verify(actionToken, this.jwtSecret, {
+        issuer: 'stylopay-backend',
+        audience: 'stylopay-action'
+      });
+    } catch (error) {
+      throw new AppError('Verification has expired. Please confirm your identity again.', 403, 'ACTION_VERIFICATION_REQUIRED');
+    }
+
+    if (
+      payload.tokenType !== 'action_verification'
+      || payload.userId !== userId.toString()
+      || payload.action !== action
+      || await tokenRevocation.isRevoked(payload)
+    ) {
+      throw new AppError('Verification has expired. Please confirm your identity again.', 403, 'ACTION_VERIFICATION_REQUIRED');
+    }
+
+    await tokenRevocation.revokeToken(payload, 'action_completed');
+    return payload;
+  }
+}
+
+// Export singleton instance
+module.exports = new ActionVerificationService();
@@ -0,0 +1,90 @@
+/**
+ * Activity Service
+ * Records account and security activity and serves the per-user activity feed
+ */
+
+const ActivityLog = require('../models/ActivityLog');
+
+// Activity types that make up the security events feed
+const SECURITY_TYPES = ['login', 'security'];
+
+class ActivityService {
+  constructor() {
+    this.types = ActivityLog.schema.path('type').enumValues;
+  }
+
+  /**
+   * Record an activity entry
+   * Failures are logged and swallowed: auditing must never break the request it describes
+   * @param {string} userId - User ID
+   * @param {string} type - Activity type (login, security, profile, preferences, account)
+   * @param {string} action - Specific event, e.g. password_changed
+   * @param {Object} context - { req, ip, userAgent, description, metadata }
+   * @returns {Promise<Object|null>} Created entry, or null if it could not be written
+   */
+  async record(userId, type, action, { req = null, ip = null, userAgent = null, description, metadata } = {}) {
+    try {
+      return await ActivityLog.create({
+        userId,
+        type,
+        action,
+        description,
+        ip: ip || req?.ip || null,
+        userAgent: userAgent || req?.get?.('User-Agent') || null,
+        metadata
+      });
+    } catch (error) {
+      console.error(`[ACTIVITY] Failed to record ${action} for user: ${userId} - ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List activity for a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { type, types, limit, offset }
+   * @returns {Promise<Object>} { activities, total }
+   */
+  async list(userId, { type = null, types = null, limit = 20, offset = 0 } = {}) {
+    const filter = { userId };
+
+    if (type) {
+      filter.type = type;
+    } else if (types) {
+      filter.type = { $in: types };
+    }
+
+    const [activities, total] = await Promise.all([
+      ActivityLog.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      ActivityLog.countDocuments(filter)
+    ]);
+
+    return {
+      activities: activities.map((entry) => ({
+        id: entry._id,
+        type: entry.type,
+        action: entry.action,
+        description: entry.description || null,
+        ip: entry.ip || null,
+        userAgent: entry.userAgent || null,
+        metadata: entry.metadata || {},
+        createdAt: entry.createdAt
+      })),
+      total
+    };
+  }
+
+  /**
+   * List login and security events for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { events, total }
+   */
+  async listSecurityEvents(userId, { limit = 10, offset = 0 } = {}) {
+    const { activities, total } = await this.list(userId, { types: SECURITY_TYPES, limit, offset });
+    return { events: activities, total };
+  }
+}
+
+// Export singleton instance
+module.exports = new ActivityService();
@@ -0,0 +1,109 @@
+/**
+ * Bank Details Service
+ * Format and checksum checks for payee bank details: IBAN (mod-97), UK sort code,
+ * US ABA routing number and SWIFT/BIC. These catch typos before a payout is attempted;
+ * they cannot prove that an account exists
+ */
+
+const {
+  IBAN_LENGTHS,
+  BANK_DETAIL_SCHEMES,
+  COUNTRY_SCHEMES
+} = require('../config/beneficiaries');
+
+const SWIFT_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+// Account number formats by scheme; IBAN payees carry the account inside the IBAN
+const ACCOUNT_NUMBER_PATTERNS = {
+  sort_code: /^\d{8}$/,
+  aba: /^\d{4,17}$/,
+  swift: /^[A-Z0-9]{1,34}$/
+};
+
+class BankDetailsService {
+  /**
+   * Upper-case a bank identifier and drop spaces and dashes, as people type them
+   */
+  normalize(value) {
+    return typeof value === 'string' ? value.replace(/[\s-]/g, '').toUpperCase() : value;
+  }
+
+  /**
+   * Which bank details a payee in a country needs
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @returns {string} Scheme name (iban, sort_code, aba or swift)
+   */
+  schemeFor(country) {
+    if (COUNTRY_SCHEMES[country]) {
+      return COUNTRY_SCHEMES[country];
+    }
+    return IBAN_LENGTHS[country] ? 'iban' : 'swift';
+  }
+
+  /**
+   * Fields required for a payee in a country
+   */
+  requiredFields(country) {
+    return BANK_DETAIL_SCHEMES[this.schemeFor(country)];
+  }
+
+  /**
+   * IBAN check: registered country length, then mod-97 over the rearranged digits
+   * @param {string} iban - Normalized IBAN
+   * @returns {boolean}
+   */
+  isValidIban(iban) {
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) {
+      return false;
+    }
+
+    // Letters count as 10-35; the running remainder keeps the number small
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const digits = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+      for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * UK sort code: six digits (branch-level modulus tables are the bank's to check)
+   */
+  isValidSortCode(sortCode) {
+    return /^\d{6}$/.test(sortCode);
+  }
+
+  /**
+   * ABA routing number: nine digits whose 3-7-1 weighted sum is a multiple of 10
+   */
+  isValidAbaRouting(routingNumber) {
+    if (!/^\d{9}$/.test(routingNumber)) {
+      return false;
+    }
+
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = weights.reduce((total, weight, index) => total + weight * Number(routingNumber[index]), 0);
+    return sum % 10 === 0;
+  }
+
+  /**
+   * SWIFT/BIC: bank (4 letters), country (2 letters), location (2), optional branch (3)
+   */
+  isValidSwift(swiftCode) {
+    return SWIFT_PATTERN.test(swiftCode);
+  }
+
+  /**
+   * Account number format for a country's scheme
+   */
+  isValidAccountNumber(country, accountNumber) {
+    const pattern = ACCOUNT_NUMBER_PATTERNS[this.schemeFor(country)];
+    return pattern ? pattern.test(accountNumber) : true;
+  }
+}
+
+// Export singleton instance
+module.exports = new BankDetailsService();
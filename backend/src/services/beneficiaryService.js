@@ -0,0 +1,615 @@
+/**
+ * Beneficiary Service
+ * Saved payees for external payouts through Zoqq (MAKE_TRANSFERS). Adding a payee
+ * or changing where it is paid starts a cooling-off period during which large
+ * payouts to it are refused, so a hijacked session cannot empty a wallet at once
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const Beneficiary = require('../models/Beneficiary');
+const JournalEntry = require('../models/JournalEntry');
+const bankDetailsService = require('./bankDetailsService');
+const ledgerService = require('./ledgerService');
+const activityService = require('./activityService');
+const notificationService = require('./notificationService');
+const zoqqAuthService = require('./zoqqAuth');
+const { AppError } = require('../middleware/errorHandler');
+const { LEDGER_CURRENCIES, toMinorUnits, fromMinorUnits } = require('../config/ledger');
+const {
+  BANK_DETAIL_SCHEMES,
+  BENEFICIARY_COOLING_OFF_HOURS,
+  BENEFICIARY_LARGE_AMOUNTS,
+  MAX_BENEFICIARIES_PER_USER
+} = require('../config/beneficiaries');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class BeneficiaryService {
+  // ========== BANK DETAILS ==========
+
+  /**
+   * The bank details a payee keeps: its scheme's required fields plus SWIFT and bank name
+   * Values are expected to have passed the route's checks already
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @param {Object} details - Submitted bank details
+   * @returns {Object} Normalized bank details with their scheme
+   */
+  bankDetails(country, details = {}) {
+    const scheme = bankDetailsService.schemeFor(country);
+    const result = { scheme };
+
+    for (const field of [...BANK_DETAIL_SCHEMES[scheme], 'swiftCode']) {
+      if (details[field]) {
+        result[field] = bankDetailsService.normalize(details[field]);
+      }
+    }
+    if (details.bankName) {
+      result.bankName = details.bankName;
+    }
+    return result;
+  }
+
+  /**
+   * Identifies the receiving account in one currency
+   */
+  fingerprint(country, currency, bankDetails) {
+    const fields = BANK_DETAIL_SCHEMES[bankDetails.scheme].map((field) => bankDetails[field]);
+    return [country, currency, ...fields].join(':');
+  }
+
+  /**
+   * Cooling-off period of a payee added or changed now
+   * @returns {Object} { coolingOffStartedAt, coolingOffUntil }
+   */
+  coolingOff(from = new Date()) {
+    return {
+      coolingOffStartedAt: from,
+      coolingOffUntil: new Date(from.getTime() + BENEFICIARY_COOLING_OFF_HOURS * HOUR_MS)
+    };
+  }
+
+  // ========== PAYEES ==========
+
+  /**
+   * A user's payees, favourites first, then by name
+   * @param {string} userId - User ID
+   * @param {Object} options - { favourites (only favourites), search (nickname or holder name) }
+   * @returns {Promise<Array>} Beneficiaries
+   */
+  async list(userId, { favourites, search } = {}) {
+    const filter = { userId };
+
+    if (favourites) {
+      filter.isFavourite = true;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ nickname: pattern }, { accountHolderName: pattern }];
+    }
+
+    return Beneficiary.find(filter)
+      .collation({ locale: 'en' })
+      .sort({ isFavourite: -1, nickname: 1, accountHolderName: 1 });
+  }
+
+  /**
+   * One of the user's payees
+   * @throws {AppError} BENEFICIARY_NOT_FOUND
+   */
+  async find(userId, beneficiaryId, { session } = {}) {
+    const beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, userId }).session(session || null);
+
+    if (!beneficiary) {
+      throw new AppError('Payee not found', 404, 'BENEFICIARY_NOT_FOUND');
+    }
+    return beneficiary;
+  }
+
+  /**
+   * Save a payee; it starts in its cooling-off period
+   * @param {string} userId - User ID
+   * @param {Object} input - { nickname, accountHolderName, entityType, country, currency, bankDetails, isFavourite }
+   * @param {Object} options - { req }
+   * @returns {Promise<Object>} Beneficiary
+   * @throws {AppError} BENEFICIARY_LIMIT_REACHED, BENEFICIARY_EXISTS
+   */
+  async create(userId, input, { req } = {}) {
+    const count = await Beneficiary.countDocuments({ userId });
+    if (count >= MAX_BENEFICIARIES_PER_USER) {
+      throw new AppError(`You can save at most ${MAX_BENEFICIARIES_PER_USER} payees`, 409, 'BENEFICIARY_LIMIT_REACHED');
+    }
+
+    const bankDetails = this.bankDetails(input.country, input.bankDetails);
+
+    const beneficiary = await this.save(new Beneficiary({
+      userId,
+      nickname: input.nickname,
+      accountHolderName: input.accountHolderName,
+      entityType: input.entityType,
+      country: input.country,
+      currency: input.currency,
+      bankDetails,
+      fingerprint: this.fingerprint(input.country, input.currency, bankDetails),
+      isFavourite: Boolean(input.isFavourite),
+      ...this.coolingOff()
+    }));
+
+    console.log(`[BENEFICIARY] User ${userId} added payee ${beneficiary._id} (${beneficiary.country} ${beneficiary.currency})`);
+
+    await this.recordChange(userId, beneficiary, 'beneficiary_added', { req });
+    return beneficiary;
+  }
+
+  /**
+   * Replace a payee's details
+   * A new holder name or receiving account restarts the cooling-off period
+   * @throws {AppError} BENEFICIARY_NOT_FOUND, BENEFICIARY_EXISTS
+   */
+  async update(userId, beneficiaryId, input, { req } = {}) {
+    const beneficiary = await this.find(userId, beneficiaryId);
+    const bankDetails = this.bankDetails(input.country, input.bankDetails);
+    const fingerprint = this.fingerprint(input.country, input.currency, bankDetails);
+    const payeeChanged = fingerprint !== beneficiary.fingerprint || input.accountHolderName !== beneficiary.accountHolderName;
+
+    beneficiary.set({
+      nickname: input.nickname,
+      accountHolderName: input.accountHolderName,
+      entityType: input.entityType || beneficiary.entityType,
+      country: input.country,
+      currency: input.currency,
+      bankDetails,
+      fingerprint,
+      ...(input.isFavourite !== undefined && { isFavourite: Boolean(input.isFavourite) }),
+      ...(payeeChanged && this.coolingOff())
+    });
+
+    await this.save(beneficiary);
+
+    if (payeeChanged) {
+      console.log(`[BENEFICIARY] User ${userId} changed payee ${beneficiary._id}; cooling-off restarted`);
+      await this.recordChange(userId, beneficiary, 'beneficiary_updated', { req });
+    }
+    return beneficiary;
+  }
+
+  /**
+   * Change how a payee is listed; where it is paid stays the same
+   * @param {Object} changes - { nickname, isFavourite }
+   * @throws {AppError} BENEFICIARY_NOT_FOUND
+   */
+  async setPreferences(userId, beneficiaryId, { nickname, isFavourite }) {
+    const beneficiary = await this.find(userId, beneficiaryId);
+
+    if (nickname !== undefined) {
+      beneficiary.nickname = nickname || undefined;
+    }
+    if (isFavourite !== undefined) {
+      beneficiary.isFavourite = Boolean(isFavourite);
+    }
+
+    await beneficiary.save();
+    return beneficiary;
+  }
+
+  /**
+   * Delete a payee
+   * @throws {AppError} BENEFICIARY_NOT_FOUND
+   */
+  async remove(userId, beneficiaryId, { req } = {}) {
+    const beneficiary = await this.find(userId, beneficiaryId);
+    await Beneficiary.deleteOne({ _id: beneficiary._id });
+
+    console.log(`[BENEFICIARY] User ${userId} removed payee ${beneficiary._id}`);
+
+    await activityService.record(userId, 'security', 'beneficiary_removed', {
+      req,
+      description: `Payee ${this.displayName(beneficiary)} removed`,
+      metadata: { beneficiaryId: beneficiary._id }
+    });
+  }
+
+  /**
+   * Save, turning a duplicate receiving account into a readable conflict
+   */
+  async save(beneficiary) {
+    try {
+      return await beneficiary.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('You already have a payee with these bank details', 409, 'BENEFICIARY_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log a new or re-pointed payee and tell the user, in case it was not them
+   */
+  async recordChange(userId, beneficiary, action, { req } = {}) {
+    const added = action === 'beneficiary_added';
+    const name = this.displayName(beneficiary);
+
+    await activityService.record(userId, 'security', action, {
+      req,
+      description: added ? `Payee ${name} added` : `Payee ${name} bank details changed`,
+      metadata: { beneficiaryId: beneficiary._id, country: beneficiary.country, currency: beneficiary.currency }
+    });
+
+    const user = await User.findById(userId).select('firstName email notifications');
+    if (user) {
+      await notificationService.notify(user, {
+        category: 'security',
+        type: action,
+        title: added ? 'New payee added' : 'Payee details changed',
+        message: `${added ? 'You added' : 'You changed the bank details of'} the payee ${name} (${this.maskedAccount(beneficiary)}). ` +
+          `Large payments to them are possible from ${beneficiary.coolingOffUntil.toUTCString()}. If this was not you, contact support.`,
+        link: '/user/payees',
+        metadata: { beneficiaryId: beneficiary._id }
+      });
+    }
+  }
+
+  // ========== PAYOUTS ==========
+
+  /**
+   * Smallest payout that waits for the cooling-off period, in minor units
+   */
+  largeAmountThreshold(currency) {
+    return toMinorUnits(BENEFICIARY_LARGE_AMOUNTS[currency], currency);
+  }
+
+  /**
+   * Check that a payee may receive a payout; called inside the payout's transaction
+   * While the payee is cooling off, the payouts to it since the period started count
+   * toward the threshold too, so it cannot be reached in several smaller payouts
+   * @param {string} userId - Paying user
+   * @param {string} beneficiaryId - Payee
+   * @param {number} amount - Minor units
+   * @param {string} currency - Payout currency
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Beneficiary
+   * @throws {AppError} BENEFICIARY_NOT_FOUND, BENEFICIARY_CURRENCY_MISMATCH, BENEFICIARY_COOLING_OFF
+   */
+  async checkPayout(userId, beneficiaryId, amount, currency, { session } = {}) {
+    const beneficiary = await this.find(userId, beneficiaryId, { session });
+
+    if (beneficiary.currency !== currency) {
+      throw new AppError(`${this.displayName(beneficiary)} is paid in ${beneficiary.currency}`, 422, 'BENEFICIARY_CURRENCY_MISMATCH');
+    }
+
+    if (this.isCoolingOff(beneficiary)) {
+      const threshold = this.largeAmountThreshold(currency);
+      const paid = await this.coolingOffTotal(beneficiary, { session });
+
+      if (paid + amount >= threshold) {
+        throw new AppError(
+          `New payees can receive less than ${fromMinorUnits(threshold, currency)} ${currency} in total ` +
+            `until ${beneficiary.coolingOffUntil.toISOString()}` +
+            (paid > 0 ? `; ${fromMinorUnits(paid, currency)} ${currency} is already on its way` : ''),
+          422,
+          'BENEFICIARY_COOLING_OFF'
+        );
+      }
+    }
+    return beneficiary;
+  }
+
+  /**
+   * Minor units paid out to a payee, pending or posted, since its cooling-off period started
+   * Payees saved before the start was recorded count from when they were added
+   * @param {Object} beneficiary - Beneficiary document
+   * @param {Object} options - { session }
+   * @returns {Promise<number>}
+   */
+  async coolingOffTotal(beneficiary, { session } = {}) {
+    const entries = await JournalEntry.find({
+      type: 'withdrawal',
+      status: { $in: ['pending', 'posted'] },
+      'metadata.beneficiaryId': beneficiary._id,
+      createdAt: { $gte: beneficiary.coolingOffStartedAt || beneficiary.createdAt }
+    }).select('lines').session(session || null);
+
+    // A payout's first line debits the wallet with its full amount
+    return entries.reduce((total, entry) => total + entry.lines[0].amount, 0);
+  }
+
+  isCoolingOff(beneficiary) {
+    return beneficiary.coolingOffUntil > new Date();
+  }
+
+  /**
+   * Pay a payee from the user's wallet in the payee's currency
+   * The amount is held on the wallet as a pending withdrawal against Zoqq settlement;
+   * it posts once the payout is released and is voided if it is rejected
+   * @param {string} userId - Paying user
+   * @param {string} beneficiaryId - Payee
+   * @param {Object} input - { amount (decimal), currency, reference }
+   * @param {Object} options - { req }
+   * @returns {Promise<Object>} { beneficiary, entry }
+   * @throws {AppError} INVALID_AMOUNT, WALLET_NOT_FOUND, WALLET_FROZEN, INSUFFICIENT_FUNDS and the errors of checkPayout
+   */
+  async payout(userId, beneficiaryId, { amount, currency, reference }, { req } = {}) {
+    const amountMinor = toMinorUnits(amount, currency);
+    if (amountMinor === null || amountMinor <= 0) {
+      throw new AppError(`Enter a positive ${currency} amount with at most ${LEDGER_CURRENCIES[currency].minorUnits} decimals`, 400, 'INVALID_AMOUNT');
+    }
+
+    const payoutId = new mongoose.Types.ObjectId();
+
+    const { beneficiary, entry } = await ledgerService.withTransaction(async (session) => {
+      // Writing the payee first makes a concurrent payout to it conflict and retry,
+      // so it sees this payout in its cooling-off total
+      await Beneficiary.updateOne({ _id: beneficiaryId, userId }, { $set: { lastPayoutAt: new Date() } }, { session });
+      const payee = await this.checkPayout(userId, beneficiaryId, amountMinor, currency, { session });
+
+      const wallet = await Wallet.findOne({ userId, currency, closedAt: null }).populate('accountId').session(session);
+      if (!wallet) {
+        throw new AppError(`You have no ${currency} wallet to pay from`, 409, 'WALLET_NOT_FOUND');
+      }
+      if (wallet.status === 'frozen') {
+        throw new AppError(`Your ${currency} wallet is frozen`, 409, 'WALLET_FROZEN');
+      }
+      // Checked again atomically by the ledger; this answers early with a readable message
+      if (wallet.accountId.availableBalance < amountMinor) {
+        throw new AppError(`Insufficient funds in your ${currency} wallet`, 422, 'INSUFFICIENT_FUNDS');
+      }
+
+      const settlement = await ledgerService.systemAccount('settlement', currency, { session });
+      const posted = await ledgerService.post({
+        type: 'withdrawal',
+        status: 'pending',
+        reference: `payout:${payoutId}`,
+        description: reference || `Payout to ${this.displayName(payee)}`,
+        lines: [
+          { accountId: wallet.accountId._id, direction: 'debit', amount: amountMinor, currency },
+          { accountId: settlement._id, direction: 'credit', amount: amountMinor, currency }
+        ],
+        createdBy: userId,
+        metadata: { payoutId, beneficiaryId: payee._id, counterparty: { name: this.displayName(payee) } }
+      }, { session });
+
+      return { beneficiary: payee, entry: posted };
+    });
+    const name = this.displayName(beneficiary);
+
+    console.log(`[BENEFICIARY] User ${userId} requested payout ${payoutId}: ${fromMinorUnits(amountMinor, currency)} ${currency} to payee ${beneficiary._id}`);
+
+    await activityService.record(userId, 'account', 'payout_requested', {
+      req,
+      description: `Payout of ${fromMinorUnits(amountMinor, currency)} ${currency} to ${name} requested`,
+      metadata: { payoutId, journalEntryId: entry._id, beneficiaryId: beneficiary._id, amount: amountMinor, currency }
+    });
+
+    return { beneficiary, entry };
+  }
+
+  // ========== RELEASE ==========
+
+  /**
+   * Payouts in one status, oldest first so held payouts are worked in order
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<Object>} { payouts, total }
+   */
+  async listPayouts({ status = 'pending', limit = 20, offset = 0 } = {}) {
+    const filter = { type: 'withdrawal', status, 'metadata.payoutId': { $exists: true } };
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(filter).sort({ createdAt: 1 }).skip(offset).limit(limit),
+      JournalEntry.countDocuments(filter)
+    ]);
+
+    const payees = await Beneficiary.find({ _id: { $in: entries.map((entry) => entry.metadata.beneficiaryId) } });
+    const byId = new Map(payees.map((payee) => [String(payee._id), payee]));
+
+    return {
+      payouts: entries.map((entry) => ({
+        ...this.serializePayout({ beneficiary: byId.get(String(entry.metadata.beneficiaryId)), entry }),
+        userId: entry.createdBy
+      })),
+      total
+    };
+  }
+
+  /**
+   * A payout's journal entry
+   * @throws {AppError} PAYOUT_NOT_FOUND
+   */
+  async findPayout(payoutId) {
+    const entry = await JournalEntry.findOne({ reference: `payout:${payoutId}` });
+
+    if (!entry) {
+      throw new AppError('Payout not found', 404, 'PAYOUT_NOT_FOUND');
+    }
+    return entry;
+  }
+
+  /**
+   * Post a held payout and send it to Zoqq
+   * The entry is posted first, so a rejection racing the release cannot void money already sent.
+   * Zoqq gets the payout ID as its request ID: if the send fails, releasing the posted payout
+   * again sends it again without paying twice
+   * @param {string} payoutId - Payout ID
+   * @param {Object} options - { releasedBy }
+   * @returns {Promise<Object>} { beneficiary, entry, zoqqPayoutId }
+   * @throws {AppError} PAYOUT_NOT_FOUND, PAYOUT_NOT_PENDING, PAYOUT_PAYEE_CHANGED, ZOQQ_ACCOUNT_MISSING and the Zoqq errors
+   */
+  async releasePayout(payoutId, { releasedBy } = {}) {
+    let entry = await this.findPayout(payoutId);
+
+    if (!['pending', 'posted'].includes(entry.status) || await JournalEntry.exists({ reversalOf: entry._id })) {
+      throw new AppError(`Payout ${payoutId} was ${entry.status === 'voided' ? 'rejected' : 'reversed'}`, 409, 'PAYOUT_NOT_PENDING');
+    }
+
+    const [user, beneficiary] = await Promise.all([
+      User.findById(entry.createdBy).select('firstName email notifications zoqqAccountId'),
+      Beneficiary.findById(entry.metadata.beneficiaryId)
+    ]);
+
+    if (!user?.zoqqAccountId) {
+      throw new AppError('The payer has no Zoqq account to pay out from', 409, 'ZOQQ_ACCOUNT_MISSING');
+    }
+    // Money goes only where the customer meant it to when they asked
+    if (!beneficiary || (beneficiary.coolingOffStartedAt || beneficiary.createdAt) > entry.createdAt) {
+      throw new AppError('The payee was deleted or changed after this payout was requested; reject it', 409, 'PAYOUT_PAYEE_CHANGED');
+    }
+
+    if (entry.status === 'pending') {
+      entry = await ledgerService.settle(entry._id);
+    }
+
+    const [debit] = entry.lines;
+    const amount = fromMinorUnits(debit.amount, debit.currency);
+    const { scheme, iban, swiftCode, sortCode, routingNumber, accountNumber, bankName } = beneficiary.bankDetails;
+
+    let result;
+    try {
+      result = await zoqqAuthService.createPayout(user.zoqqAccountId, {
+        amount,
+        currency: debit.currency,
+        reference: entry.description,
+        beneficiary: {
+          name: beneficiary.accountHolderName,
+          entityType: beneficiary.entityType,
+          country: beneficiary.country,
+          bankDetails: { scheme, iban, swiftCode, sortCode, routingNumber, accountNumber, bankName }
+        }
+      }, { idempotencyKey: `payout_${payoutId}` });
+    } catch (error) {
+      console.error(`[BENEFICIARY] Payout ${payoutId} is posted but Zoqq did not take it; release it again: ${error.message}`);
+      throw error;
+    }
+
+    const name = this.displayName(beneficiary);
+    console.log(`[BENEFICIARY] Payout ${payoutId} released by ${releasedBy}: Zoqq payout ${result.payoutId}`);
+
+    await activityService.record(user._id, 'account', 'payout_released', {
+      description: `Payout of ${amount} ${debit.currency} to ${name} sent`,
+      metadata: { payoutId, journalEntryId: entry._id, zoqqPayoutId: result.payoutId, releasedBy }
+    });
+
+    await notificationService.notify(user, {
+      category: 'transaction',
+      type: 'payout_released',
+      title: 'Payout sent',
+      message: `Your payout of ${amount} ${debit.currency} to ${name} (${this.maskedAccount(beneficiary)}) is on its way.`,
+      link: '/user/payees',
+      metadata: { payoutId, beneficiaryId: beneficiary._id }
+    });
+
+    return { beneficiary, entry, zoqqPayoutId: result.payoutId };
+  }
+
+  /**
+   * Void a held payout; the amount is available in the wallet again
+   * @param {string} payoutId - Payout ID
+   * @param {Object} options - { reason, rejectedBy }
+   * @returns {Promise<Object>} { beneficiary, entry }
+   * @throws {AppError} PAYOUT_NOT_FOUND, PAYOUT_NOT_PENDING
+   */
+  async rejectPayout(payoutId, { reason, rejectedBy } = {}) {
+    const found = await this.findPayout(payoutId);
+
+    if (found.status !== 'pending') {
+      throw new AppError(`Payout ${payoutId} is already ${found.status}`, 409, 'PAYOUT_NOT_PENDING');
+    }
+
+    // The ledger voids only a still-pending entry, so a release that got there first wins
+    const entry = await ledgerService.void(found._id);
+
+    const [debit] = entry.lines;
+    const amount = fromMinorUnits(debit.amount, debit.currency);
+    const name = entry.metadata.counterparty.name;
+    console.log(`[BENEFICIARY] Payout ${payoutId} rejected by ${rejectedBy}: ${reason}`);
+
+    const [user, beneficiary] = await Promise.all([
+      User.findById(entry.createdBy).select('firstName email notifications'),
+      Beneficiary.findById(entry.metadata.beneficiaryId)
+    ]);
+
+    await activityService.record(entry.createdBy, 'account', 'payout_rejected', {
+      description: `Payout of ${amount} ${debit.currency} to ${name} rejected`,
+      metadata: { payoutId, journalEntryId: entry._id, reason, rejectedBy }
+    });
+
+    if (user) {
+      await notificationService.notify(user, {
+        category: 'transaction',
+        type: 'payout_rejected',
+        title: 'Payout not sent',
+        message: `Your payout of ${amount} ${debit.currency} to ${name} was not sent: ${reason}. The money is back in your wallet.`,
+        link: '/user/payees',
+        metadata: { payoutId, beneficiaryId: entry.metadata.beneficiaryId }
+      });
+    }
+
+    return { beneficiary, entry };
+  }
+
+  // ========== PRESENTATION ==========
+
+  displayName(beneficiary) {
+    return beneficiary.nickname || beneficiary.accountHolderName;
+  }
+
+  /**
+   * Last four characters of the receiving account, e.g. "•••• 5678"
+   */
+  maskedAccount(beneficiary) {
+    const { iban, accountNumber } = beneficiary.bankDetails;
+    return `•••• ${(iban || accountNumber || '').slice(-4)}`;
+  }
+
+  /**
+   * Client view of a payout
+   * @param {Object} payout - { beneficiary, entry } as returned by payout(); beneficiary is null once deleted
+   */
+  serializePayout({ beneficiary, entry }) {
+    const [debit] = entry.lines;
+
+    return {
+      id: entry.metadata.payoutId,
+      status: entry.status,
+      amount: debit.amount,
+      currency: debit.currency,
+      formattedAmount: fromMinorUnits(debit.amount, debit.currency),
+      reference: entry.description,
+      // A deleted payee keeps the name it was paid under
+      beneficiary: beneficiary
+        ? { id: beneficiary._id, name: this.displayName(beneficiary), maskedAccount: this.maskedAccount(beneficiary) }
+        : { id: entry.metadata.beneficiaryId, name: entry.metadata.counterparty.name, maskedAccount: null },
+      journalEntryId: entry._id,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * Client view of a payee
+   */
+  serialize(beneficiary) {
+    const { scheme, iban, swiftCode, sortCode, routingNumber, accountNumber, bankName } = beneficiary.bankDetails;
+
+    return {
+      id: beneficiary._id,
+      nickname: beneficiary.nickname || null,
+      accountHolderName: beneficiary.accountHolderName,
+      entityType: beneficiary.entityType,
+      country: beneficiary.country,
+      currency: beneficiary.currency,
+      bankDetails: { scheme, iban, swiftCode, sortCode, routingNumber, accountNumber, bankName },
+      maskedAccount: this.maskedAccount(beneficiary),
+      isFavourite: beneficiary.isFavourite,
+      coolingOff: {
+        active: this.isCoolingOff(beneficiary),
+        until: beneficiary.coolingOffUntil,
+        largeAmount: fromMinorUnits(this.largeAmountThreshold(beneficiary.currency), beneficiary.currency)
+      },
+      createdAt: beneficiary.createdAt,
+      updatedAt: beneficiary.updatedAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BeneficiaryService();
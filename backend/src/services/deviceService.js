@@ -0,0 +1,326 @@
+/**
+ * Device Service
+ * Maintains User.registeredDevices: records devices on login, raises new-device
+ * alerts and manages device names, trust and revocation
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const mailService = require('./mailService');
+const activityService = require('./activityService');
+const sessionService = require('./sessionService');
+const tokenRevocation = require('./tokenRevocation');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Client device identifiers are random UUIDs generated by the frontend
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+class DeviceService {
+  constructor() {
+    this.maxDevices = parseInt(process.env.MAX_REGISTERED_DEVICES, 10) || 20;
+
+    // Trust lapses so a forgotten device does not skip verification forever
+    this.trustTtlMs = (parseInt(process.env.TRUSTED_DEVICE_DAYS, 10) || 30) * DAY_MS;
+  }
+
+  /**
+   * Derive browser, OS and form factor from a User-Agent string
+   * @param {string} userAgent - User-Agent header
+   * @returns {Object} { browser, os, deviceType }
+   */
+  parseUserAgent(userAgent = '') {
+    const ua = userAgent || '';
+
+    let browser = 'Unknown';
+    if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/Firefox\//.test(ua)) browser = 'Firefox';
+    else if (/Chrome\//.test(ua)) browser = 'Chrome';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+
+    let os = 'Unknown';
+    if (/Windows/.test(ua)) os = 'Windows';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    let deviceType = 'desktop';
+    if (/iPad|Tablet/.test(ua)) deviceType = 'tablet';
+    else if (/Mobi|Android|iPhone/.test(ua)) deviceType = 'mobile';
+
+    return { browser, os, deviceType };
+  }
+
+  /**
+   * Compute the stored key for a device
+   * Falls back to a User-Agent fingerprint for clients that send no identifier
+   * @param {Object} deviceInfo - deviceInfo from the login request
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} SHA-256 hex digest
+   */
+  deviceKey(deviceInfo, userAgent) {
+    const source = this.hasClientId(deviceInfo)
+      ? `id:${deviceInfo.deviceId}`
+      : `ua:${userAgent || 'unknown'}`;
+
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Whether the login request carries a usable client device identifier
+   * User-Agent fingerprints are shared by many clients and trivially copied
+   */
+  hasClientId(deviceInfo) {
+    const clientId = deviceInfo?.deviceId;
+    return typeof clientId === 'string' && DEVICE_ID_PATTERN.test(clientId);
+  }
+
+  /**
+   * Whether a registered device is currently trusted
+   * @param {Object} device - Registered device entry
+   * @returns {boolean} True if identified, trusted and the trust has not lapsed
+   */
+  isTrusted(device) {
+    return !!(device?.identified && device.trusted && device.trustedAt && device.trustedAt.getTime() + this.trustTtlMs > Date.now());
+  }
+
+  /**
+   * Find the registered device a login request comes from
+   * @param {Object} user - User document
+   * @param {Object} deviceInfo - deviceInfo from the login request
+   * @param {string} userAgent - User-Agent header
+   * @returns {Object|null} Registered device entry
+   */
+  findDevice(user, deviceInfo, userAgent) {
+    const key = this.deviceKey(deviceInfo, userAgent);
+    return user.registeredDevices.find((device) => device.deviceId === key) || null;
+  }
+
+  /**
+   * Record a successful login on a device
+   * Creates the device entry on first sight and alerts the user when an
+   * account that already has devices is accessed from a new one (caller saves)
+   * @param {Object} user - User document
+   * @param {Object} context - { deviceInfo, ip, userAgent }
+   * @returns {Object} { device, isNew }
+   */
+  recordLogin(user, { deviceInfo = null, ip = null, userAgent = null } = {}) {
+    const now = new Date();
+    let device = this.findDevice(user, deviceInfo, userAgent);
+    const isNew = !device;
+
+    if (isNew) {
+      const parsed = this.parseUserAgent(userAgent);
+      const hadDevices = user.registeredDevices.length > 0;
+
+      user.registeredDevices.push({
+        deviceId: this.deviceKey(deviceInfo, userAgent),
+        name: `${parsed.browser} on ${parsed.os}`,
+        deviceType: parsed.deviceType,
+        browser: parsed.browser,
+        os: parsed.os,
+        firstSeenAt: now,
+        lastAccess: now,
+        lastIp: ip,
+        identified: this.hasClientId(deviceInfo)
+      });
+      device = user.registeredDevices[user.registeredDevices.length - 1];
+
+      this.pruneDevices(user);
+
+      if (hadDevices) {
+        activityService.record(user._id, 'security', 'new_device_login', {
+          ip,
+          userAgent,
+          metadata: { deviceId: device._id.toString(), name: device.name }
+        });
+
+        mailService.sendNewDeviceAlert(user, device, { ip }).catch((error) => {
+          console.error(`[DEVICES] Could not send new device alert to ${user.email}: ${error.message}`);
+        });
+      }
+
+      console.log(`[DEVICES] New device registered for user: ${user.email} - ${device.name}`);
+    } else {
+      device.lastAccess = now;
+      device.lastIp = ip;
+    }
+
+    return { device, isNew };
+  }
+
+  /**
+   * Keep the device list bounded by dropping the least recently used untrusted devices
+   * @param {Object} user - User document
+   */
+  pruneDevices(user) {
+    while (user.registeredDevices.length > this.maxDevices) {
+      const candidates = user.registeredDevices.filter((device) => !this.isTrusted(device));
+      if (candidates.length === 0) break;
+
+      const oldest = candidates.reduce((a, b) => (a.lastAccess <= b.lastAccess ? a : b));
+      user.registeredDevices.pull(oldest._id);
+    }
+  }
+
+  /**
+   * Client-facing view of a device
+   * @param {Object} device - Registered device entry
+   * @param {string} currentDeviceId - Device of the calling session
+   * @param {Set<string>} activeDeviceIds - Devices with an active session
+   * @returns {Object} Device summary
+   */
+  serializeDevice(device, currentDeviceId = null, activeDeviceIds = new Set()) {
+    const id = device._id.toString();
+
+    return {
+      id,
+      name: device.name,
+      deviceType: device.deviceType,
+      browser: device.browser,
+      os: device.os,
+      firstSeenAt: device.firstSeenAt,
+      lastAccess: device.lastAccess,
+      lastIp: device.lastIp || null,
+      canBeTrusted: Boolean(device.identified),
+      trusted: this.isTrusted(device),
+      trustedAt: this.isTrusted(device) ? device.trustedAt : null,
+      trustExpiresAt: this.isTrusted(device) ? new Date(device.trustedAt.getTime() + this.trustTtlMs) : null,
+      current: id === currentDeviceId,
+      hasActiveSession: activeDeviceIds.has(id)
+    };
+  }
+
+  /**
+   * Load a user and one of their devices
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID
+   * @returns {Promise<Object>} { user, device }
+   */
+  async findUserDevice(userId, deviceId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const device = user.registeredDevices.id(deviceId);
+    if (!device) {
+      throw new AppError('Device not found', 404, 'DEVICE_NOT_FOUND');
+    }
+
+    return { user, device };
+  }
+
+  /**
+   * List a user's devices, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentDeviceId - Device of the calling session
+   * @returns {Promise<Array>} Device summaries
+   */
+  async list(userId, currentDeviceId = null) {
+    const [user, activeSessions] = await Promise.all([
+      User.findById(userId),
+      Session.find({ userId, status: 'active', expiresAt: { $gt: new Date() } }).select('deviceId').lean()
+    ]);
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const activeDeviceIds = new Set(activeSessions.map((session) => session.deviceId).filter(Boolean));
+
+    return user.registeredDevices
+      .slice()
+      .sort((a, b) => (b.lastAccess || 0) - (a.lastAccess || 0))
+      .map((device) => this.serializeDevice(device, currentDeviceId, activeDeviceIds));
+  }
+
+  /**
+   * Rename a device
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID
+   * @param {string} name - New display name
+   * @returns {Promise<Object>} Device summary
+   */
+  async rename(userId, deviceId, name) {
+    const { user, device } = await this.findUserDevice(userId, deviceId);
+
+    device.name = name;
+    await user.save();
+
+    return this.serializeDevice(device);
+  }
+
+  /**
+   * Mark a device as trusted or untrusted
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID
+   * @param {boolean} trusted - New trust state
+   * @returns {Promise<Object>} Device summary
+   * @throws {AppError} DEVICE_NOT_IDENTIFIABLE when trusting a device known only by its User-Agent
+   */
+  async setTrusted(userId, deviceId, trusted) {
+    const { user, device } = await this.findUserDevice(userId, deviceId);
+
+    if (trusted && !device.identified) {
+      throw new AppError('This device cannot be trusted because it did not identify itself when signing in', 400, 'DEVICE_NOT_IDENTIFIABLE');
+    }
+
+    device.trusted = trusted;
+    device.trustedAt = trusted ? new Date() : undefined;
+    await user.save();
+
+    activityService.record(user._id, 'security', trusted ? 'device_trusted' : 'device_untrusted', {
+      metadata: { deviceId, name: device.name }
+    });
+
+    console.log(`[DEVICES] Device ${trusted ? 'trusted' : 'untrusted'} for user: ${user.email} - ${device.name}`);
+    return this.serializeDevice(device);
+  }
+
+  /**
+   * Remove a device and sign it out: its refresh sessions and access tokens are revoked
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID
+   * @returns {Promise<Object>} { sessionsRevoked }
+   */
+  async revoke(userId, deviceId) {
+    const { user, device } = await this.findUserDevice(userId, deviceId);
+
+    const [sessionsRevoked] = await Promise.all([
+      sessionService.revokeAllForDevice(user._id, deviceId, 'device_revoked'),
+      tokenRevocation.revokeAllForDevice(deviceId, 'device_revoked')
+    ]);
+
+    user.registeredDevices.pull(device._id);
+    await user.save();
+
+    activityService.record(user._id, 'security', 'device_revoked', {
+      metadata: { deviceId, name: device.name, sessionsRevoked }
+    });
+
+    console.log(`[DEVICES] Device revoked for user: ${user.email} - ${device.name} - Sessions revoked: ${sessionsRevoked}`);
+    return { sessionsRevoked };
+  }
+
+  /**
+   * Whether the device a token was issued on is trusted
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID (the token's did claim)
+   * @returns {Promise<boolean>} True if trusted
+   */
+  async isTrustedDevice(userId, deviceId) {
+    if (!deviceId) return false;
+
+    const user = await User.findById(userId).select('registeredDevices');
+    return this.isTrusted(user?.registeredDevices.id(deviceId));
+  }
+}
+
+// Export singleton instance
+module.exports = new DeviceService();
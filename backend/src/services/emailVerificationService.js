@@ -0,0 +1,124 @@
+/**
+ * Email Verification Service
+ * Issues hashed, time-limited verification tokens and activates verified accounts
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { AppError } = require('../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class EmailVerificationService {
+  constructor() {
+    this.tokenTtlMs = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * HOUR_MS;
+
+    // Minimum time between two verification emails for the same account
+    this.resendCooldownMs = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS, 10) || 60 * 1000;
+  }
+
+  /**
+   * Hash a verification token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Generate a new token, store its hash on the user and email the link
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async sendVerification(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.tokenTtlMs);
+
+    user.emailVerificationToken = this.hashToken(token);
+    user.emailVerificationExpires = expiresAt;
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    try {
+      await mailService.sendVerificationEmail(user, token, expiresAt);
+      return true;
+    } catch (error) {
+      // The account exists either way; the user can ask for another email
+      console.error(`[EMAIL VERIFICATION] Could not send verification email to ${user.email}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send the first verification email after signup
+   * @param {string} userId - ID of the newly created user
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async sendForNewUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.isVerified) return false;
+
+    return this.sendVerification(user);
+  }
+
+  /**
+   * Resend the verification email, throttled per account
+   * Unknown, already verified and throttled addresses are reported as success
+   * so the endpoint cannot be used to discover accounts
+   * @param {string} email - Email address
+   * @returns {Promise<void>}
+   */
+  async resend(email) {
+    const user = await User.findByEmail(email).select('+emailVerificationSentAt');
+
+    if (!user || user.isVerified) {
+      console.log(`[EMAIL VERIFICATION] Resend skipped for ${email}: ${user ? 'already verified' : 'unknown address'}`);
+      return;
+    }
+
+    const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+    if (Date.now() - lastSent < this.resendCooldownMs) {
+      console.log(`[EMAIL VERIFICATION] Resend throttled for ${email}`);
+      return;
+    }
+
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Verify an email address using the token from the link
+   * @param {string} token - Plain token
+   * @returns {Promise<Object>} Verified user document
+   * @throws {AppError} If the token is invalid or expired
+   */
+  async verify(token) {
+    const user = await User.findOne({
+      emailVerificationToken: this.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new AppError('Verification link is invalid or has expired', 400, 'VERIFICATION_TOKEN_INVALID');
+    }
+
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+
+    // Verification is the only step between signup and an active account
+    if (user.accountStatus === 'pending_verification') {
+      user.accountStatus = 'active';
+    }
+
+    await user.save();
+
+    console.log(`[EMAIL VERIFICATION] Email verified for user: ${user.email}`);
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailVerificationService();
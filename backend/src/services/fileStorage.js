@@ -0,0 +1,201 @@
+/**
+ * File Storage Service
+ * Private object storage for uploaded files, behind one put/get/remove interface:
+ * local disk by default, or any S3-compatible bucket with FILE_STORAGE_DRIVER=s3.
+ * Nothing stored here is served statically; files are read back through the API
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Files under a directory on local disk (UPLOAD_DIR/private by default)
+ */
+class LocalDiskStorage {
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  /**
+   * Absolute path of a key; keys may not escape the storage directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new AppError('Invalid storage key', 400, 'INVALID_STORAGE_KEY');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new AppError('Stored file not found', 404, 'FILE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * Objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature Version 4
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, timeoutMs }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+
+    // A custom endpoint uses path-style URLs, AWS itself virtual-hosted ones
+    this.baseUrl = endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+    this.http = axios.create({ timeout: timeoutMs, maxBodyLength: Infinity });
+  }
+
+  objectUrl(key) {
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Signature V4 headers for a request without a query string
+   */
+  sign(method, url, body, extraHeaders = {}) {
+    const { host, pathname } = new URL(url);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      ...extraHeaders,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // Node sets Host itself
+    delete headers.host;
+
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    };
+  }
+
+  async send(method, key, { body, headers } = {}) {
+    const url = this.objectUrl(key);
+
+    try {
+      return await this.http.request({
+        method,
+        url,
+        data: body,
+        responseType: 'arraybuffer',
+        headers: this.sign(method, url, body, headers)
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError('Stored file not found', 404, 'FILE_NOT_FOUND');
+      }
+      console.error(`[FILE STORAGE] S3 ${method} ${key} failed:`, error.response?.status || error.message);
+      throw new AppError('File storage is unavailable', 502, 'FILE_STORAGE_ERROR');
+    }
+  }
+
+  async put(key, buffer, contentType) {
+    await this.send('PUT', key, { body: buffer, headers: { 'content-type': contentType } });
+  }
+
+  async get(key) {
+    const response = await this.send('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  async remove(key) {
+    try {
+      await this.send('DELETE', key);
+    } catch (error) {
+      if (error.code !== 'FILE_NOT_FOUND') throw error;
+    }
+  }
+}
+
+/**
+ * Build the storage backend selected by FILE_STORAGE_DRIVER
+ * @returns {LocalDiskStorage|S3Storage} Storage backend
+ */
+const createFileStorage = () => {
+  const driver = process.env.FILE_STORAGE_DRIVER || 'local';
+
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      timeoutMs: Number(process.env.S3_TIMEOUT_MS) || 30000
+    });
+  }
+
+  if (driver !== 'local') {
+    console.warn(`[FILE STORAGE] Unknown FILE_STORAGE_DRIVER "${driver}", using local disk`);
+  }
+
+  return new LocalDiskStorage({
+    directory: path.resolve(process.env.UPLOAD_DIR || 'uploads', 'private')
+  });
+};
+
+// Export singleton instance
+module.exports = createFileStorage();
@@ -0,0 +1,330 @@
+/**
+ * Invitation Service
+ * Staff accounts are created by invitation only: an admin invites an email
+ * address with a role, and the invitee accepts through a single-use link
+ * that sets their name and password
+ */
+
+const crypto = require('crypto');
+const AdminInvitation = require('../models/AdminInvitation');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const activityService = require('./activityService');
+const { canGrantRole } = require('../config/permissions');
+const { AppError } = require('../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Invitation lifetime bounds in hours
+const MIN_TTL_HOURS = 1;
+const MAX_TTL_HOURS = 14 * 24;
+
+class InvitationService {
+  constructor() {
+    this.defaultTtlHours = parseInt(process.env.ADMIN_INVITATION_TTL_HOURS, 10) || 72;
+    this.minTtlHours = MIN_TTL_HOURS;
+    this.maxTtlHours = MAX_TTL_HOURS;
+  }
+
+  /**
+   * Hash an invitation token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Admin-facing view of an invitation
+   * @param {Object} invitation - AdminInvitation document (inviter optionally populated)
+   * @returns {Object} Invitation summary
+   */
+  serialize(invitation) {
+    const inviter = invitation.invitedBy;
+
+    return {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.effectiveStatus,
+      expiresAt: invitation.expiresAt,
+      invitedBy: inviter?.email
+        ? { id: inviter._id, email: inviter.email, fullName: inviter.fullName }
+        : { id: inviter },
+      acceptedAt: invitation.acceptedAt || null,
+      revokedAt: invitation.revokedAt || null,
+      history: invitation.history.map((entry) => ({
+        action: entry.action,
+        actor: entry.actor || null,
+        ip: entry.ip || null,
+        note: entry.note || null,
+        at: entry.at
+      })),
+      createdAt: invitation.createdAt
+    };
+  }
+
+  /**
+   * Issue a fresh token and expiry on an invitation (caller saves and delivers)
+   * @param {Object} invitation - AdminInvitation document
+   * @param {number} ttlHours - Lifetime in hours
+   * @returns {string} Plain token
+   */
+  issueToken(invitation, ttlHours) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    invitation.tokenHash = this.hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + ttlHours * HOUR_MS);
+
+    return token;
+  }
+
+  /**
+   * Send the invitation link; failures are logged so the invite can be resent
+   * @param {Object} invitation - AdminInvitation document
+   * @param {string} token - Plain token
+   * @param {Object} inviter - Inviting user document
+   */
+  deliver(invitation, token, inviter) {
+    mailService.sendAdminInvitation(invitation, token, inviter).catch((error) => {
+      console.error(`[INVITATIONS] Could not send invitation to ${invitation.email}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Invite an email address to join as staff
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {Object} input - { email, role, expiresInHours }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Invitation summary
+   * @throws {AppError} If the role cannot be granted or the address is taken
+   */
+  async create(actor, { email, role, expiresInHours }, { ip = null } = {}) {
+    if (!canGrantRole(actor.permissions, role)) {
+      throw new AppError(`You cannot invite users with the ${role} role`, 403, 'ROLE_NOT_GRANTABLE');
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (await User.findByEmail(normalizedEmail)) {
+      throw new AppError('An account with this email address already exists', 409, 'USER_EXISTS');
+    }
+
+    if (await AdminInvitation.findPendingByEmail(normalizedEmail)) {
+      throw new AppError('An invitation for this email address is already pending', 409, 'INVITATION_PENDING');
+    }
+
+    const inviter = await User.findById(actor.userId);
+    if (!inviter) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const invitation = new AdminInvitation({
+      email: normalizedEmail,
+      role,
+      invitedBy: inviter._id,
+      history: [{ action: 'created', actor: inviter._id, ip, note: `role: ${role}` }]
+    });
+    const token = this.issueToken(invitation, expiresInHours || this.defaultTtlHours);
+    await invitation.save();
+
+    this.deliver(invitation, token, inviter);
+
+    console.log(`[INVITATIONS] ${inviter.email} invited ${normalizedEmail} as ${role}`);
+    return this.serialize(invitation);
+  }
+
+  /**
+   * List invitations, newest first
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<Object>} { invitations, total }
+   */
+  async list({ status = null, limit = 20, offset = 0 } = {}) {
+    const now = new Date();
+    const filter = {};
+
+    if (status === 'expired') {
+      Object.assign(filter, { status: 'pending', expiresAt: { $lte: now } });
+    } else if (status === 'pending') {
+      Object.assign(filter, { status: 'pending', expiresAt: { $gt: now } });
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const [invitations, total] = await Promise.all([
+      AdminInvitation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('invitedBy', 'email firstName lastName'),
+      AdminInvitation.countDocuments(filter)
+    ]);
+
+    return { invitations: invitations.map((invitation) => this.serialize(invitation)), total };
+  }
+
+  /**
+   * Load an invitation that is still open
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} AdminInvitation document
+   * @throws {AppError} If it does not exist or was already accepted or revoked
+   */
+  async findOpen(invitationId) {
+    const invitation = await AdminInvitation.findById(invitationId);
+
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw new AppError(`Invitation has already been ${invitation.status}`, 409, 'INVITATION_CLOSED');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Revoke a pending invitation so its link stops working
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} context - { ip, reason }
+   * @returns {Promise<Object>} Invitation summary
+   */
+  async revoke(actor, invitationId, { ip = null, reason = null } = {}) {
+    const invitation = await this.findOpen(invitationId);
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = actor.userId;
+    invitation.history.push({ action: 'revoked', actor: actor.userId, ip, note: reason });
+    await invitation.save();
+
+    console.log(`[INVITATIONS] ${actor.email} revoked invitation for ${invitation.email}`);
+    return this.serialize(invitation);
+  }
+
+  /**
+   * Send a pending (or expired) invitation again with a new link
+   * The previous link stops working
+   * @param {Object} actor - Authenticated user (req.user)
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Invitation summary
+   */
+  async resend(actor, invitationId, { ip = null } = {}) {
+    const invitation = await this.findOpen(invitationId);
+
+    if (!canGrantRole(actor.permissions, invitation.role)) {
+      throw new AppError(`You cannot invite users with the ${invitation.role} role`, 403, 'ROLE_NOT_GRANTABLE');
+    }
+
+    const inviter = await User.findById(actor.userId);
+    const token = this.issueToken(invitation, this.defaultTtlHours);
+    invitation.history.push({ action: 'resent', actor: actor.userId, ip });
+    await invitation.save();
+
+    this.deliver(invitation, token, inviter);
+
+    console.log(`[INVITATIONS] ${actor.email} resent invitation for ${invitation.email}`);
+    return this.serialize(invitation);
+  }
+
+  /**
+   * Look up an open invitation by its token
+   * @param {string} token - Plain token from the invitation link
+   * @returns {Promise<Object>} AdminInvitation document
+   * @throws {AppError} If the link is invalid, expired, used or revoked
+   */
+  async findByToken(token) {
+    const invitation = await AdminInvitation.findOne({
+      tokenHash: this.hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      throw new AppError('Invitation link is invalid or has expired', 400, 'INVITATION_INVALID');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Public details shown on the accept page
+   * @param {string} token - Plain token from the invitation link
+   * @returns {Promise<Object>} { email, role, expiresAt }
+   */
+  async preview(token) {
+    const invitation = await this.findByToken(token);
+    return { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt };
+  }
+
+  /**
+   * Accept an invitation and create the staff account
+   * Following the emailed link proves ownership of the address, so the
+   * account starts verified and active
+   * @param {string} token - Plain token from the invitation link
+   * @param {Object} input - { firstName, lastName, password }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Created user document
+   * @throws {AppError} If the link is no longer valid or the address is taken
+   */
+  async accept(token, { firstName, lastName, password }, { ip = null } = {}) {
+    const invitation = await this.findByToken(token);
+
+    if (await User.findByEmail(invitation.email)) {
+      throw new AppError('An account with this email address already exists', 409, 'USER_EXISTS');
+    }
+
+    // Close the invitation atomically so concurrent requests cannot both use it
+    const acceptedAt = new Date();
+    const claimed = await AdminInvitation.updateOne(
+      { _id: invitation._id, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      throw new AppError('Invitation link is invalid or has expired', 400, 'INVITATION_INVALID');
+    }
+
+    const user = new User({
+      firstName,
+      lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      isVerified: true,
+      emailVerifiedAt: acceptedAt,
+      accountStatus: 'active'
+    });
+    user.accountNumber = user.generateAccountNumber();
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Reopen the invitation so the invitee can try again
+      await AdminInvitation.updateOne({ _id: invitation._id }, { $set: { status: 'pending' }, $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    await AdminInvitation.updateOne(
+      { _id: invitation._id },
+      {
+        $set: { acceptedUser: user._id },
+        $push: { history: { action: 'accepted', actor: user._id, ip, at: acceptedAt } }
+      }
+    );
+
+    activityService.record(user._id, 'account', 'admin_invitation_accepted', {
+      ip,
+      metadata: { invitationId: invitation._id.toString(), role: invitation.role, invitedBy: invitation.invitedBy.toString() }
+    });
+
+    console.log(`[INVITATIONS] Invitation accepted: ${user.email} joined as ${user.role}`);
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new InvitationService();
@@ -0,0 +1,325 @@
+/**
+ * KYC Document Service
+ * Validates uploaded identity and business documents by content, keeps them in
+ * private file storage and forwards them to Zoqq for the file IDs onboarding needs
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fileStorage = require('./fileStorage');
+const zoqqAuthService = require('./zoqqAuth');
+const { AppError } = require('../middleware/errorHandler');
+const { KYC_DOCUMENT_PURPOSES } = require('../config/kycDocuments');
+
+// Magic bytes of the accepted formats; the client-sent MIME type is not trusted
+const DOCUMENT_SIGNATURES = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPEG', matches: (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  png: { mimeType: 'image/png', extension: 'png', label: 'PNG', matches: (buf) => buf.length > 24 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', label: 'PDF', matches: (buf) => buf.length > 5 && buf.toString('ascii', 0, 5) === '%PDF-' }
+};
+
+// Per user, so a client cannot fill storage
+const MAX_DOCUMENTS_PER_USER = 20;
+
+// A valid PDF ends with %%EOF, allowing for trailing whitespace or padding
+const PDF_TRAILER_WINDOW = 1024;
+
+/**
+ * Width and height from a JPEG's start-of-frame segment
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Object|null} { width, height } or null if no frame header was found
+ */
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+class KycDocumentService {
+  constructor() {
+    this.maxBytes = (parseInt(process.env.KYC_DOCUMENT_MAX_KB, 10) || 10240) * 1024;
+    // Shortest side an ID photo or selfie may have and still be legible
+    this.minImagePixels = parseInt(process.env.KYC_IMAGE_MIN_PX, 10) || 300;
+  }
+
+  /**
+   * Detect the document type from the file contents
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} Matching signature with its key, or null
+   */
+  detectType(buffer) {
+    const key = Object.keys(DOCUMENT_SIGNATURES).find((type) => DOCUMENT_SIGNATURES[type].matches(buffer));
+    return key ? { key, ...DOCUMENT_SIGNATURES[key] } : null;
+  }
+
+  /**
+   * Check a file is an acceptable document for a purpose
+   * @param {string} purpose - Key of KYC_DOCUMENT_PURPOSES
+   * @param {Object} file - Multer file with an in-memory buffer
+   * @returns {Object} Detected document type
+   * @throws {AppError} If the file is missing, too large, of the wrong type, or malformed
+   */
+  validate(purpose, file) {
+    if (!file || !file.buffer) {
+      throw new AppError('No document file was uploaded', 400, 'FILE_MISSING');
+    }
+
+    if (file.size > this.maxBytes) {
+      throw new AppError(`Document must be smaller than ${Math.round(this.maxBytes / 1024)}KB`, 413, 'FILE_TOO_LARGE');
+    }
+
+    const { label, fileTypes } = KYC_DOCUMENT_PURPOSES[purpose];
+    const type = this.detectType(file.buffer);
+
+    if (!type || !fileTypes.includes(type.key)) {
+      const allowed = fileTypes.map((key) => DOCUMENT_SIGNATURES[key].label).join(', ');
+      throw new AppError(`${label} must be one of: ${allowed}`, 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+
+    if (type.key === 'pdf') {
+      this.validatePdf(file.buffer);
+    } else {
+      this.validateImage(type.key, file.buffer);
+    }
+
+    return type;
+  }
+
+  validatePdf(buffer) {
+    const trailer = buffer.subarray(Math.max(0, buffer.length - PDF_TRAILER_WINDOW)).toString('latin1');
+    if (!trailer.includes('%%EOF')) {
+      throw new AppError('PDF file is incomplete or corrupt', 422, 'INVALID_DOCUMENT');
+    }
+
+    // Zoqq compliance cannot open password-protected files
+    if (buffer.includes('/Encrypt')) {
+      throw new AppError('Password-protected PDFs are not accepted', 422, 'DOCUMENT_ENCRYPTED');
+    }
+  }
+
+  validateImage(typeKey, buffer) {
+    const dimensions = typeKey === 'png'
+      ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+      : jpegDimensions(buffer);
+
+    if (!dimensions || !dimensions.width || !dimensions.height) {
+      throw new AppError('Image file is incomplete or corrupt', 422, 'INVALID_DOCUMENT');
+    }
+
+    if (Math.min(dimensions.width, dimensions.height) < this.minImagePixels) {
+      throw new AppError(`Image must be at least ${this.minImagePixels}x${this.minImagePixels} pixels`, 422, 'IMAGE_TOO_SMALL');
+    }
+  }
+
+  /**
+   * Find one of a user's documents
+   * @throws {AppError} DOCUMENT_NOT_FOUND
+   */
+  findDocument(user, documentId) {
+    const document = user.kycDocuments.id(documentId);
+    if (!document) {
+      throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+    return document;
+  }
+
+  /**
+   * Store a document for a user and forward it to Zoqq
+   * A failed Zoqq upload leaves the document stored with status "failed" so it can be retried
+   * @param {Object} user - User document
+   * @param {Object} details - { purpose, tag }
+   * @param {Object} file - Multer file with an in-memory buffer
+   * @returns {Promise<Object>} The new kycDocuments entry
+   */
+  async upload(user, { purpose, tag }, file) {
+    if (user.kycDocuments.length >= MAX_DOCUMENTS_PER_USER) {
+      throw new AppError('Too many documents uploaded. Delete unused documents first', 409, 'DOCUMENT_LIMIT_REACHED');
+    }
+
+    const type = this.validate(purpose, file);
+    const config = KYC_DOCUMENT_PURPOSES[purpose];
+
+    // Random keys so stored documents cannot be guessed from the user or upload time
+    const storageKey = `kyc/${user._id}/${crypto.randomBytes(16).toString('hex')}.${type.extension}`;
+    await fileStorage.put(storageKey, file.buffer, type.mimeType);
+
+    user.kycDocuments.push({
+      purpose,
+      tag: config.tagField ? tag || config.defaultTag : undefined,
+      storageDriver: fileStorage.name,
+      storageKey,
+      originalName: this.safeFileName(file.originalname, purpose, type.extension),
+      mimeType: type.mimeType,
+      size: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      status: 'stored',
+      uploadedAt: new Date()
+    });
+
+    if (user.kycStatus === 'not_started') {
+      user.kycStatus = 'pending';
+    }
+
+    const document = user.kycDocuments[user.kycDocuments.length - 1];
+    console.log(`[KYC DOCUMENTS] Stored ${purpose} (${type.mimeType}, ${file.size} bytes) for user: ${user.email}`);
+
+    return this.forward(user, document, file.buffer);
+  }
+
+  /**
+   * Upload a stored document to Zoqq and record the outcome (saves the user)
+   * @param {Object} user - User document
+   * @param {Object} document - kycDocuments entry
+   * @param {Buffer} buffer - File contents, read from storage when omitted
+   * @returns {Promise<Object>} The updated entry
+   */
+  async forward(user, document, buffer = null) {
+    try {
+      const contents = buffer || await fileStorage.get(document.storageKey);
+      const result = await zoqqAuthService.uploadFile({
+        buffer: contents,
+        fileName: document.originalName,
+        mimeType: document.mimeType
+      });
+
+      document.zoqqFileId = result.fileId;
+      document.status = 'forwarded';
+      document.forwardedAt = new Date();
+      document.failureReason = undefined;
+    } catch (error) {
+      console.error(`[KYC DOCUMENTS] Zoqq upload failed for document ${document._id}: ${error.message}`);
+
+      document.status = 'failed';
+      document.failureReason = error.message;
+    }
+
+    await user.save();
+    return document;
+  }
+
+  /**
+   * Retry the Zoqq upload of a document; already forwarded documents are returned as they are
+   */
+  async retryForward(user, documentId) {
+    const document = this.findDocument(user, documentId);
+    return document.status === 'forwarded' ? document : this.forward(user, document);
+  }
+
+  /**
+   * Read a document's contents back from storage
+   * @returns {Promise<Object>} { document, buffer }
+   */
+  async read(user, documentId) {
+    const document = this.findDocument(user, documentId);
+    if (!document.storageKey) {
+      throw new AppError('Document file is not available', 404, 'FILE_NOT_FOUND');
+    }
+
+    return { document, buffer: await fileStorage.get(document.storageKey) };
+  }
+
+  /**
+   * Delete a document that has not been submitted with a Zoqq application or RFI answer (saves the user)
+   * @throws {AppError} DOCUMENT_NOT_FOUND, DOCUMENT_LOCKED
+   */
+  async remove(user, documentId) {
+    const document = this.findDocument(user, documentId);
+
+    // Application documents lock once the application reached Zoqq, RFI attachments once used in an answer
+    const submitted = document.purpose === 'rfi_document'
+      ? !!document.submittedAt
+      : user.zoqqAccountId && document.status === 'forwarded';
+
+    if (submitted) {
+      throw new AppError('Documents submitted to Zoqq cannot be deleted', 409, 'DOCUMENT_LOCKED');
+    }
+
+    if (document.storageKey) {
+      try {
+        await fileStorage.remove(document.storageKey);
+      } catch (error) {
+        console.error(`[KYC DOCUMENTS] Could not delete ${document.storageKey}: ${error.message}`);
+      }
+    }
+
+    document.deleteOne();
+    await user.save();
+  }
+
+  /**
+   * Zoqq create-user fields filled from the newest forwarded document of each purpose
+   * @param {Object} user - User document
+   * @returns {Object} e.g. { fileId, tag, frontFileId, ... } for the purposes uploaded so far
+   */
+  fileIds(user) {
+    const fields = {};
+
+    Object.entries(KYC_DOCUMENT_PURPOSES).forEach(([purpose, config]) => {
+      if (!config.zoqqField) return;
+
+      const latest = user.kycDocuments
+        .filter((document) => document.purpose === purpose && document.status === 'forwarded')
+        .pop();
+
+      if (latest) {
+        fields[config.zoqqField] = latest.zoqqFileId;
+        if (config.tagField) fields[config.tagField] = latest.tag;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Client view of a document; storage details stay on the server
+   */
+  serialize(document) {
+    return {
+      id: document._id,
+      purpose: document.purpose || null,
+      documentType: document.documentType || null,
+      tag: document.tag || null,
+      originalName: document.originalName || null,
+      mimeType: document.mimeType || null,
+      size: document.size || null,
+      status: document.status,
+      zoqqFileId: document.zoqqFileId || null,
+      failureReason: document.failureReason || null,
+      verificationStatus: document.verificationStatus,
+      uploadedAt: document.uploadedAt || null,
+      forwardedAt: document.forwardedAt || null,
+      submittedAt: document.submittedAt || null
+    };
+  }
+
+  /**
+   * Client file name reduced to safe characters, with the detected extension
+   */
+  safeFileName(originalName, purpose, extension) {
+    const base = path.basename(originalName || '', path.extname(originalName || ''))
+      .replace(/[^\w.-]+/g, '_')
+      .slice(0, 100);
+
+    return `${base || purpose}.${extension}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new KycDocumentService();
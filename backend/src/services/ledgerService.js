@@ -0,0 +1,523 @@
+/**
+ * Ledger Service
+ * Double-entry bookkeeping for every movement of money. A posting is a journal entry
+ * whose debits and credits match per currency; it is written together with the
+ * account balance changes in one MongoDB transaction (a replica set is required).
+ * Entries are immutable: pending entries are posted or voided, posted entries reversed.
+ * Postings that touch customer wallets also write their statement lines (transactionService)
+ */
+
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const transactionService = require('./transactionService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  LEDGER_CURRENCIES,
+  LEDGER_ACCOUNT_TYPES,
+  LEDGER_SYSTEM_ACCOUNTS,
+  fromMinorUnits
+} = require('../config/ledger');
+
+class LedgerService {
+  /**
+   * Run work in a transaction, or in the caller's when a session is given
+   * Transient write conflicts (two postings to the same account) are retried by the driver
+   * @param {Function} work - async (session) => result
+   * @param {Object} options - { session }
+   * @returns {Promise<*>} Result of work
+   */
+  async withTransaction(work, { session } = {}) {
+    if (session) {
+      return work(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await work(ownSession);
+      });
+      return result;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  // ========== ACCOUNTS ==========
+
+  /**
+   * Open a ledger account
+   * @param {Object} data - { code, name, type, currency, ownerId, allowNegative, metadata }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Account document
+   * @throws {AppError} UNSUPPORTED_CURRENCY, INVALID_ACCOUNT_TYPE
+   */
+  async createAccount({ code, name, type, currency, ownerId, allowNegative = false, metadata }, { session } = {}) {
+    if (!LEDGER_CURRENCIES[currency]) {
+      throw new AppError(`Unsupported currency: ${currency}`, 400, 'UNSUPPORTED_CURRENCY');
+    }
+    if (!LEDGER_ACCOUNT_TYPES[type]) {
+      throw new AppError(`Unknown account type: ${type}`, 400, 'INVALID_ACCOUNT_TYPE');
+    }
+
+    const [account] = await Account.create([{ code, name, type, currency, ownerId, allowNegative, metadata }], { session });
+    console.log(`[LEDGER] Opened ${type} account ${code}`);
+
+    return account;
+  }
+
+  /**
+   * Platform account for a currency, opened on first use
+   * @param {string} key - Key of LEDGER_SYSTEM_ACCOUNTS, e.g. settlement
+   * @param {string} currency - ISO 4217 code
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Account document
+   */
+  async systemAccount(key, currency, { session } = {}) {
+    const config = LEDGER_SYSTEM_ACCOUNTS[key];
+    if (!config) {
+      throw new Error(`Unknown system account: ${key}`);
+    }
+    if (!LEDGER_CURRENCIES[currency]) {
+      throw new AppError(`Unsupported currency: ${currency}`, 400, 'UNSUPPORTED_CURRENCY');
+    }
+
+    return Account.findOneAndUpdate(
+      { code: `system:${key}:${currency}` },
+      { $setOnInsert: { name: `${config.name} (${currency})`, type: config.type, currency, allowNegative: true } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, session }
+    );
+  }
+
+  /**
+   * Find an account or fail with 404
+   * @throws {AppError} LEDGER_ACCOUNT_NOT_FOUND
+   */
+  async findAccount(accountId, { session } = {}) {
+    const account = await Account.findById(accountId).session(session || null);
+    if (!account) {
+      throw new AppError('Ledger account not found', 404, 'LEDGER_ACCOUNT_NOT_FOUND');
+    }
+    return account;
+  }
+
+  /**
+   * Change an account's status; a closed account must be empty and cannot reopen
+   * @param {string} accountId - Account ID
+   * @param {string} status - active, frozen or closed
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Account document
+   * @throws {AppError} LEDGER_ACCOUNT_CLOSED, LEDGER_ACCOUNT_NOT_EMPTY
+   */
+  async setAccountStatus(accountId, status, { session } = {}) {
+    return this.withTransaction(async (txn) => {
+      const account = await this.findAccount(accountId, { session: txn });
+
+      if (account.status === 'closed') {
+        throw new AppError('Ledger account is closed', 409, 'LEDGER_ACCOUNT_CLOSED');
+      }
+
+      const { posted, pendingIn, pendingOut } = account.balances;
+      if (status === 'closed' && (posted !== 0 || pendingIn !== 0 || pendingOut !== 0)) {
+        throw new AppError('Only an account with a zero balance and nothing pending can be closed', 409, 'LEDGER_ACCOUNT_NOT_EMPTY');
+      }
+
+      account.status = status;
+      account.closedAt = status === 'closed' ? new Date() : undefined;
+      await account.save({ session: txn });
+
+      return account;
+    }, { session });
+  }
+
+  // ========== POSTINGS ==========
+
+  /**
+   * Check line shapes before anything is read
+   * @throws {AppError} INVALID_JOURNAL_ENTRY
+   */
+  checkLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new AppError('A journal entry needs at least two lines', 400, 'INVALID_JOURNAL_ENTRY');
+    }
+
+    lines.forEach((line) => {
+      if (!['debit', 'credit'].includes(line.direction)) {
+        throw new AppError('Each line is a debit or a credit', 400, 'INVALID_JOURNAL_ENTRY');
+      }
+      if (!Number.isSafeInteger(line.amount) || line.amount <= 0) {
+        throw new AppError('Line amounts are positive whole minor units', 400, 'INVALID_JOURNAL_ENTRY');
+      }
+    });
+  }
+
+  /**
+   * A reference posted again must describe the same movement as the first time
+   * @throws {AppError} JOURNAL_REFERENCE_CONFLICT
+   */
+  assertSamePosting(existing, { type, lines }) {
+    const describe = (entryLines) => entryLines
+      .map((line) => `${line.accountId}:${line.direction}:${line.amount}`)
+      .sort()
+      .join('|');
+
+    if (existing.type !== type || describe(existing.lines) !== describe(lines)) {
+      throw new AppError(
+        `Reference ${existing.reference} was already used for a different posting`,
+        409,
+        'JOURNAL_REFERENCE_CONFLICT'
+      );
+    }
+  }
+
+  /**
+   * Debits must equal credits in every currency
+   * @throws {AppError} UNBALANCED_JOURNAL_ENTRY
+   */
+  assertBalanced(lines) {
+    const totals = {};
+
+    lines.forEach((line) => {
+      totals[line.currency] = (totals[line.currency] || 0) + (line.direction === 'debit' ? line.amount : -line.amount);
+    });
+
+    const unbalanced = Object.entries(totals).filter(([, difference]) => difference !== 0);
+    if (unbalanced.length > 0) {
+      const detail = unbalanced.map(([currency, difference]) => `${currency} ${fromMinorUnits(difference, currency)}`).join(', ');
+      throw new AppError(`Debits and credits do not balance (${detail})`, 400, 'UNBALANCED_JOURNAL_ENTRY');
+    }
+  }
+
+  /**
+   * Balance changes a set of lines makes, by account
+   * Lines on an account's normal side increase it; pending lines only move the pending totals
+   * @returns {Map} accountId -> { account, posted, pendingIn, pendingOut }
+   */
+  balanceChanges(lines, accounts, status) {
+    const changes = new Map();
+
+    lines.forEach((line) => {
+      const account = accounts.get(String(line.accountId));
+      const key = String(account._id);
+      const change = changes.get(key) || { account, posted: 0, pendingIn: 0, pendingOut: 0 };
+      const increases = line.direction === account.normalSide;
+
+      if (status === 'pending') {
+        change[increases ? 'pendingIn' : 'pendingOut'] += line.amount;
+      } else {
+        change.posted += increases ? line.amount : -line.amount;
+      }
+
+      changes.set(key, change);
+    });
+
+    return changes;
+  }
+
+  /**
+   * Account status and funds checks for a set of balance changes
+   * @throws {AppError} LEDGER_ACCOUNT_CLOSED, LEDGER_ACCOUNT_FROZEN, INSUFFICIENT_FUNDS
+   */
+  assertPostable(changes) {
+    changes.forEach(({ account, posted, pendingOut }) => {
+      const reducesAvailable = posted < 0 || pendingOut > 0;
+
+      if (account.status === 'closed') {
+        throw new AppError(`Ledger account ${account.code} is closed`, 409, 'LEDGER_ACCOUNT_CLOSED');
+      }
+      if (account.status === 'frozen' && reducesAvailable) {
+        throw new AppError(`Ledger account ${account.code} is frozen`, 409, 'LEDGER_ACCOUNT_FROZEN');
+      }
+
+      const available = account.balances.posted + posted - (account.balances.pendingOut + pendingOut);
+      if (!account.allowNegative && reducesAvailable && available < 0) {
+        throw new AppError(`Insufficient funds in ${account.code}`, 422, 'INSUFFICIENT_FUNDS');
+      }
+    });
+  }
+
+  /**
+   * Apply balance changes inside the posting transaction
+   */
+  async applyChanges(changes, session, sign = 1) {
+    for (const { account, posted, pendingIn, pendingOut } of changes.values()) {
+      await Account.updateOne(
+        { _id: account._id },
+        {
+          $inc: {
+            'balances.posted': sign * posted,
+            'balances.pendingIn': sign * pendingIn,
+            'balances.pendingOut': sign * pendingOut
+          }
+        },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} entry - { type, lines: [{ accountId, direction, amount }], description, reference,
+   *   status ('posted' or 'pending'), createdBy, metadata }
+   * @param {Object} options - { session } to post inside the caller's transaction
+   * @returns {Promise<Object>} JournalEntry document; the existing one when the same posting was made before
+   * @throws {AppError} INVALID_JOURNAL_ENTRY, JOURNAL_REFERENCE_CONFLICT, UNBALANCED_JOURNAL_ENTRY, LEDGER_ACCOUNT_NOT_FOUND,
+   *   CURRENCY_MISMATCH, LEDGER_ACCOUNT_CLOSED, LEDGER_ACCOUNT_FROZEN, INSUFFICIENT_FUNDS
+   */
+  async post({ type, lines, description, reference, status = 'posted', createdBy, metadata, reversalOf }, { session } = {}) {
+    this.checkLines(lines);
+
+    if (!['posted', 'pending'].includes(status)) {
+      throw new AppError('Entries are posted or pending when created', 400, 'INVALID_JOURNAL_ENTRY');
+    }
+
+    return this.withTransaction(async (txn) => {
+      if (reference) {
+        const existing = await JournalEntry.findOne({ reference }).session(txn);
+        if (existing) {
+          this.assertSamePosting(existing, { type, lines });
+          return existing;
+        }
+      }
+
+      const accountIds = [...new Set(lines.map((line) => String(line.accountId)))];
+      const found = await Account.find({ _id: { $in: accountIds } }).session(txn);
+      if (found.length !== accountIds.length) {
+        throw new AppError('Ledger account not found', 404, 'LEDGER_ACCOUNT_NOT_FOUND');
+      }
+      const accounts = new Map(found.map((account) => [String(account._id), account]));
+
+      const resolvedLines = lines.map((line) => {
+        const account = accounts.get(String(line.accountId));
+        if (line.currency && line.currency !== account.currency) {
+          throw new AppError(`Account ${account.code} holds ${account.currency}, not ${line.currency}`, 400, 'CURRENCY_MISMATCH');
+        }
+        return { accountId: account._id, direction: line.direction, amount: line.amount, currency: account.currency };
+      });
+
+      this.assertBalanced(resolvedLines);
+
+      const changes = this.balanceChanges(resolvedLines, accounts, status);
+      this.assertPostable(changes);
+
+      const [entry] = await JournalEntry.create([{
+        type,
+        status,
+        description,
+        reference,
+        lines: resolvedLines,
+        reversalOf,
+        createdBy,
+        postedAt: status === 'posted' ? new Date() : undefined,
+        metadata
+      }], { session: txn });
+
+      await this.applyChanges(changes, txn);
+      await transactionService.record(entry, accounts, { session: txn });
+
+      console.log(`[LEDGER] ${status === 'posted' ? 'Posted' : 'Held'} ${type} entry ${entry._id} (${resolvedLines.length} lines)`);
+      return entry;
+    }, { session });
+  }
+
+  /**
+   * Find a pending entry or fail with 409
+   * @throws {AppError} JOURNAL_ENTRY_NOT_FOUND, JOURNAL_ENTRY_NOT_PENDING
+   */
+  async findPending(entryId, session) {
+    const entry = await JournalEntry.findById(entryId).session(session);
+    if (!entry) {
+      throw new AppError('Journal entry not found', 404, 'JOURNAL_ENTRY_NOT_FOUND');
+    }
+    if (entry.status !== 'pending') {
+      throw new AppError(`Journal entry is already ${entry.status}`, 409, 'JOURNAL_ENTRY_NOT_PENDING');
+    }
+    return entry;
+  }
+
+  /**
+   * Post a pending entry: held amounts move into the ledger balance
+   * @param {string} entryId - Journal entry ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Posted entry
+   */
+  async settle(entryId, { session } = {}) {
+    return this.withTransaction(async (txn) => {
+      const entry = await this.findPending(entryId, txn);
+      const found = await Account.find({ _id: { $in: entry.lines.map((line) => line.accountId) } }).session(txn);
+      const accounts = new Map(found.map((account) => [String(account._id), account]));
+
+      const pending = this.balanceChanges(entry.lines, accounts, 'pending');
+      const posted = this.balanceChanges(entry.lines, accounts, 'posted');
+
+      pending.forEach(({ account }) => {
+        if (account.status === 'closed') {
+          throw new AppError(`Ledger account ${account.code} is closed`, 409, 'LEDGER_ACCOUNT_CLOSED');
+        }
+      });
+
+      await this.applyChanges(pending, txn, -1);
+      await this.applyChanges(posted, txn);
+
+      const postedAt = new Date();
+      await JournalEntry.updateOne({ _id: entry._id, status: 'pending' }, { $set: { status: 'posted', postedAt } }, { session: txn });
+
+      Object.assign(entry, { status: 'posted', postedAt });
+      await transactionService.syncStatus(entry, { session: txn });
+
+      console.log(`[LEDGER] Posted pending entry ${entry._id}`);
+      return entry;
+    }, { session });
+  }
+
+  /**
+   * Release a pending entry without posting it
+   * @param {string} entryId - Journal entry ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Voided entry
+   */
+  async void(entryId, { session } = {}) {
+    return this.withTransaction(async (txn) => {
+      const entry = await this.findPending(entryId, txn);
+      const found = await Account.find({ _id: { $in: entry.lines.map((line) => line.accountId) } }).session(txn);
+      const accounts = new Map(found.map((account) => [String(account._id), account]));
+
+      await this.applyChanges(this.balanceChanges(entry.lines, accounts, 'pending'), txn, -1);
+
+      const voidedAt = new Date();
+      await JournalEntry.updateOne({ _id: entry._id, status: 'pending' }, { $set: { status: 'voided', voidedAt } }, { session: txn });
+
+      Object.assign(entry, { status: 'voided', voidedAt });
+      await transactionService.syncStatus(entry, { session: txn });
+
+      console.log(`[LEDGER] Voided pending entry ${entry._id}`);
+      return entry;
+    }, { session });
+  }
+
+  /**
+   * Undo a posted entry by posting its mirror image
+   * @param {string} entryId - Journal entry ID
+   * @param {Object} options - { description, createdBy, session }
+   * @returns {Promise<Object>} Reversal entry
+   * @throws {AppError} JOURNAL_ENTRY_NOT_FOUND, JOURNAL_ENTRY_NOT_POSTED, JOURNAL_ENTRY_ALREADY_REVERSED
+   */
+  async reverse(entryId, { description, createdBy, session } = {}) {
+    return this.withTransaction(async (txn) => {
+      const original = await JournalEntry.findById(entryId).session(txn);
+      if (!original) {
+        throw new AppError('Journal entry not found', 404, 'JOURNAL_ENTRY_NOT_FOUND');
+      }
+      if (original.status !== 'posted') {
+        throw new AppError('Only posted entries can be reversed; void a pending one', 409, 'JOURNAL_ENTRY_NOT_POSTED');
+      }
+      if (original.type === 'reversal' || await JournalEntry.exists({ reversalOf: original._id }).session(txn)) {
+        throw new AppError('Journal entry has already been reversed', 409, 'JOURNAL_ENTRY_ALREADY_REVERSED');
+      }
+
+      return this.post({
+        type: 'reversal',
+        description: description || `Reversal of ${original.type} ${original._id}`,
+        lines: original.lines.map((line) => ({
+          accountId: line.accountId,
+          direction: line.direction === 'debit' ? 'credit' : 'debit',
+          amount: line.amount,
+          currency: line.currency
+        })),
+        reversalOf: original._id,
+        createdBy,
+        metadata: { reversedType: original.type, reversedReference: original.reference }
+      }, { session: txn });
+    }, { session });
+  }
+
+  // ========== BALANCES ==========
+
+  /**
+   * Client view of an account and its balances
+   * @param {Object} account - Account document
+   * @returns {Object} Balances in minor units and as decimal strings
+   */
+  describeBalance(account) {
+    const { posted, pendingIn, pendingOut } = account.balances;
+
+    return {
+      accountId: account._id,
+      code: account.code,
+      currency: account.currency,
+      minorUnits: LEDGER_CURRENCIES[account.currency].minorUnits,
+      status: account.status,
+      ledger: posted,
+      available: posted - pendingOut,
+      pendingIn,
+      pendingOut,
+      formatted: {
+        ledger: fromMinorUnits(posted, account.currency),
+        available: fromMinorUnits(posted - pendingOut, account.currency)
+      }
+    };
+  }
+
+  /**
+   * Re-derive an account's balances from the journal and compare them with the cached ones
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { cached, derived, matches }
+   */
+  async verifyBalance(accountId) {
+    const account = await this.findAccount(accountId);
+
+    const totals = await JournalEntry.aggregate([
+      { $match: { 'lines.accountId': account._id, status: { $in: ['posted', 'pending'] } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.accountId': account._id } },
+      { $group: { _id: { status: '$status', direction: '$lines.direction' }, amount: { $sum: '$lines.amount' } } }
+    ]);
+
+    const derived = { posted: 0, pendingIn: 0, pendingOut: 0 };
+    totals.forEach(({ _id, amount }) => {
+      const increases = _id.direction === account.normalSide;
+      if (_id.status === 'posted') {
+        derived.posted += increases ? amount : -amount;
+      } else {
+        derived[increases ? 'pendingIn' : 'pendingOut'] += amount;
+      }
+    });
+
+    const { posted, pendingIn, pendingOut } = account.balances;
+    const cached = { posted, pendingIn, pendingOut };
+    const matches = ['posted', 'pendingIn', 'pendingOut'].every((field) => cached[field] === derived[field]);
+
+    if (!matches) {
+      console.error(`[LEDGER] Balance mismatch on ${account.code}:`, { cached, derived });
+    }
+
+    return { account: this.describeBalance(account), cached, derived, matches };
+  }
+
+  /**
+   * Posted debit and credit totals per currency; every currency should balance
+   * @returns {Promise<Object[]>} [{ currency, debits, credits, balanced }]
+   */
+  async trialBalance() {
+    const totals = await JournalEntry.aggregate([
+      { $match: { status: 'posted' } },
+      { $unwind: '$lines' },
+      { $group: { _id: { currency: '$lines.currency', direction: '$lines.direction' }, amount: { $sum: '$lines.amount' } } }
+    ]);
+
+    const byCurrency = {};
+    totals.forEach(({ _id, amount }) => {
+      byCurrency[_id.currency] = byCurrency[_id.currency] || { currency: _id.currency, debits: 0, credits: 0 };
+      byCurrency[_id.currency][_id.direction === 'debit' ? 'debits' : 'credits'] += amount;
+    });
+
+    return Object.values(byCurrency)
+      .sort((a, b) => a.currency.localeCompare(b.currency))
+      .map((row) => ({ ...row, balanced: row.debits === row.credits }));
+  }
+}
+
+// Export singleton instance
+module.exports = new LedgerService();
@@ -0,0 +1,293 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport selected by MAIL_TRANSPORT:
+ *   console - print messages to the log (default in development)
+ *   file    - write each message as JSON to MAIL_OUTBOX_DIR for local testing
+ *   smtp    - deliver through the SMTP_* settings
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Escape text for the generated HTML body
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Console transport: logs the message instead of sending it
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log('[MAIL] ---------- outgoing email ----------');
+    console.log(`[MAIL] To: ${message.to}`);
+    console.log(`[MAIL] Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('[MAIL] ------------------------------------');
+
+    return { messageId: message.id, transport: 'console' };
+  }
+}
+
+/**
+ * File transport: writes one JSON file per message
+ */
+class FileTransport {
+  constructor() {
+    this.outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || './mail-outbox');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.id}.json`;
+    const filePath = path.join(this.outboxDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    console.log(`[MAIL] Email to ${message.to} written to ${filePath}`);
+    return { messageId: message.id, transport: 'file', path: filePath };
+  }
+}
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+class SmtpTransport {
+  constructor() {
+    const nodemailer = require('nodemailer');
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return { messageId: info.messageId, transport: 'smtp' };
+  }
+}
+
+class MailService {
+  constructor() {
+    this.transports = {
+      console: () => new ConsoleTransport(),
+      file: () => new FileTransport(),
+      smtp: () => new SmtpTransport()
+    };
+
+    this.transportName = (process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')).toLowerCase();
+    this.from = process.env.FROM_EMAIL || 'noreply@stylopay.com';
+    this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    this.transport = null;
+  }
+
+  /**
+   * Register an additional transport (e.g. a provider API)
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns an object with send(message)
+   */
+  registerTransport(name, factory) {
+    this.transports[name] = factory;
+    if (this.transportName === name) {
+      this.transport = null;
+    }
+  }
+
+  /**
+   * Lazily build the configured transport
+   * @returns {Object} Transport instance
+   */
+  getTransport() {
+    if (!this.transport) {
+      const factory = this.transports[this.transportName];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${this.transportName}`);
+      }
+      this.transport = factory();
+      console.log(`[MAIL] Using ${this.transportName} mail transport`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Build an absolute link into the frontend
+   * @param {string} pathName - Path starting with /
+   * @returns {string} Absolute URL
+   */
+  buildLink(pathName) {
+    return `${this.frontendUrl}${pathName}`;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} options - { to, subject, text, html, tag }
+   * @returns {Promise<Object>} Transport result
+   */
+  async send({ to, subject, text, html, tag = 'general' }) {
+    const message = {
+      id: crypto.randomUUID(),
+      from: this.from,
+      to,
+      subject,
+      text,
+      html: html || `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`,
+      tag,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const result = await this.getTransport().send(message);
+      console.log(`[MAIL] Sent "${tag}" email to ${to} via ${result.transport}`);
+      return result;
+    } catch (error) {
+      console.error(`[MAIL] Failed to send "${tag}" email to ${to}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the email address verification link
+   * @param {Object} user - User document
+   * @param {string} token - Plain verification token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendVerificationEmail(user, token, expiresAt) {
+    const link = this.buildLink(`/verify-email/${token}`);
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your StyloPay email address',
+      tag: 'email_verification',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address to activate your StyloPay account:',
+        link,
+        '',
+        `This link expires on ${expiresAt.toUTCString()}.`,
+        'If you did not create an account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Plain reset token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordResetEmail(user, token, expiresAt) {
+    const link = this.buildLink(`/reset-password/${token}`);
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your StyloPay password',
+      tag: 'password_reset',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your StyloPay password. Use the link below to choose a new one:',
+        link,
+        '',
+        `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+        'If you did not request a reset, you can ignore this email; your password has not changed.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Confirm that the account password was changed
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your StyloPay password was changed',
+      tag: 'password_changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        `The password for your StyloPay account was changed on ${new Date().toUTCString()}.`,
+        'All devices have been signed out.',
+        '',
+        'If this was not you, contact support immediately.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Alert the user to a sign-in from a device not seen before
+   * @param {Object} user - User document
+   * @param {Object} device - Registered device entry
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendNewDeviceAlert(user, device, { ip } = {}) {
+    return this.send({
+      to: user.email,
+      subject: 'New sign-in to your StyloPay account',
+      tag: 'new_device',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        `Your StyloPay account was signed in from a new device on ${new Date().toUTCString()}:`,
+        `Device: ${device.name}`,
+        `IP address: ${ip || 'unknown'}`,
+        '',
+        'If this was you, there is nothing to do.',
+        `If not, change your password and remove the device in your security settings: ${this.buildLink('/user/settings')}`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send a staff invitation link
+   * @param {Object} invitation - AdminInvitation document
+   * @param {string} token - Plain invitation token
+   * @param {Object} inviter - Inviting user document
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendAdminInvitation(invitation, token, inviter) {
+    const link = this.buildLink(`/invite/${token}`);
+
+    return this.send({
+      to: invitation.email,
+      subject: 'You have been invited to join the StyloPay team',
+      tag: 'admin_invitation',
+      text: [
+        'Hello,',
+        '',
+        `${inviter?.fullName || 'A StyloPay administrator'} has invited you to join StyloPay with the ${invitation.role} role.`,
+        'Use the link below to set up your account:',
+        link,
+        '',
+        `This link can be used once and expires on ${invitation.expiresAt.toUTCString()}.`,
+        'If you were not expecting this invitation, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
@@ -0,0 +1,150 @@
+/**
+ * Notification Service
+ * Raises in-app notifications, mirrors them by email when the user allows it,
+ * and serves the per-user notification inbox
+ */
+
+const Notification = require('../models/Notification');
+const mailService = require('./mailService');
+
+/**
+ * Notifications raised from more than one place, by type
+ * Each builds { category, title, message, link } from event details
+ */
+const TEMPLATES = {
+  zoqq_account_activated: () => ({
+    category: 'account',
+    title: 'Your StyloPay account is active',
+    message: 'Your account has been approved and activated. You can now use all banking features.',
+    link: '/user/dashboard'
+  }),
+
+  zoqq_account_suspended: ({ reason } = {}) => ({
+    category: 'account',
+    title: 'Your StyloPay account has been suspended',
+    message: reason
+      ? `Your account has been suspended: ${reason}. Please contact support.`
+      : 'Your account has been suspended. Please contact support for more information.',
+    link: '/user/dashboard'
+  }),
+
+  zoqq_account_rejected: ({ reason } = {}) => ({
+    category: 'account',
+    title: 'Your StyloPay application was not approved',
+    message: reason
+      ? `Your account application was not approved: ${reason}. Please contact support if you have questions.`
+      : 'Your account application was not approved. Please contact support if you have questions.',
+    link: '/user/dashboard'
+  }),
+
+  zoqq_rfi_raised: ({ questionCount = 0 } = {}) => ({
+    category: 'compliance',
+    title: 'More information needed',
+    message: questionCount > 0
+      ? `Our compliance team needs more information to complete your account review (${questionCount} question(s)).`
+      : 'Our compliance team needs more information to complete your account review.',
+    link: '/user/rfis'
+  })
+};
+
+class NotificationService {
+  constructor() {
+    this.categories = Notification.schema.path('category').enumValues;
+  }
+
+  /**
+   * Raise a notification for a user
+   * Failures are logged and swallowed: a notification must never break the change it reports
+   * @param {Object} user - User document (email preferences are read from it)
+   * @param {Object} notification - { category, type, title, message, link, metadata }
+   * @param {Object} options - { email } set false to skip the email copy
+   * @returns {Promise<Object|null>} Created notification, or null if it could not be written
+   */
+  async notify(user, { category, type, title, message, link, metadata }, { email = true } = {}) {
+    let notification = null;
+
+    try {
+      notification = await Notification.create({ userId: user._id, category, type, title, message, link, metadata });
+    } catch (error) {
+      console.error(`[NOTIFICATION] Failed to record ${type} for user: ${user._id} - ${error.message}`);
+    }
+
+    if (email && user.email && user.notifications?.email !== false) {
+      mailService.send({
+        to: user.email,
+        subject: title,
+        tag: type,
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          message,
+          ...(link ? ['', mailService.buildLink(link)] : [])
+        ].join('\n')
+      }).catch(() => {
+        // Already logged by the mail service; the in-app notification is the source of truth
+      });
+    }
+
+    return notification;
+  }
+
+  /**
+   * Raise one of the shared notification templates
+   * @param {Object} user - User document
+   * @param {string} type - Template name, e.g. zoqq_account_activated
+   * @param {Object} details - Template parameters
+   * @param {Object} metadata - Stored with the notification
+   * @returns {Promise<Object|null>} Created notification
+   */
+  async notifyTemplate(user, type, details = {}, metadata) {
+    return this.notify(user, { ...TEMPLATES[type](details), type, metadata });
+  }
+
+  /**
+   * List notifications for a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} { notifications, total, unread }
+   */
+  async list(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    const filter = { userId, ...(unreadOnly && { readAt: null }) };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+
+    return {
+      notifications: notifications.map((entry) => ({
+        id: entry._id,
+        category: entry.category,
+        type: entry.type,
+        title: entry.title,
+        message: entry.message,
+        link: entry.link || null,
+        metadata: entry.metadata || {},
+        read: !!entry.readAt,
+        readAt: entry.readAt || null,
+        createdAt: entry.createdAt
+      })),
+      total,
+      unread
+    };
+  }
+
+  /**
+   * Mark notifications as read
+   * @param {string} userId - User ID
+   * @param {string[]|null} ids - Notification IDs, or null for all of the user's notifications
+   * @returns {Promise<number>} Number of notifications newly marked as read
+   */
+  async markRead(userId, ids = null) {
+    const filter = { userId, readAt: null, ...(ids && { _id: { $in: ids } }) };
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
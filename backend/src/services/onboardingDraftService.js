@@ -0,0 +1,255 @@
+/**
+ * Onboarding Draft Service
+ * Keeps a customer's Zoqq business application on the server between sessions and
+ * devices, records how far it got, and turns it into the create-user payload
+ */
+
+const OnboardingDraft = require('../models/OnboardingDraft');
+const kycDocumentService = require('./kycDocumentService');
+const { AppError } = require('../middleware/errorHandler');
+const { ONBOARDING_DRAFT_STEPS, OPTIONAL_APPLICATION_FIELDS } = require('../config/onboarding');
+const { KYC_DOCUMENT_PURPOSES } = require('../config/kycDocuments');
+
+const APPLICATION_FIELDS = ONBOARDING_DRAFT_STEPS.flatMap((step) => step.fields);
+const REQUIRED_FIELDS = APPLICATION_FIELDS.filter((field) => !OPTIONAL_APPLICATION_FIELDS.includes(field));
+
+// File IDs come from the user's uploaded KYC documents, never from the client
+const DOCUMENT_FIELDS = Object.values(KYC_DOCUMENT_PURPOSES).map((purpose) => purpose.zoqqField).filter(Boolean);
+
+const BOOLEAN_FIELDS = ['asTrustee', 'agreedToTermsAndConditions'];
+const DATE_FIELDS = ['dateOfBirth', 'effectiveAt', 'expireAt'];
+
+// Longer than any application field may be; longer values are cut
+const MAX_FIELD_LENGTH = 500;
+
+// Position after the last section, once every section is complete
+const REVIEW_STEP = { key: 'review', label: 'Ready to submit' };
+
+const isFilled = (field, value) => (field === 'agreedToTermsAndConditions'
+  ? value === true
+  : value !== undefined && value !== null && value !== '');
+
+class OnboardingDraftService {
+  constructor() {
+    // Drafts untouched this long count as abandoned in admin reporting
+    this.abandonedAfterDays = parseInt(process.env.ONBOARDING_DRAFT_ABANDONED_DAYS, 10) || 7;
+  }
+
+  /**
+   * The user's draft, or a new unsaved one started from their profile
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} OnboardingDraft document
+   */
+  async load(user) {
+    const draft = await OnboardingDraft.findOne({ userId: user._id });
+    if (draft) return draft;
+
+    return new OnboardingDraft({
+      userId: user._id,
+      data: { emailId: user.email, firstName: user.firstName, lastName: user.lastName }
+    });
+  }
+
+  /**
+   * @throws {AppError} DRAFT_SUBMITTED once the application has gone to Zoqq
+   */
+  assertEditable(user, draft) {
+    if (draft.status === 'submitted' || user.zoqqAccountId) {
+      throw new AppError('Your application has already been submitted', 409, 'DRAFT_SUBMITTED');
+    }
+  }
+
+  /**
+   * Merge changed fields into the draft; an empty value clears the field
+   * Unknown fields, document file IDs and non-scalar values are ignored
+   * @param {Object} draft - OnboardingDraft document (caller saves)
+   * @param {Object} changes - { step, fields }
+   * @param {Object} options - { userAgent }
+   * @returns {Object} The draft
+   */
+  applyChanges(draft, { step, fields = {} }, { userAgent } = {}) {
+    const data = { ...draft.data };
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (!APPLICATION_FIELDS.includes(field) || DOCUMENT_FIELDS.includes(field)) return;
+
+      if (value === undefined || value === null || value === '') {
+        delete data[field];
+      } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+        data[field] = typeof value === 'string' ? value.slice(0, MAX_FIELD_LENGTH) : value;
+      }
+    });
+
+    draft.data = data;
+    draft.markModified('data');
+
+    if (step) draft.currentStep = step;
+    draft.saveCount += 1;
+    draft.lastSavedAt = new Date();
+    draft.lastSavedUserAgent = userAgent ? userAgent.slice(0, 300) : undefined;
+
+    return draft;
+  }
+
+  /**
+   * Draft fields together with the file IDs of the user's uploaded documents
+   * @param {Object} user - User document
+   * @param {Object} draft - OnboardingDraft document
+   * @returns {Object} Application data
+   */
+  applicationData(user, draft) {
+    return { ...draft.data, ...kycDocumentService.fileIds(user) };
+  }
+
+  /**
+   * How far an application got, section by section
+   * @param {Object} data - Application data
+   * @param {Object} fieldErrors - Validation message by field
+   * @returns {Object} { steps, completedSteps, resumeStep, completion, invalidFieldCount }
+   */
+  progress(data, fieldErrors) {
+    const steps = ONBOARDING_DRAFT_STEPS.map((step) => {
+      const missing = step.fields.filter((field) => REQUIRED_FIELDS.includes(field) && !isFilled(field, data[field]));
+      const invalid = step.fields.filter((field) => fieldErrors[field]);
+
+      return {
+        key: step.key,
+        label: step.label,
+        fields: step.fields,
+        missing,
+        invalid,
+        complete: missing.length === 0 && invalid.length === 0
+      };
+    });
+
+    const validRequired = REQUIRED_FIELDS.filter((field) => isFilled(field, data[field]) && !fieldErrors[field]);
+
+    return {
+      steps,
+      completedSteps: steps.filter((step) => step.complete).map((step) => step.key),
+      resumeStep: (steps.find((step) => !step.complete) || REVIEW_STEP).key,
+      completion: Math.round((validRequired.length / REQUIRED_FIELDS.length) * 100),
+      invalidFieldCount: Object.keys(fieldErrors).length
+    };
+  }
+
+  /**
+   * Store a draft's progress with it and save
+   * @param {Object} draft - OnboardingDraft document
+   * @param {Object} progress - Result of progress()
+   * @returns {Promise<Object>} The saved draft
+   */
+  async recordProgress(draft, progress) {
+    draft.completedSteps = progress.completedSteps;
+    draft.resumeStep = progress.resumeStep;
+    draft.completion = progress.completion;
+    draft.invalidFieldCount = progress.invalidFieldCount;
+
+    return draft.save();
+  }
+
+  /**
+   * Client view of a draft
+   * @param {Object} draft - OnboardingDraft document
+   * @param {Object} state - { data, fieldErrors, progress }
+   * @returns {Object} Draft summary
+   */
+  describe(draft, { data, fieldErrors, progress = this.progress(data, fieldErrors) }) {
+    return {
+      status: draft.status,
+      saved: !draft.isNew,
+      currentStep: draft.currentStep,
+      resumeStep: progress.resumeStep,
+      completion: progress.completion,
+      steps: progress.steps,
+      data,
+      fieldErrors,
+      lastSavedAt: draft.isNew ? null : draft.lastSavedAt,
+      submittedAt: draft.submittedAt || null
+    };
+  }
+
+  /**
+   * Zoqq create-user payload built from a draft
+   * @param {Object} user - User document
+   * @param {Object} draft - OnboardingDraft document
+   * @returns {Object} Payload for onboardingService.createAccount
+   */
+  buildPayload(user, draft) {
+    const data = this.applicationData(user, draft);
+    const payload = {};
+
+    APPLICATION_FIELDS.forEach((field) => {
+      if (data[field] !== undefined && data[field] !== '') payload[field] = data[field];
+    });
+
+    if (payload.emailId) payload.emailId = String(payload.emailId).toLowerCase().trim();
+    if (payload.amount !== undefined) payload.amount = String(payload.amount);
+
+    BOOLEAN_FIELDS.forEach((field) => {
+      if (field in payload) payload[field] = payload[field] === true || payload[field] === 'true';
+    });
+
+    // Zoqq takes plain YYYY-MM-DD dates
+    DATE_FIELDS.forEach((field) => {
+      if (field in payload) payload[field] = String(payload[field]).slice(0, 10);
+    });
+
+    return payload;
+  }
+
+  /**
+   * Close the user's draft once Zoqq has accepted the application
+   * @param {string} userId - User ID
+   * @param {string} zoqqAccountId - New Zoqq account ID
+   * @returns {Promise<void>}
+   */
+  async markSubmitted(userId, zoqqAccountId) {
+    await OnboardingDraft.updateOne(
+      { userId, status: 'in_progress' },
+      { $set: { status: 'submitted', submittedAt: new Date(), zoqqAccountId } }
+    );
+  }
+
+  /**
+   * Drafts untouched for abandonedAfterDays, newest first, with how far they got
+   * Application contents stay private; only progress is returned
+   * @param {Object} options - { olderThanDays, limit, offset }
+   * @returns {Promise<Object>} { drafts, total, funnel, abandonedAfterDays }
+   */
+  async listAbandoned({ olderThanDays = this.abandonedAfterDays, limit = 20, offset = 0 } = {}) {
+    const filter = {
+      status: 'in_progress',
+      lastSavedAt: { $lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+    };
+
+    const [drafts, total, stoppedAt] = await Promise.all([
+      OnboardingDraft.find(filter)
+        .select('-data -lastSavedUserAgent')
+        .sort({ lastSavedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email zoqqAccountStatus')
+        .lean(),
+      OnboardingDraft.countDocuments(filter),
+      OnboardingDraft.aggregate([
+        { $match: filter },
+        { $group: { _id: '$resumeStep', drafts: { $sum: 1 }, averageCompletion: { $avg: '$completion' } } }
+      ])
+    ]);
+
+    // Every section in order, including those no draft stopped at
+    const byStep = new Map(stoppedAt.map((group) => [group._id, group]));
+    const funnel = [...ONBOARDING_DRAFT_STEPS, REVIEW_STEP].map(({ key, label }) => ({
+      key,
+      label,
+      drafts: byStep.get(key)?.drafts || 0,
+      averageCompletion: Math.round(byStep.get(key)?.averageCompletion || 0)
+    }));
+
+    return { drafts, total, funnel, abandonedAfterDays: olderThanDays };
+  }
+}
+
+// Export singleton instance
+module.exports = new OnboardingDraftService();
@@ -0,0 +1,237 @@
+/**
+ * Onboarding Service
+ * Runs each customer-driven onboarding step against Zoqq through the User
+ * onboarding state machine: the move is checked before Zoqq is called, and the
+ * local state only changes once Zoqq has answered
+ */
+
+const User = require('../models/User');
+const zoqqAuthService = require('./zoqqAuth');
+const activityService = require('./activityService');
+const onboardingDraftService = require('./onboardingDraftService');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  ONBOARDING_STEPS,
+  ONBOARDING_ACTIONS,
+  ONBOARDING_DESCRIPTIONS,
+  normalizeOnboardingState
+} = require('../config/onboarding');
+
+// A submission still in flight after this long is assumed lost and may be retried
+const SUBMISSION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Transitions returned with the onboarding summary
+const HISTORY_LIMIT = 10;
+
+class OnboardingService {
+  /**
+   * Find the local user for a Zoqq account
+   * @param {string} zoqqAccountId - Zoqq account ID
+   * @returns {Promise<Object>} User document
+   * @throws {AppError} USER_NOT_FOUND
+   */
+  async findByZoqqAccount(zoqqAccountId) {
+    const user = await User.findOne({ zoqqAccountId });
+    if (!user) {
+      throw new AppError('No user is linked to this Zoqq account', 404, 'USER_NOT_FOUND');
+    }
+    return user;
+  }
+
+  /**
+   * Apply a transition, save, and record it in the activity log
+   */
+  async transition(user, to, options) {
+    const from = normalizeOnboardingState(user.zoqqAccountStatus);
+
+    user.transitionOnboarding(to, options);
+    await user.save();
+
+    await activityService.record(user._id, 'account', 'zoqq_status_changed', {
+      description: `Zoqq account status changed from ${from} to ${to}`,
+      metadata: { source: options.source || 'user', event: options.event, from, to }
+    });
+
+    return user;
+  }
+
+  /**
+   * Send the application to Zoqq and link the resulting account
+   * @param {Object} user - User document being onboarded
+   * @param {Object} data - Validated Zoqq createUser payload
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<Object>} Zoqq createUser result
+   */
+  async createAccount(user, data, { idempotencyKey } = {}) {
+    if (user.zoqqAccountStatus === 'submitted') {
+      const lastMove = user.onboardingHistory[user.onboardingHistory.length - 1];
+      if (lastMove && Date.now() - lastMove.at.getTime() < SUBMISSION_TIMEOUT_MS) {
+        throw new AppError('Your application is already being submitted', 409, 'ONBOARDING_IN_PROGRESS');
+      }
+      await this.transition(user, 'draft', { event: 'create_account', source: 'system', reason: 'Submission timed out' });
+    }
+
+    await this.transition(user, 'submitted', { event: 'create_account' });
+
+    let result;
+
+    try {
+      result = await zoqqAuthService.createZoqqUser(data, { idempotencyKey });
+      if (!result.success) {
+        throw new AppError('Failed to create user in Zoqq system', 400, 'ZOQQ_CREATE_FAILED');
+      }
+    } catch (error) {
+      // Back to draft so the customer can correct the application and resubmit
+      await this.transition(user, 'draft', { event: 'create_account', source: 'system', reason: error.message });
+      throw error;
+    }
+
+    user.zoqqAccountId = result.accountId;
+    user.zoqqCreatedAt = new Date();
+    user.zoqqLastSync = new Date();
+    await this.transition(user, 'zoqq_created', { event: 'create_account' });
+
+    // The saved application, if the customer used one, is closed whichever route submitted it
+    await onboardingDraftService.markSubmitted(user._id, result.accountId);
+
+    return result;
+  }
+
+  /**
+   * Accept Zoqq terms and conditions
+   * @param {string} zoqqAccountId - Zoqq account ID
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<Object>} Zoqq result
+   */
+  async acceptTerms(zoqqAccountId, { idempotencyKey } = {}) {
+    const user = await this.findByZoqqAccount(zoqqAccountId);
+
+    // An open RFI keeps onboarding paused; the acceptance is still recorded
+    const rfiOpen = user.zoqqAccountStatus === 'rfi_pending';
+    if (!rfiOpen) {
+      user.assertOnboardingTransition('terms_accepted');
+    }
+
+    const result = await zoqqAuthService.acceptTermsAndConditions(zoqqAccountId, { idempotencyKey });
+    if (!result.success) {
+      throw new AppError('Failed to accept terms and conditions', 400, 'TERMS_ACCEPT_FAILED');
+    }
+
+    user.termsAcceptedAt = user.termsAcceptedAt || new Date();
+    user.zoqqLastSync = new Date();
+
+    if (rfiOpen) {
+      await user.save();
+    } else {
+      await this.transition(user, 'terms_accepted', { event: 'accept_terms' });
+    }
+
+    return result;
+  }
+
+  /**
+   * Ask Zoqq to activate the account
+   * A Zoqq RFI or rejection is recorded as the matching state before the error is rethrown
+   * @param {string} zoqqAccountId - Zoqq account ID
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<Object>} Zoqq result
+   */
+  async activate(zoqqAccountId, { idempotencyKey } = {}) {
+    const user = await this.findByZoqqAccount(zoqqAccountId);
+    user.assertOnboardingTransition('active');
+
+    let result;
+
+    try {
+      result = await zoqqAuthService.activateAccount(zoqqAccountId, { idempotencyKey });
+      if (!result.success) {
+        throw new AppError('Failed to activate account', 400, 'ACTIVATION_FAILED');
+      }
+    } catch (error) {
+      await this.recordActivationFailure(user, error);
+      throw error;
+    }
+
+    user.isVerified = true;
+    user.activatedAt = new Date();
+    user.zoqqLastSync = new Date();
+    await this.transition(user, 'active', { event: 'activate_account' });
+
+    return result;
+  }
+
+  /**
+   * Move to rfi_pending or rejected when Zoqq refused activation for that reason
+   * The customer is notified by the matching Zoqq webhook (or the reconciler), not here
+   */
+  async recordActivationFailure(user, error) {
+    if (error.externalCode === 'RFI_REQUIRED' && user.zoqqAccountStatus !== 'rfi_pending' && user.canTransitionOnboarding('rfi_pending')) {
+      await this.transition(user, 'rfi_pending', { event: 'activate_account', reason: error.message });
+    } else if (error.externalCode === 'ACTIVATION_REJECTED' && user.canTransitionOnboarding('rejected')) {
+      await this.transition(user, 'rejected', { event: 'activate_account', reason: error.message });
+    }
+  }
+
+  /**
+   * Answer an RFI question; once Zoqq reports nothing outstanding, onboarding resumes
+   * @param {string} zoqqAccountId - Zoqq account ID
+   * @param {Object} answer - Validated RFI answer
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<Object>} Zoqq result
+   */
+  async respondToRFI(zoqqAccountId, answer, { idempotencyKey } = {}) {
+    const user = await this.findByZoqqAccount(zoqqAccountId);
+
+    const result = await zoqqAuthService.respondToRFI(zoqqAccountId, answer, { idempotencyKey });
+    if (!result.success) {
+      throw new AppError('Failed to submit RFI response', 400, 'RFI_RESPONSE_FAILED');
+    }
+
+    if (user.zoqqAccountStatus === 'rfi_pending' && result.data?.data?.remaining_questions === 0) {
+      user.zoqqLastSync = new Date();
+      await this.transition(user, user.termsAcceptedAt ? 'terms_accepted' : 'zoqq_created', { event: 'respond_to_rfi' });
+    }
+
+    return result;
+  }
+
+  /**
+   * Current onboarding step and what the customer can do next
+   * @param {Object} user - User document
+   * @returns {Object} Onboarding summary
+   */
+  describe(user) {
+    const state = normalizeOnboardingState(user.zoqqAccountStatus);
+    const stepIndex = ONBOARDING_STEPS.findIndex((step) => step.states.includes(state));
+
+    return {
+      state,
+      description: ONBOARDING_DESCRIPTIONS[state],
+      step: stepIndex + 1,
+      totalSteps: ONBOARDING_STEPS.length,
+      complete: state === 'active',
+      steps: ONBOARDING_STEPS.map((step, index) => ({
+        key: step.key,
+        label: step.label,
+        status: index < stepIndex || state === 'active' ? 'complete' : index === stepIndex ? 'current' : 'upcoming'
+      })),
+      nextActions: ONBOARDING_ACTIONS[state],
+      zoqqAccountId: user.zoqqAccountId || null,
+      zoqqCreatedAt: user.zoqqCreatedAt || null,
+      termsAcceptedAt: user.termsAcceptedAt || null,
+      activatedAt: user.activatedAt || null,
+      lastSyncedAt: user.zoqqLastSync || null,
+      history: user.onboardingHistory.slice(-HISTORY_LIMIT).reverse().map((entry) => ({
+        from: entry.from,
+        to: entry.to,
+        event: entry.event,
+        source: entry.source,
+        reason: entry.reason || null,
+        at: entry.at
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OnboardingService();
@@ -0,0 +1,114 @@
+/**
+ * Password Reset Service
+ * Issues hashed, single-use, time-limited reset tokens and applies new passwords
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { AppError } = require('../middleware/errorHandler');
+
+class PasswordResetService {
+  constructor() {
+    this.tokenTtlMs = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+  }
+
+  /**
+   * Hash a reset token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Start a password reset
+   * The lookup, token and email all happen after the caller returns, so neither the
+   * response nor its timing reveals whether an address is registered
+   * @param {string} email - Email address
+   */
+  requestReset(email) {
+    setImmediate(() => {
+      this.issueToken(email).catch((error) => {
+        console.error(`[PASSWORD RESET] Could not start reset for ${email}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Issue a reset token and email it; unknown and inactive accounts are skipped silently
+   * @param {string} email - Email address
+   * @returns {Promise<void>}
+   */
+  async issueToken(email) {
+    const user = await User.findByEmail(email);
+
+    if (!user || ['suspended', 'closed'].includes(user.accountStatus)) {
+      console.log(`[PASSWORD RESET] Reset skipped for ${email}: ${user ? user.accountStatus : 'unknown address'}`);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.tokenTtlMs);
+
+    // A new request replaces any earlier token
+    user.passwordResetToken = this.hashToken(token);
+    user.passwordResetExpires = expiresAt;
+    await user.save();
+
+    await mailService.sendPasswordResetEmail(user, token, expiresAt);
+
+    console.log(`[PASSWORD RESET] Reset token issued for user: ${user.email}`);
+  }
+
+  /**
+   * Set a new password using a reset token
+   * The token is consumed, the lockout is cleared and saving the new password
+   * bumps passwordChangedAt and revokes every session (see User model hooks)
+   * @param {string} token - Plain reset token
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Updated user document
+   * @throws {AppError} If the token is invalid, expired or already used
+   */
+  async resetPassword(token, newPassword) {
+    const filter = {
+      passwordResetToken: this.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    };
+
+    const user = await User.findOne(filter).select('+password');
+
+    if (!user) {
+      throw new AppError('Password reset link is invalid or has expired', 400, 'RESET_TOKEN_INVALID');
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      throw new AppError('New password must be different from your current password', 400, 'PASSWORD_REUSED');
+    }
+
+    // Consume the token atomically so concurrent requests cannot both use it
+    const consumed = await User.updateOne(filter, {
+      $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+    });
+
+    if (consumed.modifiedCount === 0) {
+      throw new AppError('Password reset link is invalid or has expired', 400, 'RESET_TOKEN_INVALID');
+    }
+
+    user.password = newPassword;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    mailService.sendPasswordChangedEmail(user).catch((error) => {
+      console.error(`[PASSWORD RESET] Could not send confirmation to ${user.email}: ${error.message}`);
+    });
+
+    console.log(`[PASSWORD RESET] Password reset completed for user: ${user.email}`);
+    return user;
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordResetService();
@@ -0,0 +1,91 @@
+/**
+ * Profile Picture Service
+ * Validates uploaded avatar images by content and stores them on local disk
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+
+// Magic bytes of the accepted image formats; the client-sent MIME type is not trusted
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: (buf) => buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: 'webp', matches: (buf) => buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+class ProfilePictureService {
+  constructor() {
+    this.maxBytes = (parseInt(process.env.PROFILE_PICTURE_MAX_KB, 10) || 2048) * 1024;
+    this.directory = path.resolve(process.env.UPLOAD_DIR || 'uploads', 'avatars');
+    this.publicPath = '/uploads/avatars';
+  }
+
+  /**
+   * Detect the image type from the file contents
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} Matching signature or null
+   */
+  detectType(buffer) {
+    return IMAGE_SIGNATURES.find((signature) => signature.matches(buffer)) || null;
+  }
+
+  /**
+   * Store a new avatar for a user and remove the previous one
+   * @param {Object} user - User document (caller saves)
+   * @param {Object} file - Multer file with an in-memory buffer
+   * @returns {Promise<string>} Public path of the stored image
+   * @throws {AppError} If the file is missing, too large or not a supported image
+   */
+  async replace(user, file) {
+    if (!file || !file.buffer) {
+      throw new AppError('No image file was uploaded', 400, 'FILE_MISSING');
+    }
+
+    if (file.size > this.maxBytes) {
+      throw new AppError(`Image must be smaller than ${Math.round(this.maxBytes / 1024)}KB`, 413, 'FILE_TOO_LARGE');
+    }
+
+    const type = this.detectType(file.buffer);
+    if (!type) {
+      throw new AppError('Profile picture must be a JPEG, PNG or WebP image', 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+
+    // Random file names keep avatar URLs unguessable
+    const fileName = `${crypto.randomBytes(16).toString('hex')}.${type.extension}`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, fileName), file.buffer);
+
+    const previous = user.profilePicture;
+    user.profilePicture = `${this.publicPath}/${fileName}`;
+
+    if (previous) {
+      await this.remove(previous);
+    }
+
+    console.log(`[PROFILE PICTURE] Stored ${type.mimeType} (${file.size} bytes) for user: ${user.email}`);
+    return user.profilePicture;
+  }
+
+  /**
+   * Delete a stored avatar by its public path
+   * @param {string} publicUrl - Path previously returned by replace()
+   * @returns {Promise<void>}
+   */
+  async remove(publicUrl) {
+    const fileName = path.basename(publicUrl);
+
+    try {
+      await fs.unlink(path.join(this.directory, fileName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[PROFILE PICTURE] Could not delete ${fileName}: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ProfilePictureService();
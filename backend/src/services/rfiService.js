@@ -0,0 +1,364 @@
+/**
+ * RFI Service
+ * Keeps every request for information Zoqq raised for a customer, answers several
+ * of its questions in one submission, and records each submission as response history
+ */
+
+const RfiRequest = require('../models/RfiRequest');
+const zoqqAuthService = require('./zoqqAuth');
+const onboardingService = require('./onboardingService');
+const { AppError } = require('../middleware/errorHandler');
+const { RFI_QUESTION_TYPES, RFI_RESPONSE_HISTORY_LIMIT, RFI_DEFAULT_DUE_DAYS } = require('../config/rfi');
+
+const ADDRESS_FIELDS = ['address_line1', 'address_line2', 'country_code', 'postcode', 'state', 'suburb'];
+
+// Zoqq titles and descriptions come as { en: '...' } or plain strings
+const localized = (value) => (value && typeof value === 'object' ? value.en || Object.values(value)[0] : value) || undefined;
+
+const isFilled = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+class RfiService {
+  /**
+   * Save Zoqq's RFI view for a user; open requests Zoqq no longer reports are closed
+   * @param {Object} user - User document
+   * @param {Object} rfiData - { active_request, history } from Zoqq
+   * @returns {Promise<void>}
+   */
+  async store(user, rfiData) {
+    const remoteRequests = [rfiData?.active_request, ...(rfiData?.history || [])].filter((request) => request?.id);
+    const fetchedAt = new Date();
+
+    for (const remote of remoteRequests) {
+      const questions = (remote.questions || []).map((question) => ({
+        questionId: question.id,
+        key: question.key,
+        type: question.type,
+        title: localized(question.title),
+        description: localized(question.description),
+        answered: !!question.answered,
+        answeredAt: question.answered_at ? new Date(question.answered_at) : undefined
+      }));
+
+      const open = remote.status === 'ACTION_REQUIRED' || questions.some((question) => !question.answered);
+      const raisedAt = remote.created_at ? new Date(remote.created_at) : fetchedAt;
+      const dueAt = remote.due_at || remote.due_date
+        ? new Date(remote.due_at || remote.due_date)
+        : new Date(raisedAt.getTime() + RFI_DEFAULT_DUE_DAYS * 24 * 60 * 60 * 1000);
+
+      await RfiRequest.findOneAndUpdate(
+        { userId: user._id, rfiId: remote.id },
+        {
+          $set: {
+            zoqqAccountId: user.zoqqAccountId,
+            status: open ? 'open' : 'answered',
+            zoqqStatus: remote.status,
+            questions,
+            raisedAt,
+            dueAt,
+            answeredAt: open ? undefined : new Date(remote.answered_at || fetchedAt),
+            lastFetchedAt: fetchedAt
+          }
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    await RfiRequest.updateMany(
+      { userId: user._id, status: 'open', rfiId: { $nin: remoteRequests.map((request) => request.id) } },
+      { $set: { status: 'closed', lastFetchedAt: fetchedAt } }
+    );
+  }
+
+  /**
+   * Fetch the user's RFIs from Zoqq and store them
+   * @param {Object} user - User document with a Zoqq account
+   * @returns {Promise<void>}
+   */
+  async sync(user) {
+    const result = await zoqqAuthService.getRFI(user.zoqqAccountId);
+    if (!result.success) {
+      throw new AppError('Failed to retrieve RFI details', 400, 'RFI_GET_FAILED');
+    }
+
+    await this.store(user, result.rfiData);
+  }
+
+  /**
+   * The user's RFIs, newest first, refreshed from Zoqq when it answers
+   * @param {Object} user - User document
+   * @param {Object} options - { status }
+   * @returns {Promise<Object>} { requests, counts, stale }
+   */
+  async list(user, { status } = {}) {
+    let stale = false;
+
+    if (user.zoqqAccountId) {
+      try {
+        await this.sync(user);
+      } catch (error) {
+        // Stored requests are still shown while Zoqq is unavailable
+        console.error(`[RFI] Could not refresh RFIs for user ${user._id}: ${error.message}`);
+        stale = true;
+      }
+    }
+
+    const requests = await RfiRequest.find({ userId: user._id, ...(status && { status }) })
+      .select('-responses')
+      .sort({ raisedAt: -1 });
+
+    return {
+      requests: requests.map((request) => this.serialize(request)),
+      counts: await this.counts(user._id),
+      stale
+    };
+  }
+
+  /**
+   * Open and overdue RFIs, from what is stored
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { open, overdue }
+   */
+  async counts(userId) {
+    const [open, overdue] = await Promise.all([
+      RfiRequest.countDocuments({ userId, status: 'open' }),
+      RfiRequest.countDocuments({ userId, status: 'open', dueAt: { $lt: new Date() } })
+    ]);
+
+    return { open, overdue };
+  }
+
+  /**
+   * One of the user's RFIs
+   * @throws {AppError} RFI_NOT_FOUND
+   */
+  async find(user, rfiId) {
+    const request = await RfiRequest.findOne({ userId: user._id, rfiId });
+    if (!request) {
+      throw new AppError('Request for information not found', 404, 'RFI_NOT_FOUND');
+    }
+    return request;
+  }
+
+  /**
+   * The open RFI asking a question, refreshing from Zoqq if it is not stored yet
+   */
+  async findByQuestion(user, questionId) {
+    const filter = { userId: user._id, status: 'open', 'questions.questionId': questionId };
+
+    let request = await RfiRequest.findOne(filter);
+    if (!request && user.zoqqAccountId) {
+      await this.sync(user);
+      request = await RfiRequest.findOne(filter);
+    }
+
+    if (!request) {
+      throw new AppError(`Unknown or closed RFI question: ${questionId}`, 404, 'RFI_NOT_FOUND');
+    }
+    return request;
+  }
+
+  /**
+   * Check answers against the request's open questions
+   * @returns {Object} Error message by question ID
+   */
+  checkAnswers(user, request, answers) {
+    const errors = {};
+    const seen = new Set();
+
+    answers.forEach((answer) => {
+      const question = request.questions.find((candidate) => candidate.questionId === answer.id);
+
+      if (!question) {
+        errors[answer.id] = 'Not a question of this request';
+      } else if (seen.has(answer.id)) {
+        errors[answer.id] = 'Answered more than once in this submission';
+      } else if (question.answered) {
+        errors[answer.id] = 'Already answered';
+      } else if (question.type !== answer.type) {
+        errors[answer.id] = `Expects a ${question.type} answer`;
+      } else if (answer.type === 'DOCUMENT') {
+        const documents = (answer.documentIds || []).map((documentId) => user.kycDocuments.id(documentId));
+
+        if (documents.some((document) => !document)) {
+          errors[answer.id] = 'Attachment not found';
+        } else if (documents.some((document) => document.status !== 'forwarded')) {
+          errors[answer.id] = 'Attachments must be uploaded to Zoqq before they can be sent';
+        } else if (documents.length === 0 && !isFilled(answer.file_id)) {
+          errors[answer.id] = 'Attach at least one document';
+        }
+      } else {
+        const missing = RFI_QUESTION_TYPES[answer.type].fields.filter((field) => !isFilled(answer[field]));
+        if (missing.length > 0) {
+          errors[answer.id] = `Missing: ${missing.join(', ')}`;
+        }
+      }
+
+      seen.add(answer.id);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Zoqq answer payload, with attachments resolved to their Zoqq file IDs
+   * @returns {Object} { payload, attachments }
+   */
+  buildAnswer(user, answer) {
+    if (answer.type === 'ADDRESS') {
+      const fields = Object.fromEntries(ADDRESS_FIELDS.filter((field) => isFilled(answer[field])).map((field) => [field, answer[field]]));
+      return { payload: { id: answer.id, type: answer.type, ...fields }, fields, attachments: [] };
+    }
+
+    if (answer.type === 'TEXT') {
+      return { payload: { id: answer.id, type: answer.type, text: answer.text }, fields: { text: answer.text }, attachments: [] };
+    }
+
+    const documents = (answer.documentIds || []).map((documentId) => user.kycDocuments.id(documentId));
+    const attachments = documents.length > 0
+      ? documents.map((document) => ({ documentId: document._id, zoqqFileId: document.zoqqFileId, originalName: document.originalName }))
+      : [{ zoqqFileId: answer.file_id }, ...(answer.attachments || []).map((attachment) => ({ zoqqFileId: attachment.file_id }))];
+
+    return {
+      payload: {
+        id: answer.id,
+        type: answer.type,
+        file_id: attachments[0].zoqqFileId,
+        attachments: attachments.map((attachment) => ({ file_id: attachment.zoqqFileId }))
+      },
+      fields: {},
+      attachments
+    };
+  }
+
+  /**
+   * Answer questions of one RFI, each sent to Zoqq in turn; answers Zoqq refuses are
+   * recorded as failed and the rest still go through
+   * @param {Object} user - User document
+   * @param {Object[]} answers - [{ id, type, ...fields, documentIds }]
+   * @param {Object} options - { rfiId, idempotencyKey }; without rfiId the request is found by question
+   * @returns {Promise<Object>} { request, response, results } where results hold each Zoqq outcome
+   * @throws {AppError} RFI_NOT_FOUND, RFI_CLOSED, INVALID_RFI_ANSWERS
+   */
+  async respond(user, answers, { rfiId, idempotencyKey } = {}) {
+    const request = rfiId
+      ? await this.find(user, rfiId)
+      : await this.findByQuestion(user, answers[0].id);
+
+    if (request.status !== 'open') {
+      throw new AppError('This request for information is no longer open', 409, 'RFI_CLOSED');
+    }
+
+    const errors = this.checkAnswers(user, request, answers);
+    if (Object.keys(errors).length > 0) {
+      throw Object.assign(new AppError('Some answers cannot be sent', 400, 'INVALID_RFI_ANSWERS'), { data: { errors } });
+    }
+
+    const results = [];
+    const recorded = [];
+    let remainingQuestions = null;
+
+    for (const answer of answers) {
+      const { payload, fields, attachments } = this.buildAnswer(user, answer);
+      const question = request.questions.find((candidate) => candidate.questionId === answer.id);
+
+      try {
+        // One Zoqq call per answer, so each needs its own key for a safe retry
+        const result = await onboardingService.respondToRFI(user.zoqqAccountId, payload, {
+          idempotencyKey: idempotencyKey && `${idempotencyKey}:${answer.id}`
+        });
+
+        question.answered = true;
+        question.answeredAt = new Date();
+        remainingQuestions = result.data?.data?.remaining_questions ?? remainingQuestions;
+
+        attachments.forEach((attachment) => {
+          const document = attachment.documentId && user.kycDocuments.id(attachment.documentId);
+          if (document) document.submittedAt = document.submittedAt || new Date();
+        });
+
+        results.push({ questionId: answer.id, status: 'accepted', result });
+        recorded.push({ questionId: answer.id, type: answer.type, fields, attachments, status: 'accepted' });
+      } catch (error) {
+        console.error(`[RFI] Answer to ${answer.id} was not accepted: ${error.message}`);
+
+        results.push({ questionId: answer.id, status: 'failed', error });
+        recorded.push({
+          questionId: answer.id,
+          type: answer.type,
+          fields,
+          attachments,
+          status: 'failed',
+          error: { code: error.code || 'RFI_RESPONSE_ERROR', message: error.message }
+        });
+      }
+    }
+
+    if (remainingQuestions === 0 || request.questions.every((question) => question.answered)) {
+      request.status = 'answered';
+      request.answeredAt = new Date();
+    }
+
+    request.responses.push({ submittedAt: new Date(), answers: recorded });
+    if (request.responses.length > RFI_RESPONSE_HISTORY_LIMIT) {
+      request.responses.splice(0, request.responses.length - RFI_RESPONSE_HISTORY_LIMIT);
+    }
+
+    request.markModified('questions');
+    await request.save();
+
+    if (results.some((result) => result.status === 'accepted')) {
+      await user.save();
+    }
+
+    return { request, response: request.responses[request.responses.length - 1], results };
+  }
+
+  /**
+   * Client view of a request
+   * @param {Object} request - RfiRequest document
+   * @param {Object} options - { withResponses } to include the response history, newest first
+   * @returns {Object} RFI summary
+   */
+  serialize(request, { withResponses = false } = {}) {
+    return {
+      rfiId: request.rfiId,
+      status: request.status,
+      zoqqStatus: request.zoqqStatus || null,
+      raisedAt: request.raisedAt || null,
+      dueAt: request.dueAt || null,
+      overdue: request.status === 'open' && !!request.dueAt && request.dueAt < new Date(),
+      answeredAt: request.answeredAt || null,
+      lastFetchedAt: request.lastFetchedAt || null,
+      openQuestions: request.questions.filter((question) => !question.answered).length,
+      questions: request.questions.map((question) => ({
+        id: question.questionId,
+        key: question.key || null,
+        type: question.type,
+        title: question.title || null,
+        description: question.description || null,
+        answered: question.answered,
+        answeredAt: question.answeredAt || null
+      })),
+      ...(withResponses && {
+        responses: request.responses.slice().reverse().map((response) => ({
+          id: response._id,
+          submittedAt: response.submittedAt,
+          answers: response.answers.map((answer) => ({
+            questionId: answer.questionId,
+            type: answer.type,
+            fields: answer.fields || {},
+            attachments: answer.attachments.map((attachment) => ({
+              documentId: attachment.documentId || null,
+              originalName: attachment.originalName || null
+            })),
+            status: answer.status,
+            error: answer.error?.message ? answer.error : null
+          }))
+        }))
+      })
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RfiService();
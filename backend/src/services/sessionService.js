@@ -0,0 +1,242 @@
+/**
+ * Session Service
+ * Issues, rotates and revokes refresh tokens backed by the Session collection
+ * Every refresh consumes the presented token and issues a new one in the same family
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionService {
+  constructor() {
+    this.refreshTtlMs = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 1) * DAY_MS;
+    this.rememberMeTtlMs = (parseInt(process.env.REFRESH_TOKEN_REMEMBER_TTL_DAYS, 10) || 30) * DAY_MS;
+    // Absolute lifetime of a token family: rotation never extends a login beyond it
+    this.familyMaxLifetimeMs = (parseInt(process.env.REFRESH_TOKEN_MAX_LIFETIME_DAYS, 10) || 90) * DAY_MS;
+
+    // A rotated token presented again within this window is treated as a
+    // concurrent refresh (e.g. two tabs) rather than theft
+    this.reuseGraceMs = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS, 10) || 10000;
+  }
+
+  /**
+   * Generate a new opaque refresh token
+   * @returns {string} Random refresh token
+   */
+  generateToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} token - Plain refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a session for a freshly authenticated user
+   * @param {Object} user - User document
+   * @param {Object} options - { ip, userAgent, rememberMe, familyId, familyCreatedAt, deviceId }
+   * @returns {Promise<Object>} Session document with plain refresh token
+   */
+  async createSession(user, { ip = null, userAgent = null, rememberMe = false, familyId = null, familyCreatedAt = new Date(), deviceId = null } = {}) {
+    const refreshToken = this.generateToken();
+    const ttl = rememberMe ? this.rememberMeTtlMs : this.refreshTtlMs;
+    const familyExpiresAt = familyCreatedAt.getTime() + this.familyMaxLifetimeMs;
+
+    const session = await Session.create({
+      userId: user._id || user.id,
+      familyId: familyId || crypto.randomUUID(),
+      familyCreatedAt,
+      tokenHash: this.hashToken(refreshToken),
+      rememberMe,
+      ip,
+      userAgent: userAgent ? userAgent.substring(0, 200) : null,
+      deviceId,
+      expiresAt: new Date(Math.min(Date.now() + ttl, familyExpiresAt))
+    });
+
+    console.log(`[SESSION] Session created for user: ${session.userId} - Family: ${session.familyId}`);
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Consume a refresh token and issue its successor
+   * @param {string} refreshToken - Plain refresh token presented by the client
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} New session with plain refresh token
+   * @throws {AppError} If the token is unknown, expired, revoked or reused
+   */
+  async rotate(refreshToken, { ip = null, userAgent = null } = {}) {
+    if (!refreshToken) {
+      throw new AppError('Refresh token required', 401, 'REFRESH_TOKEN_MISSING');
+    }
+
+    const session = await Session.findOne({ tokenHash: this.hashToken(refreshToken) });
+
+    if (!session) {
+      throw new AppError('Invalid refresh token', 401, 'REFRESH_TOKEN_INVALID');
+    }
+
+    if (session.status === 'revoked') {
+      throw new AppError('Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+
+    if (session.status === 'rotated') {
+      const sinceRotation = Date.now() - session.rotatedAt.getTime();
+
+      if (sinceRotation <= this.reuseGraceMs) {
+        throw new AppError('Refresh token was already used', 401, 'REFRESH_TOKEN_STALE');
+      }
+
+      // A consumed token came back: assume it was stolen and kill the family
+      console.warn(`[SECURITY] Refresh token reuse detected for user: ${session.userId} - Family: ${session.familyId} - IP: ${ip}`);
+      await this.revokeFamily(session.familyId, 'reuse_detected');
+      throw new AppError('Refresh token reuse detected. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (session.isExpired) {
+      throw new AppError('Session has expired', 401, 'SESSION_EXPIRED');
+    }
+
+    // Sessions from before familyCreatedAt existed count from their own creation
+    const familyCreatedAt = session.familyCreatedAt || session.createdAt;
+    if (Date.now() - familyCreatedAt.getTime() >= this.familyMaxLifetimeMs) {
+      await this.revokeFamily(session.familyId, 'lifetime_exceeded');
+      throw new AppError('Your session has reached its maximum lifetime. Please log in again.', 401, 'SESSION_LIFETIME_EXCEEDED');
+    }
+
+    const next = await this.createSession({ _id: session.userId }, {
+      ip,
+      userAgent,
+      rememberMe: session.rememberMe,
+      familyId: session.familyId,
+      familyCreatedAt,
+      deviceId: session.deviceId
+    });
+
+    // Only one concurrent request may consume the token
+    const consumed = await Session.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      {
+        $set: {
+          status: 'rotated',
+          rotatedAt: new Date(),
+          replacedBy: next.session._id,
+          lastUsedAt: new Date()
+        }
+      }
+    );
+
+    if (!consumed) {
+      await Session.deleteOne({ _id: next.session._id });
+      throw new AppError('Refresh token was already used', 401, 'REFRESH_TOKEN_STALE');
+    }
+
+    return next;
+  }
+
+  /**
+   * Revoke a single session by its refresh token
+   * @param {string} refreshToken - Plain refresh token
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object|null>} Revoked session, if any
+   */
+  async revokeByToken(refreshToken, reason = 'logout') {
+    if (!refreshToken) return null;
+
+    return Session.findOneAndUpdate(
+      { tokenHash: this.hashToken(refreshToken), status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke a single session by its ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object|null>} Revoked session, if any
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every session in a token family
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeFamily(familyId, reason) {
+    const result = await Session.updateMany(
+      { familyId, status: { $ne: 'revoked' } },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    console.log(`[SESSION] Revoked ${result.modifiedCount} session(s) in family: ${familyId} - Reason: ${reason}`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every session belonging to a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason) {
+    const result = await Session.updateMany(
+      { userId, status: { $ne: 'revoked' } },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    console.log(`[SESSION] Revoked ${result.modifiedCount} session(s) for user: ${userId} - Reason: ${reason}`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every session a user opened on one registered device
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Registered device ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForDevice(userId, deviceId, reason) {
+    const result = await Session.updateMany(
+      { userId, deviceId, status: { $ne: 'revoked' } },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    console.log(`[SESSION] Revoked ${result.modifiedCount} session(s) on device: ${deviceId} - Reason: ${reason}`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * List the unexpired, active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Session documents
+   */
+  async listActiveForUser(userId) {
+    return Session.find({
+      userId,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
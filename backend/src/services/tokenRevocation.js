@@ -0,0 +1,184 @@
+/**
+ * Token Revocation Service
+ * Tracks revoked access tokens (by JWT jti) and per-user revocation cutoffs
+ * Backed by an in-memory store by default or Redis when TOKEN_REVOCATION_STORE=redis
+ */
+
+const { createClient } = require('redis');
+
+// Access tokens live for 30 minutes; revocation entries only need to outlive them
+const DEFAULT_TTL_SECONDS = 30 * 60;
+
+/**
+ * In-memory store (single process only; entries are lost on restart)
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  // Drop expired entries so the map does not grow without bound
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Redis store shared by every backend instance
+ */
+class RedisRevocationStore {
+  constructor() {
+    const url = process.env.REDIS_URL
+      || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
+
+    this.client = createClient({
+      url,
+      ...(process.env.REDIS_PASSWORD && { password: process.env.REDIS_PASSWORD })
+    });
+
+    this.client.on('error', (error) => {
+      console.error('[TOKEN REVOCATION] Redis client error:', error.message);
+    });
+
+    this.connecting = null;
+  }
+
+  async getClient() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this.getClient();
+    await client.set(key, String(value), { EX: ttlSeconds });
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    return client.get(key);
+  }
+}
+
+class TokenRevocationService {
+  constructor() {
+    this.backend = (process.env.TOKEN_REVOCATION_STORE || 'memory').toLowerCase();
+    this.keyPrefix = process.env.TOKEN_REVOCATION_PREFIX || 'stylopay:revoked';
+    this.store = this.backend === 'redis'
+      ? new RedisRevocationStore()
+      : new MemoryRevocationStore();
+
+    console.log(`[TOKEN REVOCATION] Using ${this.backend} revocation store`);
+  }
+
+  /**
+   * Seconds until a token expires (used as the revocation entry TTL)
+   * @param {number} exp - JWT exp claim in seconds
+   * @returns {number} Remaining lifetime in seconds
+   */
+  remainingTtl(exp) {
+    if (!exp) return DEFAULT_TTL_SECONDS;
+    return Math.max(exp - Math.floor(Date.now() / 1000), 1);
+  }
+
+  /**
+   * Revoke a single access token
+   * @param {Object} payload - Decoded JWT payload (needs jti and exp)
+   * @param {string} reason - Revocation reason for auditing
+   * @returns {Promise<boolean>} True if the token was revoked
+   */
+  async revokeToken(payload, reason = 'logout') {
+    if (!payload?.jti) return false;
+
+    await this.store.set(`${this.keyPrefix}:jti:${payload.jti}`, reason, this.remainingTtl(payload.exp));
+
+    console.log(`[TOKEN REVOCATION] Token revoked for user: ${payload.userId} - Reason: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Revoke every access token issued to a user up to now
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason for auditing
+   * @returns {Promise<number>} Revocation cutoff timestamp in ms
+   */
+  async revokeAllForUser(userId, reason) {
+    const revokedAt = Date.now();
+
+    await this.store.set(`${this.keyPrefix}:user:${userId}`, revokedAt, DEFAULT_TTL_SECONDS);
+
+    console.log(`[TOKEN REVOCATION] All tokens revoked for user: ${userId} - Reason: ${reason}`);
+    return revokedAt;
+  }
+
+  /**
+   * Revoke every access token issued on one registered device up to now
+   * @param {string} deviceId - Registered device ID (the token's did claim)
+   * @param {string} reason - Revocation reason for auditing
+   * @returns {Promise<number>} Revocation cutoff timestamp in ms
+   */
+  async revokeAllForDevice(deviceId, reason) {
+    const revokedAt = Date.now();
+
+    await this.store.set(`${this.keyPrefix}:device:${deviceId}`, revokedAt, DEFAULT_TTL_SECONDS);
+
+    console.log(`[TOKEN REVOCATION] All tokens revoked for device: ${deviceId} - Reason: ${reason}`);
+    return revokedAt;
+  }
+
+  /**
+   * Check whether a decoded access token has been revoked
+   * @param {Object} payload - Decoded JWT payload
+   * @returns {Promise<boolean>} True if the token must be rejected
+   */
+  async isRevoked(payload) {
+    if (payload.jti && await this.store.get(`${this.keyPrefix}:jti:${payload.jti}`)) {
+      return true;
+    }
+
+    const cutoffKeys = [`${this.keyPrefix}:user:${payload.userId}`];
+    if (payload.did) {
+      cutoffKeys.push(`${this.keyPrefix}:device:${payload.did}`);
+    }
+
+    const cutoffs = (await Promise.all(cutoffKeys.map((key) => this.store.get(key)))).filter(Boolean);
+    if (cutoffs.length === 0) return false;
+
+    // authenticatedAt has millisecond precision; iat only has seconds
+    const issuedAt = payload.authenticatedAt
+      ? new Date(payload.authenticatedAt).getTime()
+      : payload.iat * 1000;
+
+    return cutoffs.some((cutoff) => issuedAt <= Number(cutoff));
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenRevocationService();
@@ -0,0 +1,292 @@
+/**
+ * Transaction Service
+ * Customer statement lines. The ledger records one per wallet whenever it posts an
+ * entry and keeps them in step when entries are settled, voided or reversed; this
+ * service also serves them back with filters, sorting and cursor pagination
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { LEDGER_CURRENCIES, minorUnitsFor, fromMinorUnits } = require('../config/ledger');
+
+// Ledger accounts backing customer wallets are coded wallet:<walletId>
+const WALLET_ACCOUNT_PREFIX = 'wallet:';
+
+// Fields a statement can be sorted by; ties are broken by _id in the same direction
+const SORT_FIELDS = ['createdAt', 'amount'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TransactionService {
+  constructor() {
+    this.sortOptions = SORT_FIELDS.flatMap((field) => [field, `-${field}`]);
+  }
+
+  // ========== RECORDING ==========
+
+  /**
+   * Write the statement lines for a journal entry inside its posting transaction
+   * Lines on the same wallet are netted; wallets the entry leaves unchanged get no line
+   * @param {Object} entry - Journal entry just created
+   * @param {Map} accounts - accountId -> Account for every line
+   * @param {Object} options - { session }
+   * @returns {Promise<Object[]>} Created transactions
+   */
+  async record(entry, accounts, { session } = {}) {
+    const net = new Map();
+
+    entry.lines.forEach((line) => {
+      const account = accounts.get(String(line.accountId));
+      if (!account.code.startsWith(WALLET_ACCOUNT_PREFIX)) return;
+
+      const signed = line.direction === account.normalSide ? line.amount : -line.amount;
+      net.set(String(account._id), (net.get(String(account._id)) || 0) + signed);
+    });
+
+    const walletLines = [...net]
+      .filter(([, amount]) => amount !== 0)
+      .map(([accountId, amount]) => ({ account: accounts.get(accountId), amount }));
+
+    if (walletLines.length === 0) return [];
+
+    const owners = await User.find({ _id: { $in: walletLines.map(({ account }) => account.ownerId) } })
+      .select('firstName lastName')
+      .session(session || null);
+    const names = new Map(owners.map((owner) => [String(owner._id), owner.maskedName]));
+
+    // Money from or to outside the platform is named by the caller, else by the platform account
+    const outsideName = entry.metadata?.counterparty?.name
+      || [...accounts.values()].find((account) => !account.code.startsWith(WALLET_ACCOUNT_PREFIX))?.name;
+
+    const reversed = entry.reversalOf
+      ? await Transaction.find({ journalEntryId: entry.reversalOf }).session(session || null)
+      : [];
+
+    const transactions = walletLines.map(({ account, amount }) => {
+      const other = walletLines.find((candidate) => Math.sign(candidate.amount) !== Math.sign(amount));
+      const original = reversed.find((transaction) => String(transaction.accountId) === String(account._id));
+
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        userId: account.ownerId,
+        walletId: account.code.slice(WALLET_ACCOUNT_PREFIX.length),
+        accountId: account._id,
+        journalEntryId: entry._id,
+        type: entry.type,
+        status: entry.status,
+        direction: amount > 0 ? 'incoming' : 'outgoing',
+        amount: Math.abs(amount),
+        currency: account.currency,
+        description: entry.description,
+        reference: entry.reference,
+        // Another customer is only ever named, and only by first name and last initial
+        counterparty: { name: other ? names.get(String(other.account.ownerId)) : outsideName },
+        reversalOf: original?._id,
+        postedAt: entry.postedAt
+      };
+    });
+
+    const created = await Transaction.insertMany(transactions, { session });
+
+    for (const transaction of transactions.filter((candidate) => candidate.reversalOf)) {
+      await Transaction.updateOne(
+        { _id: transaction.reversalOf },
+        { $set: { reversedBy: transaction._id, reversedAt: new Date() } },
+        { session }
+      );
+    }
+
+    return created;
+  }
+
+  /**
+   * Copy a journal entry's new status to its statement lines
+   * @param {Object} entry - Journal entry after being posted or voided
+   * @param {Object} options - { session }
+   */
+  async syncStatus(entry, { session } = {}) {
+    await Transaction.updateMany(
+      { journalEntryId: entry._id },
+      {
+        $set: {
+          status: entry.status,
+          ...(entry.postedAt && { postedAt: entry.postedAt }),
+          ...(entry.voidedAt && { voidedAt: entry.voidedAt })
+        }
+      },
+      { session }
+    );
+  }
+
+  // ========== STATEMENTS ==========
+
+  /**
+   * Minor-unit bound for a decimal amount filter
+   * Amounts finer than the currency allows round inwards, so the range never widens
+   */
+  amountBound(value, currency, bound) {
+    const scaled = Number(value) * 10 ** minorUnitsFor(currency);
+    const rounded = Math.round(scaled);
+
+    if (Math.abs(scaled - rounded) < 1e-6) return rounded;
+    return bound === 'min' ? Math.ceil(scaled) : Math.floor(scaled);
+  }
+
+  /**
+   * Exclusive end of a date range: a plain date (2026-10-19) includes the whole day
+   */
+  endOf(to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+    } else {
+      end.setUTCMilliseconds(end.getUTCMilliseconds() + 1);
+    }
+    return end;
+  }
+
+  /**
+   * Mongo filter for a user's statement
+   * @param {string} userId - Owner
+   * @param {Object} filters - { from, to, type, status, currency, direction, walletId,
+   *   minAmount, maxAmount, counterparty (part of a name) }; amounts are decimals in each transaction's currency
+   * @returns {Object} Filter
+   */
+  buildFilter(userId, filters = {}) {
+    const { from, to, type, status, currency, direction, walletId, minAmount, maxAmount, counterparty } = filters;
+    const conditions = [{ userId: new mongoose.Types.ObjectId(String(userId)) }];
+
+    if (from || to) {
+      conditions.push({ createdAt: { ...(from && { $gte: new Date(from) }), ...(to && { $lt: this.endOf(to) }) } });
+    }
+    if (type) conditions.push({ type });
+    if (status) conditions.push({ status });
+    if (currency) conditions.push({ currency });
+    if (direction) conditions.push({ direction });
+    if (walletId) conditions.push({ walletId: new mongoose.Types.ObjectId(String(walletId)) });
+
+    // Minor units differ per currency, so the range is converted for each one
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      const currencies = currency ? [currency] : Object.keys(LEDGER_CURRENCIES);
+      conditions.push({
+        $or: currencies.map((code) => ({
+          currency: code,
+          amount: {
+            ...(minAmount !== undefined && { $gte: this.amountBound(minAmount, code, 'min') }),
+            ...(maxAmount !== undefined && { $lte: this.amountBound(maxAmount, code, 'max') })
+          }
+        }))
+      });
+    }
+
+    if (counterparty) {
+      conditions.push({ 'counterparty.name': { $regex: escapeRegex(counterparty), $options: 'i' } });
+    }
+
+    return { $and: conditions };
+  }
+
+  /**
+   * Opaque cursor for the row a page ended on
+   */
+  encodeCursor(transaction, field) {
+    const value = field === 'createdAt' ? transaction.createdAt.toISOString() : transaction[field];
+    return Buffer.from(JSON.stringify([value, String(transaction._id)])).toString('base64url');
+  }
+
+  /**
+   * Read a cursor back into the sort value and ID it points at
+   * @throws {AppError} INVALID_CURSOR
+   */
+  decodeCursor(cursor, field) {
+    try {
+      const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const parsed = field === 'createdAt' ? new Date(value) : value;
+
+      if (!mongoose.isValidObjectId(id) || (field === 'createdAt' ? Number.isNaN(parsed.getTime()) : !Number.isFinite(parsed))) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { value: parsed, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      throw new AppError('Invalid pagination cursor', 400, 'INVALID_CURSOR');
+    }
+  }
+
+  /**
+   * A page of the user's statement
+   * @param {string} userId - Owner
+   * @param {Object} options - { filters, sort ('-createdAt', 'amount', ...), limit, cursor }
+   * @returns {Promise<Object>} { transactions, total, nextCursor }; nextCursor is null on the last page
+   * @throws {AppError} INVALID_CURSOR
+   */
+  async list(userId, { filters, sort = '-createdAt', limit = 20, cursor } = {}) {
+    const field = sort.replace(/^-/, '');
+    const order = sort.startsWith('-') ? -1 : 1;
+    const filter = this.buildFilter(userId, filters);
+
+    const query = { $and: [...filter.$and] };
+    if (cursor) {
+      const { value, id } = this.decodeCursor(cursor, field);
+      const beyond = order === -1 ? '$lt' : '$gt';
+      query.$and.push({ $or: [{ [field]: { [beyond]: value } }, { [field]: value, _id: { [beyond]: id } }] });
+    }
+
+    const [rows, total] = await Promise.all([
+      Transaction.find(query).sort({ [field]: order, _id: order }).limit(limit + 1),
+      Transaction.countDocuments(filter)
+    ]);
+
+    const transactions = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? this.encodeCursor(transactions[transactions.length - 1], field) : null;
+
+    return { transactions, total, nextCursor };
+  }
+
+  /**
+   * One of the user's transactions with its wallet
+   * @throws {AppError} TRANSACTION_NOT_FOUND
+   */
+  async find(userId, transactionId) {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId }).populate('walletId', 'name currency status');
+    if (!transaction) {
+      throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+    }
+    return transaction;
+  }
+
+  /**
+   * Client view of a transaction
+   * @param {Object} transaction - Transaction document
+   * @returns {Object} Transaction summary
+   */
+  serialize(transaction) {
+    const wallet = transaction.walletId?.currency ? transaction.walletId : null;
+
+    return {
+      id: transaction._id,
+      walletId: wallet ? wallet._id : transaction.walletId,
+      ...(wallet && { wallet: { id: wallet._id, name: wallet.name, currency: wallet.currency, status: wallet.status } }),
+      type: transaction.type,
+      status: transaction.status,
+      direction: transaction.direction,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      formattedAmount: fromMinorUnits(transaction.amount, transaction.currency),
+      description: transaction.description || null,
+      reference: transaction.reference || null,
+      counterparty: { name: transaction.counterparty?.name || null },
+      reversalOf: transaction.reversalOf || null,
+      reversedBy: transaction.reversedBy || null,
+      createdAt: transaction.createdAt,
+      postedAt: transaction.postedAt || null,
+      voidedAt: transaction.voidedAt || null,
+      reversedAt: transaction.reversedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TransactionService();
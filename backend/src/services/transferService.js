@@ -0,0 +1,459 @@
+/**
+ * Transfer Service
+ * Peer-to-peer payments between customers. A transfer is recorded as pending, then
+ * the sender's wallet is debited and the recipient's credited in one ledger posting
+ * that also completes the record and counts it towards the sender's daily limit; if
+ * the posting fails the record is marked failed
+ */
+
+const Transfer = require('../models/Transfer');
+const TransferUsage = require('../models/TransferUsage');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
+const activityService = require('./activityService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+const { LEDGER_CURRENCIES, toMinorUnits, fromMinorUnits } = require('../config/ledger');
+const { TRANSFER_LIMITS } = require('../config/transfers');
+const { CUSTOMER_ROLES } = require('../config/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names shown on transfers
+const PARTY_FIELDS = 'firstName lastName';
+
+// What a recipient sees of transfers sent to them
+const RECEIVED_STATUSES = ['completed', 'reversed'];
+
+class TransferService {
+  // ========== CHECKS ==========
+
+  /**
+   * Amount in minor units
+   * @throws {AppError} UNSUPPORTED_CURRENCY, INVALID_AMOUNT
+   */
+  parseAmount(amount, currency) {
+    if (!LEDGER_CURRENCIES[currency]) {
+      throw new AppError(`Transfers in ${currency} are not supported`, 400, 'UNSUPPORTED_CURRENCY');
+    }
+
+    const minor = toMinorUnits(amount, currency);
+    if (minor === null || minor <= 0) {
+      throw new AppError(`Enter a positive ${currency} amount with at most ${LEDGER_CURRENCIES[currency].minorUnits} decimals`, 400, 'INVALID_AMOUNT');
+    }
+    return minor;
+  }
+
+  /**
+   * Find the customer a transfer is for
+   * Unknown, inactive and staff accounts all answer the same, so lookups reveal nothing
+   * @param {string} senderId - Sender
+   * @param {Object} recipient - { email } or { accountNumber }
+   * @returns {Promise<Object>} Recipient user
+   * @throws {AppError} RECIPIENT_NOT_FOUND, SELF_TRANSFER
+   */
+  async resolveRecipient(senderId, { email, accountNumber }) {
+    const user = await User.findOne(email ? { email: email.toLowerCase().trim() } : { accountNumber })
+      .select('firstName lastName email accountStatus role notifications');
+
+    if (!user || user.accountStatus !== 'active' || !CUSTOMER_ROLES.includes(user.role)) {
+      throw new AppError('No StyloPay customer matches these details', 404, 'RECIPIENT_NOT_FOUND');
+    }
+    if (String(user._id) === String(senderId)) {
+      throw new AppError('You cannot send money to yourself', 400, 'SELF_TRANSFER');
+    }
+
+    return user;
+  }
+
+  /**
+   * The sender's open, active wallet in a currency
+   * @throws {AppError} WALLET_NOT_FOUND, WALLET_FROZEN
+   */
+  async senderWallet(senderId, currency) {
+    const wallet = await Wallet.findOne({ userId: senderId, currency, closedAt: null }).populate('accountId');
+
+    if (!wallet) {
+      throw new AppError(`You have no ${currency} wallet to send from`, 409, 'WALLET_NOT_FOUND');
+    }
+    if (wallet.status === 'frozen') {
+      throw new AppError(`Your ${currency} wallet is frozen`, 409, 'WALLET_FROZEN');
+    }
+
+    return wallet;
+  }
+
+  /**
+   * The recipient's open wallet in a currency, opened for them if they have none
+   * @throws {AppError} RECIPIENT_CANNOT_RECEIVE
+   */
+  async recipientWallet(recipient, currency) {
+    const existing = await Wallet.findOne({ userId: recipient._id, currency, closedAt: null }).populate('accountId');
+    if (existing) return existing;
+
+    try {
+      return await walletService.open(recipient._id, currency);
+    } catch (error) {
+      // Opened by a concurrent transfer in the meantime
+      if (error.code === 'WALLET_EXISTS') {
+        return Wallet.findOne({ userId: recipient._id, currency, closedAt: null }).populate('accountId');
+      }
+      if (error.code === 'WALLET_LIMIT_REACHED') {
+        throw new AppError(`This customer cannot receive ${currency} right now`, 422, 'RECIPIENT_CANNOT_RECEIVE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The UTC calendar day daily limits are counted in, e.g. "2026-10-19"
+   */
+  limitDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  dailyLimitError(daily, usedToday, currency) {
+    return new AppError(
+      `This would take you over your daily limit of ${fromMinorUnits(daily, currency)} ${currency} (${fromMinorUnits(Math.max(daily - usedToday, 0), currency)} left)`,
+      422,
+      'DAILY_TRANSFER_LIMIT_EXCEEDED'
+    );
+  }
+
+  /**
+   * Per-transfer and daily (UTC) limits for the sender
+   * Answers early; reserveDailyLimit enforces the daily limit when the transfer posts
+   * @returns {Promise<Object>} { perTransfer, daily, usedToday, remainingToday } in minor units
+   * @throws {AppError} TRANSFER_LIMIT_EXCEEDED, DAILY_TRANSFER_LIMIT_EXCEEDED
+   */
+  async checkLimits(senderId, amount, currency) {
+    const perTransfer = toMinorUnits(TRANSFER_LIMITS[currency].perTransfer, currency);
+    const daily = toMinorUnits(TRANSFER_LIMITS[currency].daily, currency);
+
+    const usage = await TransferUsage.findOne({ userId: senderId, currency, day: this.limitDay() });
+    const usedToday = usage?.total || 0;
+
+    if (amount > perTransfer) {
+      throw new AppError(`A single transfer can be at most ${fromMinorUnits(perTransfer, currency)} ${currency}`, 422, 'TRANSFER_LIMIT_EXCEEDED');
+    }
+    if (usedToday + amount > daily) {
+      throw this.dailyLimitError(daily, usedToday, currency);
+    }
+
+    return { perTransfer, daily, usedToday, remainingToday: daily - usedToday };
+  }
+
+  /**
+   * Count a transfer against the sender's daily limit inside its posting transaction
+   * The increment only matches while there is room, so concurrent transfers cannot
+   * overrun the limit; if the posting aborts, the increment is rolled back with it
+   * @param {Object} options - { session }
+   * @throws {AppError} DAILY_TRANSFER_LIMIT_EXCEEDED
+   */
+  async reserveDailyLimit(senderId, amount, currency, { session } = {}) {
+    const daily = toMinorUnits(TRANSFER_LIMITS[currency].daily, currency);
+    const now = new Date();
+    const day = this.limitDay(now);
+
+    try {
+      await TransferUsage.findOneAndUpdate(
+        { userId: senderId, currency, day, total: { $lte: daily - amount } },
+        { $inc: { total: amount }, $setOnInsert: { expiresAt: new Date(now.getTime() + 2 * DAY_MS) } },
+        { upsert: true, session }
+      );
+    } catch (error) {
+      // No room left: the filter missed the existing counter, so the upsert hit its unique key
+      if (error.code === 11000) {
+        const usage = await TransferUsage.findOne({ userId: senderId, currency, day });
+        throw this.dailyLimitError(daily, usage?.total || 0, currency);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Everything a transfer needs checked before money moves
+   * @throws {AppError} ACCOUNT_NOT_ACTIVE, INSUFFICIENT_FUNDS and the errors of the checks above
+   */
+  async prepare(senderId, { recipient, amount, currency }) {
+    const sender = await User.findById(senderId).select('firstName lastName email accountStatus notifications');
+    if (!sender || sender.accountStatus !== 'active') {
+      throw new AppError('Your account must be active to send money', 403, 'ACCOUNT_NOT_ACTIVE');
+    }
+
+    const amountMinor = this.parseAmount(amount, currency);
+    const recipientUser = await this.resolveRecipient(senderId, recipient);
+    const wallet = await this.senderWallet(senderId, currency);
+    const limits = await this.checkLimits(senderId, amountMinor, currency);
+
+    // Checked again atomically by the ledger; this answers early with the same error
+    if (wallet.accountId.availableBalance < amountMinor) {
+      throw new AppError(`Insufficient funds in your ${currency} wallet`, 422, 'INSUFFICIENT_FUNDS');
+    }
+
+    return { sender, recipient: recipientUser, amount: amountMinor, currency, wallet, limits };
+  }
+
+  // ========== TRANSFERS ==========
+
+  /**
+   * Check a transfer and show what it will do, without moving money
+   * @param {string} senderId - Sender
+   * @param {Object} input - { recipient: { email } | { accountNumber }, amount, currency }
+   * @returns {Promise<Object>} Confirmation details
+   */
+  async preview(senderId, input) {
+    const { recipient, amount, currency, wallet, limits } = await this.prepare(senderId, input);
+    const availableAfter = wallet.accountId.availableBalance - amount;
+
+    return {
+      recipient: { name: recipient.maskedName },
+      amount,
+      currency,
+      fee: 0,
+      availableAfter,
+      remainingToday: limits.remainingToday - amount,
+      formatted: {
+        amount: fromMinorUnits(amount, currency),
+        fee: fromMinorUnits(0, currency),
+        availableAfter: fromMinorUnits(availableAfter, currency),
+        remainingToday: fromMinorUnits(limits.remainingToday - amount, currency)
+      }
+    };
+  }
+
+  /**
+   * Send money to another customer
+   * @param {string} senderId - Sender
+   * @param {Object} input - { recipient: { email } | { accountNumber }, amount, currency, note }
+   * @param {Object} options - { req }
+   * @returns {Promise<Object>} Completed transfer with both parties populated
+   * @throws {AppError} Any check failure; ledger failures mark the transfer failed first
+   */
+  async create(senderId, input, { req } = {}) {
+    const { sender, recipient, amount, currency, wallet } = await this.prepare(senderId, input);
+    const recipientWallet = await this.recipientWallet(recipient, currency);
+
+    const transfer = await Transfer.create({
+      senderId,
+      recipientId: recipient._id,
+      senderWalletId: wallet._id,
+      recipientWalletId: recipientWallet._id,
+      amount,
+      currency,
+      note: input.note,
+      recipientLookup: input.recipient.email ? 'email' : 'accountNumber'
+    });
+
+    let completion;
+    try {
+      completion = await ledgerService.withTransaction(async (session) => {
+        await this.reserveDailyLimit(senderId, amount, currency, { session });
+
+        const entry = await ledgerService.post({
+          type: 'transfer',
+          reference: `transfer:${transfer._id}`,
+          description: input.note || 'Transfer',
+          lines: [
+            { accountId: wallet.accountId._id, direction: 'debit', amount, currency },
+            { accountId: recipientWallet.accountId._id, direction: 'credit', amount, currency }
+          ],
+          createdBy: senderId,
+          metadata: { transferId: transfer._id }
+        }, { session });
+
+        const changes = { status: 'completed', journalEntryId: entry._id, completedAt: new Date() };
+        await Transfer.updateOne({ _id: transfer._id, status: 'pending' }, { $set: changes }, { session });
+        return changes;
+      });
+    } catch (error) {
+      await this.markFailed(transfer, error);
+      throw error;
+    }
+
+    console.log(`[TRANSFER] Transfer ${transfer._id} completed: ${fromMinorUnits(amount, currency)} ${currency} from ${senderId} to ${recipient._id}`);
+
+    // The money has moved, so nothing after this may fail the request: an error response
+    // would release the Idempotency-Key and a retry would pay a second time
+    transfer.set(completion);
+    transfer.senderId = sender;
+    transfer.recipientId = recipient;
+
+    try {
+      await this.notifyParties(transfer, sender, recipient);
+
+      await activityService.record(senderId, 'account', 'transfer_sent', {
+        req,
+        description: `Sent ${fromMinorUnits(amount, currency)} ${currency} to ${recipient.maskedName}`,
+        metadata: { transferId: transfer._id, amount, currency, recipientId: recipient._id }
+      });
+    } catch (error) {
+      console.error(`[TRANSFER] Transfer ${transfer._id} completed but follow-up failed: ${error.message}`);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Record why a transfer did not go through; nothing was posted
+   */
+  async markFailed(transfer, error) {
+    const failureReason = {
+      code: error.code || 'TRANSFER_FAILED',
+      message: error.statusCode && error.statusCode < 500 ? error.message : 'The transfer could not be completed'
+    };
+
+    console.error(`[TRANSFER] Transfer ${transfer._id} failed: ${error.code || error.name} - ${error.message}`);
+
+    await Transfer.updateOne(
+      { _id: transfer._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason, failedAt: new Date() } }
+    ).catch((updateError) => {
+      console.error(`[TRANSFER] Could not mark transfer ${transfer._id} failed: ${updateError.message}`);
+    });
+  }
+
+  /**
+   * Tell both parties about a completed transfer
+   */
+  async notifyParties(transfer, sender, recipient) {
+    const amount = `${fromMinorUnits(transfer.amount, transfer.currency)} ${transfer.currency}`;
+    const note = transfer.note ? ` Note: "${transfer.note}"` : '';
+    const metadata = { transferId: transfer._id, amount: transfer.amount, currency: transfer.currency };
+
+    await notificationService.notify(sender, {
+      category: 'transaction',
+      type: 'transfer_sent',
+      title: `You sent ${amount}`,
+      message: `Your transfer of ${amount} to ${recipient.maskedName} is complete.${note}`,
+      link: '/transactions',
+      metadata
+    });
+
+    await notificationService.notify(recipient, {
+      category: 'transaction',
+      type: 'transfer_received',
+      title: `You received ${amount}`,
+      message: `${sender.maskedName} sent you ${amount}.${note}`,
+      link: '/transactions',
+      metadata
+    });
+  }
+
+  /**
+   * Mark the transfer behind a reversed journal entry as reversed, inside the reversal's
+   * transaction, and give its amount back to the sender's daily limit for the day it was sent
+   * @param {Object} reversal - Reversal entry just posted
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Transfer, or null when the entry did not belong to one
+   */
+  async recordReversal(reversal, { session } = {}) {
+    if (reversal.metadata?.reversedType !== 'transfer') return null;
+
+    const transfer = await Transfer.findOneAndUpdate(
+      { journalEntryId: reversal.reversalOf, status: 'completed' },
+      { $set: { status: 'reversed', reversalEntryId: reversal._id, reversedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!transfer) return null;
+
+    // Counters of past days have expired; a missing one has nothing to give back
+    await TransferUsage.updateOne(
+      {
+        userId: transfer.senderId,
+        currency: transfer.currency,
+        day: this.limitDay(transfer.completedAt),
+        total: { $gte: transfer.amount }
+      },
+      { $inc: { total: -transfer.amount } },
+      { session }
+    );
+
+    console.log(`[TRANSFER] Transfer ${transfer._id} reversed by entry ${reversal._id}`);
+    return transfer;
+  }
+
+  /**
+   * Transfers the user sent (any status) or received (completed or reversed), newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { direction ('sent' or 'received'), status, limit, offset }
+   * @returns {Promise<Object>} { transfers, total }
+   */
+  async list(userId, { direction, status, limit = 20, offset = 0 } = {}) {
+    const sent = { senderId: userId, ...(status && { status }) };
+    const received = { recipientId: userId, status: status || { $in: RECEIVED_STATUSES } };
+    const hiddenFromRecipient = status && !RECEIVED_STATUSES.includes(status);
+
+    let filter;
+    if (direction === 'sent') {
+      filter = sent;
+    } else if (direction === 'received') {
+      filter = hiddenFromRecipient ? { _id: null } : received;
+    } else {
+      filter = hiddenFromRecipient ? sent : { $or: [sent, received] };
+    }
+
+    const [transfers, total] = await Promise.all([
+      Transfer.find(filter)
+        .populate('senderId', PARTY_FIELDS)
+        .populate('recipientId', PARTY_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit),
+      Transfer.countDocuments(filter)
+    ]);
+
+    return { transfers, total };
+  }
+
+  /**
+   * One transfer the user sent or received
+   * @throws {AppError} TRANSFER_NOT_FOUND
+   */
+  async find(userId, transferId) {
+    const transfer = await Transfer.findOne({
+      _id: transferId,
+      $or: [{ senderId: userId }, { recipientId: userId, status: { $in: RECEIVED_STATUSES } }]
+    })
+      .populate('senderId', PARTY_FIELDS)
+      .populate('recipientId', PARTY_FIELDS);
+
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+    }
+    return transfer;
+  }
+
+  /**
+   * Client view of a transfer from one party's side
+   * @param {Object} transfer - Transfer with both parties populated
+   * @param {string} viewerId - User looking at it
+   * @returns {Object} Transfer summary
+   */
+  serialize(transfer, viewerId) {
+    const sent = String(transfer.senderId._id || transfer.senderId) === String(viewerId);
+    const counterparty = sent ? transfer.recipientId : transfer.senderId;
+
+    return {
+      id: transfer._id,
+      direction: sent ? 'sent' : 'received',
+      status: transfer.status,
+      amount: transfer.amount,
+      currency: transfer.currency,
+      formattedAmount: fromMinorUnits(transfer.amount, transfer.currency),
+      note: transfer.note || null,
+      counterparty: { name: counterparty?.maskedName || null },
+      walletId: sent ? transfer.senderWalletId : transfer.recipientWalletId,
+      ...(sent && transfer.failureReason?.code && { failureReason: transfer.failureReason }),
+      createdAt: transfer.createdAt,
+      completedAt: transfer.completedAt || null,
+      failedAt: transfer.failedAt || null,
+      reversedAt: transfer.reversedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TransferService();
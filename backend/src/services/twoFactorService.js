@@ -0,0 +1,436 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238) enrollment, verification and one-time recovery codes
+ * Secrets are encrypted at rest; the login second step uses a short-lived pending token
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const tokenRevocation = require('./tokenRevocation');
+const { AppError } = require('../middleware/errorHandler');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'StyloPay';
+    this.period = 30; // seconds per TOTP step
+    this.digits = 6;
+    this.window = 1; // accept one step of clock drift either way
+    this.recoveryCodeCount = 10;
+    this.pendingTokenTtl = '5m';
+    this.jwtSecret = process.env.JWT_SECRET || 'stylopay-default-secret-key-change-in-production';
+
+    // AES-256 key derived from ENCRYPTION_KEY (falls back to the JWT secret in development)
+    this.encryptionKey = crypto
+      .createHash('sha256')
+      .update(process.env.ENCRYPTION_KEY || this.jwtSecret)
+      .digest();
+  }
+
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding)
+   * @param {Buffer} buffer - Raw bytes
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Raw bytes
+   */
+  base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv.tag.ciphertext (base64url)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} payload - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate the TOTP code for a given time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** this.digits;
+
+    return binary.toString().padStart(this.digits, '0');
+  }
+
+  /**
+   * Verify a TOTP code, allowing for small clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} lastUsedStep - Last accepted step (codes cannot be replayed)
+   * @returns {number|null} Matched time step, or null if invalid
+   */
+  verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / this.period);
+
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const step = currentStep + drift;
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI understood by authenticator apps
+   * @param {string} email - Account label
+   * @param {string} secret - Base32 secret
+   * @returns {string} otpauth URI
+   */
+  buildOtpauthUri(email, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Plain recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of one-time recovery codes
+   * @returns {Object} { codes, hashed } plain codes for the user and hashes for storage
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashed: codes.map((code) => ({ codeHash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  /**
+   * Check a TOTP or recovery code against a user loaded with 2FA fields
+   * The code is claimed with a conditional update, so two requests presenting the
+   * same code at once cannot both succeed; the document is updated to match
+   * @param {Object} user - User document with twoFactorSecret and twoFactorRecoveryCodes selected
+   * @param {Object} input - { code, recoveryCode }
+   * @returns {Promise<string|null>} 'totp' or 'recovery_code' on success, null otherwise
+   */
+  async consumeSecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = this.verifyCode(this.decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+      if (step === null) return null;
+
+      const claimed = await User.updateOne(
+        { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      if (claimed.modifiedCount === 0) return null;
+
+      user.twoFactorLastUsedStep = step;
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashRecoveryCode(recoveryCode);
+      const entry = (user.twoFactorRecoveryCodes || []).find((item) => item.codeHash === codeHash && !item.usedAt);
+      if (!entry) return null;
+
+      const usedAt = new Date();
+      const claimed = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+        { $set: { 'twoFactorRecoveryCodes.$.usedAt': usedAt } }
+      );
+      if (claimed.modifiedCount === 0) return null;
+
+      entry.usedAt = usedAt;
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a user together with the hidden 2FA fields
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User document
+   */
+  async findUserWithSecrets(userId) {
+    const user = await User.findById(userId)
+      .select('+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the 2FA status of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Status summary
+   */
+  async getStatus(userId) {
+    const user = await this.findUserWithSecrets(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).filter((item) => !item.usedAt).length,
+      setupPending: !user.twoFactorEnabled && !!user.twoFactorPendingSecret
+    };
+  }
+
+  /**
+   * Start enrollment: generate a secret the user must confirm with a first code
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUri, qrCode }
+   */
+  async beginEnrollment(userId) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = this.base32Encode(crypto.randomBytes(20));
+    const otpauthUri = this.buildOtpauthUri(user.email, secret);
+
+    user.twoFactorPendingSecret = this.encryptSecret(secret);
+    await user.save();
+
+    console.log(`[2FA] Enrollment started for user: ${user.email}`);
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  /**
+   * Finish enrollment by confirming the first code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - First TOTP code
+   * @returns {Promise<Object>} { enabledAt, recoveryCodes }
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      throw new AppError('Two-factor setup has not been started', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const secret = this.decryptSecret(user.twoFactorPendingSecret);
+    const step = this.verifyCode(secret, code);
+
+    if (step === null) {
+      throw new AppError('Invalid verification code', 400, 'TWO_FACTOR_INVALID');
+    }
+
+    const { codes, hashed } = this.generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = hashed;
+    await user.save();
+
+    console.log(`[2FA] Two-factor authentication enabled for user: ${user.email}`);
+
+    return {
+      enabledAt: user.twoFactorEnabledAt.toISOString(),
+      recoveryCodes: codes
+    };
+  }
+
+  /**
+   * Disable 2FA after re-checking the password and a current second factor
+   * @param {string} userId - User ID
+   * @param {Object} input - { password, code, recoveryCode }
+   * @returns {Promise<void>}
+   */
+  async disable(userId, { password, code, recoveryCode }) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new AppError('Current password is incorrect', 401, 'INVALID_PASSWORD');
+    }
+
+    if (!(await this.consumeSecondFactor(user, { code, recoveryCode }))) {
+      throw new AppError('Invalid verification code', 400, 'TWO_FACTOR_INVALID');
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    console.log(`[2FA] Two-factor authentication disabled for user: ${user.email}`);
+  }
+
+  /**
+   * Issue the short-lived token that proves the password step succeeded
+   * @param {Object} user - User document
+   * @param {Object} options - { rememberMe } carried to the second step
+   * @returns {Object} { pendingToken, expiresAt }
+   */
+  createPendingToken(user, { rememberMe = false } = {}) {
+    const pendingToken = jwt.sign(
+      {
+        userId: user._id.toString(),
+        email: user.email,
+        rememberMe,
+        tokenType: 'two_factor_pending'
+      },
+      this.jwtSecret,
+      {
+        jwtid: crypto.randomUUID(),
+        expiresIn: this.pendingTokenTtl,
+        issuer: 'stylopay-backend',
+        audience: 'stylopay-2fa'
+      }
+    );
+
+    const { exp } = jwt.decode(pendingToken);
+
+    return {
+      pendingToken,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a pending token from the first login step
+   * @param {string} pendingToken - Token returned by /login
+   * @returns {Promise<Object>} Decoded payload
+   */
+  async verifyPendingToken(pendingToken) {
+    let payload;
+
+    try {
+      payload = jwt.verify(pendingToken, this.jwtSecret, {
+        issuer: 'stylopay-backend',
+        audience: 'stylopay-2fa'
+      });
+    } catch (error) {
+      throw new AppError('Two-factor session has expired. Please log in again.', 401, 'TWO_FACTOR_SESSION_EXPIRED');
+    }
+
+    if (payload.tokenType !== 'two_factor_pending' || await tokenRevocation.isRevoked(payload)) {
+      throw new AppError('Two-factor session has expired. Please log in again.', 401, 'TWO_FACTOR_SESSION_EXPIRED');
+    }
+
+    return payload;
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorService();
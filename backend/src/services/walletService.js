@@ -0,0 +1,224 @@
+/**
+ * Wallet Service
+ * Opens customer wallets (one per currency, the first one primary), reports their
+ * balances from the ledger and runs the freeze/close lifecycle on both the wallet
+ * and its ledger account in one transaction
+ */
+
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('./ledgerService');
+const activityService = require('./activityService');
+const { AppError } = require('../middleware/errorHandler');
+const { LEDGER_CURRENCIES, fromMinorUnits } = require('../config/ledger');
+const { WALLET_TRANSITIONS, DEFAULT_WALLET_CURRENCY, MAX_WALLETS_PER_USER } = require('../config/wallets');
+
+// Activity recorded for each lifecycle move
+const STATUS_ACTIONS = {
+  active: 'wallet_unfrozen',
+  frozen: 'wallet_frozen',
+  closed: 'wallet_closed'
+};
+
+class WalletService {
+  /**
+   * Open a wallet in a currency the user does not hold yet
+   * @param {string} userId - Owner
+   * @param {string} currency - ISO 4217 code held by the ledger
+   * @param {Object} options - { name, req }
+   * @returns {Promise<Object>} Wallet document with its ledger account populated
+   * @throws {AppError} UNSUPPORTED_CURRENCY, WALLET_EXISTS, WALLET_LIMIT_REACHED
+   */
+  async open(userId, currency, { name, req } = {}) {
+    if (!LEDGER_CURRENCIES[currency]) {
+      throw new AppError(`Wallets in ${currency} are not supported`, 400, 'UNSUPPORTED_CURRENCY');
+    }
+
+    let wallet;
+    try {
+      wallet = await ledgerService.withTransaction(async (session) => {
+        const openWallets = await Wallet.find({ userId, closedAt: null }).session(session);
+
+        if (openWallets.some((existing) => existing.currency === currency)) {
+          throw new AppError(`You already have a ${currency} wallet`, 409, 'WALLET_EXISTS');
+        }
+        if (openWallets.length >= MAX_WALLETS_PER_USER) {
+          throw new AppError(`You can hold up to ${MAX_WALLETS_PER_USER} wallets`, 409, 'WALLET_LIMIT_REACHED');
+        }
+
+        // The wallet ID names its ledger account, so both are created together
+        const walletId = new mongoose.Types.ObjectId();
+        const account = await ledgerService.createAccount({
+          code: `wallet:${walletId}`,
+          name: `${currency} wallet`,
+          type: 'liability',
+          currency,
+          ownerId: userId
+        }, { session });
+
+        const [created] = await Wallet.create([{
+          _id: walletId,
+          userId,
+          currency,
+          accountId: account._id,
+          name: name || `${currency} Wallet`,
+          isPrimary: openWallets.length === 0 || !openWallets.some((existing) => existing.isPrimary)
+        }], { session });
+
+        created.accountId = account;
+        return created;
+      });
+    } catch (error) {
+      // A concurrent open of the same currency won the unique { userId, currency, closedAt } index
+      if (error.code === 11000) {
+        throw new AppError(`You already have a ${currency} wallet`, 409, 'WALLET_EXISTS');
+      }
+      throw error;
+    }
+
+    console.log(`[WALLET] Opened ${currency} wallet ${wallet._id} for user ${userId}`);
+
+    await activityService.record(userId, 'account', 'wallet_opened', {
+      req,
+      description: `${currency} wallet opened`,
+      metadata: { walletId: wallet._id, currency, isPrimary: wallet.isPrimary }
+    });
+
+    return wallet;
+  }
+
+  /**
+   * Open the primary wallet in the user's preferred currency
+   * Called at signup; a failure is logged and the user can open one with POST /api/wallets
+   * @param {string} userId - New user
+   * @param {string} preferredCurrency - User's preferred display currency
+   * @returns {Promise<Object|null>} Wallet, or null if it could not be opened
+   */
+  async openPrimary(userId, preferredCurrency) {
+    const currency = LEDGER_CURRENCIES[preferredCurrency] ? preferredCurrency : DEFAULT_WALLET_CURRENCY;
+
+    try {
+      return await this.open(userId, currency);
+    } catch (error) {
+      console.error(`[WALLET] Could not open primary wallet for user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The user's wallets, primary first
+   * @param {string} userId - Owner
+   * @param {Object} options - { includeClosed }
+   * @returns {Promise<Object[]>} Wallet documents with their ledger accounts populated
+   */
+  async list(userId, { includeClosed = false } = {}) {
+    const filter = { userId, ...(!includeClosed && { closedAt: null }) };
+    return Wallet.find(filter).populate('accountId').sort({ isPrimary: -1, createdAt: 1 });
+  }
+
+  /**
+   * One of the user's wallets
+   * @throws {AppError} WALLET_NOT_FOUND
+   */
+  async find(userId, walletId, { session } = {}) {
+    const wallet = await Wallet.findOne({ _id: walletId, userId }).populate('accountId').session(session || null);
+    if (!wallet) {
+      throw new AppError('Wallet not found', 404, 'WALLET_NOT_FOUND');
+    }
+    return wallet;
+  }
+
+  /**
+   * Move a wallet and its ledger account to a new status
+   * @param {string} userId - Owner
+   * @param {string} walletId - Wallet ID
+   * @param {string} to - active, frozen or closed
+   * @param {Object} options - { reason, req }
+   * @returns {Promise<Object>} Updated wallet
+   * @throws {AppError} WALLET_NOT_FOUND, INVALID_WALLET_TRANSITION, PRIMARY_WALLET, WALLET_NOT_EMPTY
+   */
+  async changeStatus(userId, walletId, to, { reason, req } = {}) {
+    const wallet = await ledgerService.withTransaction(async (session) => {
+      const current = await this.find(userId, walletId, { session });
+
+      if (!WALLET_TRANSITIONS[current.status].includes(to)) {
+        throw new AppError(`A ${current.status} wallet cannot become ${to}`, 409, 'INVALID_WALLET_TRANSITION');
+      }
+      if (to === 'closed' && current.isPrimary) {
+        throw new AppError('Your primary wallet cannot be closed', 409, 'PRIMARY_WALLET');
+      }
+
+      try {
+        current.accountId = await ledgerService.setAccountStatus(current.accountId._id, to, { session });
+      } catch (error) {
+        if (error.code === 'LEDGER_ACCOUNT_NOT_EMPTY') {
+          throw new AppError('Move the balance out and wait for pending payments before closing this wallet', 409, 'WALLET_NOT_EMPTY');
+        }
+        throw error;
+      }
+
+      current.statusHistory.push({ from: current.status, to, reason });
+      current.status = to;
+      current.frozenAt = to === 'frozen' ? new Date() : undefined;
+      if (to === 'closed') current.closedAt = new Date();
+
+      await current.save({ session });
+      return current;
+    });
+
+    console.log(`[WALLET] Wallet ${wallet._id} is now ${to}`);
+
+    await activityService.record(userId, 'account', STATUS_ACTIONS[to], {
+      req,
+      description: `${wallet.currency} wallet ${to === 'active' ? 'unfrozen' : to}`,
+      metadata: { walletId: wallet._id, currency: wallet.currency, reason }
+    });
+
+    return wallet;
+  }
+
+  /**
+   * Available, ledger and pending amounts of a wallet's ledger account
+   * @param {Object} account - Ledger account document
+   * @returns {Object} Balance in minor units, with decimal strings for display
+   */
+  describeBalance(account) {
+    const { ledger, available, pendingIn, pendingOut, currency, minorUnits } = ledgerService.describeBalance(account);
+
+    return {
+      currency,
+      minorUnits,
+      available,
+      ledger,
+      pending: { incoming: pendingIn, outgoing: pendingOut },
+      formatted: {
+        available: fromMinorUnits(available, currency),
+        ledger: fromMinorUnits(ledger, currency),
+        pendingIncoming: fromMinorUnits(pendingIn, currency),
+        pendingOutgoing: fromMinorUnits(pendingOut, currency)
+      }
+    };
+  }
+
+  /**
+   * Client view of a wallet with its balance
+   * @param {Object} wallet - Wallet document with accountId populated
+   * @returns {Object} Wallet summary
+   */
+  serialize(wallet) {
+    return {
+      id: wallet._id,
+      currency: wallet.currency,
+      name: wallet.name,
+      isPrimary: wallet.isPrimary,
+      status: wallet.status,
+      frozenAt: wallet.frozenAt || null,
+      closedAt: wallet.closedAt || null,
+      createdAt: wallet.createdAt,
+      balance: this.describeBalance(wallet.accountId)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WalletService();
@@ -4,19 +4,21 @@
  * Implements secure token management and comprehensive user lifecycle management
  */
 
-const axios = require("axios");
 const jwt = require("jsonwebtoken");
-const {
-  AppError,
-  externalApiErrorHandler,
-} = require("../middleware/errorHandler");
+const crypto = require("crypto");
+const { AppError } = require("../middleware/errorHandler");
+const sessionService = require("./sessionService");
+const tokenRevocation = require("./tokenRevocation");
+const twoFactorService = require("./twoFactorService");
+const activityService = require("./activityService");
+const deviceService = require("./deviceService");
+const zoqqClient = require("./zoqqClient");
+const { getPermissionsForRole, isAdminRole } = require("../config/permissions");
 
 class ZoqqAuthService {
   constructor() {
-    this.baseUrl = process.env.ZOQQ_BASE_URL || "https://api.zoqq.com";
     this.clientId = process.env.ZOQQ_CLIENT_ID;
     this.apiKey = process.env.ZOQQ_API_KEY;
-    this.programId = process.env.ZOQQ_PROGRAM_ID;
     this.jwtSecret = process.env.JWT_SECRET || 'stylopay-default-secret-key-change-in-production';
 
     // Check if Zoqq integration is enabled
@@ -31,74 +33,6 @@ class ZoqqAuthService {
     if (!this.jwtSecret) {
       throw new Error("Missing JWT_SECRET environment variable");
     }
-
-    // Configure axios instance with security settings
-    this.axiosInstance = axios.create({
-      baseURL: this.baseUrl,
-      timeout: 30000, // 30 seconds timeout for banking security
-      headers: {
-        "Content-Type": "application/json",
-        "x-client-id": this.clientId,
-        "x-api-key": this.apiKey,
-      },
-      validateStatus: (status) => status < 500, // Don't throw for 4xx errors
-    });
-
-    // Set up request/response interceptors for logging and security
-    this.setupInterceptors();
-  }
-
-  /**
-   * Set up axios interceptors for logging and security monitoring
-   */
-  setupInterceptors() {
-    // Request interceptor
-    this.axiosInstance.interceptors.request.use(
-      (config) => {
-        const requestId = `req_${Date.now()}_${Math.random()
-          .toString(36)
-          .substr(2, 9)}`;
-        config.headers["x-request-id"] = requestId;
-
-        // Log request (excluding sensitive data)
-        console.log(
-          `[ZOQQ API] ${config.method.toUpperCase()} ${
-            config.url
-          } - Request ID: ${requestId}`
-        );
-        return config;
-      },
-      (error) => {
-        console.error("[ZOQQ API] Request Error:", error.message);
-        return Promise.reject(error);
-      }
-    );
-
-    // Response interceptor
-    this.axiosInstance.interceptors.response.use(
-      (response) => {
-        const requestId = response.config.headers["x-request-id"];
-        console.log(`[ZOQQ API] ${response.status} - Request ID: ${requestId}`);
-        return response;
-      },
-      (error) => {
-        const requestId = error.config?.headers?.["x-request-id"];
-        console.error(`[ZOQQ API] Error - Request ID: ${requestId}`, {
-          status: error.response?.status,
-          message: error.response?.data?.message || error.message,
-          code: error.response?.data?.code,
-        });
-        return Promise.reject(error);
-      }
-    );
-  }
-
-  /**
-   * Generate a unique idempotency key for API requests
-   * @returns {string} Unique request ID
-   */
-  generateIdempotencyKey() {
-    return `stylopay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   // ========== AUTHENTICATION APIs ==========
@@ -106,6 +40,7 @@ class ZoqqAuthService {
   /**
    * Authenticate with Zoqq API and get access token
    * Endpoint: POST {{baseUrl}}/api/v1/authentication/login
+   * Always logs in; callers should use zoqqTokenManager.getToken() for the cached token
    * @returns {Promise<Object>} Authentication result with token and expiration
    */
   async getZoqqToken() {
@@ -117,18 +52,12 @@ class ZoqqAuthService {
       console.log('[ZOQQ AUTH] Requesting authentication token...');
       
       const startTime = Date.now();
-      const response = await this.axiosInstance.post('/api/v1/authentication/login', {}, {
-        headers: {
-          'x-client-id': this.clientId,
-          'x-api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('login');
 
       const endTime = Date.now();
       console.log(`[ZOQQ AUTH] Token request completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200 && response.data.token) {
+      if (response.data.token) {
         console.log('[ZOQQ AUTH] Authentication successful');
         return {
           token: response.data.token,
@@ -136,24 +65,11 @@ class ZoqqAuthService {
           success: true
         };
       } else {
-        throw new AppError('Invalid authentication response from Zoqq', 401, 'ZOQQ_AUTH_INVALID');
+        throw new AppError('Invalid authentication response from Zoqq', 502, 'ZOQQ_AUTH_INVALID');
       }
     } catch (error) {
       console.error('[ZOQQ AUTH] Authentication failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'Authentication failed';
-        
-        if (status === 401) {
-          throw new AppError('Invalid Zoqq credentials', 401, 'ZOQQ_AUTH_INVALID');
-        } else if (status === 403) {
-          throw new AppError('Zoqq access forbidden', 403, 'ZOQQ_AUTH_FORBIDDEN');
-        } else {
-          throw new AppError(`Zoqq authentication error: ${message}`, status, 'ZOQQ_AUTH_ERROR');
-        }
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq authentication service unavailable',
         503,
@@ -168,10 +84,10 @@ class ZoqqAuthService {
    * Create a new user account with business and personal details
    * Endpoint: POST {{baseUrl}}/zoqq/api/v1/user
    * @param {Object} userDetails - Complete user data as per Zoqq requirements
-   * @param {string} bearerToken - Valid bearer token from authentication
+   * @param {Object} options - { idempotencyKey } forwarded to Zoqq as x-request-id
    * @returns {Promise<Object>} User creation result with account ID
    */
-  async createUser(userDetails, bearerToken) {
+  async createZoqqUser(userDetails, { idempotencyKey } = {}) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -179,7 +95,6 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ USER] Creating new user account...');
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
       // Validate required fields according to Zoqq documentation
@@ -197,8 +112,8 @@ class ZoqqAuthService {
         'personDocumentsTag', 'liveSelfieFileId', 'countryCode'
       ];
 
-      // Check for missing required fields
-      const missingFields = requiredFields.filter(field => !userDetails[field]);
+      // Check for missing required fields; false is a valid answer for the boolean ones
+      const missingFields = requiredFields.filter(field => userDetails[field] === undefined || userDetails[field] === null || userDetails[field] === '');
       if (missingFields.length > 0) {
         throw new AppError(
           `Missing required fields: ${missingFields.join(', ')}`,
@@ -207,20 +122,12 @@ class ZoqqAuthService {
         );
       }
 
-      const response = await this.axiosInstance.post('/zoqq/api/v1/user', userDetails, {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('createUser', { data: userDetails, idempotencyKey });
 
       const endTime = Date.now();
       console.log(`[ZOQQ USER] User creation completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200 && response.data.status === 'Success') {
+      if (response.data.status === 'Success') {
         console.log('[ZOQQ USER] User created successfully:', response.data.data[0].accountid);
         return {
           success: true,
@@ -231,19 +138,13 @@ class ZoqqAuthService {
       } else {
         throw new AppError(
           response.data?.message || 'User creation failed',
-          response.status || 400,
+          502,
           'ZOQQ_USER_CREATION_FAILED'
         );
       }
     } catch (error) {
       console.error('[ZOQQ USER] User creation failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'User creation failed';
-        throw new AppError(`Zoqq user creation error: ${message}`, status, 'ZOQQ_USER_ERROR');
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq user service unavailable',
         503,
@@ -256,10 +157,9 @@ class ZoqqAuthService {
    * Retrieve user details from the system
    * Endpoint: GET {{baseUrl}}/zoqq/api/v1/user
    * @param {string} userId - User identification key
-   * @param {string} bearerToken - Valid bearer token
    * @returns {Promise<Object>} User details
    */
-  async getUser(userId, bearerToken) {
+  async getUser(userId) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -267,24 +167,14 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ USER] Retrieving user details for:', userId);
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
-      const response = await this.axiosInstance.get('/zoqq/api/v1/user', {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'x-user-id': userId,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('getUser', { userId });
 
       const endTime = Date.now();
       console.log(`[ZOQQ USER] User retrieval completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200 && response.data.status === 'success') {
+      if (response.data.status === 'success') {
         console.log('[ZOQQ USER] User details retrieved successfully');
         return {
           success: true,
@@ -294,19 +184,13 @@ class ZoqqAuthService {
       } else {
         throw new AppError(
           response.data?.message || 'Failed to retrieve user details',
-          response.status || 400,
+          502,
           'ZOQQ_USER_RETRIEVAL_FAILED'
         );
       }
     } catch (error) {
       console.error('[ZOQQ USER] User retrieval failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'User retrieval failed';
-        throw new AppError(`Zoqq user retrieval error: ${message}`, status, 'ZOQQ_USER_ERROR');
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq user service unavailable',
         503,
@@ -319,10 +203,10 @@ class ZoqqAuthService {
    * Accept Terms and Conditions
    * Endpoint: GET {{baseUrl}}/zoqq/api/v1/user/termsConditions
    * @param {string} userId - User identification key
-   * @param {string} bearerToken - Valid bearer token
+   * @param {Object} options - { idempotencyKey } forwarded to Zoqq as x-request-id
    * @returns {Promise<Object>} Terms acceptance result
    */
-  async acceptTermsAndConditions(userId, bearerToken) {
+  async acceptTermsAndConditions(userId, { idempotencyKey } = {}) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -330,24 +214,14 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ TERMS] Accepting terms and conditions for user:', userId);
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
-      const response = await this.axiosInstance.get('/zoqq/api/v1/user/termsConditions', {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'x-user-id': userId,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('acceptTerms', { userId, idempotencyKey });
 
       const endTime = Date.now();
       console.log(`[ZOQQ TERMS] Terms acceptance completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200 && response.data.status === 'success') {
+      if (response.data.status === 'success') {
         console.log('[ZOQQ TERMS] Terms and conditions accepted successfully');
         return {
           success: true,
@@ -356,19 +230,13 @@ class ZoqqAuthService {
       } else {
         throw new AppError(
           response.data?.message || 'Failed to accept terms and conditions',
-          response.status || 400,
+          502,
           'ZOQQ_TERMS_ACCEPTANCE_FAILED'
         );
       }
     } catch (error) {
       console.error('[ZOQQ TERMS] Terms acceptance failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'Terms acceptance failed';
-        throw new AppError(`Zoqq terms acceptance error: ${message}`, status, 'ZOQQ_TERMS_ERROR');
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq terms service unavailable',
         503,
@@ -381,10 +249,10 @@ class ZoqqAuthService {
    * Activate user account
    * Endpoint: GET {{baseUrl}}/zoqq/api/v1/user/activate
    * @param {string} userId - User identification key
-   * @param {string} bearerToken - Valid bearer token
+   * @param {Object} options - { idempotencyKey } forwarded to Zoqq as x-request-id
    * @returns {Promise<Object>} Account activation result
    */
-  async activateAccount(userId, bearerToken) {
+  async activateAccount(userId, { idempotencyKey } = {}) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -392,24 +260,14 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ ACTIVATE] Activating account for user:', userId);
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
-      const response = await this.axiosInstance.get('/zoqq/api/v1/user/activate', {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'x-user-id': userId,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('activate', { userId, idempotencyKey });
 
       const endTime = Date.now();
       console.log(`[ZOQQ ACTIVATE] Account activation completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200 && response.data.status === 'success') {
+      if (response.data.status === 'success') {
         console.log('[ZOQQ ACTIVATE] Account activated successfully');
         return {
           success: true,
@@ -418,19 +276,13 @@ class ZoqqAuthService {
       } else {
         throw new AppError(
           response.data?.message || 'Account activation failed',
-          response.status || 400,
+          502,
           'ZOQQ_ACTIVATION_FAILED'
         );
       }
     } catch (error) {
       console.error('[ZOQQ ACTIVATE] Account activation failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'Account activation failed';
-        throw new AppError(`Zoqq activation error: ${message}`, status, 'ZOQQ_ACTIVATION_ERROR');
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq activation service unavailable',
         503,
@@ -445,10 +297,9 @@ class ZoqqAuthService {
    * Retrieve RFI details
    * Endpoint: GET {{baseUrl}}/zoqq/api/v1/user/rfi
    * @param {string} userId - User identification key
-   * @param {string} bearerToken - Valid bearer token
    * @returns {Promise<Object>} RFI details
    */
-  async getRFI(userId, bearerToken) {
+  async getRFI(userId) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -456,45 +307,21 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ RFI] Retrieving RFI details for user:', userId);
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
-      const response = await this.axiosInstance.get('/zoqq/api/v1/user/rfi', {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'x-user-id': userId,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('getRfi', { userId });
 
       const endTime = Date.now();
       console.log(`[ZOQQ RFI] RFI retrieval completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200) {
-        console.log('[ZOQQ RFI] RFI details retrieved successfully');
-        return {
-          success: true,
-          rfiData: response.data
-        };
-      } else {
-        throw new AppError(
-          'Failed to retrieve RFI details',
-          response.status || 400,
-          'ZOQQ_RFI_RETRIEVAL_FAILED'
-        );
-      }
+      console.log('[ZOQQ RFI] RFI details retrieved successfully');
+      return {
+        success: true,
+        rfiData: response.data
+      };
     } catch (error) {
       console.error('[ZOQQ RFI] RFI retrieval failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'RFI retrieval failed';
-        throw new AppError(`Zoqq RFI retrieval error: ${message}`, status, 'ZOQQ_RFI_ERROR');
-      }
-      
       throw error instanceof AppError ? error : new AppError(
         'Zoqq RFI service unavailable',
         503,
@@ -508,10 +335,10 @@ class ZoqqAuthService {
    * Endpoint: POST {{baseUrl}}/zoqq/api/v1/user/rfi
    * @param {string} userId - User identification key
    * @param {Object} rfiResponse - RFI response data
-   * @param {string} bearerToken - Valid bearer token
+   * @param {Object} options - { idempotencyKey } forwarded to Zoqq as x-request-id
    * @returns {Promise<Object>} RFI response result
    */
-  async respondToRFI(userId, rfiResponse, bearerToken) {
+  async respondToRFI(userId, rfiResponse, { idempotencyKey } = {}) {
     if (!this.zoqqEnabled) {
       throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
     }
@@ -519,7 +346,6 @@ class ZoqqAuthService {
     try {
       console.log('[ZOQQ RFI] Responding to RFI for user:', userId);
       
-      const idempotencyKey = this.generateIdempotencyKey();
       const startTime = Date.now();
 
       // Validate required RFI response fields
@@ -531,45 +357,125 @@ class ZoqqAuthService {
         );
       }
 
-      const response = await this.axiosInstance.post('/zoqq/api/v1/user/rfi', rfiResponse, {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-program-id': this.programId || 'default',
-          'x-request-id': idempotencyKey,
-          'x-user-id': userId,
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await zoqqClient.request('respondRfi', { userId, data: rfiResponse, idempotencyKey });
 
       const endTime = Date.now();
       console.log(`[ZOQQ RFI] RFI response completed in ${endTime - startTime}ms`);
 
-      if (response.status === 200) {
-        console.log('[ZOQQ RFI] RFI response submitted successfully');
-        return {
-          success: true,
-          message: 'RFI response submitted successfully',
-          data: response.data
-        };
-      } else {
+      console.log('[ZOQQ RFI] RFI response submitted successfully');
+      return {
+        success: true,
+        message: 'RFI response submitted successfully',
+        data: response.data
+      };
+    } catch (error) {
+      console.error('[ZOQQ RFI] RFI response failed:', error.message);
+      
+      throw error instanceof AppError ? error : new AppError(
+        'Zoqq RFI service unavailable',
+        503,
+        'ZOQQ_SERVICE_UNAVAILABLE'
+      );
+    }
+  }
+
+  // ========== FILE APIs ==========
+
+  /**
+   * Upload a KYC document; the returned file ID is what createZoqqUser and RFI
+   * answers reference (fileId, frontFileId, personDocumentsFileId, liveSelfieFileId)
+   * Endpoint: POST {{baseUrl}}/zoqq/api/v1/file/upload (multipart "file" field)
+   * @param {Object} file - { buffer, fileName, mimeType }
+   * @returns {Promise<Object>} Upload result with the Zoqq file ID
+   */
+  async uploadFile({ buffer, fileName, mimeType }) {
+    if (!this.zoqqEnabled) {
+      throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
+    }
+
+    try {
+      console.log(`[ZOQQ FILE] Uploading ${mimeType} (${buffer.length} bytes)...`);
+      
+      const startTime = Date.now();
+
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+
+      const response = await zoqqClient.request('uploadFile', { data: form });
+
+      const endTime = Date.now();
+      console.log(`[ZOQQ FILE] File upload completed in ${endTime - startTime}ms`);
+
+      const fileId = response.data?.data?.file_id;
+      if (response.data.status !== 'success' || !fileId) {
         throw new AppError(
-          'Failed to submit RFI response',
-          response.status || 400,
-          'ZOQQ_RFI_RESPONSE_FAILED'
+          response.data?.message || 'File upload failed',
+          502,
+          'ZOQQ_FILE_UPLOAD_FAILED'
         );
       }
+
+      return {
+        success: true,
+        fileId,
+        message: response.data.message
+      };
     } catch (error) {
-      console.error('[ZOQQ RFI] RFI response failed:', error.message);
+      console.error('[ZOQQ FILE] File upload failed:', error.message);
       
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'RFI response failed';
-        throw new AppError(`Zoqq RFI response error: ${message}`, status, 'ZOQQ_RFI_ERROR');
+      throw error instanceof AppError ? error : new AppError(
+        'Zoqq file service unavailable',
+        503,
+        'ZOQQ_SERVICE_UNAVAILABLE'
+      );
+    }
+  }
+
+  // ========== PAYOUT APIs ==========
+
+  /**
+   * Send money from a user's Zoqq account to an outside bank account
+   * Endpoint: POST {{baseUrl}}/zoqq/api/v1/payout
+   * @param {string} userId - User identification key
+   * @param {Object} payout - { amount (decimal string), currency, reference, beneficiary }
+   * @param {Object} options - { idempotencyKey } forwarded to Zoqq as x-request-id
+   * @returns {Promise<Object>} Payout result with the Zoqq payout ID
+   */
+  async createPayout(userId, payout, { idempotencyKey } = {}) {
+    if (!this.zoqqEnabled) {
+      throw new AppError('Zoqq integration is not enabled', 400, 'ZOQQ_DISABLED');
+    }
+
+    try {
+      console.log(`[ZOQQ PAYOUT] Sending ${payout.amount} ${payout.currency} for user:`, userId);
+
+      const startTime = Date.now();
+
+      const response = await zoqqClient.request('createPayout', { userId, data: payout, idempotencyKey });
+
+      const endTime = Date.now();
+      console.log(`[ZOQQ PAYOUT] Payout completed in ${endTime - startTime}ms`);
+
+      const payoutId = response.data?.data?.payout_id;
+      if (response.data.status !== 'success' || !payoutId) {
+        throw new AppError(
+          response.data?.message || 'Payout failed',
+          502,
+          'ZOQQ_PAYOUT_FAILED'
+        );
       }
-      
+
+      return {
+        success: true,
+        payoutId,
+        status: response.data.data.status,
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('[ZOQQ PAYOUT] Payout failed:', error.message);
+
       throw error instanceof AppError ? error : new AppError(
-        'Zoqq RFI service unavailable',
+        'Zoqq payout service unavailable',
         503,
         'ZOQQ_SERVICE_UNAVAILABLE'
       );
@@ -583,9 +489,11 @@ class ZoqqAuthService {
    * @param {string} userEmail - User's email
    * @param {string} userIp - User's IP for security logging
    * @param {Object} userData - Additional user data from database
+   * @param {string} sessionId - Refresh session the access token belongs to
+   * @param {string} deviceId - Registered device the session was opened on
    * @returns {Promise<Object>} Authentication result with token and expiration
    */
-  async authenticate(userEmail = null, userIp = null, userData = null) {
+  async authenticate(userEmail = null, userIp = null, userData = null, sessionId = null, deviceId = null) {
     try {
       console.log(
         `[AUTH] Creating authentication token${
@@ -594,20 +502,6 @@ class ZoqqAuthService {
       );
 
       const startTime = Date.now();
-      let zoqqToken = null;
-      let zoqqExpiresAt = null;
-
-      // Try to get Zoqq token if integration is enabled
-      if (this.zoqqEnabled) {
-        try {
-          const zoqqResult = await this.getZoqqToken();
-          zoqqToken = zoqqResult.token;
-          zoqqExpiresAt = zoqqResult.expires_at;
-          console.log('[AUTH] Successfully obtained Zoqq token');
-        } catch (error) {
-          console.warn('[AUTH] Failed to obtain Zoqq token, proceeding with local auth only:', error.message);
-        }
-      }
 
       // Create expiration time (30 minutes from now)
       const expiresAt = new Date();
@@ -617,11 +511,12 @@ class ZoqqAuthService {
       const userRole = userData?.role || 'user';
       const internalTokenPayload = {
         userId: userData?.id || userData?._id || userEmail,
+        sid: sessionId,
+        did: deviceId,
         email: userEmail,
         role: userRole,
-        isAdmin: userRole === 'admin',
-        zoqqToken: zoqqToken,
-        zoqqExpiresAt: zoqqExpiresAt || expiresAt.toISOString(),
+        isAdmin: isAdminRole(userRole),
+        permissions: getPermissionsForRole(userRole),
         ip: userIp,
         authenticatedAt: new Date().toISOString(),
         tokenType: "banking_session",
@@ -634,11 +529,11 @@ class ZoqqAuthService {
         email: internalTokenPayload.email,
         role: internalTokenPayload.role,
         tokenType: internalTokenPayload.tokenType,
-        hasZoqqToken: !!internalTokenPayload.zoqqToken,
         zoqqEnabled: this.zoqqEnabled
       });
 
       const internalToken = jwt.sign(internalTokenPayload, this.jwtSecret, {
+        jwtid: crypto.randomUUID(),
         expiresIn: "30m",
         issuer: "stylopay-backend",
         audience: "stylopay-frontend",
@@ -654,12 +549,11 @@ class ZoqqAuthService {
       return {
         success: true,
         token: internalToken,
-        zoqqToken: zoqqToken,
         expiresAt: expiresAt.toISOString(),
         tokenType: "Bearer",
         validFor: Math.floor((expiresAt - new Date()) / 1000),
         refreshRequired: false,
-        hasZoqqIntegration: !!zoqqToken
+        hasZoqqIntegration: this.zoqqEnabled
       };
     } catch (error) {
       console.error("[AUTH] Authentication error:", error);
@@ -679,39 +573,79 @@ class ZoqqAuthService {
   }
 
   /**
-   * Refresh authentication token if needed
-   * @param {string} currentToken - Current internal token
-   * @returns {Promise<Object>} New authentication result or current token status
+   * Issue an access token and a new refresh session for a user
+   * @param {Object} user - User document
+   * @param {string} userIp - User's IP address
+   * @param {Object} options - { rememberMe, userAgent, deviceId }
+   * @returns {Promise<Object>} Authentication result with access and refresh tokens
    */
-  async refreshTokenIfNeeded(currentToken) {
-    try {
-      // Decode current token to check expiration
-      const decoded = jwt.verify(currentToken, this.jwtSecret);
-      const expiresAt = new Date(decoded.zoqqExpiresAt);
-      const now = new Date();
-      const timeUntilExpiry = expiresAt - now;
-
-      // Refresh if token expires in less than 5 minutes
-      if (timeUntilExpiry < 5 * 60 * 1000) {
-        console.log("[ZOQQ AUTH] Token refresh required");
-        return await this.authenticate(decoded.userId, decoded.ip);
-      }
+  async issueTokenPair(user, userIp = null, { rememberMe = false, userAgent = null, deviceId = null } = {}) {
+    const { session, refreshToken } = await sessionService.createSession(user, {
+      ip: userIp,
+      userAgent,
+      rememberMe,
+      deviceId
+    });
 
-      return {
-        success: true,
-        token: currentToken,
-        refreshRequired: false,
-        validFor: Math.floor(timeUntilExpiry / 1000),
-      };
-    } catch (error) {
-      console.log("[ZOQQ AUTH] Token refresh needed due to invalid token");
-      // Token is invalid, need fresh authentication
-      throw new AppError(
-        "Token is invalid and requires re-authentication",
-        401,
-        "TOKEN_REFRESH_REQUIRED"
-      );
+    const authResult = await this.authenticate(user.email, userIp, user, session._id.toString(), deviceId);
+
+    return {
+      ...authResult,
+      refreshToken,
+      refreshExpiresAt: session.expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * The access token is rebuilt from the current user record so role and status stay accurate
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} New authentication result with rotated refresh token
+   */
+  async refreshSession(refreshToken, { ip = null, userAgent = null } = {}) {
+    const { session, refreshToken: nextRefreshToken } = await sessionService.rotate(refreshToken, { ip, userAgent });
+
+    const User = require('../models/User');
+    const user = await User.findById(session.userId);
+
+    if (!user) {
+      await sessionService.revokeFamily(session.familyId, 'user_not_found');
+      throw new AppError('Account no longer exists', 401, 'USER_NOT_FOUND');
+    }
+
+    if (['suspended', 'closed'].includes(user.accountStatus)) {
+      await sessionService.revokeFamily(session.familyId, 'account_inactive');
+      throw new AppError(`Account is ${user.accountStatus}. Please contact support.`, 403, 'ACCOUNT_INACTIVE');
     }
+
+    const authResult = await this.authenticate(user.email, ip, user, session._id.toString(), session.deviceId);
+
+    return {
+      ...authResult,
+      user: this.serializeUser(user),
+      refreshToken: nextRefreshToken,
+      refreshExpiresAt: session.expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Revoke every access token and refresh session belonging to a user
+   * Used for password changes, account suspension and "log out everywhere"
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason for auditing
+   * @returns {Promise<Object>} Number of sessions revoked and the token cutoff
+   */
+  async revokeAllUserTokens(userId, reason) {
+    const [sessionsRevoked, revokedAt] = await Promise.all([
+      sessionService.revokeAllForUser(userId, reason),
+      tokenRevocation.revokeAllForUser(userId.toString(), reason)
+    ]);
+
+    return {
+      sessionsRevoked,
+      revokedAt: new Date(revokedAt).toISOString()
+    };
   }
 
   /**
@@ -727,18 +661,19 @@ class ZoqqAuthService {
         throw new AppError("No token provided", 401, "NO_TOKEN");
       }
 
-      const decoded = jwt.verify(token, this.jwtSecret);
+      // Session audience only: action-verification and 2FA tokens are signed with the same secret
+      const decoded = jwt.verify(token, this.jwtSecret, {
+        issuer: "stylopay-backend",
+        audience: "stylopay-frontend"
+      });
       console.log('[ZOQQ AUTH] Token decoded successfully:', {
         userId: decoded.userId,
-        tokenType: decoded.tokenType,
-        zoqqExpiresAt: decoded.zoqqExpiresAt,
-        hasZoqqToken: !!decoded.zoqqToken
+        tokenType: decoded.tokenType
       });
 
       // Additional validation
       if (decoded.tokenType !== "banking_session") {
         console.log('[ZOQQ AUTH] Token structure validation failed:', {
-          hasZoqqToken: !!decoded.zoqqToken,
           tokenType: decoded.tokenType,
           expected: "banking_session"
         });
@@ -749,16 +684,6 @@ class ZoqqAuthService {
         );
       }
 
-      // Zoqq token can be null if integration is disabled
-      if (this.zoqqEnabled && !decoded.zoqqToken) {
-        console.log('[ZOQQ AUTH] Zoqq token missing but integration is enabled');
-        throw new AppError(
-          "Missing Zoqq token",
-          401,
-          "MISSING_ZOQQ_TOKEN"
-        );
-      }
-
       console.log('[ZOQQ AUTH] Token validation successful');
       return decoded;
     } catch (error) {
@@ -776,16 +701,6 @@ class ZoqqAuthService {
     }
   }
 
-  /**
-   * Get Zoqq token from internal token
-   * @param {string} internalToken - Internal application token
-   * @returns {string} Zoqq API token
-   */
-  getZoqqTokenFromInternal(internalToken) {
-    const decoded = this.validateInternalToken(internalToken);
-    return decoded.zoqqToken;
-  }
-
   /**
    * Create a new user in the database
    * @param {Object} userData - User data including email, password, names, role, etc.
@@ -808,6 +723,10 @@ class ZoqqAuthService {
         accountStatus: 'pending_verification'
       });
 
+      if (userData.currency) {
+        newUser.set('preferences.currency', userData.currency);
+      }
+
       // Generate unique account number
       newUser.accountNumber = newUser.generateAccountNumber();
 
@@ -827,7 +746,8 @@ class ZoqqAuthService {
           accountNumber: savedUser.accountNumber,
           accountStatus: savedUser.accountStatus,
           isVerified: savedUser.isVerified,
-          profileCompleteness: savedUser.profileCompleteness
+          profileCompleteness: savedUser.profileCompleteness,
+          preferredCurrency: savedUser.preferences?.currency
         }
       };
     } catch (error) {
@@ -852,6 +772,29 @@ class ZoqqAuthService {
     }
   }
 
+  /**
+   * Build the client-facing view of a user record
+   * @param {Object} user - User document
+   * @returns {Object} Non-sensitive user fields
+   */
+  serializeUser(user) {
+    return {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      role: user.role,
+      isAdmin: isAdminRole(user.role),
+      permissions: getPermissionsForRole(user.role),
+      isVerified: user.isVerified,
+      accountStatus: user.accountStatus,
+      lastLogin: user.lastLogin,
+      profileCompleteness: user.profileCompleteness,
+      twoFactorEnabled: !!user.twoFactorEnabled
+    };
+  }
+
   /**
    * Check if a user exists in the system
    * @param {string} email - Email address to check
@@ -901,9 +844,10 @@ class ZoqqAuthService {
    * @param {string} email - User email
    * @param {string} password - User password
    * @param {string} userIp - User's IP address
+   * @param {Object} options - { rememberMe, userAgent } for the refresh session
    * @returns {Object} Authentication result
    */
-  async authenticateUser(email, password, userIp = null) {
+  async authenticateUser(email, password, userIp = null, options = {}) {
     try {
       console.log(`[AUTH] Authenticating user: ${email}`);
 
@@ -953,6 +897,11 @@ class ZoqqAuthService {
       if (!isPasswordValid) {
         // Increment login attempts
         await user.incLoginAttempts();
+        activityService.record(user._id, 'login', 'login_failed', {
+          ip: userIp,
+          userAgent: options.userAgent,
+          description: 'Incorrect password'
+        });
         
         throw new AppError(
           "Invalid email or password",
@@ -966,29 +915,51 @@ class ZoqqAuthService {
         await user.resetLoginAttempts();
       }
 
-      // Update last login
+      // Password is correct but a second factor is still required; trusted devices only skip it for sensitive actions
+      if (user.twoFactorEnabled) {
+        const { pendingToken, expiresAt } = twoFactorService.createPendingToken(user, options);
+
+        console.log(`[AUTH] Password verified, awaiting two-factor code: ${email}`);
+
+        return {
+          success: true,
+          twoFactorRequired: true,
+          pendingToken,
+          pendingExpiresAt: expiresAt
+        };
+      }
+
+      // Update last login and the device registry
       user.lastLogin = new Date();
+      const { device } = deviceService.recordLogin(user, {
+        deviceInfo: options.deviceInfo,
+        ip: userIp,
+        userAgent: options.userAgent
+      });
       await user.save();
 
-      // Create authentication token
-      const authResult = await this.authenticate(user.email, userIp, user);
+      // Create access token and refresh session
+      const authResult = await this.issueTokenPair(user, userIp, {
+        rememberMe: options.rememberMe,
+        userAgent: options.userAgent,
+        deviceId: device._id.toString()
+      });
+
+      activityService.record(user._id, 'login', 'login_success', {
+        ip: userIp,
+        userAgent: options.userAgent,
+        metadata: {
+          deviceId: device._id.toString(),
+          ...(user.twoFactorEnabled && { secondFactor: 'trusted_device' })
+        }
+      });
 
       console.log(`[AUTH] User authentication successful: ${email}`);
 
       return {
         success: true,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          role: user.role,
-          isVerified: user.isVerified,
-          accountStatus: user.accountStatus,
-          lastLogin: user.lastLogin,
-          profileCompleteness: user.profileCompleteness
-        },
+        user: this.serializeUser(user),
+        device: deviceService.serializeDevice(device, device._id.toString()),
         ...authResult
       };
 
@@ -1007,6 +978,82 @@ class ZoqqAuthService {
       );
     }
   }
+
+  /**
+   * Complete a login that requires two-factor authentication
+   * @param {string} pendingToken - Token returned by the password step
+   * @param {Object} factor - { code, recoveryCode }
+   * @param {string} userIp - User's IP address
+   * @param {Object} options - { userAgent, deviceInfo } for the refresh session
+   * @returns {Object} Authentication result
+   */
+  async completeTwoFactorLogin(pendingToken, factor, userIp = null, options = {}) {
+    const pending = await twoFactorService.verifyPendingToken(pendingToken);
+    const user = await twoFactorService.findUserWithSecrets(pending.userId);
+
+    if (user.isLocked) {
+      throw new AppError(
+        "Account is temporarily locked due to too many failed login attempts",
+        423,
+        "ACCOUNT_LOCKED"
+      );
+    }
+
+    if (['suspended', 'closed'].includes(user.accountStatus) || !user.twoFactorEnabled) {
+      throw new AppError("Two-factor session has expired. Please log in again.", 401, "TWO_FACTOR_SESSION_EXPIRED");
+    }
+
+    const method = await twoFactorService.consumeSecondFactor(user, factor);
+
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+      activityService.record(user._id, 'login', 'login_failed', {
+        ip: userIp,
+        userAgent: options.userAgent,
+        description: 'Invalid two-factor code'
+      });
+      throw new AppError("Invalid verification code", 401, "TWO_FACTOR_INVALID");
+    }
+
+    // The pending token is single use
+    await tokenRevocation.revokeToken(pending, 'two_factor_completed');
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    user.lastLogin = new Date();
+    const { device } = deviceService.recordLogin(user, {
+      deviceInfo: options.deviceInfo,
+      ip: userIp,
+      userAgent: options.userAgent
+    });
+    await user.save();
+
+    const authResult = await this.issueTokenPair(user, userIp, {
+      userAgent: options.userAgent,
+      rememberMe: !!pending.rememberMe,
+      deviceId: device._id.toString()
+    });
+
+    activityService.record(user._id, 'login', 'login_success', {
+      ip: userIp,
+      userAgent: options.userAgent,
+      metadata: { secondFactor: method, deviceId: device._id.toString() }
+    });
+
+    console.log(`[AUTH] Two-factor login successful: ${user.email} (${method})`);
+
+    return {
+      success: true,
+      user: this.serializeUser(user),
+      rememberMe: !!pending.rememberMe,
+      secondFactor: method,
+      device: deviceService.serializeDevice(device, device._id.toString()),
+      ...authResult
+    };
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,284 @@
+/**
+ * Zoqq HTTP Client
+ * Single transport for every Zoqq call: per-operation timeouts, exponential-backoff
+ * retries for idempotent requests, a circuit breaker, and consistent mapping of
+ * non-2xx responses through externalApiErrorHandler
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { AppError, externalApiErrorHandler } = require('../middleware/errorHandler');
+const zoqqTokenManager = require('./zoqqTokenManager');
+
+/**
+ * Zoqq operations. GETs are retried; POSTs only when `idempotent`, meaning Zoqq
+ * deduplicates them by the x-request-id idempotency key (reused across attempts).
+ * `contentType` replaces the JSON default, e.g. for FormData file uploads
+ */
+const OPERATIONS = {
+  login: { method: 'post', url: '/api/v1/authentication/login', timeoutMs: 10000, auth: false },
+  createUser: { method: 'post', url: '/zoqq/api/v1/user', timeoutMs: 30000, idempotent: true },
+  getUser: { method: 'get', url: '/zoqq/api/v1/user', timeoutMs: 10000 },
+  acceptTerms: { method: 'get', url: '/zoqq/api/v1/user/termsConditions', timeoutMs: 15000 },
+  activate: { method: 'get', url: '/zoqq/api/v1/user/activate', timeoutMs: 20000 },
+  getRfi: { method: 'get', url: '/zoqq/api/v1/user/rfi', timeoutMs: 10000 },
+  respondRfi: { method: 'post', url: '/zoqq/api/v1/user/rfi', timeoutMs: 20000, idempotent: true },
+  uploadFile: { method: 'post', url: '/zoqq/api/v1/file/upload', timeoutMs: 60000, contentType: 'multipart/form-data' },
+  createPayout: { method: 'post', url: '/zoqq/api/v1/payout', timeoutMs: 30000, idempotent: true }
+};
+
+const MAX_RETRY_DELAY_MS = 5000;
+
+/**
+ * Circuit breaker: opens after consecutive transport/5xx failures, fails fast while
+ * open, then lets a single trial request through once the cooldown has passed
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Throw if requests are currently blocked
+   * @throws {AppError} ZOQQ_SERVICE_UNAVAILABLE while open
+   */
+  assertRequestAllowed() {
+    if (this.state === 'open' && Date.now() - this.openedAt.getTime() >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      console.log('[ZOQQ CLIENT] Circuit half-open, allowing a trial request');
+    }
+
+    if (this.state === 'closed') return;
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    throw new AppError(
+      'Zoqq service is temporarily unavailable, please try again shortly',
+      503,
+      'ZOQQ_SERVICE_UNAVAILABLE'
+    );
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log('[ZOQQ CLIENT] Circuit closed, Zoqq is responding again');
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(reason) {
+    this.failures += 1;
+    this.lastFailure = reason;
+    this.lastFailureAt = new Date();
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`[ZOQQ CLIENT] Circuit opened after ${this.failures} failure(s): ${reason}`);
+      }
+      this.state = 'open';
+      this.openedAt = new Date();
+      this.trialInFlight = false;
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? this.openedAt.toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt.getTime() + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null
+    };
+  }
+}
+
+class ZoqqClient {
+  constructor() {
+    this.clientId = process.env.ZOQQ_CLIENT_ID;
+    this.apiKey = process.env.ZOQQ_API_KEY;
+    this.programId = process.env.ZOQQ_PROGRAM_ID;
+
+    this.maxAttempts = Number(process.env.ZOQQ_RETRY_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = Number(process.env.ZOQQ_RETRY_BASE_DELAY_MS) || 250;
+
+    this.breaker = new CircuitBreaker({
+      failureThreshold: Number(process.env.ZOQQ_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: Number(process.env.ZOQQ_CIRCUIT_RESET_TIMEOUT_MS) || 30000
+    });
+
+    // Only 2xx responses resolve; everything else is mapped in request()
+    this.axiosInstance = axios.create({
+      baseURL: process.env.ZOQQ_BASE_URL || 'https://api.zoqq.com',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-client-id': this.clientId,
+        'x-api-key': this.apiKey
+      }
+    });
+
+    this.setupInterceptors();
+  }
+
+  /**
+   * Set up axios interceptors for logging and security monitoring
+   */
+  setupInterceptors() {
+    this.axiosInstance.interceptors.request.use((config) => {
+      config.metadata = { startTime: Date.now() };
+      console.log(`[ZOQQ API] ${config.method.toUpperCase()} ${config.url} - Request ID: ${config.headers['x-request-id']}`);
+      return config;
+    });
+
+    this.axiosInstance.interceptors.response.use(
+      (response) => {
+        const { config } = response;
+        console.log(`[ZOQQ API] ${response.status} - Request ID: ${config.headers['x-request-id']} (${Date.now() - config.metadata.startTime}ms)`);
+        return response;
+      },
+      (error) => {
+        console.error(`[ZOQQ API] Error - Request ID: ${error.config?.headers?.['x-request-id']}`, {
+          status: error.response?.status,
+          message: error.response?.data?.message || error.message,
+          code: error.response?.data?.code || error.code
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Generate a unique idempotency key for API requests
+   * @returns {string} Unique request ID
+   */
+  generateIdempotencyKey() {
+    return `stylopay_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Call a Zoqq operation
+   * @param {string} operationName - Key of OPERATIONS
+   * @param {Object} options - { data, userId, idempotencyKey }
+   * @param {string} options.idempotencyKey - Sent as x-request-id; derived from the client's Idempotency-Key when it sent one
+   * @returns {Promise<Object>} 2xx axios response
+   * @throws {AppError} Mapped through externalApiErrorHandler, or ZOQQ_SERVICE_UNAVAILABLE while the circuit is open
+   */
+  async request(operationName, { data, userId, idempotencyKey } = {}) {
+    const operation = OPERATIONS[operationName];
+    const retryable = operation.method === 'get' || !!operation.idempotent;
+    const requestId = idempotencyKey || this.generateIdempotencyKey();
+
+    const send = (bearerToken) => this.send(operation, { data, userId, requestId, bearerToken });
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return operation.auth === false ? await send() : await zoqqTokenManager.withToken(send);
+      } catch (error) {
+        // AppErrors (open circuit, failed login) are already final
+        if (!error.isAxiosError) throw error;
+
+        if (!retryable || attempt >= this.maxAttempts || !this.isTransient(error)) {
+          throw externalApiErrorHandler(error, 'Zoqq');
+        }
+
+        const delay = this.retryDelay(attempt, error);
+        console.warn(`[ZOQQ CLIENT] ${operationName} attempt ${attempt} failed (${this.describe(error)}), retrying in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Send a single HTTP attempt and feed the outcome to the circuit breaker
+   */
+  async send(operation, { data, userId, requestId, bearerToken }) {
+    this.breaker.assertRequestAllowed();
+
+    try {
+      const response = await this.axiosInstance.request({
+        method: operation.method,
+        url: operation.url,
+        data: operation.method === 'get' ? undefined : (data || {}),
+        timeout: operation.timeoutMs,
+        headers: {
+          ...(operation.contentType && { 'Content-Type': operation.contentType }),
+          'x-program-id': this.programId || 'default',
+          'x-request-id': requestId,
+          ...(userId && { 'x-user-id': userId }),
+          ...(bearerToken && { Authorization: `Bearer ${bearerToken}` })
+        }
+      });
+
+      this.breaker.recordSuccess();
+      return response;
+    } catch (error) {
+      // 4xx means Zoqq is up and answering; only transport errors and 5xx count against it
+      if (this.isTransient(error) && error.response?.status !== 429) {
+        this.breaker.recordFailure(this.describe(error));
+      } else {
+        this.breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an attempt may succeed if repeated (network error, timeout, 429 or 5xx)
+   * @param {Error} error - Axios error
+   * @returns {boolean} True if transient
+   */
+  isTransient(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Exponential backoff with jitter, honouring Retry-After when Zoqq sends one
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Axios error
+   * @returns {number} Delay in ms
+   */
+  retryDelay(attempt, error) {
+    const exponential = Math.min(MAX_RETRY_DELAY_MS, this.retryBaseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(exponential / 2 + Math.random() * (exponential / 2));
+
+    const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+    if (retryAfterSeconds > 0) {
+      return Math.min(MAX_RETRY_DELAY_MS, Math.max(jittered, retryAfterSeconds * 1000));
+    }
+
+    return jittered;
+  }
+
+  describe(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+
+  /**
+   * Circuit breaker state for status endpoints
+   * @returns {Object} Breaker state
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+}
+
+// Export singleton instance
+module.exports = new ZoqqClient();
@@ -0,0 +1,470 @@
+/**
+ * Zoqq Sync Service
+ * Background reconciler that walks users with a Zoqq account, reads their state
+ * from Zoqq (getUser, plus getRFI while onboarding) and applies status transitions
+ * locally. Every check writes a sync history record; disagreements that cannot be
+ * applied safely are flagged as mismatches for admins instead.
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ZoqqSyncRun = require('../models/ZoqqSyncRun');
+const ZoqqSyncRecord = require('../models/ZoqqSyncRecord');
+const zoqqAuthService = require('./zoqqAuth');
+const notificationService = require('./notificationService');
+const rfiService = require('./rfiService');
+const activityService = require('./activityService');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeOnboardingState } = require('../config/onboarding');
+
+// Local onboarding state for each Zoqq user status
+const REMOTE_STATUS_MAP = {
+  CREATED: 'zoqq_created',
+  TERMS_ACCEPTED: 'terms_accepted',
+  RFI_REQUIRED: 'rfi_pending',
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  REJECTED: 'rejected'
+};
+
+// Errors that mean Zoqq is down or unusable (after retries), so the rest of a run is skipped
+const ABORT_CODES = [
+  'ZOQQ_SERVICE_UNAVAILABLE',
+  'ZOQQ_DISABLED',
+  'EXTERNAL_AUTH_FAILED',
+  'EXTERNAL_SERVICE_ERROR',
+  'EXTERNAL_SERVICE_TIMEOUT',
+  'EXTERNAL_SERVICE_UNAVAILABLE'
+];
+
+// A run still marked running after this long is assumed to have died
+const RUN_LOCK_TIMEOUT_MS = 60 * 60 * 1000;
+
+class ZoqqSyncService {
+  constructor() {
+    this.enabled = process.env.ZOQQ_SYNC_ENABLED !== 'false';
+    this.intervalMs = (Number(process.env.ZOQQ_SYNC_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.batchSize = Number(process.env.ZOQQ_SYNC_BATCH_SIZE) || 100;
+    // Users synced more recently than this (by any path, including webhooks) are skipped
+    this.staleAfterMs = (Number(process.env.ZOQQ_SYNC_STALE_MINUTES) || 15) * 60 * 1000;
+
+    this.timer = null;
+    this.running = false;
+    this.nextRunAt = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scheduled reconciler (no-op when disabled or Zoqq is not configured)
+   */
+  start() {
+    if (!this.enabled || !zoqqAuthService.zoqqEnabled) {
+      console.log('[ZOQQ SYNC] Scheduled sync disabled');
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      this.nextRunAt = new Date(Date.now() + this.intervalMs);
+      this.runScheduled().catch((error) => {
+        console.error('[ZOQQ SYNC] Scheduled run failed:', error.message);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+
+    this.nextRunAt = new Date(Date.now() + this.intervalMs);
+    console.log(`[ZOQQ SYNC] Scheduled every ${this.intervalMs / 60000} minute(s), up to ${this.batchSize} users per run`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Map a Zoqq user to the local status it implies
+   * @param {Object} remote - Zoqq user details
+   * @returns {string|null} Local zoqqAccountStatus, or null for an unknown Zoqq status
+   */
+  expectedStatus(remote) {
+    return REMOTE_STATUS_MAP[String(remote.status || '').toUpperCase()] || null;
+  }
+
+  /**
+   * Call Zoqq and add the call to the run's metrics
+   */
+  async timedCall(metrics, call) {
+    const startTime = Date.now();
+
+    try {
+      return await call();
+    } finally {
+      metrics.zoqqCalls += 1;
+      metrics.zoqqLatencyMs += Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Reconcile one user with Zoqq and write a sync history record
+   * @param {Object} user - User document with zoqqAccountId
+   * @param {Object} context - { trigger, runId, metrics }
+   * @returns {Promise<Object>} ZoqqSyncRecord
+   */
+  async syncUser(user, { trigger, runId, metrics }) {
+    const startTime = Date.now();
+    const localStatusBefore = user.zoqqAccountStatus;
+    const record = {
+      userId: user._id,
+      zoqqAccountId: user.zoqqAccountId,
+      runId,
+      trigger,
+      localStatusBefore,
+      changes: []
+    };
+
+    try {
+      let remote;
+
+      try {
+        ({ userData: remote } = await this.timedCall(metrics, () => zoqqAuthService.getUser(user.zoqqAccountId)));
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+
+        record.outcome = 'mismatch';
+        record.mismatch = { reason: 'remote_account_missing', details: `Zoqq has no account ${user.zoqqAccountId}` };
+
+        // Checked, so it goes to the back of the queue like any other user
+        user.zoqqLastSync = new Date();
+        await user.save();
+        return await this.saveRecord(record, user, startTime);
+      }
+
+      record.remoteStatus = remote.status;
+
+      // RFIs only matter until the account is active
+      if (String(remote.status).toUpperCase() !== 'ACTIVE') {
+        const { rfiData } = await this.timedCall(metrics, () => zoqqAuthService.getRFI(user.zoqqAccountId));
+        const activeRequest = rfiData?.active_request;
+
+        // Kept for the customer's RFI inbox
+        await rfiService.store(user, rfiData);
+
+        record.rfi = {
+          pending: !!activeRequest,
+          requestId: activeRequest?.id,
+          questionCount: activeRequest?.questions?.length
+        };
+      }
+
+      if (remote.termsAcceptedAt && !user.termsAcceptedAt) {
+        user.termsAcceptedAt = new Date(remote.termsAcceptedAt);
+        record.changes.push('termsAcceptedAt');
+      }
+
+      const expected = this.expectedStatus(remote);
+
+      // Accounts linked before onboarding states existed are still recorded as draft
+      if (expected && normalizeOnboardingState(user.zoqqAccountStatus) === 'draft' && expected !== 'zoqq_created'
+        && user.canTransitionOnboarding('zoqq_created')) {
+        user.transitionOnboarding('zoqq_created', { event: 'link_account', source: 'zoqq_sync' });
+        record.changes.push('zoqqAccountStatus');
+      }
+
+      const transitionFailure = expected && expected !== user.zoqqAccountStatus
+        ? user.checkOnboardingTransition(expected)
+        : null;
+
+      if (!expected) {
+        record.outcome = 'mismatch';
+        record.mismatch = { reason: 'unknown_remote_status', details: `Zoqq status ${remote.status} has no local equivalent` };
+      } else if (transitionFailure) {
+        record.outcome = 'mismatch';
+        record.mismatch = {
+          reason: 'invalid_transition',
+          details: `Local status is ${user.zoqqAccountStatus} but Zoqq reports ${remote.status}: ${transitionFailure.message}`
+        };
+      } else if (expected !== user.zoqqAccountStatus) {
+        user.transitionOnboarding(expected, { event: `zoqq_status:${remote.status}`, source: 'zoqq_sync' });
+        if (!record.changes.includes('zoqqAccountStatus')) record.changes.push('zoqqAccountStatus');
+      }
+
+      if (user.zoqqAccountStatus === 'active' && !user.activatedAt) {
+        user.activatedAt = remote.activatedAt ? new Date(remote.activatedAt) : new Date();
+        record.changes.push('activatedAt');
+      }
+
+      record.outcome = record.outcome || (record.changes.length > 0 ? 'updated' : 'unchanged');
+      user.zoqqLastSync = new Date();
+      await user.save();
+
+      await this.notifyChanges(user, localStatusBefore, record);
+    } catch (error) {
+      record.outcome = 'error';
+      record.error = { code: error.code || 'SYNC_FAILED', message: error.message };
+      console.error(`[ZOQQ SYNC] Failed to sync user ${user._id}:`, error.message);
+    }
+
+    return this.saveRecord(record, user, startTime);
+  }
+
+  async saveRecord(record, user, startTime) {
+    record.localStatusAfter = user.zoqqAccountStatus;
+    record.durationMs = Date.now() - startTime;
+
+    // A sync that agrees with Zoqq again closes earlier mismatch flags
+    if (['updated', 'unchanged'].includes(record.outcome)) {
+      await ZoqqSyncRecord.updateMany(
+        { userId: user._id, outcome: 'mismatch', resolvedAt: null },
+        { $set: { resolvedAt: new Date() } }
+      );
+    }
+
+    if (record.outcome === 'mismatch') {
+      console.warn(`[ZOQQ SYNC] Mismatch for user ${user._id}: ${record.mismatch.details}`);
+    }
+
+    return ZoqqSyncRecord.create(record);
+  }
+
+  /**
+   * Record and notify what a sync changed; RFIs are notified once, whichever path saw them first
+   */
+  async notifyChanges(user, previousStatus, record) {
+    if (user.zoqqAccountStatus !== previousStatus) {
+      await activityService.record(user._id, 'account', 'zoqq_status_changed', {
+        description: `Zoqq account status changed from ${previousStatus} to ${user.zoqqAccountStatus}`,
+        metadata: { source: 'sync', from: previousStatus, to: user.zoqqAccountStatus }
+      });
+
+      if (user.zoqqAccountStatus === 'active') {
+        await notificationService.notifyTemplate(user, 'zoqq_account_activated', {}, { source: 'sync' });
+      } else if (user.zoqqAccountStatus === 'suspended') {
+        await notificationService.notifyTemplate(user, 'zoqq_account_suspended', {}, { source: 'sync' });
+      } else if (user.zoqqAccountStatus === 'rejected') {
+        await notificationService.notifyTemplate(user, 'zoqq_account_rejected', {}, { source: 'sync' });
+      }
+    }
+
+    if (record.rfi?.requestId) {
+      const alreadyNotified = await Notification.exists({
+        userId: user._id,
+        type: 'zoqq_rfi_raised',
+        'metadata.rfiId': record.rfi.requestId
+      });
+
+      if (!alreadyNotified) {
+        await notificationService.notifyTemplate(
+          user,
+          'zoqq_rfi_raised',
+          { questionCount: record.rfi.questionCount },
+          { source: 'sync', rfiId: record.rfi.requestId }
+        );
+      }
+    }
+  }
+
+  /**
+   * Sync every user not synced within the stale window, oldest first
+   * Skipped if another run (in this or another process) is still going
+   * @returns {Promise<Object|null>} Finished ZoqqSyncRun, or null if skipped
+   */
+  async runScheduled() {
+    if (this.running) {
+      console.log('[ZOQQ SYNC] Previous run still in progress, skipping');
+      return null;
+    }
+
+    const activeRun = await ZoqqSyncRun.exists({
+      status: 'running',
+      startedAt: { $gt: new Date(Date.now() - RUN_LOCK_TIMEOUT_MS) }
+    });
+    if (activeRun) {
+      console.log('[ZOQQ SYNC] Another instance is running a sync, skipping');
+      return null;
+    }
+
+    const users = await User.find({
+      zoqqAccountId: { $exists: true, $ne: null },
+      $or: [
+        { zoqqLastSync: null },
+        { zoqqLastSync: { $lt: new Date(Date.now() - this.staleAfterMs) } }
+      ]
+    })
+      .sort({ zoqqLastSync: 1 })
+      .limit(this.batchSize);
+
+    return this.run(users, { trigger: 'scheduled' });
+  }
+
+  /**
+   * Sync a single user now (admin trigger)
+   * @param {string} userId - Local user ID
+   * @param {Object} options - { triggeredBy }
+   * @returns {Promise<Object>} { run, record }
+   */
+  async syncUserById(userId, { triggeredBy } = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!user.zoqqAccountId) {
+      throw new AppError('User has no Zoqq account to sync', 400, 'ZOQQ_ACCOUNT_MISSING');
+    }
+
+    const run = await this.run([user], { trigger: 'manual', triggeredBy });
+    const record = await ZoqqSyncRecord.findOne({ runId: run._id, userId: user._id });
+
+    return { run, record };
+  }
+
+  /**
+   * Sync a list of users as one run with metrics
+   * @param {Object[]} users - User documents
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Promise<Object>} Finished ZoqqSyncRun
+   */
+  async run(users, { trigger, triggeredBy }) {
+    const run = await ZoqqSyncRun.create({ trigger, triggeredBy });
+    const metrics = { zoqqCalls: 0, zoqqLatencyMs: 0 };
+
+    if (trigger === 'scheduled') this.running = true;
+    console.log(`[ZOQQ SYNC] ${trigger} run ${run._id} started for ${users.length} user(s)`);
+
+    try {
+      for (const user of users) {
+        const record = await this.syncUser(user, { trigger, runId: run._id, metrics });
+
+        run.usersScanned += 1;
+        if (record.outcome === 'updated') run.updated += 1;
+        if (record.outcome === 'unchanged') run.unchanged += 1;
+        if (record.outcome === 'mismatch') run.mismatches += 1;
+        if (record.outcome === 'error') run.errored += 1;
+
+        if (record.outcome === 'error' && ABORT_CODES.includes(record.error.code)) {
+          run.status = 'aborted';
+          run.error = `Stopped after ${record.error.code}: ${record.error.message}`;
+          break;
+        }
+      }
+
+      if (run.status === 'running') run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message.slice(0, 500);
+      console.error(`[ZOQQ SYNC] Run ${run._id} failed:`, error.message);
+    } finally {
+      if (trigger === 'scheduled') this.running = false;
+    }
+
+    run.zoqqCalls = metrics.zoqqCalls;
+    run.zoqqLatencyMs = metrics.zoqqLatencyMs;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    this.lastRun = this.serializeRun(run);
+    console.log(`[ZOQQ SYNC] Run ${run._id} ${run.status}: ${run.usersScanned} scanned, ${run.updated} updated, ${run.mismatches} mismatch(es), ${run.errored} error(s) in ${run.durationMs}ms`);
+
+    return run;
+  }
+
+  /**
+   * Run view for admin endpoints
+   * @param {Object} run - ZoqqSyncRun document or lean object
+   * @returns {Object} Run with derived averages
+   */
+  serializeRun(run) {
+    return {
+      id: run._id,
+      trigger: run.trigger,
+      triggeredBy: run.triggeredBy || null,
+      status: run.status,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt || null,
+      durationMs: run.durationMs ?? null,
+      usersScanned: run.usersScanned,
+      updated: run.updated,
+      unchanged: run.unchanged,
+      mismatches: run.mismatches,
+      errored: run.errored,
+      zoqqCalls: run.zoqqCalls,
+      averageZoqqLatencyMs: run.zoqqCalls > 0 ? Math.round(run.zoqqLatencyMs / run.zoqqCalls) : null,
+      error: run.error || null
+    };
+  }
+
+  /**
+   * Recent runs, newest first
+   * @param {Object} options - { trigger, limit, offset }
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async listRuns({ trigger, limit = 20, offset = 0 } = {}) {
+    const filter = trigger ? { trigger } : {};
+
+    const [runs, total] = await Promise.all([
+      ZoqqSyncRun.find(filter).sort({ startedAt: -1 }).skip(offset).limit(limit).lean(),
+      ZoqqSyncRun.countDocuments(filter)
+    ]);
+
+    return { runs: runs.map((run) => this.serializeRun(run)), total };
+  }
+
+  /**
+   * Open mismatch flags, newest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { mismatches, total }
+   */
+  async listMismatches({ limit = 20, offset = 0 } = {}) {
+    const filter = { outcome: 'mismatch', resolvedAt: null };
+
+    const [mismatches, total] = await Promise.all([
+      ZoqqSyncRecord.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email zoqqAccountStatus')
+        .lean(),
+      ZoqqSyncRecord.countDocuments(filter)
+    ]);
+
+    return { mismatches, total };
+  }
+
+  /**
+   * Sync history for one user, newest first
+   * @param {string} userId - Local user ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { records, total }
+   */
+  async listHistory(userId, { limit = 20, offset = 0 } = {}) {
+    const filter = { userId };
+
+    const [records, total] = await Promise.all([
+      ZoqqSyncRecord.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      ZoqqSyncRecord.countDocuments(filter)
+    ]);
+
+    return { records, total };
+  }
+
+  /**
+   * Scheduler state for status endpoints
+   * @returns {Object} Scheduler status and the last run in this process
+   */
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      intervalMinutes: this.intervalMs / 60000,
+      batchSize: this.batchSize,
+      running: this.running,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ZoqqSyncService();
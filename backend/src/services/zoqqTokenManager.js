@@ -0,0 +1,198 @@
+/**
+ * Zoqq Token Manager
+ * Caches the program-level Zoqq bearer token and shares it across all requests.
+ * Concurrent refreshes are coalesced into one login, the token is refreshed in the
+ * background shortly before expires_at, and a 401 from Zoqq triggers one retry
+ * with a fresh token. The token never leaves the backend.
+ */
+
+// Refresh this long before Zoqq's expires_at
+const DEFAULT_REFRESH_MARGIN_SECONDS = 60;
+
+// Used when Zoqq omits or sends an unparseable expires_at
+const DEFAULT_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Wait before retrying a failed background refresh
+const BACKGROUND_RETRY_SECONDS = 30;
+
+class ZoqqTokenManager {
+  constructor() {
+    this.refreshMarginMs = (Number(process.env.ZOQQ_TOKEN_REFRESH_MARGIN_SECONDS) || DEFAULT_REFRESH_MARGIN_SECONDS) * 1000;
+
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+
+    this.stats = {
+      refreshCount: 0,
+      lastRefreshAt: null,
+      lastError: null,
+      lastErrorAt: null
+    };
+  }
+
+  /**
+   * Whether the cached token can still be used without refreshing
+   * @returns {boolean} True if a token is cached and not within the refresh margin
+   */
+  hasValidToken() {
+    return !!this.token && this.expiresAt.getTime() - this.refreshMarginMs > Date.now();
+  }
+
+  /**
+   * Get the shared Zoqq bearer token, logging in only when needed
+   * @returns {Promise<string>} Bearer token
+   * @throws {AppError} When Zoqq login fails
+   */
+  async getToken() {
+    if (this.hasValidToken()) {
+      return this.token;
+    }
+
+    const { token } = await this.refresh();
+    return token;
+  }
+
+  /**
+   * Log in to Zoqq for a new token; concurrent callers share one in-flight login
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.fetchToken().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async fetchToken() {
+    // Import lazily; zoqqAuth depends on this manager
+    const zoqqAuthService = require('./zoqqAuth');
+
+    try {
+      const result = await zoqqAuthService.getZoqqToken();
+
+      this.token = result.token;
+      this.expiresAt = this.parseExpiry(result.expires_at);
+      this.stats.refreshCount += 1;
+      this.stats.lastRefreshAt = new Date();
+      this.stats.lastError = null;
+
+      console.log(`[ZOQQ TOKEN] Service token refreshed, expires at ${this.expiresAt.toISOString()}`);
+      this.scheduleRefresh(this.expiresAt.getTime() - this.refreshMarginMs - Date.now());
+
+      return { token: this.token, expiresAt: this.expiresAt };
+    } catch (error) {
+      this.stats.lastError = error.message;
+      this.stats.lastErrorAt = new Date();
+      console.error('[ZOQQ TOKEN] Service token refresh failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse Zoqq's expires_at (ISO date, epoch seconds or epoch milliseconds)
+   * @param {string|number} value - expires_at from the login response
+   * @returns {Date} Expiry time
+   */
+  parseExpiry(value) {
+    let expiresAt = null;
+
+    if (typeof value === 'number' || /^\d+$/.test(value || '')) {
+      const epoch = Number(value);
+      expiresAt = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+    } else if (value) {
+      expiresAt = new Date(value);
+    }
+
+    if (!expiresAt || Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      console.warn(`[ZOQQ TOKEN] Unusable expires_at "${value}", assuming ${DEFAULT_TOKEN_TTL_SECONDS}s lifetime`);
+      return new Date(Date.now() + DEFAULT_TOKEN_TTL_SECONDS * 1000);
+    }
+
+    return expiresAt;
+  }
+
+  /**
+   * Refresh proactively in the background so requests rarely wait on a login
+   * @param {number} delayMs - Delay before the refresh
+   */
+  scheduleRefresh(delayMs) {
+    clearTimeout(this.refreshTimer);
+
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch(() => {
+        // Keep trying until the cached token runs out; getToken() retries on demand after that
+        this.scheduleRefresh(BACKGROUND_RETRY_SECONDS * 1000);
+      });
+    }, Math.max(delayMs, 1000));
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Drop the cached token if it is the one Zoqq rejected
+   * A token already replaced by a concurrent refresh is left alone
+   * @param {string} token - Rejected bearer token
+   */
+  invalidate(token) {
+    if (token && token === this.token) {
+      console.warn('[ZOQQ TOKEN] Cached service token rejected by Zoqq, discarding');
+      this.token = null;
+      this.expiresAt = null;
+    }
+  }
+
+  /**
+   * Run a Zoqq request with the shared token, retrying once with a fresh token on 401
+   * @param {Function} request - (bearerToken) => Promise<axios response>
+   * @returns {Promise<Object>} Axios response
+   */
+  async withToken(request) {
+    const token = await this.getToken();
+
+    try {
+      return await request(token);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+    }
+
+    console.warn('[ZOQQ TOKEN] Zoqq returned 401, retrying once with a fresh token');
+    this.invalidate(token);
+
+    return request(await this.getToken());
+  }
+
+  /**
+   * Cache state for status endpoints (never includes the token itself)
+   * @returns {Object} Token cache status
+   */
+  getStatus() {
+    return {
+      cached: this.hasValidToken(),
+      expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
+      refreshInFlight: !!this.refreshPromise,
+      refreshCount: this.stats.refreshCount,
+      lastRefreshAt: this.stats.lastRefreshAt ? this.stats.lastRefreshAt.toISOString() : null,
+      lastError: this.stats.lastError,
+      lastErrorAt: this.stats.lastErrorAt ? this.stats.lastErrorAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Forget the cached token and stop background refreshes
+   */
+  reset() {
+    clearTimeout(this.refreshTimer);
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshTimer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new ZoqqTokenManager();
@@ -0,0 +1,323 @@
+/**
+ * Zoqq Webhook Service
+ * Verifies signed Zoqq webhook deliveries, stores each event once by its id, and
+ * applies it to the local user: Zoqq account status, activation and sync times,
+ * plus a notification for the account holder
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const notificationService = require('./notificationService');
+const activityService = require('./activityService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Reject deliveries signed longer ago than this (replay protection)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// A delivery stuck in processing this long is treated as abandoned
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Event handlers by Zoqq event type. Each one updates the user document in place
+ * and returns the onboarding state to move to and the notification template to raise, if any.
+ */
+const EVENT_HANDLERS = {
+  'user.terms_accepted': (user, event) => {
+    user.termsAcceptedAt = user.termsAcceptedAt || event.occurredAt;
+    // An open RFI keeps onboarding paused where it is
+    return { to: user.zoqqAccountStatus === 'zoqq_created' ? 'terms_accepted' : null };
+  },
+
+  'user.activated': (user, event) => {
+    user.activatedAt = user.activatedAt || event.occurredAt;
+    return { to: 'active', notification: { type: 'zoqq_account_activated' } };
+  },
+
+  'user.rfi_raised': (user, event) => ({
+    to: user.canTransitionOnboarding('rfi_pending') ? 'rfi_pending' : null,
+    notification: {
+      type: 'zoqq_rfi_raised',
+      details: { questionCount: (event.payload.data?.questions || []).length },
+      metadata: { rfiId: event.payload.data?.rfi_id || null }
+    }
+  }),
+
+  'user.suspended': (user, event) => ({
+    to: 'suspended',
+    notification: { type: 'zoqq_account_suspended', details: { reason: event.payload.data?.reason } }
+  }),
+
+  'user.rejected': (user, event) => ({
+    to: 'rejected',
+    notification: { type: 'zoqq_account_rejected', details: { reason: event.payload.data?.reason } }
+  })
+};
+
+class ZoqqWebhookService {
+  constructor() {
+    this.secret = process.env.ZOQQ_WEBHOOK_SECRET;
+    this.toleranceSeconds = Number(process.env.ZOQQ_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+    this.eventTypes = Object.keys(EVENT_HANDLERS);
+  }
+
+  /**
+   * Sign a payload the way Zoqq does: HMAC-SHA256 over "<timestamp>.<raw body>"
+   * @param {string|Buffer} rawBody - Exact request body
+   * @param {string|number} timestamp - Unix seconds from X-Zoqq-Timestamp
+   * @param {string} secret - Shared webhook secret
+   * @returns {string} Hex signature
+   */
+  sign(rawBody, timestamp, secret = this.secret) {
+    return crypto.createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  /**
+   * Verify the X-Zoqq-Signature and X-Zoqq-Timestamp headers against the raw body
+   * @param {Buffer} rawBody - Exact request body
+   * @param {Object} headers - { signature, timestamp }
+   * @throws {AppError} When webhooks are not configured or the delivery is not authentic
+   */
+  verifySignature(rawBody, { signature, timestamp }) {
+    if (!this.secret) {
+      throw new AppError('Zoqq webhooks are not configured', 503, 'WEBHOOKS_DISABLED');
+    }
+
+    if (!signature || !/^\d+$/.test(timestamp || '')) {
+      throw new AppError('Missing webhook signature', 401, 'WEBHOOK_SIGNATURE_MISSING');
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (ageSeconds > this.toleranceSeconds) {
+      throw new AppError('Webhook timestamp is outside the allowed tolerance', 401, 'WEBHOOK_TIMESTAMP_EXPIRED');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, timestamp), 'hex');
+
+    // "sha256=<hex>", possibly several comma-separated during a secret rotation
+    const valid = signature.split(',').some((candidate) => {
+      const provided = Buffer.from(candidate.trim().replace(/^sha256=/, ''), 'hex');
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+
+    if (!valid) {
+      throw new AppError('Invalid webhook signature', 401, 'WEBHOOK_SIGNATURE_INVALID');
+    }
+  }
+
+  /**
+   * Parse and validate a verified delivery body
+   * @param {Buffer} rawBody - Exact request body
+   * @returns {Object} { id, type, occurredAt, payload }
+   * @throws {AppError} INVALID_WEBHOOK_PAYLOAD
+   */
+  parseEvent(rawBody) {
+    let payload;
+
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw new AppError('Webhook body must be valid JSON', 400, 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    if (!payload || typeof payload.id !== 'string' || !payload.id || typeof payload.type !== 'string' || !payload.type) {
+      throw new AppError('Webhook event must include id and type', 400, 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    const occurredAt = payload.created_at ? new Date(payload.created_at) : new Date();
+    if (Number.isNaN(occurredAt.getTime())) {
+      throw new AppError('Webhook created_at is not a valid date', 400, 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    return { id: payload.id, type: payload.type, occurredAt, payload };
+  }
+
+  /**
+   * Handle one delivery: verify, store once, and process
+   * Redeliveries of an event that already succeeded are acknowledged without reprocessing;
+   * redeliveries of a failed event process it again
+   * @param {Buffer} rawBody - Exact request body
+   * @param {Object} headers - { signature, timestamp }
+   * @returns {Promise<Object>} { event, duplicate }
+   */
+  async receive(rawBody, headers) {
+    this.verifySignature(rawBody, headers);
+    const { id, type, occurredAt, payload } = this.parseEvent(rawBody);
+
+    let event;
+
+    try {
+      event = await WebhookEvent.create({
+        provider: 'zoqq',
+        eventId: id,
+        type,
+        occurredAt,
+        payload,
+        zoqqAccountId: payload.data?.user_id
+      });
+      console.log(`[ZOQQ WEBHOOK] Received ${type} (${id})`);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      event = await WebhookEvent.findOneAndUpdate(
+        { provider: 'zoqq', eventId: id },
+        { $inc: { deliveries: 1 } },
+        { new: true }
+      );
+      console.log(`[ZOQQ WEBHOOK] Duplicate delivery of ${type} (${id}), status: ${event.status}`);
+
+      if (!['received', 'failed'].includes(event.status)) {
+        return { event, duplicate: true };
+      }
+    }
+
+    return { event: await this.process(event), duplicate: false };
+  }
+
+  /**
+   * Apply a stored event to the local user
+   * The event is claimed first so concurrent deliveries or replays do not apply it twice
+   * @param {Object} event - WebhookEvent document
+   * @param {Object} options - { force } apply even if the user was synced after the event happened
+   * @returns {Promise<Object>} Updated WebhookEvent
+   */
+  async process(event, { force = false } = {}) {
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: event._id,
+        $or: [
+          { status: { $in: force ? ['received', 'failed', 'processed', 'ignored'] : ['received', 'failed'] } },
+          { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return WebhookEvent.findById(event._id);
+    }
+
+    try {
+      const outcome = await this.apply(claimed, { force });
+
+      claimed.status = outcome.ignored ? 'ignored' : 'processed';
+      claimed.lastError = outcome.reason;
+      claimed.userId = outcome.userId;
+      claimed.processedAt = new Date();
+      await claimed.save();
+
+      console.log(`[ZOQQ WEBHOOK] ${claimed.type} (${claimed.eventId}) ${claimed.status}${outcome.reason ? `: ${outcome.reason}` : ''}`);
+    } catch (error) {
+      claimed.status = 'failed';
+      claimed.lastError = error.message.slice(0, 500);
+      await claimed.save();
+
+      console.error(`[ZOQQ WEBHOOK] Failed to process ${claimed.type} (${claimed.eventId}):`, error.message);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Update the user an event refers to and notify them
+   * @param {Object} event - Claimed WebhookEvent document
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} { ignored, reason, userId }
+   */
+  async apply(event, { force }) {
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) {
+      return { ignored: true, reason: `Unhandled event type ${event.type}` };
+    }
+
+    if (!event.zoqqAccountId) {
+      return { ignored: true, reason: 'Event has no data.user_id' };
+    }
+
+    const user = await User.findOne({ zoqqAccountId: event.zoqqAccountId });
+    if (!user) {
+      // Zoqq can call before our createUser response is stored; a replay picks it up later
+      throw new Error(`No local user for Zoqq account ${event.zoqqAccountId}`);
+    }
+
+    // zoqqLastSync is the point in time the local record reflects; older events are out of date
+    if (!force && user.zoqqLastSync && event.occurredAt < user.zoqqLastSync) {
+      return { ignored: true, reason: 'Stale event: user was synced after it occurred', userId: user._id };
+    }
+
+    const previousStatus = user.zoqqAccountStatus;
+    const { to, notification } = handler(user, event);
+
+    if (to && to !== previousStatus) {
+      // Moves the state machine does not allow are left for the reconciler to flag
+      const failure = user.checkOnboardingTransition(to);
+      if (failure) {
+        return { ignored: true, reason: failure.message, userId: user._id };
+      }
+
+      user.transitionOnboarding(to, { event: event.type, source: 'zoqq_webhook' });
+    }
+
+    // Never move the sync marker backwards (forced replays of old events)
+    const occurredAt = new Date(Math.min(event.occurredAt.getTime(), Date.now()));
+    if (!user.zoqqLastSync || occurredAt > user.zoqqLastSync) {
+      user.zoqqLastSync = occurredAt;
+    }
+
+    await user.save();
+
+    if (user.zoqqAccountStatus !== previousStatus) {
+      await activityService.record(user._id, 'account', 'zoqq_status_changed', {
+        description: `Zoqq account status changed from ${previousStatus} to ${user.zoqqAccountStatus}`,
+        metadata: { eventId: event.eventId, eventType: event.type, from: previousStatus, to: user.zoqqAccountStatus }
+      });
+    }
+
+    if (notification) {
+      await notificationService.notifyTemplate(user, notification.type, notification.details, {
+        ...notification.metadata,
+        eventId: event.eventId
+      });
+    }
+
+    return { ignored: false, userId: user._id };
+  }
+
+  /**
+   * Reprocess stored events
+   * @param {Object} options - { eventId, status, since, limit, force, dryRun }
+   * @returns {Promise<Object[]>} Events after replay (or as found, for a dry run)
+   */
+  async replay({ eventId, status = 'failed', since, limit = 100, force = false, dryRun = false } = {}) {
+    const filter = { provider: 'zoqq' };
+
+    if (eventId) {
+      filter.eventId = eventId;
+    } else {
+      filter.status = status;
+      if (since) filter.createdAt = { $gte: since };
+    }
+
+    const events = await WebhookEvent.find(filter).sort({ occurredAt: 1 }).limit(limit);
+
+    if (dryRun) {
+      return events;
+    }
+
+    const results = [];
+    for (const event of events) {
+      // Replaying a successfully handled event is only meaningful when forced
+      const allowAny = force || !!eventId;
+      results.push(await this.process(event, { force: allowAny }));
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new ZoqqWebhookService();
@@ -0,0 +1,206 @@
+/**
+ * Payouts to saved payees: the cooling-off rule on new or re-pointed payees, and
+ * releasing or rejecting a held payout
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Account = require('../src/models/Account');
+const Beneficiary = require('../src/models/Beneficiary');
+const JournalEntry = require('../src/models/JournalEntry');
+const User = require('../src/models/User');
+const Wallet = require('../src/models/Wallet');
+const beneficiaryService = require('../src/services/beneficiaryService');
+const ledgerService = require('../src/services/ledgerService');
+const transactionService = require('../src/services/transactionService');
+const notificationService = require('../src/services/notificationService');
+const activityService = require('../src/services/activityService');
+const zoqqAuthService = require('../src/services/zoqqAuth');
+const { BENEFICIARY_LARGE_AMOUNTS } = require('../src/config/beneficiaries');
+const { MemoryCollection, matches, query, stub, withTransaction } = require('./helpers/memoryModels');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// GBP large-amount threshold in pence
+const THRESHOLD = BENEFICIARY_LARGE_AMOUNTS.GBP * 100;
+
+describe('beneficiaryService', () => {
+  const accounts = new MemoryCollection(Account);
+  const beneficiaries = new MemoryCollection(Beneficiary);
+  const entries = new MemoryCollection(JournalEntry);
+
+  let user;
+  let walletAccount;
+  let wallet;
+  let payee;
+  let zoqqPayouts;
+
+  const restores = [
+    stub(User, { findById: () => query(() => user) }),
+    stub(Wallet, { findOne: (filter) => query(() => (matches(wallet, filter) ? wallet : null)) }),
+    stub(ledgerService, { withTransaction }),
+    stub(transactionService, { record: async () => [], syncStatus: async () => {} }),
+    stub(notificationService, { notify: async () => null }),
+    stub(activityService, { record: async () => null }),
+    stub(zoqqAuthService, {
+      createPayout: async (accountId, payout, { idempotencyKey }) => {
+        zoqqPayouts.push({ accountId, payout, idempotencyKey });
+        return { success: true, payoutId: `pay_${zoqqPayouts.length}`, status: 'PROCESSING' };
+      }
+    })
+  ];
+
+  // Pays an amount given in pence
+  const pay = (pence) => beneficiaryService.payout(user._id, payee._id, { amount: (pence / 100).toFixed(2), currency: 'GBP' });
+
+  const payoutId = ({ entry }) => entry.metadata.payoutId;
+
+  beforeEach(() => {
+    [accounts, beneficiaries, entries].forEach((collection) => {
+      collection.docs = [];
+    });
+    zoqqPayouts = [];
+
+    user = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', zoqqAccountId: 'acc_1' });
+    walletAccount = accounts.add({ code: 'wallet:a', name: 'Wallet', type: 'liability', currency: 'GBP', ownerId: user._id, balances: { posted: 10 * THRESHOLD } });
+    accounts.add({ code: 'system:settlement:GBP', name: 'Zoqq settlement (GBP)', type: 'asset', currency: 'GBP', allowNegative: true });
+    wallet = { _id: new mongoose.Types.ObjectId(), userId: user._id, currency: 'GBP', status: 'active', accountId: walletAccount };
+
+    // Added an hour ago, so still cooling off
+    payee = beneficiaries.add({
+      userId: user._id,
+      accountHolderName: 'Jane Smith',
+      country: 'GB',
+      currency: 'GBP',
+      bankDetails: { scheme: 'sort_code', sortCode: '123456', accountNumber: '12345678' },
+      fingerprint: 'GB:GBP:123456:12345678',
+      ...beneficiaryService.coolingOff(new Date(Date.now() - HOUR_MS))
+    });
+  });
+
+  after(() => {
+    [accounts, beneficiaries, entries].forEach((collection) => collection.restore());
+    restores.forEach((restore) => restore());
+  });
+
+  describe('cooling-off', () => {
+    it('refuses a single payout at the large-amount threshold', async () => {
+      await assert.rejects(pay(THRESHOLD), { code: 'BENEFICIARY_COOLING_OFF' });
+      assert.equal(entries.docs.length, 0);
+    });
+
+    it('refuses a payout that takes the total since the period started to the threshold', async () => {
+      await pay(THRESHOLD * 2 / 5);
+      await pay(THRESHOLD * 2 / 5);
+
+      await assert.rejects(pay(THRESHOLD / 5), { code: 'BENEFICIARY_COOLING_OFF' });
+      await pay(THRESHOLD / 5 - 1);
+      assert.equal(walletAccount.balances.pendingOut, THRESHOLD - 1);
+    });
+
+    it('counts posted payouts and leaves rejected ones out', async () => {
+      const released = await pay(THRESHOLD / 2);
+      const rejected = await pay(THRESHOLD * 2 / 5);
+      await beneficiaryService.releasePayout(payoutId(released));
+      await beneficiaryService.rejectPayout(payoutId(rejected), { reason: 'Checks failed' });
+
+      await assert.rejects(pay(THRESHOLD / 2), { code: 'BENEFICIARY_COOLING_OFF' });
+      await pay(THRESHOLD * 2 / 5);
+    });
+
+    it('counts from when the bank details last changed', async () => {
+      await pay(THRESHOLD * 9 / 10);
+      entries.docs[0].createdAt = new Date(Date.now() - 2 * HOUR_MS);
+
+      await pay(THRESHOLD * 9 / 10);
+    });
+
+    it('allows large payouts once the period is over', async () => {
+      Object.assign(payee, beneficiaryService.coolingOff(new Date(Date.now() - 48 * HOUR_MS)));
+
+      const { entry } = await pay(2 * THRESHOLD);
+      assert.equal(entry.status, 'pending');
+    });
+
+    it('treats a negative period as none', () => {
+      const configPath = require.resolve('../src/config/beneficiaries');
+      const configured = process.env.BENEFICIARY_COOLING_OFF_HOURS;
+
+      process.env.BENEFICIARY_COOLING_OFF_HOURS = '-48';
+      delete require.cache[configPath];
+
+      try {
+        assert.equal(require(configPath).BENEFICIARY_COOLING_OFF_HOURS, 0);
+      } finally {
+        if (configured === undefined) delete process.env.BENEFICIARY_COOLING_OFF_HOURS;
+        else process.env.BENEFICIARY_COOLING_OFF_HOURS = configured;
+        delete require.cache[configPath];
+      }
+    });
+  });
+
+  describe('release and reject', () => {
+    it('posts a released payout and sends it to Zoqq under its payout ID', async () => {
+      const held = await pay(25000);
+
+      const { entry, zoqqPayoutId } = await beneficiaryService.releasePayout(payoutId(held));
+
+      assert.equal(entry.status, 'posted');
+      assert.equal(zoqqPayoutId, 'pay_1');
+      assert.deepEqual(walletAccount.balances.toObject(), { posted: 10 * THRESHOLD - 25000, pendingIn: 0, pendingOut: 0 });
+      assert.equal(zoqqPayouts.length, 1);
+      assert.equal(zoqqPayouts[0].idempotencyKey, `payout_${payoutId(held)}`);
+      assert.deepEqual(
+        { amount: zoqqPayouts[0].payout.amount, currency: zoqqPayouts[0].payout.currency, name: zoqqPayouts[0].payout.beneficiary.name },
+        { amount: '250.00', currency: 'GBP', name: 'Jane Smith' }
+      );
+    });
+
+    it('keeps a payout posted when Zoqq fails, and sends it again on the next release', async () => {
+      const held = await pay(25000);
+      const send = zoqqAuthService.createPayout;
+      zoqqAuthService.createPayout = async () => {
+        throw Object.assign(new Error('Zoqq payout service unavailable'), { code: 'ZOQQ_SERVICE_UNAVAILABLE' });
+      };
+
+      try {
+        await assert.rejects(beneficiaryService.releasePayout(payoutId(held)), { code: 'ZOQQ_SERVICE_UNAVAILABLE' });
+      } finally {
+        zoqqAuthService.createPayout = send;
+      }
+
+      assert.equal(entries.find({ reference: `payout:${payoutId(held)}` }).status, 'posted');
+      await assert.rejects(beneficiaryService.rejectPayout(payoutId(held), { reason: 'Too late' }), { code: 'PAYOUT_NOT_PENDING' });
+
+      await beneficiaryService.releasePayout(payoutId(held));
+      assert.equal(zoqqPayouts.length, 1);
+      assert.equal(walletAccount.balances.posted, 10 * THRESHOLD - 25000);
+    });
+
+    it('gives a rejected payout back to the wallet and cannot release it afterwards', async () => {
+      const held = await pay(25000);
+
+      const { entry } = await beneficiaryService.rejectPayout(payoutId(held), { reason: 'Checks failed' });
+
+      assert.equal(entry.status, 'voided');
+      assert.deepEqual(walletAccount.balances.toObject(), { posted: 10 * THRESHOLD, pendingIn: 0, pendingOut: 0 });
+      await assert.rejects(beneficiaryService.releasePayout(payoutId(held)), { code: 'PAYOUT_NOT_PENDING' });
+      assert.equal(zoqqPayouts.length, 0);
+    });
+
+    it('refuses to release a payout whose payee changed after it was requested', async () => {
+      const held = await pay(25000);
+      Object.assign(payee, beneficiaryService.coolingOff(new Date(Date.now() + 1000)));
+
+      await assert.rejects(beneficiaryService.releasePayout(payoutId(held)), { code: 'PAYOUT_PAYEE_CHANGED' });
+      assert.equal(entries.find({ reference: `payout:${payoutId(held)}` }).status, 'pending');
+      assert.equal(zoqqPayouts.length, 0);
+    });
+
+    it('answers 404 for an unknown payout', async () => {
+      await assert.rejects(beneficiaryService.releasePayout(new mongoose.Types.ObjectId()), { code: 'PAYOUT_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * In-memory stand-ins for Mongoose models, so the money paths run without MongoDB
+ * Every write applies in one synchronous step, as MongoDB applies a single-document
+ * update, and what a transaction wrote is undone if it throws
+ */
+
+const mongoose = require('mongoose');
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !value._id;
+
+const same = (a, b) => (a == null || b == null ? a == null && b == null : String(a._id ?? a) === String(b._id ?? b));
+
+const getPath = (doc, path) => (typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((value, key) => value?.[key], doc));
+
+const setPath = (doc, path, value) => {
+  if (typeof doc.set === 'function') {
+    doc.set(path, value);
+    return;
+  }
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value[key] = value[key] || {}), doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Whether a document matches a filter (equality, $in, $lt, $lte, $gte and $exists)
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  const value = getPath(doc, path);
+
+  if (!isOperatorObject(condition)) {
+    return same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some((candidate) => same(value, candidate));
+      case '$lt': return value < operand;
+      case '$lte': return value <= operand;
+      case '$gte': return value >= operand;
+      case '$exists': return (value !== undefined && value !== null) === operand;
+      default: throw new Error(`memoryModels does not support ${operator}`);
+    }
+  });
+});
+
+/**
+ * Chainable, awaitable stand-in for a Mongoose query
+ */
+const query = (produce) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve().then(produce).then(resolve, reject)
+  };
+  ['session', 'select', 'populate', 'sort', 'skip', 'limit', 'lean', 'collation'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+// Writes made inside a transaction register how to take them back
+const onAbort = (session, undo) => {
+  if (session && session.undo) session.undo.push(undo);
+};
+
+/**
+ * Replace methods on an object
+ * @returns {Function} Puts the originals back
+ */
+const stub = (target, methods) => {
+  const originals = Object.keys(methods).map((name) => [name, Object.getOwnPropertyDescriptor(target, name)]);
+  Object.assign(target, methods);
+
+  return () => originals.forEach(([name, descriptor]) => {
+    if (descriptor) Object.defineProperty(target, name, descriptor);
+    else delete target[name];
+  });
+};
+
+// Tail of the transactions started so far
+let transactions = Promise.resolve();
+
+/**
+ * Stand-in for ledgerService.withTransaction: runs work with a session that
+ * collects undo steps, and runs them if work throws
+ * Transactions run one at a time. MongoDB lets them overlap, but aborts and retries
+ * the later of two that write the same document, which ends the same way
+ */
+const withTransaction = (work, { session } = {}) => {
+  if (session) return work(session);
+
+  const run = transactions.then(async () => {
+    const txn = { undo: [] };
+    try {
+      return await work(txn);
+    } catch (error) {
+      txn.undo.reverse().forEach((undo) => undo());
+      throw error;
+    }
+  });
+
+  transactions = run.catch(() => {});
+  return run;
+};
+
+class MemoryCollection {
+  constructor(Model) {
+    this.Model = Model;
+    this.docs = [];
+    this.restore = stub(Model, this.statics());
+  }
+
+  /**
+   * Add a document directly, as test setup
+   */
+  add(data) {
+    const doc = data instanceof this.Model ? data : new this.Model(data);
+    if (this.Model.schema.path('createdAt') && !doc.createdAt) doc.createdAt = new Date();
+    this.docs.push(doc);
+    return doc;
+  }
+
+  find(filter) {
+    return this.docs.find((doc) => matches(doc, filter)) || null;
+  }
+
+  // Unique indexes the candidate's values collide on; sparse ones skip unset values
+  assertUnique(candidate) {
+    this.Model.schema.indexes()
+      .filter(([, options]) => options.unique)
+      .forEach(([fields, options]) => {
+        const keys = Object.keys(fields);
+        if (options.sparse && keys.some((key) => getPath(candidate, key) == null)) return;
+
+        if (this.docs.some((doc) => doc !== candidate && keys.every((key) => same(getPath(doc, key), getPath(candidate, key))))) {
+          throw Object.assign(new Error(`E11000 duplicate key error (${keys.join(', ')})`), { code: 11000 });
+        }
+      });
+  }
+
+  // Apply $set and $inc, returning how to undo them
+  apply(doc, update) {
+    const before = [...Object.keys(update.$set || {}), ...Object.keys(update.$inc || {})]
+      .map((path) => [path, getPath(doc, path)]);
+
+    Object.entries(update.$inc || {}).forEach(([path, amount]) => setPath(doc, path, (getPath(doc, path) || 0) + amount));
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+
+    return () => before.forEach(([path, value]) => setPath(doc, path, value));
+  }
+
+  insert(data, session) {
+    const doc = this.add(data);
+    try {
+      this.assertUnique(doc);
+    } catch (error) {
+      this.docs.pop();
+      throw error;
+    }
+    onAbort(session, () => this.docs.splice(this.docs.indexOf(doc), 1));
+    return doc;
+  }
+
+  upsert(filter, update, session) {
+    const fields = Object.fromEntries(Object.entries(filter).filter(([, condition]) => !isOperatorObject(condition)));
+    const doc = this.insert({ ...fields, ...update.$setOnInsert }, session);
+    this.apply(doc, update);
+    return doc;
+  }
+
+  statics() {
+    return {
+      find: (filter) => query(() => this.docs.filter((doc) => matches(doc, filter))),
+      findOne: (filter) => query(() => this.find(filter)),
+      findById: (id) => query(() => this.find({ _id: id })),
+      exists: (filter) => query(() => (this.find(filter) ? { _id: this.find(filter)._id } : null)),
+      countDocuments: async (filter) => this.docs.filter((doc) => matches(doc, filter)).length,
+
+      create: async (input, { session } = {}) => {
+        const docs = (Array.isArray(input) ? input : [input]).map((data) => new this.Model(data));
+        await Promise.all(docs.map((doc) => doc.validate()));
+        const created = docs.map((doc) => this.insert(doc, session));
+        return Array.isArray(input) ? created : created[0];
+      },
+
+      updateOne: async (filter, update, { session, upsert } = {}) => {
+        const doc = this.find(filter);
+        if (!doc) {
+          if (upsert) this.upsert(filter, update, session);
+          return { matchedCount: 0, modifiedCount: 0, upsertedCount: upsert ? 1 : 0 };
+        }
+        onAbort(session, this.apply(doc, update));
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+
+      findOneAndUpdate: (filter, update, { session, upsert } = {}) => query(() => {
+        const doc = this.find(filter);
+        if (!doc) return upsert ? this.upsert(filter, update, session) : null;
+        onAbort(session, this.apply(doc, update));
+        return doc;
+      }),
+
+      deleteOne: async (filter) => {
+        const doc = this.find(filter);
+        if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+        return { deletedCount: doc ? 1 : 0 };
+      }
+    };
+  }
+}
+
+module.exports = {
+  MemoryCollection,
+  matches,
+  query,
+  stub,
+  withTransaction
+};
@@ -0,0 +1,162 @@
+/**
+ * Ledger postings and the balances they leave: post, settle, void, reverse and references
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Account = require('../src/models/Account');
+const JournalEntry = require('../src/models/JournalEntry');
+const ledgerService = require('../src/services/ledgerService');
+const transactionService = require('../src/services/transactionService');
+const { MemoryCollection, stub, withTransaction } = require('./helpers/memoryModels');
+
+describe('ledgerService', () => {
+  const accounts = new MemoryCollection(Account);
+  const entries = new MemoryCollection(JournalEntry);
+  const restores = [
+    stub(ledgerService, { withTransaction }),
+    stub(transactionService, { record: async () => [], syncStatus: async () => {} })
+  ];
+
+  let wallet;
+  let other;
+  let settlement;
+
+  const balances = (account) => ({ ...account.balances.toObject() });
+
+  const deposit = (amount, options = {}) => ledgerService.post({
+    type: 'deposit',
+    lines: [
+      { accountId: settlement._id, direction: 'debit', amount, currency: 'USD' },
+      { accountId: wallet._id, direction: 'credit', amount, currency: 'USD' }
+    ],
+    ...options
+  });
+
+  const withdrawal = (amount, options = {}) => ledgerService.post({
+    type: 'withdrawal',
+    lines: [
+      { accountId: wallet._id, direction: 'debit', amount, currency: 'USD' },
+      { accountId: settlement._id, direction: 'credit', amount, currency: 'USD' }
+    ],
+    ...options
+  });
+
+  beforeEach(() => {
+    accounts.docs = [];
+    entries.docs = [];
+
+    wallet = accounts.add({ code: 'wallet:a', name: 'Wallet A', type: 'liability', currency: 'USD', ownerId: new mongoose.Types.ObjectId() });
+    other = accounts.add({ code: 'wallet:b', name: 'Wallet B', type: 'liability', currency: 'USD', ownerId: new mongoose.Types.ObjectId() });
+    settlement = accounts.add({ code: 'system:settlement:USD', name: 'Zoqq settlement (USD)', type: 'asset', currency: 'USD', allowNegative: true });
+  });
+
+  after(() => {
+    accounts.restore();
+    entries.restore();
+    restores.forEach((restore) => restore());
+  });
+
+  it('posts both sides of an entry to the ledger balances', async () => {
+    const entry = await deposit(10000);
+
+    assert.equal(entry.status, 'posted');
+    assert.deepEqual(balances(wallet), { posted: 10000, pendingIn: 0, pendingOut: 0 });
+    assert.deepEqual(balances(settlement), { posted: 10000, pendingIn: 0, pendingOut: 0 });
+  });
+
+  it('holds a pending entry out of the available balance until it is settled', async () => {
+    await deposit(10000);
+    const entry = await withdrawal(2500, { status: 'pending' });
+
+    assert.deepEqual(balances(wallet), { posted: 10000, pendingIn: 0, pendingOut: 2500 });
+    assert.equal(wallet.availableBalance, 7500);
+
+    await ledgerService.settle(entry._id);
+
+    assert.equal(entry.status, 'posted');
+    assert.deepEqual(balances(wallet), { posted: 7500, pendingIn: 0, pendingOut: 0 });
+    assert.deepEqual(balances(settlement), { posted: 7500, pendingIn: 0, pendingOut: 0 });
+    await assert.rejects(ledgerService.settle(entry._id), { code: 'JOURNAL_ENTRY_NOT_PENDING' });
+  });
+
+  it('gives held funds back when a pending entry is voided', async () => {
+    await deposit(10000);
+    const entry = await withdrawal(2500, { status: 'pending' });
+
+    await ledgerService.void(entry._id);
+
+    assert.equal(entries.find({ _id: entry._id }).status, 'voided');
+    assert.deepEqual(balances(wallet), { posted: 10000, pendingIn: 0, pendingOut: 0 });
+    assert.equal(wallet.availableBalance, 10000);
+    await assert.rejects(ledgerService.settle(entry._id), { code: 'JOURNAL_ENTRY_NOT_PENDING' });
+  });
+
+  it('restores both balances when an entry is reversed, once', async () => {
+    await deposit(10000);
+    const transfer = await ledgerService.post({
+      type: 'transfer',
+      lines: [
+        { accountId: wallet._id, direction: 'debit', amount: 4000, currency: 'USD' },
+        { accountId: other._id, direction: 'credit', amount: 4000, currency: 'USD' }
+      ]
+    });
+
+    const reversal = await ledgerService.reverse(transfer._id, { description: 'Sent in error' });
+
+    assert.equal(reversal.type, 'reversal');
+    assert.equal(String(reversal.reversalOf), String(transfer._id));
+    assert.equal(reversal.metadata.reversedType, 'transfer');
+    assert.equal(wallet.balances.posted, 10000);
+    assert.equal(other.balances.posted, 0);
+    await assert.rejects(ledgerService.reverse(transfer._id), { code: 'JOURNAL_ENTRY_ALREADY_REVERSED' });
+    await assert.rejects(ledgerService.reverse(reversal._id), { code: 'JOURNAL_ENTRY_ALREADY_REVERSED' });
+  });
+
+  it('refuses to reverse a pending entry', async () => {
+    await deposit(10000);
+    const entry = await withdrawal(2500, { status: 'pending' });
+
+    await assert.rejects(ledgerService.reverse(entry._id), { code: 'JOURNAL_ENTRY_NOT_POSTED' });
+  });
+
+  it('returns the first entry when the same posting is made again under its reference', async () => {
+    const first = await deposit(10000, { reference: 'deposit:1' });
+    const again = await deposit(10000, { reference: 'deposit:1' });
+
+    assert.equal(String(again._id), String(first._id));
+    assert.equal(entries.docs.length, 1);
+    assert.equal(wallet.balances.posted, 10000);
+  });
+
+  it('refuses a reference reused for a different posting', async () => {
+    await deposit(10000, { reference: 'deposit:1' });
+
+    await assert.rejects(deposit(9000, { reference: 'deposit:1' }), { code: 'JOURNAL_REFERENCE_CONFLICT' });
+    await assert.rejects(withdrawal(10000, { reference: 'deposit:1' }), { code: 'JOURNAL_REFERENCE_CONFLICT' });
+    assert.equal(wallet.balances.posted, 10000);
+  });
+
+  it('refuses to take a customer account below zero and leaves it untouched', async () => {
+    await deposit(1000);
+    await withdrawal(800, { status: 'pending' });
+
+    await assert.rejects(withdrawal(300), { code: 'INSUFFICIENT_FUNDS' });
+    assert.deepEqual(balances(wallet), { posted: 1000, pendingIn: 0, pendingOut: 800 });
+    assert.equal(entries.docs.length, 2);
+  });
+
+  it('refuses an entry whose debits and credits differ', async () => {
+    await assert.rejects(ledgerService.post({
+      type: 'adjustment',
+      lines: [
+        { accountId: settlement._id, direction: 'debit', amount: 100, currency: 'USD' },
+        { accountId: wallet._id, direction: 'credit', amount: 90, currency: 'USD' }
+      ]
+    }), { code: 'UNBALANCED_JOURNAL_ENTRY' });
+
+    assert.equal(entries.docs.length, 0);
+  });
+});
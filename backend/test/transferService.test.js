@@ -0,0 +1,255 @@
+/**
+ * Transfers: the daily limit under concurrent sends, what a failed posting gives back,
+ * reversal, a committed transfer surviving its follow-up steps, and Idempotency-Key replay
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Account = require('../src/models/Account');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const JournalEntry = require('../src/models/JournalEntry');
+const Transfer = require('../src/models/Transfer');
+const TransferUsage = require('../src/models/TransferUsage');
+const User = require('../src/models/User');
+const Wallet = require('../src/models/Wallet');
+const ledgerService = require('../src/services/ledgerService');
+const transferService = require('../src/services/transferService');
+const transactionService = require('../src/services/transactionService');
+const notificationService = require('../src/services/notificationService');
+const activityService = require('../src/services/activityService');
+const security = require('../src/middleware/security');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { TRANSFER_LIMITS } = require('../src/config/transfers');
+const { MemoryCollection, matches, query, stub, withTransaction } = require('./helpers/memoryModels');
+
+// Routes take authenticateToken when they are loaded, so the stand-in goes in first
+let signedIn;
+const restoreAuth = stub(security, {
+  authenticateToken: (req, res, next) => {
+    req.user = { userId: String(signedIn._id) };
+    next();
+  }
+});
+const transferRoutes = require('../src/routes/transfers');
+
+// USD limits in cents
+const DAILY = TRANSFER_LIMITS.USD.daily * 100;
+const PER_TRANSFER = TRANSFER_LIMITS.USD.perTransfer * 100;
+
+describe('transferService', () => {
+  const accounts = new MemoryCollection(Account);
+  const entries = new MemoryCollection(JournalEntry);
+  const transfers = new MemoryCollection(Transfer);
+  const usage = new MemoryCollection(TransferUsage);
+  const idempotencyKeys = new MemoryCollection(IdempotencyKey);
+
+  let users;
+  let wallets;
+  let notify;
+
+  const restores = [
+    stub(User, {
+      findById: (id) => query(() => users.find((user) => matches(user, { _id: id })) || null),
+      findOne: (filter) => query(() => users.find((user) => matches(user, filter)) || null)
+    }),
+    stub(Wallet, {
+      findOne: (filter) => query(() => wallets.find((wallet) => matches(wallet, filter)) || null)
+    }),
+    stub(ledgerService, { withTransaction }),
+    stub(transactionService, { record: async () => [], syncStatus: async () => {} }),
+    stub(notificationService, { notify: (...args) => notify(...args) }),
+    stub(activityService, { record: async () => null })
+  ];
+
+  let sender;
+  let recipient;
+  let senderAccount;
+  let recipientAccount;
+
+  const openWallet = (user, posted) => {
+    const account = accounts.add({
+      code: `wallet:${new mongoose.Types.ObjectId()}`,
+      name: 'Wallet',
+      type: 'liability',
+      currency: 'USD',
+      ownerId: user._id,
+      balances: { posted }
+    });
+    wallets.push({ _id: new mongoose.Types.ObjectId(), userId: user._id, currency: 'USD', status: 'active', accountId: account });
+    return account;
+  };
+
+  const send = (amount) => transferService.create(sender._id, {
+    recipient: { email: recipient.email },
+    amount,
+    currency: 'USD'
+  });
+
+  const usedToday = () => usage.find({ userId: sender._id, currency: 'USD' })?.total || 0;
+
+  beforeEach(() => {
+    [accounts, entries, transfers, usage, idempotencyKeys].forEach((collection) => {
+      collection.docs = [];
+    });
+    notify = async () => null;
+
+    sender = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', role: 'user', accountStatus: 'active' });
+    recipient = new User({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', role: 'user', accountStatus: 'active' });
+    users = [sender, recipient];
+    signedIn = sender;
+    wallets = [];
+
+    senderAccount = openWallet(sender, 10 * DAILY);
+    recipientAccount = openWallet(recipient, 0);
+  });
+
+  after(() => {
+    [accounts, entries, transfers, usage, idempotencyKeys].forEach((collection) => collection.restore());
+    restores.forEach((restore) => restore());
+    restoreAuth();
+  });
+
+  it('moves the money and counts it against the daily limit', async () => {
+    const transfer = await send('150.00');
+
+    assert.equal(transfer.status, 'completed');
+    assert.equal(senderAccount.balances.posted, 10 * DAILY - 15000);
+    assert.equal(recipientAccount.balances.posted, 15000);
+    assert.equal(usedToday(), 15000);
+    assert.equal(String(transfers.find({ _id: transfer._id }).journalEntryId), String(transfer.journalEntryId));
+  });
+
+  it('lets concurrent transfers take the daily limit only once', async () => {
+    // Four transfers that each pass the early check, together worth more than a day allows
+    const amount = PER_TRANSFER * 0.8;
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => send((amount / 100).toFixed(2))));
+
+    const completed = results.filter((result) => result.status === 'fulfilled');
+    const refused = results.filter((result) => result.status === 'rejected');
+    const allowed = Math.floor(DAILY / amount);
+
+    assert.equal(completed.length, allowed);
+    refused.forEach((result) => assert.equal(result.reason.code, 'DAILY_TRANSFER_LIMIT_EXCEEDED'));
+    assert.equal(usedToday(), allowed * amount);
+    assert.ok(usedToday() <= DAILY);
+    assert.equal(recipientAccount.balances.posted, allowed * amount);
+    assert.equal(transfers.docs.filter((transfer) => transfer.status === 'failed').length, 4 - allowed);
+  });
+
+  it('gives the daily allowance back when the posting fails', async () => {
+    senderAccount.balances.posted = 30000;
+
+    // Both pass the early funds check; the ledger refuses the second
+    const results = await Promise.allSettled([send('200.00'), send('200.00')]);
+
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find((result) => result.status === 'rejected').reason.code, 'INSUFFICIENT_FUNDS');
+    assert.equal(usedToday(), 20000);
+    assert.equal(senderAccount.balances.posted, 10000);
+  });
+
+  it('answers with the completed transfer when a notification fails after the money moved', async () => {
+    notify = async () => {
+      throw new Error('mail server down');
+    };
+
+    const transfer = await send('25.00');
+
+    assert.equal(transfer.status, 'completed');
+    assert.equal(recipientAccount.balances.posted, 2500);
+  });
+
+  it('marks the transfer reversed and frees its daily allowance when its entry is reversed', async () => {
+    const transfer = await send('150.00');
+
+    await withTransaction(async (session) => {
+      const reversal = await ledgerService.reverse(transfer.journalEntryId, { description: 'Sent in error', session });
+      await transferService.recordReversal(reversal, { session });
+    });
+
+    const stored = transfers.find({ _id: transfer._id });
+    assert.equal(stored.status, 'reversed');
+    assert.ok(stored.reversalEntryId);
+    assert.equal(usedToday(), 0);
+    assert.equal(senderAccount.balances.posted, 10 * DAILY);
+    assert.equal(recipientAccount.balances.posted, 0);
+  });
+
+  it('leaves other transfers alone when a non-transfer entry is reversed', async () => {
+    const transfer = await send('150.00');
+
+    const result = await transferService.recordReversal({
+      _id: new mongoose.Types.ObjectId(),
+      reversalOf: transfer.journalEntryId,
+      metadata: { reversedType: 'deposit' }
+    });
+
+    assert.equal(result, null);
+    assert.equal(transfers.find({ _id: transfer._id }).status, 'completed');
+    assert.equal(usedToday(), 15000);
+  });
+
+  describe('POST /api/transfers', () => {
+    let server;
+    let url;
+
+    const post = (body, key) => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+      body: JSON.stringify(body)
+    });
+
+    const body = () => ({ recipient: { email: recipient.email }, amount: '40.00', currency: 'USD' });
+
+    before(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/transfers', transferRoutes);
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      await new Promise((resolve) => server.once('listening', resolve));
+      url = `http://127.0.0.1:${server.address().port}/api/transfers`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('replays a repeated Idempotency-Key without paying again', async () => {
+      const first = await post(body(), 'rent-october');
+      const second = await post(body(), 'rent-october');
+
+      assert.equal(first.status, 201);
+      assert.equal(second.status, 201);
+      assert.equal(second.headers.get('idempotent-replayed'), 'true');
+      assert.deepEqual(await second.json(), await first.json());
+      assert.equal(transfers.docs.length, 1);
+      assert.equal(recipientAccount.balances.posted, 4000);
+    });
+
+    it('refuses an Idempotency-Key reused for a different transfer', async () => {
+      await post(body(), 'rent-october');
+      const reused = await post({ ...body(), amount: '41.00' }, 'rent-october');
+
+      assert.equal(reused.status, 422);
+      assert.equal((await reused.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+      assert.equal(transfers.docs.length, 1);
+    });
+
+    it('keeps the Idempotency-Key of a committed transfer whose notification failed', async () => {
+      notify = async () => {
+        throw new Error('mail server down');
+      };
+
+      const first = await post(body(), 'rent-october');
+      const retry = await post(body(), 'rent-october');
+
+      assert.equal(first.status, 201);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      assert.equal(transfers.docs.length, 1);
+      assert.equal(recipientAccount.balances.posted, 4000);
+    });
+  });
+});
@@ -14,18 +14,30 @@ import store from "./store";
 // Components and Pages
 import Navbar from "./components/ui/Navbar";
 import AdminDashboard from "./pages/Admin/AdminDashboard";
+import AdminInvitations from "./pages/Admin/AdminInvitations";
+import AdminOnboardingDrafts from "./pages/Admin/AdminOnboardingDrafts";
 import Home from "./pages/Home";
 import LoginPage from "./pages/common/LoginPage";
 import SignupPage from "./pages/common/SignupPage";
+import VerifyEmailPage from "./pages/common/VerifyEmailPage";
+import ForgotPasswordPage from "./pages/common/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/common/ResetPasswordPage";
+import AcceptInvitationPage from "./pages/common/AcceptInvitationPage";
 
 // User Pages
 import UserDashboard from "./pages/User/UserDashboard";
 import UserProfile from "./pages/User/UserProfile";
 import UserSettings from "./pages/User/UserSettings";
+import UserRfiInbox from "./pages/User/UserRfiInbox";
+import UserTransactions from "./pages/User/UserTransactions";
+import UserSendMoney from "./pages/User/UserSendMoney";
+import UserPayees from "./pages/User/UserPayees";
+import ZoqqOnboarding from "./components/user/ZoqqOnboarding";
 
 // Authentication Components
 import ProtectedRoute from "./components/auth/ProtectedRoute";
 import AuthStateManager from "./components/auth/AuthStateManager";
+import { PERMISSIONS } from "./lib/permissions";
 
 /**
  * App Router Component (inside Redux Provider)
@@ -86,6 +98,10 @@ function AppRouter() {
         <Route path="/" element={<Home />} />
         <Route path="/login" element={<LoginPage />} />
         <Route path="/signup" element={<SignupPage />} />
+        <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+        <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+        <Route path="/invite/:token" element={<AcceptInvitationPage />} />
 
         {/* Protected User Routes */}
         <Route
@@ -115,6 +131,26 @@ function AppRouter() {
           }
         />
 
+        <Route
+          path="/user/onboarding"
+          element={
+            <ProtectedRoute>
+              <div className="py-8 px-4">
+                <ZoqqOnboarding />
+              </div>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/user/rfis"
+          element={
+            <ProtectedRoute>
+              <UserRfiInbox />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/profile"
           element={
@@ -128,7 +164,25 @@ function AppRouter() {
           path="/transactions"
           element={
             <ProtectedRoute>
-              <div>Transactions (TODO: Create component)</div>
+              <UserTransactions />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/user/send"
+          element={
+            <ProtectedRoute>
+              <UserSendMoney />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/user/payees"
+          element={
+            <ProtectedRoute>
+              <UserPayees />
             </ProtectedRoute>
           }
         />
@@ -152,6 +206,28 @@ function AppRouter() {
           }
         />
 
+        <Route
+          path="/admin/invitations"
+          element={
+            <ProtectedRoute requireAdmin={true} requiredPermissions={[PERMISSIONS.ADMINS_INVITE]}>
+              <AdminDashboard />
+            </ProtectedRoute>
+          }
+        >
+          <Route index element={<AdminInvitations />} />
+        </Route>
+
+        <Route
+          path="/admin/onboarding-drafts"
+          element={
+            <ProtectedRoute requireAdmin={true} requiredPermissions={[PERMISSIONS.KYC_READ]}>
+              <AdminDashboard />
+            </ProtectedRoute>
+          }
+        >
+          <Route index element={<AdminOnboardingDrafts />} />
+        </Route>
+
         <Route
           path="/admin/*"
           element={
@@ -17,6 +17,7 @@ import {
   selectIsAuthenticated,
   selectIsTokenExpiringSoon,
   selectTokenExpiresAt,
+  selectRefreshExpiresAt,
   selectUser,
 } from '../../store/slices/authSlice';
 
@@ -35,6 +36,7 @@ const AuthStateManager = () => {
   const isAuthenticated = useSelector(selectIsAuthenticated);
   const isTokenExpiringSoon = useSelector(selectIsTokenExpiringSoon);
   const tokenExpiresAt = useSelector(selectTokenExpiresAt);
+  const refreshExpiresAt = useSelector(selectRefreshExpiresAt);
   const user = useSelector(selectUser);
 
   // API hooks
@@ -72,8 +74,10 @@ const AuthStateManager = () => {
         const authState = JSON.parse(storedAuthState);
         const now = new Date();
         const expiresAt = new Date(authState.expiresAt);
+        const refreshExpiry = authState.refreshExpiresAt ? new Date(authState.refreshExpiresAt) : null;
 
-        if (expiresAt > now) {
+        // An expired access token is fine while the refresh token is still valid
+        if (expiresAt > now || (refreshExpiry && refreshExpiry > now)) {
           console.log('[AUTH MANAGER] Restoring authentication state');
           dispatch(restoreAuthState(authState));
         } else {
@@ -104,6 +108,7 @@ const AuthStateManager = () => {
       const authState = {
         user,
         expiresAt: tokenExpiresAt,
+        refreshExpiresAt,
         sessionInfo: {
           loginTime: new Date().toISOString(),
           lastActivity: new Date().toISOString(),
@@ -125,15 +130,12 @@ const AuthStateManager = () => {
     try {
       console.log('[AUTH MANAGER] Attempting token refresh');
       
+      // The refresh helper stores the rotated token and updates Redux itself
       const result = await refreshToken().unwrap();
       
-      if (result.success && result.refreshRequired) {
+      if (result.success) {
         console.log('[AUTH MANAGER] Token refreshed successfully');
         
-        dispatch(tokenRefreshed({
-          expiresAt: result.token.expiresAt,
-        }));
-        
         toast.success('Session refreshed successfully', {
           duration: 2000,
         });
@@ -141,6 +143,11 @@ const AuthStateManager = () => {
     } catch (error) {
       console.error('[AUTH MANAGER] Token refresh failed:', error);
       
+      // Keep the session on network errors; the next check will retry
+      if (error?.code === 'REFRESH_NETWORK_ERROR') {
+        return;
+      }
+      
       // If refresh fails, logout user
       dispatch(sessionExpired());
       clearAuthStorage();
@@ -313,7 +320,7 @@ const AuthStateManager = () => {
     if (isAuthenticated) {
       saveAuthState();
     }
-  }, [isAuthenticated, user, tokenExpiresAt]);
+  }, [isAuthenticated, user, tokenExpiresAt, refreshExpiresAt]);
 
   /**
    * Handle auth status response
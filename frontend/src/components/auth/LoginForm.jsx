@@ -10,12 +10,15 @@ import {
   Shield,
   TrendingUp,
   Loader2,
+  KeyRound,
+  ArrowLeft,
 } from "lucide-react";
 import toast from "react-hot-toast";
 
 import { Button } from "../ui/Button";
 import { Input } from "../ui/Input";
 import { Label } from "../ui/Label";
+import { getDeviceInfo } from "../../lib/device";
 
 // Redux
 import {
@@ -27,7 +30,10 @@ import {
   selectIsAuthenticated,
   selectUser,
 } from "../../store/slices/authSlice";
-import { useLoginMutation } from "../../store/api/authApi";
+import {
+  useLoginMutation,
+  useVerifyTwoFactorLoginMutation,
+} from "../../store/api/authApi";
 
 export default function LoginForm() {
   const dispatch = useDispatch();
@@ -37,6 +43,11 @@ export default function LoginForm() {
   const [showPassword, setShowPassword] = useState(false);
   const [rememberMe, setRememberMe] = useState(false);
 
+  // Two-factor second step
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Redux state
   const isLoading = useSelector(selectAuthLoading);
   const authError = useSelector(selectAuthError);
@@ -45,6 +56,8 @@ export default function LoginForm() {
 
   // API hooks
   const [loginMutation] = useLoginMutation();
+  const [verifyTwoFactorLogin, { isLoading: isVerifyingTwoFactor }] =
+    useVerifyTwoFactorLoginMutation();
 
   // Form handling
   const {
@@ -61,25 +74,6 @@ export default function LoginForm() {
     },
   });
 
-  // Get device info for security
-  const getDeviceInfo = () => {
-    const userAgent = navigator.userAgent;
-    const platform = navigator.platform;
-
-    let browser = "Unknown";
-    if (userAgent.includes("Chrome")) browser = "Chrome";
-    else if (userAgent.includes("Firefox")) browser = "Firefox";
-    else if (userAgent.includes("Safari")) browser = "Safari";
-    else if (userAgent.includes("Edge")) browser = "Edge";
-
-    return {
-      browser,
-      os: platform,
-      userAgent: userAgent.substring(0, 200),
-      timestamp: new Date().toISOString(),
-    };
-  };
-
   // Handle form submission
   const onSubmit = async (data) => {
     try {
@@ -93,6 +87,81 @@ export default function LoginForm() {
       console.log("[LOGIN FORM] Attempting login for:", loginData.email);
       const result = await loginMutation(loginData).unwrap();
 
+      // Password accepted; ask for the authenticator code before signing in
+      if (result.twoFactorRequired) {
+        console.log("[LOGIN FORM] Two-factor verification required");
+        setTwoFactorChallenge({
+          pendingToken: result.pendingToken,
+          expiresAt: result.pendingExpiresAt,
+          email: loginData.email,
+        });
+        return;
+      }
+
+      completeLogin(result);
+    } catch (error) {
+      console.error("[LOGIN FORM] Login failed:", error);
+
+      // Note: Redux state will be automatically updated by extraReducers
+      // in authSlice when the RTK Query mutation is rejected
+
+      const errorMessage =
+        error.message || error.data?.error || "Login failed. Please try again.";
+      toast.error(errorMessage, { duration: 5000 });
+      reset({ email: data.email, password: "" });
+    }
+  };
+
+  // Handle the two-factor code submission
+  const onTwoFactorSubmit = async (event) => {
+    event.preventDefault();
+
+    const value = twoFactorCode.trim();
+    if (!value) {
+      toast.error(useRecoveryCode ? "Enter a recovery code" : "Enter the 6-digit code");
+      return;
+    }
+
+    try {
+      const result = await verifyTwoFactorLogin({
+        pendingToken: twoFactorChallenge.pendingToken,
+        ...(useRecoveryCode ? { recoveryCode: value } : { code: value }),
+        deviceInfo: getDeviceInfo(),
+      }).unwrap();
+
+      if (result.secondFactor === "recovery_code") {
+        toast("You signed in with a recovery code. Consider generating new codes.", {
+          icon: "🔑",
+        });
+      }
+
+      completeLogin(result);
+    } catch (error) {
+      console.error("[LOGIN FORM] Two-factor verification failed:", error);
+      setTwoFactorCode("");
+
+      // The pending token expired or was used; start again from the password step
+      if (error.code === "TWO_FACTOR_SESSION_EXPIRED") {
+        cancelTwoFactor();
+      }
+
+      toast.error(error.message || "Verification failed. Please try again.", {
+        duration: 5000,
+      });
+    }
+  };
+
+  // Return to the password step
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    reset({ email: twoFactorChallenge?.email || "", password: "" });
+  };
+
+  // Finish a successful login (single step or after two-factor)
+  const completeLogin = (result) => {
+    try {
       console.log("[LOGIN FORM] Login successful:", result);
 
       // Manual Redux state update as backup (in case extraReducers don't work)
@@ -101,7 +170,8 @@ export default function LoginForm() {
           user: result.user,
           token: result.token,
           expiresAt: result.token.expiresAt,
-          rememberMe: rememberMe,
+          refreshExpiresAt: result.token.refreshExpiresAt,
+          rememberMe: result.session?.rememberMe ?? rememberMe,
         })
       );
 
@@ -112,7 +182,7 @@ export default function LoginForm() {
       });
 
       // Check if user is admin and redirect accordingly
-      const isAdmin = result.user?.role === "admin";
+      const isAdmin = !!result.user?.isAdmin;
       const redirectTo =
         location.state?.from ||
         (isAdmin ? "/admin/dashboard" : "/user/dashboard");
@@ -141,15 +211,8 @@ export default function LoginForm() {
         navigate(redirectTo, { replace: true });
       }, 200);
     } catch (error) {
-      console.error("[LOGIN FORM] Login failed:", error);
-
-      // Note: Redux state will be automatically updated by extraReducers
-      // in authSlice when the RTK Query mutation is rejected
-
-      const errorMessage =
-        error.message || error.data?.error || "Login failed. Please try again.";
-      toast.error(errorMessage, { duration: 5000 });
-      reset({ email: data.email, password: "" });
+      console.error("[LOGIN FORM] Failed to finalize login:", error);
+      toast.error("Login failed. Please try again.", { duration: 5000 });
     }
   };
 
@@ -175,7 +238,7 @@ export default function LoginForm() {
   useEffect(() => {
     if (isAuthenticated && user) {
       // Role-based redirect for already authenticated users
-      const isAdmin = user.role === "admin";
+      const isAdmin = !!user.isAdmin;
       const defaultRoute = isAdmin ? "/admin/dashboard" : "/user/dashboard";
       const redirectTo = location.state?.from || defaultRoute;
 
@@ -249,127 +312,198 @@ export default function LoginForm() {
               </div>
             )}
 
-            <form
-              onSubmit={handleSubmit(onSubmit, onError)}
-              className="space-y-5 relative z-10"
-            >
-              <div className="space-y-2">
-                <Label htmlFor="email" className="text-sm text-foreground">
-                  Email Address
-                </Label>
-                <div className="relative">
-                  <Mail className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-                  <Input
-                    id="email"
-                    type="email"
-                    autoComplete="email"
-                    placeholder="Enter your email"
-                    className={`pl-12 h-12 border-2 ${
-                      errors.email
-                        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
-                        : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
-                    } rounded-xl`}
-                    {...register("email", {
-                      required: "Email address is required",
-                      pattern: {
-                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                        message: "Please enter a valid email address",
-                      },
-                      maxLength: {
-                        value: 100,
-                        message: "Email address is too long",
-                      },
-                    })}
-                  />
-                  {errors.email && (
-                    <p className="text-red-500 text-xs mt-1">
-                      {errors.email.message}
-                    </p>
-                  )}
+            {twoFactorChallenge ? (
+              <form
+                onSubmit={onTwoFactorSubmit}
+                className="space-y-5 relative z-10"
+              >
+                <div className="space-y-2">
+                  <Label htmlFor="twoFactorCode" className="text-sm text-foreground">
+                    {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+                  </Label>
+                  <p className="text-xs text-muted-foreground">
+                    {useRecoveryCode
+                      ? "Enter one of the recovery codes you saved when enabling two-factor authentication."
+                      : "Enter the 6-digit code from your authenticator app."}
+                  </p>
+                  <div className="relative">
+                    <KeyRound className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                    <Input
+                      id="twoFactorCode"
+                      type="text"
+                      inputMode={useRecoveryCode ? "text" : "numeric"}
+                      autoComplete="one-time-code"
+                      autoFocus
+                      maxLength={useRecoveryCode ? 20 : 6}
+                      placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      className="pl-12 h-12 border-2 border-gray-200 focus:border-brand-400 focus:ring-brand-400/20 rounded-xl tracking-widest"
+                    />
+                  </div>
                 </div>
-              </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="password" className="text-sm text-foreground">
-                  Password
-                </Label>
-                <div className="relative">
-                  <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-                  <Input
-                    id="password"
-                    type={showPassword ? "text" : "password"}
-                    autoComplete="current-password"
-                    placeholder="Enter your password"
-                    className={`pl-12 pr-12 h-12 border-2 ${
-                      errors.password
-                        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
-                        : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
-                    } rounded-xl`}
-                    {...register("password", {
-                      required: "Password is required",
-                      minLength: {
-                        value: 8,
-                        message: "Password must be at least 8 characters",
-                      },
-                    })}
-                  />
+                <div className="flex items-center justify-between">
                   <button
                     type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    onClick={cancelTwoFactor}
+                    className="text-sm text-muted-foreground hover:text-foreground flex items-center gap-1"
                   >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5" />
+                    <ArrowLeft className="h-4 w-4" />
+                    Back
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setTwoFactorCode("");
+                    }}
+                    className="text-sm text-brand-500 hover:text-brand-600 font-medium"
+                  >
+                    {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+                  </button>
+                </div>
+
+                <Button
+                  type="submit"
+                  variant="default"
+                  size="lg"
+                  fullWidth
+                  disabled={isVerifyingTwoFactor}
+                  rightIcon={
+                    isVerifyingTwoFactor ? (
+                      <Loader2 className="size-5 animate-spin" />
                     ) : (
-                      <Eye className="h-5 w-5" />
+                      <Shield className="size-5" />
+                    )
+                  }
+                >
+                  {isVerifyingTwoFactor ? "Verifying..." : "Verify"}
+                </Button>
+              </form>
+            ) : (
+              <form
+                onSubmit={handleSubmit(onSubmit, onError)}
+                className="space-y-5 relative z-10"
+              >
+                <div className="space-y-2">
+                  <Label htmlFor="email" className="text-sm text-foreground">
+                    Email Address
+                  </Label>
+                  <div className="relative">
+                    <Mail className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                    <Input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      placeholder="Enter your email"
+                      className={`pl-12 h-12 border-2 ${
+                        errors.email
+                          ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+                          : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
+                      } rounded-xl`}
+                      {...register("email", {
+                        required: "Email address is required",
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: "Please enter a valid email address",
+                        },
+                        maxLength: {
+                          value: 100,
+                          message: "Email address is too long",
+                        },
+                      })}
+                    />
+                    {errors.email && (
+                      <p className="text-red-500 text-xs mt-1">
+                        {errors.email.message}
+                      </p>
                     )}
-                  </button>
-                  {errors.password && (
-                    <p className="text-red-500 text-xs mt-1">
-                      {errors.password.message}
-                    </p>
-                  )}
+                  </div>
                 </div>
-              </div>
 
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-2">
-                  <input
-                    id="remember"
-                    type="checkbox"
-                    checked={rememberMe}
-                    onChange={(e) => setRememberMe(e.target.checked)}
-                    className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
-                  />
-                  <Label htmlFor="remember" className="mb-0">
-                    Remember me
+                <div className="space-y-2">
+                  <Label htmlFor="password" className="text-sm text-foreground">
+                    Password
                   </Label>
+                  <div className="relative">
+                    <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                    <Input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="current-password"
+                      placeholder="Enter your password"
+                      className={`pl-12 pr-12 h-12 border-2 ${
+                        errors.password
+                          ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+                          : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
+                      } rounded-xl`}
+                      {...register("password", {
+                        required: "Password is required",
+                        minLength: {
+                          value: 8,
+                          message: "Password must be at least 8 characters",
+                        },
+                      })}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5" />
+                      ) : (
+                        <Eye className="h-5 w-5" />
+                      )}
+                    </button>
+                    {errors.password && (
+                      <p className="text-red-500 text-xs mt-1">
+                        {errors.password.message}
+                      </p>
+                    )}
+                  </div>
                 </div>
-                <Link
-                  to="/forgot-password"
-                  className="text-sm text-brand-500 hover:text-brand-600 font-medium"
-                >
-                  Forgot password?
-                </Link>
-              </div>
 
-              <Button
-                type="submit"
-                variant="default"
-                size="lg"
-                fullWidth
-                disabled={isLoading || isSubmitting}
-                rightIcon={
-                  isLoading || isSubmitting ? (
-                    <Loader2 className="size-5 animate-spin" />
-                  ) : (
-                    <Shield className="size-5" />
-                  )
-                }
-              >
-                {isLoading || isSubmitting ? "Signing In..." : "Sign In"}
-              </Button>
-            </form>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <input
+                      id="remember"
+                      type="checkbox"
+                      checked={rememberMe}
+                      onChange={(e) => setRememberMe(e.target.checked)}
+                      className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                    />
+                    <Label htmlFor="remember" className="mb-0">
+                      Remember me
+                    </Label>
+                  </div>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-brand-500 hover:text-brand-600 font-medium"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <Button
+                  type="submit"
+                  variant="default"
+                  size="lg"
+                  fullWidth
+                  disabled={isLoading || isSubmitting}
+                  rightIcon={
+                    isLoading || isSubmitting ? (
+                      <Loader2 className="size-5 animate-spin" />
+                    ) : (
+                      <Shield className="size-5" />
+                    )
+                  }
+                >
+                  {isLoading || isSubmitting ? "Signing In..." : "Sign In"}
+                </Button>
+              </form>
+            )}
 
             <div className="text-center relative z-10">
               <p className="text-sm text-foreground">
@@ -21,6 +21,8 @@ import {
 // API hooks
 import { useValidateTokenMutation } from '../../store/api/authApi';
 
+import { PERMISSIONS, hasPermissions } from '../../lib/permissions';
+
 /**
  * Loading component for authentication checks
  */
@@ -69,8 +71,8 @@ const AccessDenied = ({ reason = 'Access denied' }) => (
  * Protected Route Component
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
- * @param {boolean} props.requireAdmin - Whether route requires admin access
- * @param {string[]} props.requiredPermissions - Required permissions for access
+ * @param {boolean} props.requireAdmin - Whether route requires admin console access
+ * @param {string[]} props.requiredPermissions - Permissions the user must hold (see lib/permissions)
  * @param {boolean} props.strictMode - Enable strict security checks
  */
 const ProtectedRoute = ({ 
@@ -152,45 +154,10 @@ const ProtectedRoute = ({
     }
   };
 
-  /**
-   * Check user permissions and admin access
-   */
-  const checkPermissions = () => {
-    // Check admin requirement
-    if (requireAdmin) {
-      const isAdmin = user?.isAdmin === true || user?.role === 'admin';
-      console.log('[PROTECTED ROUTE] Admin access check:', {
-        requireAdmin,
-        userRole: user?.role,
-        userIsAdmin: user?.isAdmin,
-        isAdmin,
-        userEmail: user?.email
-      });
-      
-      if (!isAdmin) {
-        console.error('[PROTECTED ROUTE] Admin access denied - user role:', user?.role, 'isAdmin:', user?.isAdmin);
-        toast.error('Admin access required');
-        return false;
-      }
-      
-      console.log('[PROTECTED ROUTE] Admin access granted');
-    }
-
-    // Check specific permissions (if implemented)
-    if (requiredPermissions.length > 0) {
-      const userPermissions = user?.permissions || [];
-      const hasRequiredPermissions = requiredPermissions.every(
-        permission => userPermissions.includes(permission)
-      );
-
-      if (!hasRequiredPermissions) {
-        toast.error('Insufficient permissions');
-        return false;
-      }
-    }
-
-    return true;
-  };
+  // Admin routes need admin console access on top of any route-specific permissions
+  const requiredAccess = requireAdmin
+    ? [PERMISSIONS.ADMIN_ACCESS, ...requiredPermissions]
+    : requiredPermissions;
 
   /**
    * Effect to validate session on route access
@@ -209,16 +176,8 @@ const ProtectedRoute = ({
         return;
       }
 
-      // Perform session validation
-      const isValid = await validateSession();
-      
-      if (isValid) {
-        // Check permissions after successful validation
-        const hasPermissions = checkPermissions();
-        if (!hasPermissions) {
-          setValidationError('Insufficient permissions');
-        }
-      }
+      // Perform session validation (permissions are checked on every render below)
+      await validateSession();
     };
 
     validateAccess();
@@ -275,6 +234,16 @@ const ProtectedRoute = ({
     return <AccessDenied reason="Your session is invalid. Please log in again." />;
   }
 
+  // Enforce role permissions from the access token, whether or not strict validation ran
+  if (!hasPermissions(user, requiredAccess)) {
+    console.error('[PROTECTED ROUTE] Permission denied:', {
+      userRole: user?.role,
+      required: requiredAccess,
+      route: location.pathname
+    });
+    return <AccessDenied reason="You do not have permission to access this page." />;
+  }
+
   // Additional security check for sensitive admin routes
   if (requireAdmin && location.pathname.startsWith('/admin')) {
     console.log('[PROTECTED ROUTE] Admin route access granted');
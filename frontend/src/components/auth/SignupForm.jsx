@@ -8,6 +8,8 @@ import toast from "react-hot-toast";
 import { Button } from "../ui/Button";
 import { Input } from "../ui/Input";
 import { Label } from "../ui/Label";
+import { getDeviceInfo } from "../../lib/device";
+import { WALLET_CURRENCIES } from "../../lib/money";
 
 // Redux
 import { 
@@ -51,31 +53,13 @@ export default function SignupForm() {
       email: "",
       password: "",
       confirmPassword: "",
+      currency: "USD",
     },
   });
 
   // Watch password to validate confirm password
   const watchPassword = watch("password");
 
-  // Get device info for security
-  const getDeviceInfo = () => {
-    const userAgent = navigator.userAgent;
-    const platform = navigator.platform;
-    
-    let browser = "Unknown";
-    if (userAgent.includes("Chrome")) browser = "Chrome";
-    else if (userAgent.includes("Firefox")) browser = "Firefox";
-    else if (userAgent.includes("Safari")) browser = "Safari";
-    else if (userAgent.includes("Edge")) browser = "Edge";
-
-    return {
-      browser,
-      os: platform,
-      userAgent: userAgent.substring(0, 200),
-      timestamp: new Date().toISOString(),
-    };
-  };
-
   // Handle form submission
   const onSubmit = async (data) => {
     try {
@@ -89,12 +73,13 @@ export default function SignupForm() {
         password: data.password,
         confirmPassword: data.confirmPassword,
         agreeToTerms: agreeToTerms.toString(),
+        currency: data.currency,
         deviceInfo: getDeviceInfo(),
       };
 
       const result = await signupMutation(signupData).unwrap();
 
-      toast.success("Account created successfully! Please check your email to verify your account.", {
+      toast.success(result.message || "Account created successfully! Please check your email to verify your account.", {
         duration: 5000,
       });
 
@@ -316,6 +301,24 @@ export default function SignupForm() {
                 </div>
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="currency" className="text-sm text-foreground">
+                  Main Currency
+                </Label>
+                <select
+                  id="currency"
+                  className="w-full h-12 px-4 border-2 border-gray-200 focus:border-brand-400 rounded-xl bg-background text-foreground"
+                  {...register("currency")}
+                >
+                  {WALLET_CURRENCIES.map((currency) => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-muted-foreground">Your primary wallet is opened in this currency.</p>
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="password" className="text-sm text-foreground">
                   Password
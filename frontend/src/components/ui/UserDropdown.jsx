@@ -157,7 +157,7 @@ export default function UserDropdown() {
                 <div className="flex items-center space-x-1 mt-1">
                   <div
                     className={`text-xs px-2 py-0.5 rounded-full font-medium ${
-                      user.role === "admin"
+                      user.isAdmin
                         ? "bg-error/10 text-error dark:bg-error/20 dark:text-error"
                         : user.role === "premium"
                         ? "bg-warning/10 text-warning dark:bg-warning/20 dark:text-warning"
@@ -0,0 +1,273 @@
+/**
+ * Registered Devices
+ * Lists devices that signed in to the account with rename, trust and remove actions
+ */
+
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { Check, Monitor, Pencil, ShieldCheck, Smartphone, Tablet, Trash2, X } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import { Label } from "../ui/Label";
+
+import { logout, selectUser } from "../../store/slices/authSlice";
+import {
+  useGetDevicesQuery,
+  useRenameDeviceMutation,
+  useTrustDeviceMutation,
+  useUntrustDeviceMutation,
+  useRevokeDeviceMutation,
+  useVerifyUserActionMutation,
+} from "../../store/api/userApi";
+
+const DEVICE_ICONS = {
+  mobile: Smartphone,
+  tablet: Tablet,
+  desktop: Monitor,
+};
+
+export default function DeviceList() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const user = useSelector(selectUser);
+
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const [trustingId, setTrustingId] = useState(null);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+
+  const { data, isLoading } = useGetDevicesQuery();
+  const [renameDevice, { isLoading: isRenaming }] = useRenameDeviceMutation();
+  const [trustDevice, { isLoading: isTrusting }] = useTrustDeviceMutation();
+  const [untrustDevice] = useUntrustDeviceMutation();
+  const [revokeDevice] = useRevokeDeviceMutation();
+  const [verifyUserAction, { isLoading: isVerifying }] = useVerifyUserActionMutation();
+
+  const devices = data?.devices || [];
+
+  const closeTrustForm = () => {
+    setTrustingId(null);
+    setPassword("");
+    setCode("");
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+
+    try {
+      await renameDevice({ deviceId: editingId, name: editName.trim() }).unwrap();
+      setEditingId(null);
+    } catch (error) {
+      console.error("[DEVICES] Rename failed:", error);
+      toast.error(error.message || "Failed to rename device");
+    }
+  };
+
+  // Trusting always re-checks the password and second factor
+  const handleTrust = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { actionToken } = await verifyUserAction({
+        action: "trust_device",
+        password,
+        ...(user?.twoFactorEnabled && { code }),
+      }).unwrap();
+
+      const result = await trustDevice({ deviceId: trustingId, actionToken }).unwrap();
+      toast.success(result.message);
+      closeTrustForm();
+    } catch (error) {
+      console.error("[DEVICES] Trust failed:", error);
+      toast.error(error.message || "Failed to trust device");
+      setCode("");
+    }
+  };
+
+  const handleUntrust = async (deviceId) => {
+    try {
+      const result = await untrustDevice(deviceId).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      console.error("[DEVICES] Untrust failed:", error);
+      toast.error(error.message || "Failed to update device");
+    }
+  };
+
+  const handleRevoke = async (device) => {
+    const message = device.current
+      ? "Remove this device? You will be signed out here."
+      : `Remove "${device.name}"? It will be signed out.`;
+    if (!confirm(message)) return;
+
+    try {
+      const result = await revokeDevice(device.id).unwrap();
+      toast.success(result.message);
+
+      if (result.currentDevice) {
+        dispatch(logout());
+        navigate("/login", { replace: true });
+      }
+    } catch (error) {
+      console.error("[DEVICES] Revoke failed:", error);
+      toast.error(error.message || "Failed to remove device");
+    }
+  };
+
+  return (
+    <div className="p-4 bg-muted rounded-lg">
+      <h3 className="font-medium text-foreground mb-1">Your Devices</h3>
+      <p className="text-sm text-muted-foreground mb-4">
+        Trusted devices skip the authenticator code when confirming sensitive actions. Signing in always asks for it.
+      </p>
+
+      {isLoading && <p className="text-sm text-muted-foreground">Loading devices...</p>}
+
+      {!isLoading && devices.length === 0 && (
+        <p className="text-sm text-muted-foreground">No devices registered yet.</p>
+      )}
+
+      <div className="space-y-3">
+        {devices.map((device) => {
+          const DeviceIcon = DEVICE_ICONS[device.deviceType] || Monitor;
+
+          return (
+            <div key={device.id} className="p-3 bg-background rounded-lg border border-border">
+              <div className="flex items-start space-x-3">
+                <DeviceIcon className="w-5 h-5 mt-0.5 text-muted-foreground" />
+
+                <div className="flex-1 min-w-0">
+                  {editingId === device.id ? (
+                    <form onSubmit={handleRename} className="flex items-center space-x-2">
+                      <Input
+                        value={editName}
+                        onChange={(e) => setEditName(e.target.value)}
+                        maxLength={50}
+                        className="h-8"
+                        autoFocus
+                      />
+                      <Button type="submit" size="sm" variant="ghost" disabled={isRenaming || !editName.trim()}>
+                        <Check className="w-4 h-4" />
+                      </Button>
+                      <Button type="button" size="sm" variant="ghost" onClick={() => setEditingId(null)}>
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </form>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <p className="text-sm font-medium text-foreground truncate">{device.name}</p>
+                      {device.current && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-primary/10 text-primary">This device</span>
+                      )}
+                      {device.trusted && (
+                        <span className="flex items-center text-xs px-2 py-0.5 rounded-full bg-success/10 text-success">
+                          <ShieldCheck className="w-3 h-3 mr-1" />
+                          Trusted
+                        </span>
+                      )}
+                    </div>
+                  )}
+
+                  <p className="text-xs text-muted-foreground mt-1">
+                    Last active {new Date(device.lastAccess).toLocaleString()}
+                    {device.lastIp && ` · ${device.lastIp}`}
+                  </p>
+                  {device.trusted && device.trustExpiresAt && (
+                    <p className="text-xs text-muted-foreground">
+                      Trusted until {new Date(device.trustExpiresAt).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+
+                {editingId !== device.id && (
+                  <div className="flex items-center space-x-1">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      title="Rename"
+                      onClick={() => {
+                        setEditingId(device.id);
+                        setEditName(device.name);
+                      }}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    {device.trusted ? (
+                      <Button size="sm" variant="ghost" onClick={() => handleUntrust(device.id)}>
+                        Untrust
+                      </Button>
+                    ) : (
+                      device.canBeTrusted && (
+                        <Button size="sm" variant="ghost" onClick={() => setTrustingId(device.id)}>
+                          Trust
+                        </Button>
+                      )
+                    )}
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      title="Remove"
+                      className="text-error hover:bg-error/10"
+                      onClick={() => handleRevoke(device)}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                )}
+              </div>
+
+              {trustingId === device.id && (
+                <form onSubmit={handleTrust} className="mt-3 space-y-3 border-t border-border pt-3">
+                  <div className="space-y-1">
+                    <Label htmlFor={`trust-password-${device.id}`}>Current Password</Label>
+                    <Input
+                      id={`trust-password-${device.id}`}
+                      type="password"
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                    />
+                  </div>
+
+                  {user?.twoFactorEnabled && (
+                    <div className="space-y-1">
+                      <Label htmlFor={`trust-code-${device.id}`}>Authenticator Code</Label>
+                      <Input
+                        id={`trust-code-${device.id}`}
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        maxLength={6}
+                        value={code}
+                        onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                        required
+                      />
+                    </div>
+                  )}
+
+                  <div className="flex space-x-2">
+                    <Button
+                      type="submit"
+                      size="sm"
+                      disabled={isVerifying || isTrusting || !password}
+                      isLoading={isVerifying || isTrusting}
+                    >
+                      Trust Device
+                    </Button>
+                    <Button type="button" size="sm" variant="ghost" onClick={closeTrustForm}>
+                      Cancel
+                    </Button>
+                  </div>
+                </form>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
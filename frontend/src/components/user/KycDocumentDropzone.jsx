@@ -0,0 +1,191 @@
+/**
+ * KYC Document Dropzone
+ * Drag-and-drop upload of one onboarding document, showing whether Zoqq accepted
+ * it and offering a retry when the upload to Zoqq failed
+ */
+
+import { useRef, useState } from "react";
+import { CheckCircle2, FileText, Loader2, RotateCcw, Trash2, UploadCloud, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import {
+  useUploadKycDocumentMutation,
+  useRetryKycDocumentMutation,
+  useDeleteKycDocumentMutation,
+} from "../../store/api/zoqqApi";
+
+// Matches KYC_DOCUMENT_MAX_KB on the backend
+const MAX_FILE_MB = 10;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+export default function KycDocumentDropzone({
+  purpose,
+  label,
+  hint,
+  accept,
+  tag,
+  uploadedDocument,
+  error,
+  onUploaded,
+  onRemoved,
+}) {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const [uploadDocument, { isLoading: isUploading }] = useUploadKycDocumentMutation();
+  const [retryDocument, { isLoading: isRetrying }] = useRetryKycDocumentMutation();
+  const [deleteDocument, { isLoading: isDeleting }] = useDeleteKycDocumentMutation();
+
+  const isBusy = isUploading || isRetrying || isDeleting;
+
+  const handleFile = async (file) => {
+    if (!file || isBusy) return;
+
+    if (file.size > MAX_FILE_MB * 1024 * 1024) {
+      toast.error(`${label} must be smaller than ${MAX_FILE_MB} MB`);
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("purpose", purpose);
+    if (tag) formData.append("tag", tag);
+    formData.append("document", file);
+
+    try {
+      const result = await uploadDocument(formData).unwrap();
+      if (result.data.document.status === "forwarded") {
+        toast.success(`${label} uploaded`);
+      } else {
+        toast.error(result.message);
+      }
+      onUploaded?.(result.data.document);
+    } catch {
+      // The API slice already shows the error
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFile(event.dataTransfer.files[0]);
+  };
+
+  const handleRetry = async () => {
+    try {
+      const result = await retryDocument(uploadedDocument.id).unwrap();
+      toast.success(`${label} sent to Zoqq`);
+      onUploaded?.(result.data.document);
+    } catch {
+      // The API slice already shows the error
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteDocument(uploadedDocument.id).unwrap();
+      onRemoved?.(uploadedDocument);
+    } catch {
+      // The API slice already shows the error
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label} *</label>
+
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => inputRef.current?.click()}
+        onKeyDown={(event) => {
+          if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            inputRef.current?.click();
+          }
+        }}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center gap-1 rounded-md border-2 border-dashed px-4 py-5 text-center cursor-pointer transition-colors ${
+          isDragging
+            ? "border-blue-500 bg-blue-50"
+            : error
+              ? "border-red-500"
+              : "border-gray-300 hover:border-blue-400"
+        }`}
+      >
+        {isUploading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+        ) : (
+          <UploadCloud className="h-6 w-6 text-gray-400" />
+        )}
+        <p className="text-sm text-gray-700">
+          {isUploading
+            ? "Uploading..."
+            : uploadedDocument
+              ? "Drop a new file here to replace it"
+              : "Drag and drop a file here, or click to browse"}
+        </p>
+        {hint && <p className="text-xs text-gray-500">{hint}</p>}
+
+        <input
+          ref={inputRef}
+          type="file"
+          accept={accept}
+          className="hidden"
+          onChange={(event) => {
+            handleFile(event.target.files[0]);
+            event.target.value = "";
+          }}
+        />
+      </div>
+
+      {uploadedDocument && (
+        <div className="mt-2 flex items-center gap-2 rounded-md bg-gray-50 px-3 py-2 text-sm">
+          <FileText className="h-4 w-4 shrink-0 text-gray-500" />
+          <span className="truncate text-gray-700">{uploadedDocument.originalName}</span>
+          {uploadedDocument.size && <span className="shrink-0 text-gray-400">{formatSize(uploadedDocument.size)}</span>}
+
+          <span className="ml-auto flex shrink-0 items-center gap-2">
+            {uploadedDocument.status === "forwarded" && (
+              <span className="flex items-center gap-1 text-green-700">
+                <CheckCircle2 className="h-4 w-4" /> Uploaded
+              </span>
+            )}
+            {uploadedDocument.status === "failed" && (
+              <>
+                <span className="flex items-center gap-1 text-red-600" title={uploadedDocument.failureReason || undefined}>
+                  <XCircle className="h-4 w-4" /> Not sent
+                </span>
+                <button
+                  type="button"
+                  onClick={handleRetry}
+                  disabled={isBusy}
+                  className="flex items-center gap-1 text-blue-600 hover:underline disabled:opacity-50"
+                >
+                  <RotateCcw className="h-4 w-4" /> Retry
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={isBusy}
+              className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+              aria-label={`Remove ${label}`}
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </span>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+}
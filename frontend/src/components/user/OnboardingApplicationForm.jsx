@@ -0,0 +1,456 @@
+/**
+ * Onboarding Application Form
+ * The Zoqq business application, section by section. Changes are autosaved to the
+ * server draft so the application can be resumed later or on another device
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { CheckCircle2, Circle, Loader2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+import {
+  useGetKycDocumentsQuery,
+  useGetOnboardingDraftQuery,
+  useSaveOnboardingDraftMutation,
+  useSubmitOnboardingDraftMutation,
+} from "../../store/api/zoqqApi";
+import KycDocumentDropzone from "./KycDocumentDropzone";
+
+// Quiet period after the last keystroke before changes are saved
+const AUTOSAVE_DELAY_MS = 1500;
+
+const BUSINESS_DOCUMENT_TAGS = [
+  "BUSINESS_LICENSE", "CERTIFICATE_OF_INCORPORATION", "REGISTRATION_CERTIFICATE", "COMPANY_PROFILE",
+  "ACRA_COMPANY_PROFILE_DOCUMENT", "ASIC_CURRENT_COMPANY_EXTRACT", "ARTICLES_OF_ASSOCIATION",
+  "COMPANY_CONSTITUTION", "PARTNERSHIP_AGREEMENT", "TRUST_DEED", "ANNUAL_REPORT", "SUPPORTIVE_OTHER",
+];
+
+const PRODUCT_REFERENCES = [
+  "ACCEPT_ONLINE_PAYMENTS", "COLLECT_MARKETPLACE_PROCEEDS", "RECEIVE_TRANSFERS", "GET_PAID",
+  "CONVERT_FUNDS", "MAKE_TRANSFERS", "CREATE_CARDS", "MANAGE_EXPENSES", "USE_AWX_API", "TRANSFER_CNY_INBOUND",
+];
+
+// Matches ONBOARDING_DRAFT_STEPS on the backend; the documents section is rendered separately
+const SECTIONS = [
+  {
+    key: "business",
+    title: "Business details",
+    fields: [
+      { name: "emailId", label: "Email Address", type: "email", placeholder: "user@example.com" },
+      { name: "businessName", label: "Business Name", placeholder: "STYLOPAY Pty Ltd" },
+      {
+        name: "businessStructure",
+        label: "Business Structure",
+        options: ["COMPANY", "PARTNERSHIP", "SOLE_PROPRIETORSHIP", "TRUST", "OTHER"],
+      },
+      { name: "contactNumber", label: "Business Contact Number", type: "tel", placeholder: "+6591234567" },
+      { name: "type", label: "Registration Type", placeholder: "brn" },
+      { name: "number", label: "Business Registration Number", placeholder: "1234567890" },
+      { name: "industryCategoryCode", label: "Industry Category Code", placeholder: "ICCV3_000001" },
+      { name: "operatingCountry", label: "Operating Country", placeholder: "SG", maxLength: 2, uppercase: true },
+      { name: "amount", label: "Expected Monthly Volume", type: "number", placeholder: "10000" },
+      { name: "currency", label: "Volume Currency", placeholder: "USD", maxLength: 3, uppercase: true },
+      {
+        name: "descriptionOfGoodsOrServices",
+        label: "Description of Goods or Services",
+        type: "textarea",
+        placeholder: "What does your business sell?",
+        wide: true,
+      },
+    ],
+  },
+  {
+    key: "registration_address",
+    title: "Registered address",
+    fields: [
+      { name: "registrationAddressLine1", label: "Address Line 1", placeholder: "123 Market Street" },
+      { name: "registrationAddressLine2", label: "Address Line 2", optional: true },
+      { name: "registrationSuburb", label: "Suburb", placeholder: "Sydney" },
+      { name: "registrationState", label: "State", placeholder: "NSW" },
+      { name: "registrationPostcode", label: "Postcode", placeholder: "2000" },
+      { name: "registrationCountryCode", label: "Country", placeholder: "AU", maxLength: 2, uppercase: true },
+    ],
+  },
+  {
+    key: "applicant",
+    title: "Applicant details",
+    fields: [
+      { name: "firstName", label: "First Name", placeholder: "John" },
+      { name: "middleName", label: "Middle Name", optional: true },
+      { name: "lastName", label: "Last Name", placeholder: "Doe" },
+      { name: "dateOfBirth", label: "Date of Birth", type: "date" },
+      { name: "nationality", label: "Nationality", placeholder: "SG", maxLength: 2, uppercase: true },
+      { name: "mobile", label: "Mobile Number", type: "tel", placeholder: "+6591234567" },
+      { name: "roles", label: "Role in the Business", options: ["BENEFICIAL_OWNER", "DIRECTOR", "SIGNATORY", "OTHER"] },
+      { name: "residentialAddressLine1", label: "Home Address", placeholder: "1 Orchard Road" },
+      { name: "residentialSuburb", label: "Suburb" },
+      { name: "residentialState", label: "State" },
+      { name: "residentialPostcode", label: "Postcode" },
+      { name: "residentialCountryCode", label: "Country", placeholder: "SG", maxLength: 2, uppercase: true },
+    ],
+  },
+  {
+    key: "identity",
+    title: "Identity document",
+    fields: [
+      { name: "identificationType", label: "Document Type", options: ["Passport", "National_ID", "Driving_License"] },
+      { name: "Idnumber", label: "Document Number", placeholder: "X1234567" },
+      { name: "issuingCountryCode", label: "Issuing Country", placeholder: "SG", maxLength: 2, uppercase: true },
+      { name: "effectiveAt", label: "Issue Date", type: "date" },
+      { name: "expireAt", label: "Expiry Date", type: "date" },
+    ],
+  },
+  {
+    key: "documents",
+    title: "Supporting documents",
+    fields: [],
+  },
+  {
+    key: "declarations",
+    title: "Declarations",
+    fields: [
+      { name: "legalEntityType", label: "Legal Entity Type", options: ["BUSINESS", "INDIVIDUAL"] },
+      { name: "asTrustee", label: "Applying as a Trustee", type: "boolean" },
+      { name: "productReference", label: "Main Use of the Account", options: PRODUCT_REFERENCES },
+      { name: "countryCode", label: "Country of Incorporation", placeholder: "SG", maxLength: 2, uppercase: true },
+      { name: "agreedToTermsAndConditions", label: "I agree to the terms and conditions", type: "checkbox", wide: true },
+    ],
+  },
+];
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
+    hasError ? "border-red-500" : "border-gray-300"
+  }`;
+
+const formatOption = (option) => option.replace(/_/g, " ");
+
+function ApplicationField({ field, value, error, onChange }) {
+  const id = `application-${field.name}`;
+
+  if (field.type === "checkbox") {
+    return (
+      <div className={field.wide ? "md:col-span-2" : undefined}>
+        <div className="flex items-center">
+          <input
+            id={id}
+            type="checkbox"
+            checked={value === true}
+            onChange={(e) => onChange(field.name, e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label htmlFor={id} className="ml-2 block text-sm text-gray-700">
+            {field.label} *
+          </label>
+        </div>
+        {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      </div>
+    );
+  }
+
+  let input;
+  if (field.options) {
+    input = (
+      <select id={id} value={value ?? ""} onChange={(e) => onChange(field.name, e.target.value)} className={inputClass(error)}>
+        <option value="">Select...</option>
+        {field.options.map((option) => (
+          <option key={option} value={option}>
+            {formatOption(option)}
+          </option>
+        ))}
+      </select>
+    );
+  } else if (field.type === "boolean") {
+    input = (
+      <select
+        id={id}
+        value={value === undefined || value === null ? "" : String(value)}
+        onChange={(e) => onChange(field.name, e.target.value === "" ? "" : e.target.value === "true")}
+        className={inputClass(error)}
+      >
+        <option value="">Select...</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    );
+  } else if (field.type === "textarea") {
+    input = (
+      <textarea
+        id={id}
+        rows={3}
+        value={value ?? ""}
+        onChange={(e) => onChange(field.name, e.target.value)}
+        className={inputClass(error)}
+        placeholder={field.placeholder}
+      />
+    );
+  } else {
+    input = (
+      <input
+        id={id}
+        type={field.type || "text"}
+        value={value ?? ""}
+        maxLength={field.maxLength}
+        onChange={(e) => onChange(field.name, field.uppercase ? e.target.value.toUpperCase() : e.target.value)}
+        className={inputClass(error)}
+        placeholder={field.placeholder}
+      />
+    );
+  }
+
+  return (
+    <div className={field.wide ? "md:col-span-2" : undefined}>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {field.label} {!field.optional && "*"}
+      </label>
+      {input}
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Sections of a loaded draft; the draft seeds the form once and the server's
+ * field errors and progress are shown as saves come back
+ */
+function ApplicationSections({ draft, disabled }) {
+  const [values, setValues] = useState(draft.data);
+  const [sectionKey, setSectionKey] = useState(
+    SECTIONS.some((section) => section.key === draft.currentStep) ? draft.currentStep : SECTIONS[0].key
+  );
+  const [submitErrors, setSubmitErrors] = useState(null);
+
+  const [saveDraft, { isLoading: isSaving, isError: saveFailed }] = useSaveOnboardingDraftMutation();
+  const [submitDraft, { isLoading: isSubmitting }] = useSubmitOnboardingDraftMutation();
+
+  const { data: documentsData } = useGetKycDocumentsQuery();
+  const kycDocuments = documentsData?.data?.documents || [];
+  const latestDocument = (purpose) => kycDocuments.filter((document) => document.purpose === purpose).pop();
+
+  // Changed fields not yet sent, and the section they were entered in
+  const pendingRef = useRef({});
+  const sectionRef = useRef(sectionKey);
+  const timerRef = useRef(null);
+
+  const flush = async () => {
+    clearTimeout(timerRef.current);
+
+    const fields = pendingRef.current;
+    if (Object.keys(fields).length === 0) return true;
+    pendingRef.current = {};
+
+    try {
+      await saveDraft({ step: sectionRef.current, fields }).unwrap();
+      return true;
+    } catch {
+      // Keep the unsaved changes for the next attempt, unless they were edited again since
+      pendingRef.current = { ...fields, ...pendingRef.current };
+      return false;
+    }
+  };
+
+  // Save whatever is pending when the form is left
+  const flushRef = useRef(flush);
+  flushRef.current = flush;
+  useEffect(() => () => {
+    flushRef.current();
+  }, []);
+
+  const handleChange = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    pendingRef.current[name] = value;
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, AUTOSAVE_DELAY_MS);
+  };
+
+  const goToSection = async (key) => {
+    await flush();
+    sectionRef.current = key;
+    setSectionKey(key);
+  };
+
+  const handleSubmit = async () => {
+    if (!(await flush())) return;
+
+    try {
+      setSubmitErrors(null);
+      await submitDraft().unwrap();
+      toast.success("Application submitted to Zoqq");
+    } catch (error) {
+      if (error.code === "DRAFT_INVALID" && error.draft) {
+        setSubmitErrors(error.draft.fieldErrors);
+        const firstIncomplete = error.draft.steps.find((step) => !step.complete);
+        if (firstIncomplete) goToSection(firstIncomplete.key);
+      }
+    }
+  };
+
+  const fieldErrors = { ...draft.fieldErrors, ...submitErrors };
+  // Errors for fields changed since the last save are out of date
+  Object.keys(pendingRef.current).forEach((name) => delete fieldErrors[name]);
+
+  const stepProgress = Object.fromEntries(draft.steps.map((step) => [step.key, step]));
+  const sectionIndex = SECTIONS.findIndex((section) => section.key === sectionKey);
+  const section = SECTIONS[sectionIndex];
+  const isLastSection = sectionIndex === SECTIONS.length - 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-gray-600">{draft.completion}% complete</div>
+          <div className="mt-1 h-2 w-48 rounded-full bg-gray-200">
+            <div className="h-2 rounded-full bg-blue-600" style={{ width: `${draft.completion}%` }} />
+          </div>
+        </div>
+        <span className="text-sm text-gray-500">
+          {isSaving
+            ? "Saving..."
+            : saveFailed
+              ? "Not saved. Changes will be retried"
+              : draft.lastSavedAt
+                ? `Saved ${new Date(draft.lastSavedAt).toLocaleTimeString()}`
+                : "Your progress is saved as you type"}
+        </span>
+      </div>
+
+      {/* Section navigation */}
+      <nav className="flex flex-wrap gap-2">
+        {SECTIONS.map((item) => (
+          <button
+            key={item.key}
+            type="button"
+            onClick={() => goToSection(item.key)}
+            className={`flex items-center gap-1 rounded-full px-3 py-1 text-sm ${
+              item.key === sectionKey ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {stepProgress[item.key]?.complete ? (
+              <CheckCircle2 className="h-4 w-4" />
+            ) : (
+              <Circle className="h-4 w-4" />
+            )}
+            {item.title}
+          </button>
+        ))}
+      </nav>
+
+      <h3 className="text-lg font-medium">{section.title}</h3>
+
+      {section.key === "documents" ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="md:col-span-2">
+            <ApplicationField
+              field={{ name: "tag", label: "Business Document Type", options: BUSINESS_DOCUMENT_TAGS }}
+              value={values.tag || latestDocument("business_document")?.tag || "BUSINESS_LICENSE"}
+              error={fieldErrors.tag}
+              onChange={handleChange}
+            />
+          </div>
+          <KycDocumentDropzone
+            purpose="business_document"
+            label="Business Registration Document"
+            hint="PDF, JPEG or PNG, up to 10 MB"
+            accept="application/pdf,image/jpeg,image/png"
+            tag={values.tag || "BUSINESS_LICENSE"}
+            uploadedDocument={latestDocument("business_document")}
+            error={fieldErrors.fileId}
+          />
+          <KycDocumentDropzone
+            purpose="identity_front"
+            label="Identity Document (Front)"
+            hint="Passport photo page or front of your ID card"
+            accept="application/pdf,image/jpeg,image/png"
+            uploadedDocument={latestDocument("identity_front")}
+            error={fieldErrors.frontFileId}
+          />
+          <KycDocumentDropzone
+            purpose="person_document"
+            label="Authorisation Letter"
+            hint="Letter authorising you to act for the business"
+            accept="application/pdf,image/jpeg,image/png"
+            uploadedDocument={latestDocument("person_document")}
+            error={fieldErrors.personDocumentsFileId}
+          />
+          <KycDocumentDropzone
+            purpose="live_selfie"
+            label="Selfie"
+            hint="A clear photo of your face, JPEG or PNG"
+            accept="image/jpeg,image/png"
+            uploadedDocument={latestDocument("live_selfie")}
+            error={fieldErrors.liveSelfieFileId}
+          />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {section.fields.map((field) => (
+            <ApplicationField
+              key={field.name}
+              field={field}
+              value={values[field.name]}
+              error={fieldErrors[field.name]}
+              onChange={handleChange}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={() => goToSection(SECTIONS[sectionIndex - 1].key)}
+          disabled={sectionIndex === 0}
+          className="py-2 px-6 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Back
+        </button>
+
+        {isLastSection ? (
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={disabled || isSubmitting}
+            className="flex items-center gap-2 bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {(disabled || isSubmitting) && <Loader2 className="h-4 w-4 animate-spin" />}
+            {disabled || isSubmitting ? "Creating Account..." : "Create Zoqq Account"}
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={() => goToSection(SECTIONS[sectionIndex + 1].key)}
+            className="bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500"
+          >
+            Continue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function OnboardingApplicationForm({ disabled }) {
+  const { data, isLoading, isError, refetch } = useGetOnboardingDraftQuery();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (isError || !data?.data) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-red-600">Your saved application could not be loaded.</p>
+        <button type="button" onClick={refetch} className="mt-2 text-sm text-blue-600 hover:underline">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  return <ApplicationSections draft={data.data} disabled={disabled} />;
+}
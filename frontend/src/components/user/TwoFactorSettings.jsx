@@ -0,0 +1,349 @@
+/**
+ * Two-Factor Authentication Settings
+ * Setup (QR code + first code), recovery codes and disable flow for the Security tab
+ */
+
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { Copy, Download, KeyRound, ShieldCheck, ShieldOff } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import { Label } from "../ui/Label";
+
+import { updateSecurityStatus, updateUserProfile } from "../../store/slices/authSlice";
+import {
+  useGetTwoFactorStatusQuery,
+  useSetupTwoFactorMutation,
+  useConfirmTwoFactorMutation,
+  useDisableTwoFactorMutation,
+} from "../../store/api/authApi";
+
+export default function TwoFactorSettings() {
+  const dispatch = useDispatch();
+
+  // "idle" | "setup" | "recovery" | "disable"
+  const [mode, setMode] = useState("idle");
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const { data: status, isLoading: isLoadingStatus } = useGetTwoFactorStatusQuery();
+  const [setupTwoFactor, { isLoading: isStartingSetup }] = useSetupTwoFactorMutation();
+  const [confirmTwoFactor, { isLoading: isConfirming }] = useConfirmTwoFactorMutation();
+  const [disableTwoFactor, { isLoading: isDisabling }] = useDisableTwoFactorMutation();
+
+  const isEnabled = !!status?.enabled;
+
+  const resetForm = () => {
+    setCode("");
+    setPassword("");
+    setUseRecoveryCode(false);
+  };
+
+  // Keep the auth state in sync so other screens see the new status
+  const syncTwoFactorState = (enabled) => {
+    dispatch(updateUserProfile({ twoFactorEnabled: enabled }));
+    dispatch(updateSecurityStatus({ twoFactorEnabled: enabled }));
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      const result = await setupTwoFactor().unwrap();
+      setSetupData(result);
+      resetForm();
+      setMode("setup");
+    } catch (error) {
+      console.error("[2FA SETTINGS] Setup failed:", error);
+      toast.error(error.message || "Failed to start two-factor setup");
+    }
+  };
+
+  const handleConfirm = async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await confirmTwoFactor(code.trim()).unwrap();
+      setRecoveryCodes(result.recoveryCodes);
+      setSetupData(null);
+      resetForm();
+      setMode("recovery");
+      syncTwoFactorState(true);
+      toast.success("Two-factor authentication enabled!");
+    } catch (error) {
+      console.error("[2FA SETTINGS] Confirmation failed:", error);
+      toast.error(error.message || "Invalid verification code");
+      setCode("");
+    }
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+
+    try {
+      await disableTwoFactor({
+        password,
+        ...(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }),
+      }).unwrap();
+      resetForm();
+      setMode("idle");
+      syncTwoFactorState(false);
+      toast.success("Two-factor authentication disabled");
+    } catch (error) {
+      console.error("[2FA SETTINGS] Disable failed:", error);
+      toast.error(error.message || "Failed to disable two-factor authentication");
+    }
+  };
+
+  const handleCopy = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${label} copied`);
+    } catch {
+      toast.error("Copy failed. Please copy it manually.");
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob(
+      [`StyloPay recovery codes\nEach code can be used once.\n\n${recoveryCodes.join("\n")}\n`],
+      { type: "text/plain" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "stylopay-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="p-4 bg-muted rounded-lg">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium text-foreground mb-1 flex items-center gap-2">
+            Two-Factor Authentication
+            {isEnabled && (
+              <span className="inline-flex items-center gap-1 text-xs font-medium text-success">
+                <ShieldCheck className="w-3.5 h-3.5" />
+                On
+              </span>
+            )}
+          </h3>
+          <p className="text-sm text-muted-foreground">
+            {isEnabled
+              ? `Authenticator app required at sign-in. ${status.recoveryCodesRemaining} recovery codes left.`
+              : "Add an extra layer of security to your account"}
+          </p>
+        </div>
+        {mode === "idle" && (
+          isEnabled ? (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => {
+                resetForm();
+                setMode("disable");
+              }}
+              leftIcon={<ShieldOff className="w-4 h-4" />}
+            >
+              Disable
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleStartSetup}
+              disabled={isLoadingStatus || isStartingSetup}
+              isLoading={isStartingSetup}
+            >
+              Enable
+            </Button>
+          )
+        )}
+      </div>
+
+      {/* Step 1: scan the QR code and confirm the first code */}
+      {mode === "setup" && setupData && (
+        <form onSubmit={handleConfirm} className="mt-4 space-y-4 border-t border-border pt-4">
+          <p className="text-sm text-foreground">
+            Scan this QR code with Google Authenticator, 1Password, Authy or another TOTP app.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 items-start">
+            <img
+              src={setupData.qrCode}
+              alt="Two-factor authentication QR code"
+              className="w-40 h-40 rounded-lg bg-white p-2"
+            />
+            <div className="space-y-2 text-sm">
+              <p className="text-muted-foreground">Can't scan? Enter this key manually:</p>
+              <div className="flex items-center gap-2">
+                <code className="px-2 py-1 rounded bg-background font-mono text-xs break-all">
+                  {setupData.secret}
+                </code>
+                <button
+                  type="button"
+                  onClick={() => handleCopy(setupData.secret, "Setup key")}
+                  className="text-muted-foreground hover:text-foreground"
+                  aria-label="Copy setup key"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+          <div>
+            <Label htmlFor="twoFactorSetupCode">Enter the 6-digit code from the app</Label>
+            <Input
+              id="twoFactorSetupCode"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className="max-w-[200px] tracking-widest"
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="submit"
+              size="sm"
+              disabled={isConfirming || code.trim().length !== 6}
+              isLoading={isConfirming}
+            >
+              Verify & Enable
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setSetupData(null);
+                setMode("idle");
+              }}
+            >
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {/* Step 2: show the one-time recovery codes exactly once */}
+      {mode === "recovery" && recoveryCodes.length > 0 && (
+        <div className="mt-4 space-y-4 border-t border-border pt-4">
+          <div className="flex items-start gap-2 text-sm text-foreground">
+            <KeyRound className="w-4 h-4 mt-0.5 text-warning" />
+            <p>
+              Save these recovery codes somewhere safe. Each one can be used once if you lose
+              access to your authenticator app. They will not be shown again.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <code key={recoveryCode} className="px-2 py-1 rounded bg-background text-center">
+                {recoveryCode}
+              </code>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => handleCopy(recoveryCodes.join("\n"), "Recovery codes")}
+              leftIcon={<Copy className="w-4 h-4" />}
+            >
+              Copy
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={handleDownloadCodes}
+              leftIcon={<Download className="w-4 h-4" />}
+            >
+              Download
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              onClick={() => {
+                setRecoveryCodes([]);
+                setMode("idle");
+              }}
+            >
+              I've saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Disable: re-check password and a current code */}
+      {mode === "disable" && (
+        <form onSubmit={handleDisable} className="mt-4 space-y-4 border-t border-border pt-4">
+          <div>
+            <Label htmlFor="twoFactorDisablePassword">Current Password</Label>
+            <Input
+              id="twoFactorDisablePassword"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+          <div>
+            <Label htmlFor="twoFactorDisableCode">
+              {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+            </Label>
+            <Input
+              id="twoFactorDisableCode"
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              maxLength={useRecoveryCode ? 20 : 6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+              className="max-w-[200px] tracking-widest"
+            />
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode("");
+              }}
+              className="mt-1 text-xs text-primary hover:underline"
+            >
+              {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="submit"
+              variant="error"
+              size="sm"
+              disabled={isDisabling || !password || !code.trim()}
+              isLoading={isDisabling}
+            >
+              Disable Two-Factor
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                resetForm();
+                setMode("idle");
+              }}
+            >
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
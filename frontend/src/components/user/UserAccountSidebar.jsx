@@ -0,0 +1,64 @@
+/**
+ * User Account Sidebar
+ * Navigation between the signed-in customer's account pages, with a badge for
+ * open information requests (red while any is overdue)
+ */
+
+import { Link, useLocation } from "react-router-dom";
+import { LayoutDashboard, Receipt, Send, BookUser, ClipboardCheck, FileQuestion, User, Settings } from "lucide-react";
+
+import { useGetRfiSummaryQuery } from "../../store/api/zoqqApi";
+
+const NAV_ITEMS = [
+  { path: "/user/dashboard", label: "Dashboard", icon: LayoutDashboard },
+  { path: "/transactions", label: "Transactions", icon: Receipt },
+  { path: "/user/send", label: "Send Money", icon: Send },
+  { path: "/user/payees", label: "Payees", icon: BookUser },
+  { path: "/user/onboarding", label: "Onboarding", icon: ClipboardCheck },
+  { path: "/user/rfis", label: "Information Requests", icon: FileQuestion, badge: "rfis" },
+  { path: "/user/profile", label: "Profile", icon: User },
+  { path: "/user/settings", label: "Settings", icon: Settings },
+];
+
+export default function UserAccountSidebar() {
+  const location = useLocation();
+
+  // Counts come from saved requests; the RFI page refreshes them from Zoqq
+  const { data: rfiSummary } = useGetRfiSummaryQuery(undefined, { pollingInterval: 300000 });
+  const openRfis = rfiSummary?.data?.open || 0;
+  const overdueRfis = rfiSummary?.data?.overdue || 0;
+
+  return (
+    <div className="bg-card rounded-2xl shadow-lg border border-border p-4 sticky top-8">
+      <nav className="space-y-2">
+        {NAV_ITEMS.map((item) => {
+          const Icon = item.icon;
+          const isActive = location.pathname.startsWith(item.path);
+
+          return (
+            <Link
+              key={item.path}
+              to={item.path}
+              className={`w-full flex items-center space-x-3 px-3 py-2.5 rounded-lg text-left transition-colors ${
+                isActive ? "bg-primary text-primary-foreground" : "text-foreground hover:bg-muted"
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              <span className="text-sm font-medium flex-1">{item.label}</span>
+              {item.badge === "rfis" && openRfis > 0 && (
+                <span
+                  className={`min-w-5 rounded-full px-1.5 text-center text-xs font-semibold ${
+                    overdueRfis > 0 ? "bg-red-600 text-white" : "bg-orange-500 text-white"
+                  }`}
+                  title={overdueRfis > 0 ? `${overdueRfis} overdue` : `${openRfis} open`}
+                >
+                  {openRfis}
+                </span>
+              )}
+            </Link>
+          );
+        })}
+      </nav>
+    </div>
+  );
+}
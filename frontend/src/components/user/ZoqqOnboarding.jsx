@@ -4,98 +4,44 @@
  * Features: User creation, terms acceptance, account activation, and RFI handling
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import {
-  useGetZoqqTokenMutation,
-  useCreateZoqqUserMutation,
   useGetZoqqUserQuery,
   useAcceptTermsMutation,
   useActivateAccountMutation,
-  useGetRFIDetailsQuery,
-  useRespondToRFIMutation,
-  validateZoqqUserData,
-  formatZoqqUserData,
-  getUserOnboardingStatus
+  useGetOnboardingQuery,
+  useGetRfisQuery
 } from '../../store/api/zoqqApi';
+import OnboardingApplicationForm from './OnboardingApplicationForm';
+
+// Screen shown for each server-side onboarding state
+const STEP_FOR_STATE = {
+  draft: 1,
+  submitted: 1,
+  zoqq_created: 2,
+  terms_accepted: 3,
+  active: 4,
+  rfi_pending: 5,
+  rejected: 6,
+  suspended: 6
+};
 
 const ZoqqOnboarding = () => {
   // API hooks
-  const [getZoqqToken] = useGetZoqqTokenMutation();
-  const [createZoqqUser] = useCreateZoqqUserMutation();
   const [acceptTerms] = useAcceptTermsMutation();
   const [activateAccount] = useActivateAccountMutation();
-  const [respondToRFI] = useRespondToRFIMutation();
+
+  // The backend onboarding state machine decides the current step
+  const { data: onboardingData } = useGetOnboardingQuery();
+  const onboarding = onboardingData?.data;
+  const zoqqAccountId = onboarding?.zoqqAccountId || null;
+  const currentStep = STEP_FOR_STATE[onboarding?.state] || 1;
+  const progressStep = onboarding?.step || 1;
 
   // State management
-  const [currentStep, setCurrentStep] = useState(1);
-  const [zoqqAccountId, setZoqqAccountId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [errors, setErrors] = useState({});
-
-  // User form data (following exact API documentation structure)
-  const [userFormData, setUserFormData] = useState({
-    // Business Information
-    emailId: '',
-    amount: '10',
-    currency: 'USD',
-    businessName: '',
-    businessStructure: 'COMPANY',
-    contactNumber: '',
-    descriptionOfGoodsOrServices: '',
-    industryCategoryCode: 'ICCV3_0000XX',
-    operatingCountry: 'AU',
-    
-    // Business Registration
-    type: 'brn',
-    number: '',
-    
-    // Registration Address
-    registrationAddressLine1: '',
-    registrationAddressLine2: '',
-    registrationCountryCode: 'SG',
-    registrationPostcode: '',
-    registrationState: '',
-    registrationSuburb: '',
-    
-    // Residential Address
-    residentialAddressLine1: '',
-    residentialCountryCode: 'SG',
-    residentialPostcode: '',
-    residentialState: '',
-    residentialSuburb: '',
-    
-    // Personal Information
-    firstName: '',
-    middleName: '',
-    lastName: '',
-    dateOfBirth: '',
-    nationality: 'SG',
-    mobile: '',
-    
-    // Identity Documents
-    identificationType: 'Passport',
-    Idnumber: '',
-    issuingCountryCode: 'SG',
-    effectiveAt: '',
-    expireAt: '',
-    
-    // Legal and Compliance
-    roles: 'BENEFICIAL_OWNER',
-    legalEntityType: 'BUSINESS',
-    asTrustee: true,
-    agreedToTermsAndConditions: false,
-    productReference: 'ACCEPT_ONLINE_PAYMENTS',
-    
-    // Document Files (these would come from file upload components)
-    fileId: 'NzViMjBjNzgtMjJmYy00ZTAwLWFlOGYtNmEwNTc3MDlhZmFjLHwsaG9uZ2tvbmcsfCxibGFuay5wZGZfMTc0MzQ5NTg5MTYzMA',
-    tag: 'BUSINESS_LICENSE',
-    frontFileId: 'NzViMjBjNzgtMjJmYy00ZTAwLWFlOGYtNmEwNTc3MDlhZmFjLHwsaG9uZ2tvbmcsfCxibGFuay5wZGZfMTc0MzQ5NTg5MTYzMA',
-    personDocumentsFileId: 'NzViMjBjNzgtMjJmYy00ZTAwLWFlOGYtNmEwNTc3MDlhZmFjLHwsaG9uZ2tvbmcsfCxibGFuay5wZGZfMTc0MzQ5NTg5MTYzMA',
-    personDocumentsTag: 'PERSON_PURPORTING_TO_ACT_AUTHORISATION_LETTER',
-    liveSelfieFileId: 'NzViMjBjNzgtMjJmYy00ZTAwLWFlOGYtNmEwNTc3MDlhZmFjLHwsaG9uZ2tvbmcsfCxibGFuay5wZGZfMTc0MzQ5NTg5MTYzMA',
-    countryCode: 'SG'
-  });
 
   // Conditional queries based on account ID
   const {
@@ -105,73 +51,11 @@ const ZoqqOnboarding = () => {
     skip: !zoqqAccountId
   });
 
-  const {
-    data: rfiData,
-    refetch: refetchRFI
-  } = useGetRFIDetailsQuery(zoqqAccountId, {
-    skip: !zoqqAccountId
+  // Answered on the RFI page; only the outstanding requests are summarised here
+  const { data: rfiData } = useGetRfisQuery({ status: 'open' }, {
+    skip: currentStep !== 5
   });
-
-  // Handle form input changes
-  const handleInputChange = (field, value) => {
-    setUserFormData(prev => ({
-      ...prev,
-      [field]: value
-    }));
-    
-    // Clear field-specific errors when user starts typing
-    if (errors[field]) {
-      setErrors(prev => ({
-        ...prev,
-        [field]: null
-      }));
-    }
-  };
-
-  // Step 1: Get Zoqq Authentication Token and Create User
-  const handleCreateUser = async () => {
-    setIsLoading(true);
-    setErrors({});
-
-    try {
-      console.log('[ZOQQ ONBOARDING] Starting user creation process...');
-
-      // Validate form data
-      const validation = validateZoqqUserData(userFormData);
-      if (!validation.isValid) {
-        setErrors(validation.errors);
-        toast.error('Please fix the validation errors before proceeding');
-        return;
-      }
-
-      // Format data for API
-      const formattedData = formatZoqqUserData(userFormData);
-
-      // Get authentication token first
-      console.log('[ZOQQ ONBOARDING] Getting authentication token...');
-      const tokenResult = await getZoqqToken().unwrap();
-      
-      if (tokenResult.status === 'success') {
-        console.log('[ZOQQ ONBOARDING] Token obtained, creating user...');
-        
-        // Create user with Zoqq API
-        const userResult = await createZoqqUser(formattedData).unwrap();
-        
-        if (userResult.status === 'success') {
-          setZoqqAccountId(userResult.data.accountId);
-          setCurrentStep(2);
-          toast.success('User account created successfully!');
-          console.log('[ZOQQ ONBOARDING] User created with account ID:', userResult.data.accountId);
-        }
-      }
-    } catch (error) {
-      console.error('[ZOQQ ONBOARDING] User creation failed:', error);
-      toast.error(error.message || 'Failed to create user account');
-      setErrors({ general: error.message || 'Failed to create user account' });
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  const openRequests = rfiData?.data?.requests || [];
 
   // Step 2: Accept Terms and Conditions
   const handleAcceptTerms = async () => {
@@ -188,7 +72,6 @@ const ZoqqOnboarding = () => {
       const result = await acceptTerms(zoqqAccountId).unwrap();
       
       if (result.status === 'success') {
-        setCurrentStep(3);
         toast.success('Terms and conditions accepted successfully!');
         refetchUser(); // Refresh user data
       }
@@ -215,7 +98,6 @@ const ZoqqOnboarding = () => {
       const result = await activateAccount(zoqqAccountId).unwrap();
       
       if (result.status === 'success') {
-        setCurrentStep(4);
         toast.success('Account activated successfully!');
         refetchUser(); // Refresh user data
       }
@@ -224,8 +106,7 @@ const ZoqqOnboarding = () => {
       
       // Check if RFI is required
       if (error.code === 'RFI_REQUIRED' || error.message?.includes('RFI')) {
-        setCurrentStep(5); // Go to RFI step
-        refetchRFI(); // Fetch RFI details
+        // Onboarding moves to the RFI step once refetched
         toast.error('Additional information required for compliance');
       } else {
         toast.error(error.message || 'Failed to activate account');
@@ -235,44 +116,6 @@ const ZoqqOnboarding = () => {
     }
   };
 
-  // Step 4: Handle RFI Response (if required)
-  const handleRFIResponse = async (rfiResponseData) => {
-    if (!zoqqAccountId) {
-      toast.error('Account ID is required for RFI response');
-      return;
-    }
-
-    setIsLoading(true);
-
-    try {
-      console.log('[ZOQQ ONBOARDING] Submitting RFI response for account:', zoqqAccountId);
-      
-      const result = await respondToRFI({
-        userId: zoqqAccountId,
-        rfiResponse: rfiResponseData
-      }).unwrap();
-      
-      if (result.status === 'success') {
-        toast.success('RFI response submitted successfully!');
-        refetchRFI(); // Refresh RFI data
-        refetchUser(); // Refresh user data
-        
-        // Try to activate account again after RFI response
-        setTimeout(() => {
-          handleActivateAccount();
-        }, 2000);
-      }
-    } catch (error) {
-      console.error('[ZOQQ ONBOARDING] RFI response failed:', error);
-      toast.error(error.message || 'Failed to submit RFI response');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  // Get current onboarding status
-  const onboardingStatus = getUserOnboardingStatus(userData?.data);
-
   return (
     <div className="max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-lg">
       <div className="mb-8">
@@ -296,7 +139,7 @@ const ZoqqOnboarding = () => {
             >
               <div
                 className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-medium ${
-                  currentStep >= step
+                  progressStep >= step
                     ? 'bg-blue-600 text-white'
                     : 'bg-gray-200 text-gray-500'
                 }`}
@@ -306,7 +149,7 @@ const ZoqqOnboarding = () => {
               {step < 4 && (
                 <div
                   className={`h-1 flex-1 mx-4 ${
-                    currentStep > step ? 'bg-blue-600' : 'bg-gray-200'
+                    progressStep > step ? 'bg-blue-600' : 'bg-gray-200'
                   }`}
                 />
               )}
@@ -314,16 +157,16 @@ const ZoqqOnboarding = () => {
           ))}
         </div>
         <div className="flex justify-between mt-2 text-sm">
-          <span className={currentStep >= 1 ? 'text-blue-600' : 'text-gray-500'}>
+          <span className={progressStep >= 1 ? 'text-blue-600' : 'text-gray-500'}>
             Create Account
           </span>
-          <span className={currentStep >= 2 ? 'text-blue-600' : 'text-gray-500'}>
+          <span className={progressStep >= 2 ? 'text-blue-600' : 'text-gray-500'}>
             Accept Terms
           </span>
-          <span className={currentStep >= 3 ? 'text-blue-600' : 'text-gray-500'}>
+          <span className={progressStep >= 3 ? 'text-blue-600' : 'text-gray-500'}>
             Activate
           </span>
-          <span className={currentStep >= 4 ? 'text-blue-600' : 'text-gray-500'}>
+          <span className={progressStep >= 4 ? 'text-blue-600' : 'text-gray-500'}>
             Complete
           </span>
         </div>
@@ -335,261 +178,7 @@ const ZoqqOnboarding = () => {
         {currentStep === 1 && (
           <div className="space-y-6">
             <h2 className="text-2xl font-semibold mb-4">Step 1: Account Information</h2>
-            
-            {/* Business Information */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Email Address *
-                </label>
-                <input
-                  type="email"
-                  value={userFormData.emailId}
-                  onChange={(e) => handleInputChange('emailId', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.emailId ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="user@example.com"
-                />
-                {errors.emailId && (
-                  <p className="text-red-500 text-sm mt-1">{errors.emailId}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Business Name *
-                </label>
-                <input
-                  type="text"
-                  value={userFormData.businessName}
-                  onChange={(e) => handleInputChange('businessName', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.businessName ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="STYLOPAY Pty Ltd"
-                />
-                {errors.businessName && (
-                  <p className="text-red-500 text-sm mt-1">{errors.businessName}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  First Name *
-                </label>
-                <input
-                  type="text"
-                  value={userFormData.firstName}
-                  onChange={(e) => handleInputChange('firstName', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.firstName ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="John"
-                />
-                {errors.firstName && (
-                  <p className="text-red-500 text-sm mt-1">{errors.firstName}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Last Name *
-                </label>
-                <input
-                  type="text"
-                  value={userFormData.lastName}
-                  onChange={(e) => handleInputChange('lastName', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.lastName ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="Doe"
-                />
-                {errors.lastName && (
-                  <p className="text-red-500 text-sm mt-1">{errors.lastName}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Mobile Number *
-                </label>
-                <input
-                  type="tel"
-                  value={userFormData.mobile}
-                  onChange={(e) => handleInputChange('mobile', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.mobile ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="912500678"
-                />
-                {errors.mobile && (
-                  <p className="text-red-500 text-sm mt-1">{errors.mobile}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Date of Birth *
-                </label>
-                <input
-                  type="date"
-                  value={userFormData.dateOfBirth}
-                  onChange={(e) => handleInputChange('dateOfBirth', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.dateOfBirth ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.dateOfBirth && (
-                  <p className="text-red-500 text-sm mt-1">{errors.dateOfBirth}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  ID Number *
-                </label>
-                <input
-                  type="text"
-                  value={userFormData.Idnumber}
-                  onChange={(e) => handleInputChange('Idnumber', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.Idnumber ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="X1234567"
-                />
-                {errors.Idnumber && (
-                  <p className="text-red-500 text-sm mt-1">{errors.Idnumber}</p>
-                )}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Business Registration Number *
-                </label>
-                <input
-                  type="text"
-                  value={userFormData.number}
-                  onChange={(e) => handleInputChange('number', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.number ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="1234567890"
-                />
-                {errors.number && (
-                  <p className="text-red-500 text-sm mt-1">{errors.number}</p>
-                )}
-              </div>
-            </div>
-
-            {/* Address Information */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Registration Address</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Address Line 1 *
-                  </label>
-                  <input
-                    type="text"
-                    value={userFormData.registrationAddressLine1}
-                    onChange={(e) => handleInputChange('registrationAddressLine1', e.target.value)}
-                    className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                      errors.registrationAddressLine1 ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="123 Market Street"
-                  />
-                  {errors.registrationAddressLine1 && (
-                    <p className="text-red-500 text-sm mt-1">{errors.registrationAddressLine1}</p>
-                  )}
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Postcode *
-                  </label>
-                  <input
-                    type="text"
-                    value={userFormData.registrationPostcode}
-                    onChange={(e) => handleInputChange('registrationPostcode', e.target.value)}
-                    className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                      errors.registrationPostcode ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="2000"
-                  />
-                  {errors.registrationPostcode && (
-                    <p className="text-red-500 text-sm mt-1">{errors.registrationPostcode}</p>
-                  )}
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    State *
-                  </label>
-                  <input
-                    type="text"
-                    value={userFormData.registrationState}
-                    onChange={(e) => handleInputChange('registrationState', e.target.value)}
-                    className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                      errors.registrationState ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="NSW"
-                  />
-                  {errors.registrationState && (
-                    <p className="text-red-500 text-sm mt-1">{errors.registrationState}</p>
-                  )}
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Suburb *
-                  </label>
-                  <input
-                    type="text"
-                    value={userFormData.registrationSuburb}
-                    onChange={(e) => handleInputChange('registrationSuburb', e.target.value)}
-                    className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
-                      errors.registrationSuburb ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="Sydney"
-                  />
-                  {errors.registrationSuburb && (
-                    <p className="text-red-500 text-sm mt-1">{errors.registrationSuburb}</p>
-                  )}
-                </div>
-              </div>
-            </div>
-
-            {/* Terms Checkbox */}
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                id="terms"
-                checked={userFormData.agreedToTermsAndConditions}
-                onChange={(e) => handleInputChange('agreedToTermsAndConditions', e.target.checked)}
-                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-              />
-              <label htmlFor="terms" className="ml-2 block text-sm text-gray-700">
-                I agree to the terms and conditions *
-              </label>
-            </div>
-            {errors.agreedToTermsAndConditions && (
-              <p className="text-red-500 text-sm">{errors.agreedToTermsAndConditions}</p>
-            )}
-
-            {errors.general && (
-              <div className="bg-red-50 border border-red-200 rounded-md p-4">
-                <p className="text-red-600">{errors.general}</p>
-              </div>
-            )}
-
-            <button
-              onClick={handleCreateUser}
-              disabled={isLoading}
-              className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? 'Creating Account...' : 'Create Zoqq Account'}
-            </button>
+            <OnboardingApplicationForm disabled={onboarding?.state === 'submitted'} />
           </div>
         )}
 
@@ -701,53 +290,63 @@ const ZoqqOnboarding = () => {
               Additional verification is required to complete your account activation.
             </p>
             
-            {rfiData && (
+            {openRequests.length > 0 && (
               <div className="bg-orange-50 border border-orange-200 rounded-md p-6">
                 <h3 className="font-medium text-orange-800 mb-4">Required Information:</h3>
-                
-                {rfiData.data?.active_request?.questions?.map((question, index) => (
-                  <div key={question.id || index} className="mb-6 last:mb-0">
-                    <h4 className="font-medium text-gray-900 mb-2">
-                      {question.title?.en || question.key}
-                    </h4>
-                    <p className="text-sm text-gray-600 mb-3">
-                      {question.description?.en || 'Please provide the requested information'}
-                    </p>
-                    
-                    {/* Simple RFI response form - can be expanded based on question type */}
-                    <button
-                      onClick={() => handleRFIResponse({
-                        id: question.id,
-                        type: 'ADDRESS',
-                        address_line1: '200 Collins Street',
-                        address_line2: '',
-                        country_code: 'AU',
-                        postcode: '3000',
-                        state: 'VIC',
-                        suburb: 'Melbourne'
-                      })}
-                      disabled={isLoading}
-                      className="bg-orange-600 text-white py-2 px-4 rounded-md hover:bg-orange-700 focus:ring-2 focus:ring-orange-500 disabled:opacity-50"
-                    >
-                      {isLoading ? 'Submitting...' : 'Submit Sample Response'}
-                    </button>
+
+                {openRequests.map((request) => (
+                  <div key={request.rfiId} className="mb-4 last:mb-0">
+                    <ul className="text-sm text-gray-700 space-y-1">
+                      {request.questions.filter((question) => !question.answered).map((question) => (
+                        <li key={question.id}>• {question.title || question.key}</li>
+                      ))}
+                    </ul>
+                    {request.dueAt && (
+                      <p className={`text-xs mt-2 ${request.overdue ? 'text-red-600' : 'text-gray-500'}`}>
+                        {request.overdue ? 'Overdue since ' : 'Due by '}
+                        {new Date(request.dueAt).toLocaleDateString()}
+                      </p>
+                    )}
                   </div>
                 ))}
               </div>
             )}
+
+            <Link
+              to="/user/rfis"
+              className="inline-block bg-orange-600 text-white py-2 px-4 rounded-md hover:bg-orange-700 focus:ring-2 focus:ring-orange-500"
+            >
+              Answer Information Requests
+            </Link>
+          </div>
+        )}
+
+        {/* Step 6: Rejected or Suspended */}
+        {currentStep === 6 && (
+          <div className="text-center space-y-6">
+            <h2 className="text-2xl font-semibold text-red-600">
+              {onboarding.state === 'rejected' ? 'Application Not Approved' : 'Account Suspended'}
+            </h2>
+            <p className="text-gray-600">{onboarding.description}</p>
+            <button
+              onClick={() => window.location.href = '/user/dashboard'}
+              className="bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500"
+            >
+              Go to Dashboard
+            </button>
           </div>
         )}
       </div>
 
       {/* Account Status Display */}
-      {userData && (
+      {onboarding && (
         <div className="mt-8 p-4 bg-gray-50 rounded-md">
           <h3 className="font-medium text-gray-900 mb-2">Current Status:</h3>
           <div className="text-sm text-gray-600">
-            <p><strong>Onboarding Step:</strong> {onboardingStatus.step} of {onboardingStatus.totalSteps}</p>
-            <p><strong>Status:</strong> {onboardingStatus.status}</p>
-            <p><strong>Next Action:</strong> {onboardingStatus.nextAction}</p>
-            <p><strong>Description:</strong> {onboardingStatus.description}</p>
+            <p><strong>Onboarding Step:</strong> {onboarding.step} of {onboarding.totalSteps}</p>
+            <p><strong>Status:</strong> {onboarding.state}</p>
+            <p><strong>Next Action:</strong> {onboarding.nextActions.map((action) => action.label).join(', ') || 'None'}</p>
+            <p><strong>Description:</strong> {onboarding.description}</p>
           </div>
         </div>
       )}
@@ -1,9 +1,14 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { Link, useLocation } from "react-router";
+import { useSelector } from "react-redux";
 import { useSidebar } from "../context/SidebarContext";
 import SidebarWidget from "./SidebarWidget";
+import { selectUser } from "../store/slices/authSlice";
+import { PERMISSIONS, hasPermissions } from "../lib/permissions";
 import {
   LayoutDashboard,
+  MailPlus,
+  ClipboardList,
   Users,
   Briefcase,
   UserCog,
@@ -39,6 +44,18 @@ const navItems = [
       { name: "Cognito Management", path: "/", pro: false },
     ],
   },
+  {
+    icon: <MailPlus size={18} />,
+    name: "Staff Invitations",
+    path: "/admin/invitations",
+    permission: PERMISSIONS.ADMINS_INVITE,
+  },
+  {
+    icon: <ClipboardList size={18} />,
+    name: "Onboarding Drafts",
+    path: "/admin/onboarding-drafts",
+    permission: PERMISSIONS.KYC_READ,
+  },
 ];
 
 const othersItems = [
@@ -56,6 +73,12 @@ const othersItems = [
 const AppSidebar = () => {
   const { isExpanded, isMobileOpen, isHovered, setIsHovered } = useSidebar();
   const location = useLocation();
+  const user = useSelector(selectUser);
+
+  // Items tied to a permission are hidden from staff who lack it
+  const visibleNavItems = navItems.filter(
+    (nav) => !nav.permission || hasPermissions(user, [nav.permission])
+  );
 
   const [openSubmenu, setOpenSubmenu] = useState(null);
   const [subMenuHeight, setSubMenuHeight] = useState({});
@@ -300,7 +323,7 @@ const AppSidebar = () => {
                   <MoreHorizontal className="size-6" />
                 )}
               </h2>
-              {renderMenuItems(navItems, "main")}
+              {renderMenuItems(visibleNavItems, "main")}
             </div>
             <div className="">
               <h2
@@ -0,0 +1,41 @@
+// Mirrors IBAN_LENGTHS and COUNTRY_SCHEMES in backend/src/config/beneficiaries.js
+const IBAN_COUNTRIES = [
+  "AD", "AE", "AT", "BE", "BG", "BH", "CH", "CY", "CZ", "DE", "DK", "EE", "ES", "FI", "FR", "GB", "GI", "GR", "HR", "HU",
+  "IE", "IL", "IS", "IT", "LI", "LT", "LU", "LV", "MC", "MT", "NL", "NO", "PL", "PT", "QA", "RO", "SA", "SE", "SI", "SK",
+  "SM", "TR",
+];
+
+const COUNTRY_SCHEMES = { GB: "sort_code", US: "aba" };
+
+// Bank details each scheme asks for, in form order
+export const SCHEME_FIELDS = Object.freeze({
+  iban: ["iban"],
+  sort_code: ["sortCode", "accountNumber"],
+  aba: ["routingNumber", "accountNumber"],
+  swift: ["swiftCode", "accountNumber"],
+});
+
+export const BANK_FIELD_LABELS = Object.freeze({
+  iban: "IBAN",
+  sortCode: "Sort code",
+  routingNumber: "ABA routing number",
+  swiftCode: "SWIFT/BIC",
+  accountNumber: "Account number",
+});
+
+// Countries offered for new payees: IBAN countries plus the other wallet currency markets
+export const PAYEE_COUNTRIES = Object.freeze([...IBAN_COUNTRIES, "AU", "CA", "CN", "HK", "IN", "JP", "SG", "US"].sort());
+
+/**
+ * Which bank details a payee in a country needs
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {string} iban, sort_code, aba or swift
+ */
+export const schemeFor = (country) => COUNTRY_SCHEMES[country] || (IBAN_COUNTRIES.includes(country) ? "iban" : "swift");
+
+const regionNames = new Intl.DisplayNames(undefined, { type: "region" });
+
+/**
+ * Country name in the browser's language, e.g. "Germany"
+ */
+export const countryName = (country) => regionNames.of(country) || country;
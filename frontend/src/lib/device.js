@@ -0,0 +1,39 @@
+const DEVICE_ID_KEY = "stylopay_device_id";
+
+/**
+ * Stable random identifier for this browser, used by the backend device registry.
+ * @returns {string} - Device identifier (UUID)
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+
+  return deviceId;
+}
+
+/**
+ * Describe the current device for login and signup requests.
+ * @returns {object} - Device identifier, browser, OS and user agent
+ */
+export function getDeviceInfo() {
+  const userAgent = navigator.userAgent;
+  const platform = navigator.platform;
+
+  let browser = "Unknown";
+  if (userAgent.includes("Edg/")) browser = "Edge";
+  else if (userAgent.includes("Chrome")) browser = "Chrome";
+  else if (userAgent.includes("Firefox")) browser = "Firefox";
+  else if (userAgent.includes("Safari")) browser = "Safari";
+
+  return {
+    deviceId: getDeviceId(),
+    browser,
+    os: platform,
+    userAgent: userAgent.substring(0, 200),
+    timestamp: new Date().toISOString(),
+  };
+}
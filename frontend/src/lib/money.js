@@ -0,0 +1,11 @@
+// Mirrors LEDGER_CURRENCIES in backend/src/config/ledger.js
+export const WALLET_CURRENCIES = Object.freeze(["USD", "EUR", "GBP", "SGD", "AUD", "HKD", "CAD", "CNY", "INR", "JPY"]);
+
+/**
+ * Show a decimal amount string ("1234.50") in the currency's format
+ * @param {string} amount - Decimal amount from the API's formatted fields
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Localized amount, e.g. "$1,234.50"
+ */
+export const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat(undefined, { style: "currency", currency }).format(Number(amount));
@@ -0,0 +1,32 @@
+// Mirrors backend/src/config/permissions.js
+export const PERMISSIONS = Object.freeze({
+  ADMIN_ACCESS: "admin:access",
+  USERS_READ: "users:read",
+  USERS_WRITE: "users:write",
+  USERS_SUSPEND: "users:suspend",
+  ROLES_ASSIGN: "roles:assign",
+  ADMINS_INVITE: "admins:invite",
+  KYC_READ: "kyc:read",
+  KYC_APPROVE: "kyc:approve",
+  TRANSACTIONS_READ: "transactions:read",
+  PAYOUTS_READ: "payouts:read",
+  PAYOUTS_RELEASE: "payouts:release",
+  LEDGER_ADJUST: "ledger:adjust",
+  ZOQQ_SYNC: "zoqq:sync",
+  AUDIT_READ: "audit:read",
+});
+
+/**
+ * Whether the user holds every required permission (taken from the access token).
+ * The backend enforces the same checks; this only decides what to render.
+ * @param {object|null} user - User from the auth slice
+ * @param {string[]} required - Permissions needed
+ * @returns {boolean} - True if all permissions are granted
+ */
+export function hasPermissions(user, required = []) {
+  const granted = user?.permissions || [];
+  return required.every((permission) => granted.includes(permission));
+}
+
+// Staff roles, lowest to highest privilege
+export const ADMIN_ROLES = ["support", "compliance", "finance", "admin", "superadmin"];
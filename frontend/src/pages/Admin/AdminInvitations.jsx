@@ -0,0 +1,247 @@
+/**
+ * Staff Invitations
+ * Invite staff with a role, and resend, revoke or audit pending invitations
+ */
+
+import { useState } from "react";
+import { ChevronDown, ChevronUp, MailPlus, RotateCw, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+
+import { ADMIN_ROLES } from "../../lib/permissions";
+import {
+  useGetInvitationsQuery,
+  useCreateInvitationMutation,
+  useResendInvitationMutation,
+  useRevokeInvitationMutation,
+} from "../../store/api/adminApi";
+
+const STATUS_FILTERS = ["all", "pending", "accepted", "revoked", "expired"];
+
+const EXPIRY_OPTIONS = [
+  { label: "24 hours", hours: 24 },
+  { label: "3 days", hours: 72 },
+  { label: "7 days", hours: 168 },
+  { label: "14 days", hours: 336 },
+];
+
+const STATUS_STYLES = {
+  pending: "bg-warning/10 text-warning",
+  accepted: "bg-success/10 text-success",
+  revoked: "bg-error/10 text-error",
+  expired: "bg-muted text-muted-foreground",
+};
+
+export default function AdminInvitations() {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("support");
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [statusFilter, setStatusFilter] = useState("pending");
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading } = useGetInvitationsQuery({
+    status: statusFilter === "all" ? undefined : statusFilter,
+  });
+  const [createInvitation, { isLoading: isCreating }] = useCreateInvitationMutation();
+  const [resendInvitation] = useResendInvitationMutation();
+  const [revokeInvitation] = useRevokeInvitationMutation();
+
+  const invitations = data?.invitations || [];
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await createInvitation({
+        email: email.toLowerCase().trim(),
+        role,
+        expiresInHours,
+      }).unwrap();
+      toast.success(result.message);
+      setEmail("");
+    } catch (error) {
+      console.error("[INVITATIONS] Create failed:", error);
+      toast.error(error.message || "Failed to send invitation");
+    }
+  };
+
+  const handleResend = async (invitation) => {
+    try {
+      const result = await resendInvitation(invitation.id).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      console.error("[INVITATIONS] Resend failed:", error);
+      toast.error(error.message || "Failed to resend invitation");
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    const reason = window.prompt(`Revoke the invitation for ${invitation.email}? Optionally give a reason:`);
+    if (reason === null) return;
+
+    try {
+      const result = await revokeInvitation({
+        invitationId: invitation.id,
+        reason: reason.trim() || undefined,
+      }).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      console.error("[INVITATIONS] Revoke failed:", error);
+      toast.error(error.message || "Failed to revoke invitation");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-foreground">Staff Invitations</h1>
+        <p className="text-sm text-muted-foreground">
+          Staff accounts can only be created by invitation. You can invite roles whose permissions you hold yourself.
+        </p>
+      </div>
+
+      <form onSubmit={handleCreate} className="p-4 bg-muted rounded-lg grid gap-4 md:grid-cols-4 md:items-end">
+        <div className="space-y-1 md:col-span-2">
+          <Label htmlFor="invite-email">Email</Label>
+          <Input
+            id="invite-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="name@stylopay.com"
+            required
+          />
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="invite-role">Role</Label>
+          <select
+            id="invite-role"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="w-full h-10 px-3 rounded-md border border-border bg-background text-foreground capitalize"
+          >
+            {ADMIN_ROLES.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="invite-expiry">Expires in</Label>
+          <select
+            id="invite-expiry"
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(Number(e.target.value))}
+            className="w-full h-10 px-3 rounded-md border border-border bg-background text-foreground"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.hours} value={option.hours}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="md:col-span-4">
+          <Button
+            type="submit"
+            leftIcon={<MailPlus className="w-4 h-4" />}
+            disabled={isCreating || !email}
+            isLoading={isCreating}
+          >
+            Send Invitation
+          </Button>
+        </div>
+      </form>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map((filter) => (
+          <Button
+            key={filter}
+            size="sm"
+            variant={statusFilter === filter ? "primary" : "outline"}
+            onClick={() => setStatusFilter(filter)}
+            className="capitalize"
+          >
+            {filter}
+          </Button>
+        ))}
+      </div>
+
+      {isLoading && <p className="text-sm text-muted-foreground">Loading invitations...</p>}
+
+      {!isLoading && invitations.length === 0 && (
+        <p className="text-sm text-muted-foreground">No invitations to show.</p>
+      )}
+
+      <div className="space-y-3">
+        {invitations.map((invitation) => (
+          <div key={invitation.id} className="p-4 bg-background rounded-lg border border-border">
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-foreground truncate">{invitation.email}</p>
+                <p className="text-xs text-muted-foreground">
+                  <span className="capitalize">{invitation.role}</span>
+                  {" · invited by "}
+                  {invitation.invitedBy?.email || "unknown"}
+                  {" · expires "}
+                  {new Date(invitation.expiresAt).toLocaleString()}
+                </p>
+              </div>
+
+              <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${STATUS_STYLES[invitation.status]}`}>
+                {invitation.status}
+              </span>
+
+              {(invitation.status === "pending" || invitation.status === "expired") && (
+                <>
+                  <Button size="sm" variant="ghost" title="Resend" onClick={() => handleResend(invitation)}>
+                    <RotateCw className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    title="Revoke"
+                    className="text-error hover:bg-error/10"
+                    onClick={() => handleRevoke(invitation)}
+                  >
+                    <XCircle className="w-4 h-4" />
+                  </Button>
+                </>
+              )}
+
+              <Button
+                size="sm"
+                variant="ghost"
+                title="History"
+                onClick={() => setExpandedId(expandedId === invitation.id ? null : invitation.id)}
+              >
+                {expandedId === invitation.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </Button>
+            </div>
+
+            {expandedId === invitation.id && (
+              <ul className="mt-3 border-t border-border pt-3 space-y-1">
+                {invitation.history.map((entry, index) => (
+                  <li key={index} className="text-xs text-muted-foreground">
+                    <span className="font-medium text-foreground capitalize">{entry.action}</span>
+                    {" · "}
+                    {new Date(entry.at).toLocaleString()}
+                    {entry.ip && ` · ${entry.ip}`}
+                    {entry.note && ` · ${entry.note}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * Onboarding Drafts
+ * Customer applications saved but not submitted, and where in the form they stopped
+ */
+
+import { useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+import { Button } from "../../components/ui/Button";
+
+import { useGetOnboardingDraftsQuery } from "../../store/api/adminApi";
+
+const PAGE_SIZE = 20;
+
+const AGE_FILTERS = [
+  { label: "Default", days: undefined },
+  { label: "1 day", days: 1 },
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+];
+
+export default function AdminOnboardingDrafts() {
+  const [olderThanDays, setOlderThanDays] = useState(undefined);
+  const [offset, setOffset] = useState(0);
+
+  const { data, isLoading, isFetching } = useGetOnboardingDraftsQuery({ olderThanDays, limit: PAGE_SIZE, offset });
+
+  const funnel = data?.funnel || [];
+  const drafts = data?.drafts || [];
+  const total = data?.pagination?.total || 0;
+  const stepLabels = Object.fromEntries(funnel.map((step) => [step.key, step.label]));
+  const largestStep = Math.max(1, ...funnel.map((step) => step.drafts));
+
+  const handleAgeFilter = (days) => {
+    setOlderThanDays(days);
+    setOffset(0);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-foreground">Onboarding Drafts</h1>
+        <p className="text-sm text-muted-foreground">
+          Applications untouched for {data?.abandonedAfterDays ?? "a few"} days or more. Application details stay
+          private; only progress is shown.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {AGE_FILTERS.map((filter) => (
+          <Button
+            key={filter.label}
+            size="sm"
+            variant={olderThanDays === filter.days ? "primary" : "outline"}
+            onClick={() => handleAgeFilter(filter.days)}
+          >
+            {filter.label}
+          </Button>
+        ))}
+      </div>
+
+      {isLoading && <p className="text-sm text-muted-foreground">Loading drafts...</p>}
+
+      {!isLoading && (
+        <div className="p-4 bg-muted rounded-lg space-y-2">
+          <h2 className="text-sm font-medium text-foreground">Where applications stopped</h2>
+          {funnel.map((step) => (
+            <div key={step.key} className="flex items-center gap-3 text-sm">
+              <span className="w-44 shrink-0 text-muted-foreground">{step.label}</span>
+              <div className="flex-1 h-2 rounded-full bg-background">
+                <div
+                  className="h-2 rounded-full bg-primary"
+                  style={{ width: `${(step.drafts / largestStep) * 100}%` }}
+                />
+              </div>
+              <span className="w-28 shrink-0 text-right text-foreground">
+                {step.drafts} {step.drafts > 0 && <span className="text-muted-foreground">({step.averageCompletion}%)</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!isLoading && drafts.length === 0 && (
+        <p className="text-sm text-muted-foreground">No abandoned applications.</p>
+      )}
+
+      <div className="space-y-3">
+        {drafts.map((draft) => (
+          <div key={draft._id} className="p-4 bg-background rounded-lg border border-border">
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-foreground truncate">
+                  {draft.userId ? `${draft.userId.firstName} ${draft.userId.lastName} · ${draft.userId.email}` : "Deleted user"}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {"Stopped at "}
+                  {stepLabels[draft.resumeStep] || draft.resumeStep}
+                  {" · last saved "}
+                  {new Date(draft.lastSavedAt).toLocaleString()}
+                  {` · ${draft.saveCount} saves`}
+                  {draft.invalidFieldCount > 0 && ` · ${draft.invalidFieldCount} invalid fields`}
+                </p>
+              </div>
+
+              <div className="w-32">
+                <div className="h-2 rounded-full bg-muted">
+                  <div className="h-2 rounded-full bg-primary" style={{ width: `${draft.completion}%` }} />
+                </div>
+                <p className="text-xs text-right text-muted-foreground mt-1">{draft.completion}% complete</p>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-muted-foreground">
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <div className="flex gap-2">
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={offset === 0 || isFetching}
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={offset + PAGE_SIZE >= total || isFetching}
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+            >
+              <ChevronRight className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,223 @@
-import React from "react";
+/**
+ * User Dashboard
+ * The customer's wallets with their available, ledger and pending balances, and
+ * the actions to open, freeze, unfreeze and close them
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { Lock, Plus, Send, Snowflake, Star, Wallet, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Label } from "../../components/ui/Label";
+import UserAccountSidebar from "../../components/user/UserAccountSidebar";
+
+import { WALLET_CURRENCIES, formatAmount } from "../../lib/money";
+import { useChangeWalletStatusMutation, useGetWalletsQuery, useOpenWalletMutation } from "../../store/api/walletApi";
+
+const STATUS_STYLES = {
+  active: "bg-green-100 text-green-800",
+  frozen: "bg-blue-100 text-blue-800",
+  closed: "bg-muted text-muted-foreground",
+};
+
+const CONFIRMATIONS = {
+  freeze: "Freeze this wallet? Money can still arrive, but nothing can be paid out until you unfreeze it.",
+  close: "Close this wallet? This cannot be undone.",
+};
+
+function WalletCard({ wallet }) {
+  const [changeWalletStatus, { isLoading }] = useChangeWalletStatusMutation();
+  const { balance } = wallet;
+  const hasPending = balance.pending.incoming > 0 || balance.pending.outgoing > 0;
+
+  const handleAction = async (action) => {
+    if (CONFIRMATIONS[action] && !confirm(CONFIRMATIONS[action])) return;
+
+    try {
+      const result = await changeWalletStatus({ walletId: wallet.id, action }).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <div className="w-10 h-10 rounded-full bg-primary/10 text-primary flex items-center justify-center shrink-0">
+            <Wallet className="w-5 h-5" />
+          </div>
+          <div className="min-w-0">
+            <h3 className="font-semibold text-foreground truncate">{wallet.name || `${wallet.currency} Wallet`}</h3>
+            <p className="text-xs text-muted-foreground flex items-center gap-1">
+              {wallet.currency}
+              {wallet.isPrimary && (
+                <>
+                  {" · "}
+                  <Star className="w-3 h-3" /> Primary
+                </>
+              )}
+            </p>
+          </div>
+        </div>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[wallet.status]}`}>
+          {wallet.status}
+        </span>
+      </div>
+
+      <div>
+        <p className="text-xs text-muted-foreground">Available</p>
+        <p className="text-2xl font-bold text-foreground">{formatAmount(balance.formatted.available, wallet.currency)}</p>
+        <p className="text-xs text-muted-foreground">
+          Ledger balance {formatAmount(balance.formatted.ledger, wallet.currency)}
+        </p>
+      </div>
+
+      {hasPending && (
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          <div className="p-2 rounded-lg bg-muted">
+            <p className="text-xs text-muted-foreground">Pending in</p>
+            <p className="font-medium text-foreground">
+              {formatAmount(balance.formatted.pendingIncoming, wallet.currency)}
+            </p>
+          </div>
+          <div className="p-2 rounded-lg bg-muted">
+            <p className="text-xs text-muted-foreground">Pending out</p>
+            <p className="font-medium text-foreground">
+              {formatAmount(balance.formatted.pendingOutgoing, wallet.currency)}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {wallet.status === "frozen" && (
+        <p className="flex items-center gap-2 text-xs text-blue-800">
+          <Lock className="w-3 h-3 shrink-0" />
+          Frozen: incoming money is credited, payments out are blocked.
+        </p>
+      )}
+
+      {wallet.status !== "closed" && (
+        <div className="flex flex-wrap gap-2">
+          {wallet.status === "active" ? (
+            <Button size="sm" variant="outline" disabled={isLoading} onClick={() => handleAction("freeze")}>
+              <Snowflake className="w-4 h-4" />
+              Freeze
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline" disabled={isLoading} onClick={() => handleAction("unfreeze")}>
+              <Snowflake className="w-4 h-4" />
+              Unfreeze
+            </Button>
+          )}
+          {!wallet.isPrimary && (
+            <Button size="sm" variant="ghost" disabled={isLoading} onClick={() => handleAction("close")}>
+              <XCircle className="w-4 h-4" />
+              Close
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OpenWalletForm({ heldCurrencies }) {
+  const available = WALLET_CURRENCIES.filter((currency) => !heldCurrencies.includes(currency));
+  const [currency, setCurrency] = useState("");
+  const [openWallet, { isLoading }] = useOpenWalletMutation();
+
+  const selected = available.includes(currency) ? currency : available[0];
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await openWallet({ currency: selected }).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (available.length === 0) return null;
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+      <div className="space-y-1">
+        <Label htmlFor="wallet-currency">Add a currency</Label>
+        <select
+          id="wallet-currency"
+          value={selected}
+          onChange={(e) => setCurrency(e.target.value)}
+          className="h-10 px-3 rounded-md border border-border bg-background text-foreground"
+        >
+          {available.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      </div>
+      <Button type="submit" isLoading={isLoading} disabled={isLoading}>
+        <Plus className="w-4 h-4" />
+        Open Wallet
+      </Button>
+    </form>
+  );
+}
 
 const UserDashboard = () => {
+  const { data: wallets = [], isLoading, isError } = useGetWalletsQuery();
+
   return (
-    <div>
-      <h1>User Dashboard</h1>
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <h1 className="text-3xl font-bold text-foreground">User Dashboard</h1>
+          <Link to="/user/send">
+            <Button>
+              <Send className="w-4 h-4" />
+              Send Money
+            </Button>
+          </Link>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          <div className="lg:col-span-1">
+            <UserAccountSidebar />
+          </div>
+
+          <div className="lg:col-span-3 space-y-6">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+              <h2 className="text-xl font-semibold text-foreground">Wallets</h2>
+              {!isLoading && !isError && <OpenWalletForm heldCurrencies={wallets.map((wallet) => wallet.currency)} />}
+            </div>
+
+            {isLoading && <p className="text-sm text-muted-foreground">Loading wallets...</p>}
+
+            {isError && <p className="text-sm text-red-600">Your wallets could not be loaded. Please try again.</p>}
+
+            {!isLoading && !isError && wallets.length === 0 && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 text-center">
+                <Wallet className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-sm text-muted-foreground">You have no wallets yet. Open one to get started.</p>
+              </div>
+            )}
+
+            {wallets.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {wallets.map((wallet) => (
+                  <WalletCard key={wallet.id} wallet={wallet} />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
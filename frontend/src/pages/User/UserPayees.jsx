@@ -0,0 +1,315 @@
+/**
+ * Payees
+ * Saved beneficiaries for payouts to bank accounts outside StyloPay. The bank details
+ * asked for follow the payee's country; new or re-pointed payees show their
+ * cooling-off period, during which large payments to them are held back
+ */
+
+import { useState } from "react";
+import { BookUser, Clock, Pencil, Plus, Star, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import UserAccountSidebar from "../../components/user/UserAccountSidebar";
+
+import { WALLET_CURRENCIES, formatAmount } from "../../lib/money";
+import { BANK_FIELD_LABELS, PAYEE_COUNTRIES, SCHEME_FIELDS, countryName, schemeFor } from "../../lib/bankDetails";
+import {
+  useAddBeneficiaryMutation,
+  useDeleteBeneficiaryMutation,
+  useGetBeneficiariesQuery,
+  useSetBeneficiaryPreferencesMutation,
+  useUpdateBeneficiaryMutation,
+} from "../../store/api/beneficiaryApi";
+
+const SELECT_CLASS = "w-full h-10 px-3 rounded-md border border-border bg-background text-foreground";
+
+const BANK_FIELD_PLACEHOLDERS = {
+  iban: "DE89 3704 0044 0532 0130 00",
+  sortCode: "12-34-56",
+  routingNumber: "9 digits",
+  swiftCode: "8 or 11 characters",
+  accountNumber: "",
+};
+
+const EMPTY_PAYEE = {
+  accountHolderName: "",
+  nickname: "",
+  entityType: "individual",
+  country: "GB",
+  currency: "GBP",
+  bankDetails: {},
+};
+
+const toForm = (payee) => ({
+  accountHolderName: payee.accountHolderName,
+  nickname: payee.nickname || "",
+  entityType: payee.entityType,
+  country: payee.country,
+  currency: payee.currency,
+  bankDetails: Object.fromEntries(Object.entries(payee.bankDetails).filter(([key, value]) => key !== "scheme" && value)),
+});
+
+function PayeeForm({ payee, onDone }) {
+  const [form, setForm] = useState(payee ? toForm(payee) : EMPTY_PAYEE);
+  const [error, setError] = useState(null);
+  const [addBeneficiary, { isLoading: isAdding }] = useAddBeneficiaryMutation();
+  const [updateBeneficiary, { isLoading: isUpdating }] = useUpdateBeneficiaryMutation();
+  const isLoading = isAdding || isUpdating;
+
+  const scheme = schemeFor(form.country);
+  // SWIFT/BIC is optional wherever the scheme does not require it
+  const bankFields = [...SCHEME_FIELDS[scheme], ...(scheme === "swift" ? [] : ["swiftCode"])];
+
+  const update = (key) => (event) => setForm((current) => ({ ...current, [key]: event.target.value }));
+  const updateBank = (key) => (event) =>
+    setForm((current) => ({ ...current, bankDetails: { ...current.bankDetails, [key]: event.target.value } }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    const bankDetails = Object.fromEntries(
+      [...bankFields, "bankName"].filter((key) => form.bankDetails[key]?.trim()).map((key) => [key, form.bankDetails[key].trim()])
+    );
+    const body = { ...form, bankDetails };
+
+    try {
+      const result = payee
+        ? await updateBeneficiary({ id: payee.id, ...body }).unwrap()
+        : await addBeneficiary(body).unwrap();
+      toast.success(result.message);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-5">
+      <h2 className="text-xl font-semibold text-foreground">{payee ? "Edit payee" : "Add a payee"}</h2>
+
+      {error && <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 text-sm">{error}</div>}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="payee-holder">Account holder name</Label>
+          <Input id="payee-holder" value={form.accountHolderName} onChange={update("accountHolderName")} maxLength={100} required />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="payee-nickname">Nickname (optional)</Label>
+          <Input id="payee-nickname" value={form.nickname} onChange={update("nickname")} placeholder="e.g. Landlord" maxLength={50} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="payee-entity">Payee type</Label>
+          <select id="payee-entity" value={form.entityType} onChange={update("entityType")} className={SELECT_CLASS}>
+            <option value="individual">Individual</option>
+            <option value="company">Company</option>
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="payee-country">Bank country</Label>
+          <select id="payee-country" value={form.country} onChange={update("country")} className={SELECT_CLASS}>
+            {PAYEE_COUNTRIES.map((country) => (
+              <option key={country} value={country}>
+                {countryName(country)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="payee-currency">Paid in</Label>
+          <select id="payee-currency" value={form.currency} onChange={update("currency")} className={SELECT_CLASS}>
+            {WALLET_CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+        {bankFields.map((field) => (
+          <div key={field} className="space-y-1">
+            <Label htmlFor={`payee-${field}`}>
+              {BANK_FIELD_LABELS[field]}
+              {!SCHEME_FIELDS[scheme].includes(field) && " (optional)"}
+            </Label>
+            <Input
+              id={`payee-${field}`}
+              value={form.bankDetails[field] || ""}
+              onChange={updateBank(field)}
+              placeholder={BANK_FIELD_PLACEHOLDERS[field]}
+              maxLength={42}
+              required={SCHEME_FIELDS[scheme].includes(field)}
+            />
+          </div>
+        ))}
+        <div className="space-y-1">
+          <Label htmlFor="payee-bank">Bank name (optional)</Label>
+          <Input id="payee-bank" value={form.bankDetails.bankName || ""} onChange={updateBank("bankName")} maxLength={100} />
+        </div>
+      </div>
+
+      {payee && (
+        <p className="text-xs text-muted-foreground">
+          Changing the account holder or bank account starts a new cooling-off period for large payments.
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <Button type="button" variant="outline" onClick={onDone} disabled={isLoading}>
+          Cancel
+        </Button>
+        <Button type="submit" isLoading={isLoading} disabled={isLoading}>
+          {payee ? "Save Changes" : "Add Payee"}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+function PayeeCard({ payee, onEdit }) {
+  const [setPreferences, { isLoading: isSaving }] = useSetBeneficiaryPreferencesMutation();
+  const [deleteBeneficiary, { isLoading: isDeleting }] = useDeleteBeneficiaryMutation();
+
+  const toggleFavourite = async () => {
+    try {
+      await setPreferences({ id: payee.id, isFavourite: !payee.isFavourite }).unwrap();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the payee ${payee.nickname || payee.accountHolderName}?`)) return;
+
+    try {
+      const result = await deleteBeneficiary(payee.id).unwrap();
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-2xl shadow-lg border border-border p-4 space-y-3">
+      <div className="flex items-start gap-3">
+        <button
+          type="button"
+          onClick={toggleFavourite}
+          disabled={isSaving}
+          aria-label={payee.isFavourite ? "Remove from favourites" : "Add to favourites"}
+          className="mt-0.5 text-muted-foreground hover:text-yellow-500 disabled:opacity-50"
+        >
+          <Star className={`w-5 h-5 ${payee.isFavourite ? "fill-yellow-400 text-yellow-500" : ""}`} />
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <h3 className="font-semibold text-foreground truncate">{payee.nickname || payee.accountHolderName}</h3>
+          {payee.nickname && <p className="text-sm text-muted-foreground truncate">{payee.accountHolderName}</p>}
+          <p className="text-xs text-muted-foreground">
+            {countryName(payee.country)} · {payee.currency} · {payee.maskedAccount}
+            {payee.bankDetails.bankName && ` · ${payee.bankDetails.bankName}`}
+          </p>
+        </div>
+
+        <div className="flex gap-1">
+          <Button variant="ghost" size="sm" onClick={onEdit} aria-label="Edit payee">
+            <Pencil className="w-4 h-4" />
+          </Button>
+          <Button variant="ghost" size="sm" onClick={handleDelete} disabled={isDeleting} aria-label="Delete payee">
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      {payee.coolingOff.active && (
+        <p className="flex items-center gap-2 text-xs text-orange-800 bg-orange-100 rounded-md px-3 py-2">
+          <Clock className="w-4 h-4 shrink-0" />
+          New payee: payments of {formatAmount(payee.coolingOff.largeAmount, payee.currency)} or more are possible from{" "}
+          {new Date(payee.coolingOff.until).toLocaleString()}.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function UserPayees() {
+  const [search, setSearch] = useState("");
+  // null: list only; "new": adding; otherwise the payee being edited
+  const [editing, setEditing] = useState(null);
+
+  const { data: allPayees = [], isLoading, isError } = useGetBeneficiariesQuery();
+
+  const term = search.trim().toLowerCase();
+  const payees = term
+    ? allPayees.filter((payee) => [payee.nickname, payee.accountHolderName].some((name) => name?.toLowerCase().includes(term)))
+    : allPayees;
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-foreground mb-2">Payees</h1>
+          <p className="text-muted-foreground">Bank accounts you pay out to, saved for next time.</p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Sidebar */}
+          <div className="lg:col-span-1">
+            <UserAccountSidebar />
+          </div>
+
+          {/* Main Content */}
+          <div className="lg:col-span-3 space-y-6">
+            {editing ? (
+              <PayeeForm
+                key={editing === "new" ? "new" : editing.id}
+                payee={editing === "new" ? null : editing}
+                onDone={() => setEditing(null)}
+              />
+            ) : (
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <Input
+                  aria-label="Search payees"
+                  value={search}
+                  onChange={(event) => setSearch(event.target.value)}
+                  placeholder="Search by name or nickname"
+                  maxLength={100}
+                  className="max-w-xs"
+                />
+                <Button onClick={() => setEditing("new")}>
+                  <Plus className="w-4 h-4" />
+                  Add Payee
+                </Button>
+              </div>
+            )}
+
+            {isLoading && <p className="text-sm text-muted-foreground">Loading payees...</p>}
+
+            {isError && <p className="text-sm text-red-600">Your payees could not be loaded. Please try again.</p>}
+
+            {!isLoading && !isError && payees.length === 0 && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 text-center">
+                <BookUser className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-sm text-muted-foreground">
+                  {term ? "No payees match your search." : "You have no saved payees yet."}
+                </p>
+              </div>
+            )}
+
+            {payees.length > 0 && (
+              <div className="space-y-3">
+                {payees.map((payee) => (
+                  <PayeeCard key={payee.id} payee={payee} onEdit={() => setEditing(payee)} />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
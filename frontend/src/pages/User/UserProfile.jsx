@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import { useForm } from "react-hook-form";
 import {
@@ -38,8 +38,12 @@ import {
 import {
   useGetUserProfileQuery,
   useUpdateUserProfileMutation,
+  useUploadProfilePictureMutation,
 } from "../../store/api/userApi";
 
+// Uploaded files are served by the backend host, not under /api
+const ASSET_BASE_URL = (import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api").replace(/\/api\/?$/, "");
+
 export default function UserProfile() {
   const dispatch = useDispatch();
   const [isEditing, setIsEditing] = useState(false);
@@ -60,6 +64,9 @@ export default function UserProfile() {
 
   const [updateProfile, { isLoading: isUpdating }] =
     useUpdateUserProfileMutation();
+  const [uploadProfilePicture, { isLoading: isUploadingPicture }] =
+    useUploadProfilePictureMutation();
+  const pictureInputRef = useRef(null);
 
   // Form handling
   const {
@@ -95,7 +102,11 @@ export default function UserProfile() {
     try {
       console.log("[USER PROFILE] Updating profile:", data);
 
-      const result = await updateProfile(data).unwrap();
+      // Email is read-only on this form
+      const profileUpdate = { ...data };
+      delete profileUpdate.email;
+
+      const result = await updateProfile(profileUpdate).unwrap();
 
       // Update Redux state
       dispatch(updateUserProfile(result.user));
@@ -109,6 +120,24 @@ export default function UserProfile() {
     }
   };
 
+  // Handle profile picture selection
+  const handlePictureChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("profilePicture", file);
+
+    try {
+      await uploadProfilePicture(formData).unwrap();
+      toast.success("Profile picture updated!");
+    } catch (error) {
+      console.error("[USER PROFILE] Picture upload failed:", error);
+      toast.error(error.message || "Failed to upload picture");
+    }
+  };
+
   // Handle cancel edit
   const handleCancelEdit = () => {
     setIsEditing(false);
@@ -170,11 +199,32 @@ export default function UserProfile() {
               {/* Avatar Section */}
               <div className="text-center mb-6">
                 <div className="relative inline-block">
-                  <div className="w-24 h-24 rounded-full bg-gradient-to-br from-primary to-primary-hover flex items-center justify-center text-primary-foreground text-2xl font-bold shadow-lg">
-                    {initials}
-                  </div>
-                  <button className="absolute bottom-0 right-0 w-8 h-8 bg-primary rounded-full flex items-center justify-center text-primary-foreground shadow-md hover:bg-primary-hover transition-colors">
-                    <Camera className="w-4 h-4" />
+                  {profileData?.profilePicture ? (
+                    <img
+                      src={`${ASSET_BASE_URL}${profileData.profilePicture}`}
+                      alt={displayName}
+                      className="w-24 h-24 rounded-full object-cover shadow-lg"
+                    />
+                  ) : (
+                    <div className="w-24 h-24 rounded-full bg-gradient-to-br from-primary to-primary-hover flex items-center justify-center text-primary-foreground text-2xl font-bold shadow-lg">
+                      {initials}
+                    </div>
+                  )}
+                  <input
+                    ref={pictureInputRef}
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp"
+                    className="hidden"
+                    onChange={handlePictureChange}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => pictureInputRef.current?.click()}
+                    disabled={isUploadingPicture}
+                    title="Change profile picture"
+                    className="absolute bottom-0 right-0 w-8 h-8 bg-primary rounded-full flex items-center justify-center text-primary-foreground shadow-md hover:bg-primary-hover transition-colors disabled:opacity-50"
+                  >
+                    <Camera className={`w-4 h-4 ${isUploadingPicture ? "animate-pulse" : ""}`} />
                   </button>
                 </div>
                 <h2 className="text-xl font-semibold text-foreground mt-4">
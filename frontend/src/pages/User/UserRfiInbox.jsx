@@ -0,0 +1,333 @@
+/**
+ * RFI Inbox
+ * Requests for information Zoqq compliance raised for the customer: answer any of
+ * the open questions in one submission and review what was sent before
+ */
+
+import { useState } from "react";
+import { AlertTriangle, CheckCircle2, Clock, FileQuestion, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import KycDocumentDropzone from "../../components/user/KycDocumentDropzone";
+import UserAccountSidebar from "../../components/user/UserAccountSidebar";
+
+import { useGetRfisQuery, useGetRfiQuery, useSubmitRfiResponseMutation } from "../../store/api/zoqqApi";
+
+const STATUS_FILTERS = [
+  { label: "Open", status: "open" },
+  { label: "Answered", status: "answered" },
+  { label: "All", status: undefined },
+];
+
+const ADDRESS_FIELDS = [
+  { name: "address_line1", label: "Address line 1", required: true },
+  { name: "address_line2", label: "Address line 2" },
+  { name: "suburb", label: "Suburb / City", required: true },
+  { name: "state", label: "State", required: true },
+  { name: "postcode", label: "Postcode", required: true },
+  { name: "country_code", label: "Country code (e.g. SG)", required: true },
+];
+
+const STATUS_STYLES = {
+  open: "bg-orange-100 text-orange-800",
+  answered: "bg-green-100 text-green-800",
+  closed: "bg-muted text-muted-foreground",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+/**
+ * Zoqq answers for the questions the customer filled in
+ */
+const buildAnswers = (questions, drafts) =>
+  questions.flatMap((question) => {
+    const draft = drafts[question.id] || {};
+
+    if (question.type === "ADDRESS") {
+      const fields = Object.fromEntries(
+        ADDRESS_FIELDS.map((field) => [field.name, draft[field.name]?.trim()]).filter(([, value]) => value)
+      );
+      if (Object.keys(fields).length === 0) return [];
+      if (fields.country_code) fields.country_code = fields.country_code.toUpperCase();
+      return [{ id: question.id, type: question.type, ...fields }];
+    }
+
+    if (question.type === "TEXT") {
+      return draft.text?.trim() ? [{ id: question.id, type: question.type, text: draft.text.trim() }] : [];
+    }
+
+    return draft.document?.status === "forwarded"
+      ? [{ id: question.id, type: question.type, documentIds: [draft.document.id] }]
+      : [];
+  });
+
+function RfiAnswerForm({ request }) {
+  const [drafts, setDrafts] = useState({});
+  const [questionErrors, setQuestionErrors] = useState({});
+  const [submitRfiResponse, { isLoading }] = useSubmitRfiResponseMutation();
+
+  const openQuestions = request.questions.filter((question) => !question.answered);
+  const answers = buildAnswers(openQuestions, drafts);
+
+  const updateDraft = (questionId, changes) => {
+    setDrafts((current) => ({ ...current, [questionId]: { ...current[questionId], ...changes } }));
+    setQuestionErrors((current) => ({ ...current, [questionId]: undefined }));
+  };
+
+  const failedAnswers = (results = []) =>
+    Object.fromEntries(
+      results.filter((result) => result.status === "failed").map((result) => [result.questionId, result.error.message])
+    );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (answers.length === 0) return;
+
+    try {
+      const result = await submitRfiResponse({ rfiId: request.rfiId, answers }).unwrap();
+      setQuestionErrors(failedAnswers(result.data.results));
+      if (result.code === "RFI_RESPONSE_PARTIAL") {
+        toast.error(result.message);
+      } else {
+        toast.success(result.message);
+      }
+    } catch (error) {
+      // The API slice already shows the error
+      setQuestionErrors(error.data?.errors || failedAnswers(error.data?.results));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {openQuestions.map((question) => {
+        const draft = drafts[question.id] || {};
+
+        return (
+          <div key={question.id} className="p-4 bg-background rounded-lg border border-border space-y-3">
+            <div>
+              <h4 className="font-medium text-foreground">{question.title || question.key}</h4>
+              {question.description && <p className="text-sm text-muted-foreground">{question.description}</p>}
+            </div>
+
+            {question.type === "ADDRESS" && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {ADDRESS_FIELDS.map((field) => (
+                  <div key={field.name} className={field.name.startsWith("address_line") ? "sm:col-span-2" : undefined}>
+                    <Label htmlFor={`${question.id}-${field.name}`}>
+                      {field.label}
+                      {field.required && " *"}
+                    </Label>
+                    <Input
+                      id={`${question.id}-${field.name}`}
+                      value={draft[field.name] || ""}
+                      onChange={(event) => updateDraft(question.id, { [field.name]: event.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {question.type === "TEXT" && (
+              <textarea
+                rows={4}
+                maxLength={2000}
+                value={draft.text || ""}
+                onChange={(event) => updateDraft(question.id, { text: event.target.value })}
+                className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                placeholder="Your answer"
+              />
+            )}
+
+            {question.type === "DOCUMENT" && (
+              <KycDocumentDropzone
+                purpose="rfi_document"
+                label="Supporting document"
+                hint="PDF, JPEG or PNG, up to 10 MB"
+                accept="application/pdf,image/jpeg,image/png"
+                uploadedDocument={draft.document}
+                onUploaded={(document) => updateDraft(question.id, { document })}
+                onRemoved={() => updateDraft(question.id, { document: undefined })}
+              />
+            )}
+
+            {questionErrors[question.id] && <p className="text-red-500 text-sm">{questionErrors[question.id]}</p>}
+          </div>
+        );
+      })}
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-muted-foreground">
+          {answers.length} of {openQuestions.length} questions answered
+        </p>
+        <Button type="submit" isLoading={isLoading} disabled={answers.length === 0 || isLoading}>
+          Send {answers.length === 1 ? "Answer" : "Answers"}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+function RfiResponseHistory({ rfiId }) {
+  const { data, isLoading } = useGetRfiQuery(rfiId);
+  const request = data?.data;
+
+  if (isLoading) return <p className="text-sm text-muted-foreground">Loading history...</p>;
+  if (!request?.responses?.length) return <p className="text-sm text-muted-foreground">Nothing sent yet.</p>;
+
+  const titles = Object.fromEntries(request.questions.map((question) => [question.id, question.title || question.key]));
+
+  return (
+    <div className="space-y-3">
+      {request.responses.map((response) => (
+        <div key={response.id} className="p-3 bg-muted rounded-lg">
+          <p className="text-xs text-muted-foreground mb-2">Sent {new Date(response.submittedAt).toLocaleString()}</p>
+          <ul className="space-y-1 text-sm">
+            {response.answers.map((answer) => (
+              <li key={answer.questionId} className="flex items-start gap-2">
+                {answer.status === "accepted" ? (
+                  <CheckCircle2 className="w-4 h-4 mt-0.5 shrink-0 text-green-600" />
+                ) : (
+                  <XCircle className="w-4 h-4 mt-0.5 shrink-0 text-red-600" />
+                )}
+                <span className="text-foreground">
+                  {titles[answer.questionId] || answer.questionId}
+                  {answer.attachments.length > 0 &&
+                    ` · ${answer.attachments.map((attachment) => attachment.originalName || "file").join(", ")}`}
+                  {answer.error && <span className="block text-xs text-red-600">{answer.error.message}</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function UserRfiInbox() {
+  const [status, setStatus] = useState("open");
+  const [selectedRfiId, setSelectedRfiId] = useState(null);
+
+  const { data, isLoading } = useGetRfisQuery({ status });
+
+  const requests = data?.data?.requests || [];
+  const selected = requests.find((request) => request.rfiId === selectedRfiId) || requests[0];
+
+  const handleStatusFilter = (value) => {
+    setStatus(value);
+    setSelectedRfiId(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-foreground mb-2">Information Requests</h1>
+          <p className="text-muted-foreground">
+            Questions from our compliance team. Answer them before the due date to keep your account review moving.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Sidebar */}
+          <div className="lg:col-span-1">
+            <UserAccountSidebar />
+          </div>
+
+          {/* Main Content */}
+          <div className="lg:col-span-3 space-y-6">
+            <div className="flex flex-wrap gap-2">
+              {STATUS_FILTERS.map((filter) => (
+                <Button
+                  key={filter.label}
+                  size="sm"
+                  variant={status === filter.status ? "primary" : "outline"}
+                  onClick={() => handleStatusFilter(filter.status)}
+                >
+                  {filter.label}
+                </Button>
+              ))}
+            </div>
+
+            {data?.data?.stale && (
+              <div className="flex items-center gap-2 p-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                Zoqq could not be reached, so this list may be out of date.
+              </div>
+            )}
+
+            {isLoading && <p className="text-sm text-muted-foreground">Loading requests...</p>}
+
+            {!isLoading && requests.length === 0 && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 text-center">
+                <FileQuestion className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-sm text-muted-foreground">
+                  {status === "open" ? "No information requests need your attention." : "No information requests."}
+                </p>
+              </div>
+            )}
+
+            {requests.length > 0 && (
+              <div className="space-y-2">
+                {requests.map((request) => (
+                  <button
+                    key={request.rfiId}
+                    type="button"
+                    onClick={() => setSelectedRfiId(request.rfiId)}
+                    className={`w-full flex flex-wrap items-center gap-3 p-4 rounded-lg border text-left transition-colors ${
+                      selected?.rfiId === request.rfiId ? "border-primary bg-card" : "border-border bg-background hover:bg-muted"
+                    }`}
+                  >
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm font-medium text-foreground">
+                        {request.questions.length} question{request.questions.length === 1 ? "" : "s"}
+                        {request.openQuestions > 0 && ` · ${request.openQuestions} to answer`}
+                      </span>
+                      <span className="block text-xs text-muted-foreground">Raised {formatDate(request.raisedAt)}</span>
+                    </span>
+                    {request.status === "open" && request.dueAt && (
+                      <span
+                        className={`flex items-center gap-1 text-xs ${
+                          request.overdue ? "text-red-600 font-medium" : "text-muted-foreground"
+                        }`}
+                      >
+                        <Clock className="w-3 h-3" />
+                        {request.overdue ? "Overdue since" : "Due"} {formatDate(request.dueAt)}
+                      </span>
+                    )}
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {selected && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-6">
+                {selected.status === "open" ? (
+                  <RfiAnswerForm key={selected.rfiId} request={selected} />
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    {selected.status === "answered"
+                      ? `All questions answered on ${formatDate(selected.answeredAt)}.`
+                      : "This request was closed by Zoqq."}
+                  </p>
+                )}
+
+                <div>
+                  <h3 className="text-lg font-semibold text-foreground mb-3">Response History</h3>
+                  <RfiResponseHistory rfiId={selected.rfiId} />
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
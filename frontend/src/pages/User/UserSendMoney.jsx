@@ -0,0 +1,316 @@
+/**
+ * Send Money
+ * Pay another StyloPay customer by email or account number. The details are checked
+ * on a confirmation screen (recipient name, fee, balance after) before anything moves
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, CheckCircle2, Send, XCircle } from "lucide-react";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import UserAccountSidebar from "../../components/user/UserAccountSidebar";
+
+import { formatAmount } from "../../lib/money";
+import { useGetWalletsQuery } from "../../store/api/walletApi";
+import { usePreviewTransferMutation, useSendTransferMutation } from "../../store/api/transferApi";
+
+const RECIPIENT_TYPES = [
+  { value: "email", label: "Email" },
+  { value: "accountNumber", label: "Account number" },
+];
+
+const NOTE_MAX_LENGTH = 140;
+
+const EMPTY_FORM = { recipientType: "email", recipient: "", amount: "", currency: "", note: "" };
+
+// Request body shared by the preview and the send, so a retried send keeps its idempotency key
+const toTransfer = (form, currency) => ({
+  recipient: { [form.recipientType]: form.recipient.trim() },
+  amount: form.amount.trim(),
+  currency,
+  ...(form.note.trim() && { note: form.note.trim() }),
+});
+
+function TransferForm({ form, setForm, wallets, currency, onSubmit, isLoading }) {
+  const update = (key) => (event) => setForm((current) => ({ ...current, [key]: event.target.value }));
+  const wallet = wallets.find((item) => item.currency === currency);
+
+  return (
+    <form onSubmit={onSubmit} className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-5">
+      <div className="space-y-2">
+        <Label>Send to</Label>
+        <div className="flex gap-2">
+          {RECIPIENT_TYPES.map((type) => (
+            <Button
+              key={type.value}
+              type="button"
+              size="sm"
+              variant={form.recipientType === type.value ? "primary" : "outline"}
+              onClick={() => setForm((current) => ({ ...current, recipientType: type.value, recipient: "" }))}
+            >
+              {type.label}
+            </Button>
+          ))}
+        </div>
+        {form.recipientType === "email" ? (
+          <Input
+            id="transfer-recipient"
+            type="email"
+            value={form.recipient}
+            onChange={update("recipient")}
+            placeholder="name@example.com"
+            required
+          />
+        ) : (
+          <Input
+            id="transfer-recipient"
+            value={form.recipient}
+            onChange={update("recipient")}
+            placeholder="10-digit account number"
+            inputMode="numeric"
+            pattern="\d{10}"
+            maxLength={10}
+            required
+          />
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div className="space-y-1 sm:col-span-2">
+          <Label htmlFor="transfer-amount">Amount</Label>
+          <Input
+            id="transfer-amount"
+            value={form.amount}
+            onChange={update("amount")}
+            placeholder="0.00"
+            inputMode="decimal"
+            pattern="\d+(\.\d+)?"
+            required
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="transfer-currency">From wallet</Label>
+          <select
+            id="transfer-currency"
+            value={currency}
+            onChange={update("currency")}
+            className="w-full h-10 px-3 rounded-md border border-border bg-background text-foreground"
+          >
+            {wallets.map((item) => (
+              <option key={item.id} value={item.currency}>
+                {item.currency}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {wallet && (
+        <p className="text-xs text-muted-foreground">
+          Available: {formatAmount(wallet.balance.formatted.available, wallet.currency)}
+        </p>
+      )}
+
+      <div className="space-y-1">
+        <Label htmlFor="transfer-note">Note (optional)</Label>
+        <Input
+          id="transfer-note"
+          value={form.note}
+          onChange={update("note")}
+          placeholder="What's it for?"
+          maxLength={NOTE_MAX_LENGTH}
+        />
+      </div>
+
+      <Button type="submit" isLoading={isLoading} disabled={isLoading}>
+        Review Transfer
+      </Button>
+    </form>
+  );
+}
+
+function TransferConfirmation({ preview, note, onConfirm, onBack, isLoading }) {
+  const { currency, formatted } = preview;
+  const rows = [
+    ["To", preview.recipient.name],
+    ["Amount", formatAmount(formatted.amount, currency)],
+    ["Fee", formatAmount(formatted.fee, currency)],
+    ["Available after", formatAmount(formatted.availableAfter, currency)],
+    ["Left to send today", formatAmount(formatted.remainingToday, currency)],
+    ...(note ? [["Note", note]] : []),
+  ];
+
+  return (
+    <div className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-5">
+      <div>
+        <h2 className="text-xl font-semibold text-foreground">Confirm transfer</h2>
+        <p className="text-sm text-muted-foreground">Check the details. Transfers cannot be cancelled once sent.</p>
+      </div>
+
+      <dl className="divide-y divide-border">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-4 py-2 text-sm">
+            <dt className="text-muted-foreground">{label}</dt>
+            <dd className="font-medium text-foreground text-right break-words">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="flex flex-wrap gap-3">
+        <Button variant="outline" onClick={onBack} disabled={isLoading}>
+          <ArrowLeft className="w-4 h-4" />
+          Back
+        </Button>
+        <Button onClick={onConfirm} isLoading={isLoading} disabled={isLoading}>
+          <Send className="w-4 h-4" />
+          Send {formatAmount(formatted.amount, currency)}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function TransferResult({ result, onReset, onRetry }) {
+  const { transfer, error } = result;
+
+  return (
+    <div className="bg-card rounded-2xl shadow-lg border border-border p-6 space-y-4 text-center">
+      {transfer ? (
+        <>
+          <CheckCircle2 className="w-12 h-12 mx-auto text-green-600" />
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Money sent</h2>
+            <p className="text-sm text-muted-foreground">
+              {formatAmount(transfer.formattedAmount, transfer.currency)} is now with {transfer.counterparty.name}.
+            </p>
+          </div>
+        </>
+      ) : (
+        <>
+          <XCircle className="w-12 h-12 mx-auto text-red-600" />
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Transfer failed</h2>
+            <p className="text-sm text-muted-foreground">{error}</p>
+            <p className="text-sm text-muted-foreground">No money has left your wallet.</p>
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-3">
+        {transfer ? (
+          <Link to="/transactions">
+            <Button variant="outline">View Transactions</Button>
+          </Link>
+        ) : (
+          <Button variant="outline" onClick={onRetry}>
+            Edit Details
+          </Button>
+        )}
+        <Button onClick={onReset}>Send Another</Button>
+      </div>
+    </div>
+  );
+}
+
+export default function UserSendMoney() {
+  const { data: wallets = [], isLoading: walletsLoading, isError: walletsError } = useGetWalletsQuery();
+  const [previewTransfer, { isLoading: isPreviewing }] = usePreviewTransferMutation();
+  const [sendTransfer, { isLoading: isSending }] = useSendTransferMutation();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  // Frozen wallets cannot pay out
+  const sendable = wallets.filter((wallet) => wallet.status === "active");
+  const currency = form.currency || sendable.find((wallet) => wallet.isPrimary)?.currency || sendable[0]?.currency || "";
+
+  const handleReview = async (event) => {
+    event.preventDefault();
+    setFormError(null);
+
+    try {
+      setPreview(await previewTransfer(toTransfer(form, currency)).unwrap());
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      setResult({ transfer: await sendTransfer(toTransfer(form, currency)).unwrap() });
+    } catch (error) {
+      setResult({ error: error.message });
+    }
+    setPreview(null);
+  };
+
+  const reset = () => {
+    setForm(EMPTY_FORM);
+    setResult(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-foreground mb-2">Send Money</h1>
+          <p className="text-muted-foreground">Pay another StyloPay customer instantly, free of charge.</p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Sidebar */}
+          <div className="lg:col-span-1">
+            <UserAccountSidebar />
+          </div>
+
+          {/* Main Content */}
+          <div className="lg:col-span-3 space-y-6">
+            {walletsLoading && <p className="text-sm text-muted-foreground">Loading wallets...</p>}
+
+            {walletsError && <p className="text-sm text-red-600">Your wallets could not be loaded. Please try again.</p>}
+
+            {!walletsLoading && !walletsError && sendable.length === 0 && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 text-center">
+                <Send className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-sm text-muted-foreground">You need an active wallet to send money.</p>
+              </div>
+            )}
+
+            {result && <TransferResult result={result} onReset={reset} onRetry={() => setResult(null)} />}
+
+            {!result && preview && (
+              <TransferConfirmation
+                preview={preview}
+                note={form.note.trim()}
+                onConfirm={handleConfirm}
+                onBack={() => setPreview(null)}
+                isLoading={isSending}
+              />
+            )}
+
+            {!result && !preview && sendable.length > 0 && (
+              <>
+                {formError && (
+                  <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-3 text-sm">{formError}</div>
+                )}
+                <TransferForm
+                  form={form}
+                  setForm={setForm}
+                  wallets={sendable}
+                  currency={currency}
+                  onSubmit={handleReview}
+                  isLoading={isPreviewing}
+                />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
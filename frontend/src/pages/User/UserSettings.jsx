@@ -1,5 +1,6 @@
 import { useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
+import { useNavigate } from "react-router-dom";
 import { useForm } from "react-hook-form";
 import {
   Settings,
@@ -15,6 +16,7 @@ import {
   AlertTriangle,
   CheckCircle,
   X,
+  XCircle,
 } from "lucide-react";
 import toast from "react-hot-toast";
 
@@ -22,6 +24,8 @@ import toast from "react-hot-toast";
 import { Button } from "../../components/ui/Button";
 import { Input } from "../../components/ui/Input";
 import { Label } from "../../components/ui/Label";
+import TwoFactorSettings from "../../components/user/TwoFactorSettings";
+import DeviceList from "../../components/user/DeviceList";
 
 // Redux
 import {
@@ -29,16 +33,41 @@ import {
   selectIsAuthenticated,
   updateUserProfile,
   updateSecurityStatus,
+  logout,
 } from "../../store/slices/authSlice";
 import {
   useChangePasswordMutation,
-  useUpdateUserProfileMutation,
+  useUpdateNotificationSettingsMutation,
   useLogoutAllSessionsMutation,
+  useGetSecurityEventsQuery,
+  useVerifyUserActionMutation,
+  useDeleteAccountMutation,
 } from "../../store/api/userApi";
 
+// Human-readable labels for security events
+const SECURITY_EVENT_LABELS = {
+  login_success: "Signed in",
+  login_failed: "Failed sign-in attempt",
+  password_changed: "Password changed",
+  password_change_failed: "Failed password change",
+  password_reset: "Password reset",
+  two_factor_enabled: "Two-factor authentication enabled",
+  two_factor_disabled: "Two-factor authentication disabled",
+  logout_all_sessions: "Signed out of all devices",
+  action_verified: "Identity confirmed",
+  action_verification_failed: "Failed identity confirmation",
+  new_device_login: "Signed in from a new device",
+  device_trusted: "Device trusted",
+  device_untrusted: "Device no longer trusted",
+  device_revoked: "Device removed",
+};
+
 export default function UserSettings() {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const [activeSection, setActiveSection] = useState("password");
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
+  const [deleteForm, setDeleteForm] = useState({ password: "", code: "", confirmation: "" });
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
 
@@ -48,8 +77,14 @@ export default function UserSettings() {
 
   // API hooks
   const [changePassword, { isLoading: isChangingPassword }] = useChangePasswordMutation();
-  const [updateProfile, { isLoading: isUpdatingProfile }] = useUpdateUserProfileMutation();
+  const [updateNotificationSettings, { isLoading: isUpdatingProfile }] = useUpdateNotificationSettingsMutation();
   const [logoutAllSessions, { isLoading: isLoggingOutAll }] = useLogoutAllSessionsMutation();
+  const [verifyUserAction, { isLoading: isVerifyingAction }] = useVerifyUserActionMutation();
+  const [deleteAccount, { isLoading: isDeletingAccount }] = useDeleteAccountMutation();
+  const { data: securityEvents, isLoading: isLoadingEvents } = useGetSecurityEventsQuery(
+    { limit: 5 },
+    { skip: activeSection !== "security" }
+  );
 
   // Form handling for password change
   const {
@@ -71,10 +106,10 @@ export default function UserSettings() {
   } = useForm({
     mode: "onBlur",
     defaultValues: {
-      emailNotifications: user?.notifications?.email || true,
-      smsNotifications: user?.notifications?.sms || false,
-      pushNotifications: user?.notifications?.push || true,
-      marketingEmails: user?.notifications?.marketing || false,
+      emailNotifications: user?.notifications?.email ?? true,
+      smsNotifications: user?.notifications?.sms ?? false,
+      pushNotifications: user?.notifications?.push ?? true,
+      marketingEmails: user?.notifications?.marketing ?? false,
     },
   });
 
@@ -83,13 +118,17 @@ export default function UserSettings() {
     try {
       console.log("[USER SETTINGS] Changing password");
 
-      await changePassword({
+      const result = await changePassword({
         currentPassword: data.currentPassword,
         newPassword: data.newPassword,
       }).unwrap();
 
-      toast.success("Password changed successfully!");
+      toast.success(result.message, { duration: 5000 });
       resetPassword();
+
+      // All sessions were revoked, including this one
+      dispatch(logout());
+      navigate("/login", { replace: true });
     } catch (error) {
       console.error("[USER SETTINGS] Password change failed:", error);
       toast.error(error.message || "Failed to change password");
@@ -101,13 +140,11 @@ export default function UserSettings() {
     try {
       console.log("[USER SETTINGS] Updating notification settings:", data);
 
-      const result = await updateProfile({
-        notifications: {
-          email: data.emailNotifications,
-          sms: data.smsNotifications,
-          push: data.pushNotifications,
-          marketing: data.marketingEmails,
-        },
+      const result = await updateNotificationSettings({
+        email: data.emailNotifications,
+        sms: data.smsNotifications,
+        push: data.pushNotifications,
+        marketing: data.marketingEmails,
       }).unwrap();
 
       // Update Redux state
@@ -141,23 +178,32 @@ export default function UserSettings() {
     }
   };
 
-  // Handle account deletion
-  const handleDeleteAccount = async () => {
-    const confirmation = prompt(
-      'To delete your account, type "DELETE" below. This action cannot be undone.'
-    );
+  // Handle account deletion: confirm identity first, then close the account
+  const handleDeleteAccount = async (event) => {
+    event.preventDefault();
 
-    if (confirmation !== "DELETE") {
-      toast.error("Account deletion cancelled");
+    if (deleteForm.confirmation !== "DELETE") {
+      toast.error('Type "DELETE" to confirm');
       return;
     }
 
     try {
       console.log("[USER SETTINGS] Deleting account");
-      
-      // This would need to be implemented in the API
-      toast.error("Account deletion is not yet implemented. Please contact support.");
-      
+
+      const { actionToken } = await verifyUserAction({
+        action: "delete_account",
+        password: deleteForm.password,
+        ...(user.twoFactorEnabled && { code: deleteForm.code }),
+      }).unwrap();
+
+      const result = await deleteAccount({
+        confirmation: deleteForm.confirmation,
+        actionToken,
+      }).unwrap();
+
+      toast.success(result.message);
+      dispatch(logout());
+      navigate("/", { replace: true });
     } catch (error) {
       console.error("[USER SETTINGS] Account deletion failed:", error);
       toast.error(error.message || "Failed to delete account");
@@ -411,19 +457,10 @@ export default function UserSettings() {
 
                   <div className="space-y-6">
                     {/* Two-Factor Authentication */}
-                    <div className="p-4 bg-muted rounded-lg">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <h3 className="font-medium text-foreground mb-1">Two-Factor Authentication</h3>
-                          <p className="text-sm text-muted-foreground">
-                            Add an extra layer of security to your account
-                          </p>
-                        </div>
-                        <Button variant="outline" size="sm">
-                          {user?.twoFactorEnabled ? "Manage" : "Enable"}
-                        </Button>
-                      </div>
-                    </div>
+                    <TwoFactorSettings />
+
+                    {/* Registered Devices */}
+                    <DeviceList />
 
                     {/* Active Sessions */}
                     <div className="p-4 bg-muted rounded-lg">
@@ -448,25 +485,40 @@ export default function UserSettings() {
 
                     {/* Login Activity */}
                     <div className="p-4 bg-muted rounded-lg">
-                      <h3 className="font-medium text-foreground mb-3">Recent Login Activity</h3>
+                      <h3 className="font-medium text-foreground mb-3">Recent Security Activity</h3>
                       <div className="space-y-3">
-                        <div className="flex items-center space-x-3 text-sm">
-                          <Monitor className="w-4 h-4 text-muted-foreground" />
-                          <div className="flex-1">
-                            <p className="text-foreground">Current session</p>
-                            <p className="text-muted-foreground">Today at {new Date().toLocaleTimeString()}</p>
-                          </div>
-                          <CheckCircle className="w-4 h-4 text-success" />
-                        </div>
-                        
-                        <div className="flex items-center space-x-3 text-sm">
-                          <Smartphone className="w-4 h-4 text-muted-foreground" />
-                          <div className="flex-1">
-                            <p className="text-foreground">Mobile device</p>
-                            <p className="text-muted-foreground">Yesterday at 3:42 PM</p>
-                          </div>
-                          <div className="w-4 h-4" />
-                        </div>
+                        {isLoadingEvents && (
+                          <p className="text-sm text-muted-foreground">Loading activity...</p>
+                        )}
+
+                        {!isLoadingEvents && !securityEvents?.events?.length && (
+                          <p className="text-sm text-muted-foreground">No security activity yet.</p>
+                        )}
+
+                        {securityEvents?.events?.map((event) => {
+                          const failed = event.action.endsWith("_failed");
+                          const DeviceIcon = /mobile|android|iphone/i.test(event.userAgent || "") ? Smartphone : Monitor;
+
+                          return (
+                            <div key={event.id} className="flex items-center space-x-3 text-sm">
+                              <DeviceIcon className="w-4 h-4 text-muted-foreground" />
+                              <div className="flex-1">
+                                <p className="text-foreground">
+                                  {SECURITY_EVENT_LABELS[event.action] || event.action}
+                                </p>
+                                <p className="text-muted-foreground">
+                                  {new Date(event.createdAt).toLocaleString()}
+                                  {event.ip && ` · ${event.ip}`}
+                                </p>
+                              </div>
+                              {failed ? (
+                                <XCircle className="w-4 h-4 text-error" />
+                              ) : (
+                                <CheckCircle className="w-4 h-4 text-success" />
+                              )}
+                            </div>
+                          );
+                        })}
                       </div>
                     </div>
                   </div>
@@ -511,19 +563,86 @@ export default function UserSettings() {
                         <div>
                           <h3 className="font-medium text-foreground mb-1">Delete Account</h3>
                           <p className="text-sm text-muted-foreground">
-                            Permanently delete your account and all associated data
+                            Close your account and sign out everywhere. Transaction records are retained as required by banking regulations.
                           </p>
                         </div>
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={handleDeleteAccount}
-                          leftIcon={<Trash2 className="w-4 h-4" />}
-                          className="border-error text-error hover:bg-error/10"
-                        >
-                          Delete Account
-                        </Button>
+                        {!showDeleteForm && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setShowDeleteForm(true)}
+                            leftIcon={<Trash2 className="w-4 h-4" />}
+                            className="border-error text-error hover:bg-error/10"
+                          >
+                            Delete Account
+                          </Button>
+                        )}
                       </div>
+
+                      {showDeleteForm && (
+                        <form onSubmit={handleDeleteAccount} className="mt-4 space-y-4">
+                          <div className="space-y-2">
+                            <Label htmlFor="deletePassword">Current Password</Label>
+                            <Input
+                              id="deletePassword"
+                              type="password"
+                              autoComplete="current-password"
+                              value={deleteForm.password}
+                              onChange={(e) => setDeleteForm({ ...deleteForm, password: e.target.value })}
+                              required
+                            />
+                          </div>
+
+                          {user.twoFactorEnabled && (
+                            <div className="space-y-2">
+                              <Label htmlFor="deleteCode">Authenticator Code</Label>
+                              <Input
+                                id="deleteCode"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                value={deleteForm.code}
+                                onChange={(e) => setDeleteForm({ ...deleteForm, code: e.target.value.replace(/\D/g, "") })}
+                                required
+                              />
+                            </div>
+                          )}
+
+                          <div className="space-y-2">
+                            <Label htmlFor="deleteConfirmation">Type DELETE to confirm</Label>
+                            <Input
+                              id="deleteConfirmation"
+                              value={deleteForm.confirmation}
+                              onChange={(e) => setDeleteForm({ ...deleteForm, confirmation: e.target.value })}
+                              required
+                            />
+                          </div>
+
+                          <div className="flex space-x-3">
+                            <Button
+                              type="submit"
+                              variant="error"
+                              size="sm"
+                              disabled={isVerifyingAction || isDeletingAccount || deleteForm.confirmation !== "DELETE"}
+                              isLoading={isVerifyingAction || isDeletingAccount}
+                              leftIcon={<Trash2 className="w-4 h-4" />}
+                            >
+                              Permanently Delete
+                            </Button>
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => {
+                                setShowDeleteForm(false);
+                                setDeleteForm({ password: "", code: "", confirmation: "" });
+                              }}
+                            >
+                              Cancel
+                            </Button>
+                          </div>
+                        </form>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,350 @@
+/**
+ * Transactions
+ * The customer's statement across all wallets. Filters and sort live in the URL so
+ * a filtered view can be bookmarked or shared; more rows load while scrolling
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { ArrowDownLeft, ArrowUpRight, Receipt, RotateCcw } from "lucide-react";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import UserAccountSidebar from "../../components/user/UserAccountSidebar";
+
+import { WALLET_CURRENCIES, formatAmount } from "../../lib/money";
+import { useGetTransactionQuery, useGetTransactionsQuery } from "../../store/api/transactionApi";
+
+// Query string keys the statement understands
+const FILTER_KEYS = ["from", "to", "type", "status", "currency", "direction", "minAmount", "maxAmount", "counterparty"];
+
+const TRANSACTION_TYPES = ["deposit", "withdrawal", "transfer", "fee", "adjustment", "reversal"];
+
+const STATUS_LABELS = { pending: "Pending", posted: "Completed", voided: "Cancelled" };
+
+const STATUS_STYLES = {
+  pending: "bg-orange-100 text-orange-800",
+  posted: "bg-green-100 text-green-800",
+  voided: "bg-muted text-muted-foreground",
+};
+
+const SORT_OPTIONS = [
+  { value: "-createdAt", label: "Newest first" },
+  { value: "createdAt", label: "Oldest first" },
+  { value: "-amount", label: "Largest amount" },
+  { value: "amount", label: "Smallest amount" },
+];
+
+const SELECT_CLASS = "w-full h-10 px-3 rounded-md border border-border bg-background text-foreground capitalize";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+function TransactionFilters({ filters, onApply }) {
+  const [draft, setDraft] = useState(filters);
+
+  const update = (key) => (event) => setDraft((current) => ({ ...current, [key]: event.target.value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-card rounded-2xl shadow-lg border border-border p-4 space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="filter-from">From</Label>
+          <Input id="filter-from" type="date" value={draft.from || ""} onChange={update("from")} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-to">To</Label>
+          <Input id="filter-to" type="date" value={draft.to || ""} onChange={update("to")} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-counterparty">Counterparty</Label>
+          <Input
+            id="filter-counterparty"
+            value={draft.counterparty || ""}
+            onChange={update("counterparty")}
+            placeholder="Name"
+            maxLength={100}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-type">Type</Label>
+          <select id="filter-type" value={draft.type || ""} onChange={update("type")} className={SELECT_CLASS}>
+            <option value="">All types</option>
+            {TRANSACTION_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-status">Status</Label>
+          <select id="filter-status" value={draft.status || ""} onChange={update("status")} className={SELECT_CLASS}>
+            <option value="">All statuses</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-direction">Direction</Label>
+          <select
+            id="filter-direction"
+            value={draft.direction || ""}
+            onChange={update("direction")}
+            className={SELECT_CLASS}
+          >
+            <option value="">In and out</option>
+            <option value="incoming">Money in</option>
+            <option value="outgoing">Money out</option>
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-currency">Currency</Label>
+          <select
+            id="filter-currency"
+            value={draft.currency || ""}
+            onChange={update("currency")}
+            className={SELECT_CLASS}
+          >
+            <option value="">All currencies</option>
+            {WALLET_CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-min">Min amount</Label>
+          <Input
+            id="filter-min"
+            type="number"
+            min="0"
+            step="any"
+            value={draft.minAmount || ""}
+            onChange={update("minAmount")}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="filter-max">Max amount</Label>
+          <Input
+            id="filter-max"
+            type="number"
+            min="0"
+            step="any"
+            value={draft.maxAmount || ""}
+            onChange={update("maxAmount")}
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={() => onApply({})}>
+          <RotateCcw className="w-4 h-4" />
+          Reset
+        </Button>
+        <Button type="submit" size="sm">
+          Apply Filters
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+function TransactionDetail({ transactionId }) {
+  const { data: transaction, isLoading, isError } = useGetTransactionQuery(transactionId);
+
+  if (isLoading) return <p className="text-sm text-muted-foreground">Loading details...</p>;
+  if (isError || !transaction) return <p className="text-sm text-red-600">Details could not be loaded.</p>;
+
+  const rows = [
+    ["Wallet", transaction.wallet ? `${transaction.wallet.name} (${transaction.wallet.currency})` : "—"],
+    ["Type", transaction.type],
+    ["Reference", transaction.reference || "—"],
+    ["Created", formatDateTime(transaction.createdAt)],
+    ["Completed", formatDateTime(transaction.postedAt)],
+    ...(transaction.voidedAt ? [["Cancelled", formatDateTime(transaction.voidedAt)]] : []),
+    ...(transaction.reversedAt ? [["Reversed", formatDateTime(transaction.reversedAt)]] : []),
+    ["Transaction ID", transaction.id],
+  ];
+
+  return (
+    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between gap-3 sm:block">
+          <dt className="text-muted-foreground">{label}</dt>
+          <dd className="text-foreground break-all">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+function TransactionRow({ transaction, isOpen, onToggle }) {
+  const incoming = transaction.direction === "incoming";
+  const Icon = incoming ? ArrowDownLeft : ArrowUpRight;
+
+  return (
+    <div className="rounded-lg border border-border bg-background">
+      <button type="button" onClick={onToggle} className="w-full flex items-center gap-3 p-4 text-left hover:bg-muted">
+        <span
+          className={`w-9 h-9 rounded-full flex items-center justify-center shrink-0 ${
+            incoming ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
+          }`}
+        >
+          <Icon className="w-4 h-4" />
+        </span>
+        <span className="flex-1 min-w-0">
+          <span className="block text-sm font-medium text-foreground truncate">
+            {transaction.counterparty.name || transaction.description || transaction.type}
+          </span>
+          <span className="block text-xs text-muted-foreground capitalize">
+            {transaction.type} · {formatDateTime(transaction.createdAt)}
+          </span>
+        </span>
+        <span className="text-right">
+          <span className={`block text-sm font-semibold ${incoming ? "text-green-700" : "text-foreground"}`}>
+            {incoming ? "+" : "−"}
+            {formatAmount(transaction.formattedAmount, transaction.currency)}
+          </span>
+          <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[transaction.status]}`}>
+            {transaction.reversedAt ? "Reversed" : STATUS_LABELS[transaction.status]}
+          </span>
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="border-t border-border p-4 space-y-3">
+          {transaction.description && <p className="text-sm text-foreground">{transaction.description}</p>}
+          <TransactionDetail transactionId={transaction.id} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function UserTransactions() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [openId, setOpenId] = useState(null);
+
+  const filters = Object.fromEntries(FILTER_KEYS.filter((key) => searchParams.get(key)).map((key) => [key, searchParams.get(key)]));
+  const sort = searchParams.get("sort") || "-createdAt";
+  const queryFilters = { ...filters, sort };
+  const filterKey = JSON.stringify(queryFilters);
+
+  // The cursor belongs to one filter set; changing filters starts again from the first page
+  const [page, setPage] = useState({ filterKey, cursor: undefined });
+  const cursor = page.filterKey === filterKey ? page.cursor : undefined;
+
+  const { data, isLoading, isFetching, isError } = useGetTransactionsQuery({ filters: queryFilters, cursor });
+  const transactions = data?.transactions || [];
+  const nextCursor = data?.nextCursor;
+
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || isFetching) return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setPage({ filterKey, cursor: nextCursor });
+    }, { rootMargin: "200px" });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [filterKey, nextCursor, isFetching]);
+
+  const updateSearch = (nextFilters, nextSort = sort) => {
+    const params = new URLSearchParams();
+    Object.entries(nextFilters).forEach(([key, value]) => {
+      if (FILTER_KEYS.includes(key) && value?.toString().trim()) params.set(key, value.toString().trim());
+    });
+    if (nextSort !== "-createdAt") params.set("sort", nextSort);
+    setSearchParams(params);
+    setOpenId(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-foreground mb-2">Transactions</h1>
+          <p className="text-muted-foreground">Money in and out of all your wallets.</p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+          {/* Sidebar */}
+          <div className="lg:col-span-1">
+            <UserAccountSidebar />
+          </div>
+
+          {/* Main Content */}
+          <div className="lg:col-span-3 space-y-6">
+            <TransactionFilters key={JSON.stringify(filters)} filters={filters} onApply={(next) => updateSearch(next)} />
+
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <p className="text-sm text-muted-foreground">
+                {data && `${data.total} transaction${data.total === 1 ? "" : "s"}`}
+              </p>
+              <select
+                aria-label="Sort transactions"
+                value={sort}
+                onChange={(event) => updateSearch(filters, event.target.value)}
+                className="h-10 px-3 rounded-md border border-border bg-background text-foreground"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {isLoading && <p className="text-sm text-muted-foreground">Loading transactions...</p>}
+
+            {isError && !data && (
+              <p className="text-sm text-red-600">Your transactions could not be loaded. Please try again.</p>
+            )}
+
+            {!isLoading && data && transactions.length === 0 && (
+              <div className="bg-card rounded-2xl shadow-lg border border-border p-6 text-center">
+                <Receipt className="w-8 h-8 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-sm text-muted-foreground">
+                  {Object.keys(filters).length > 0 ? "No transactions match these filters." : "No transactions yet."}
+                </p>
+              </div>
+            )}
+
+            {transactions.length > 0 && (
+              <div className="space-y-2">
+                {transactions.map((transaction) => (
+                  <TransactionRow
+                    key={transaction.id}
+                    transaction={transaction}
+                    isOpen={openId === transaction.id}
+                    onToggle={() => setOpenId(openId === transaction.id ? null : transaction.id)}
+                  />
+                ))}
+              </div>
+            )}
+
+            <div ref={sentinelRef} />
+            {isFetching && !isLoading && <p className="text-sm text-center text-muted-foreground">Loading more...</p>}
+            {data && !nextCursor && transactions.length > 0 && (
+              <p className="text-xs text-center text-muted-foreground">That's everything.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
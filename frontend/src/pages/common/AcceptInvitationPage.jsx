@@ -0,0 +1,218 @@
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { Eye, EyeOff, Loader2, Lock, User, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import {
+  useGetInvitationQuery,
+  useAcceptInvitationMutation,
+} from "../../store/api/authApi";
+
+const NAME_PATTERN = /^[a-zA-Z\s'-]+$/;
+
+const AcceptInvitationPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [showPassword, setShowPassword] = useState(false);
+
+  const { data: invitation, error, isLoading } = useGetInvitationQuery(token, {
+    skip: !token,
+  });
+  const [acceptInvitation, { isLoading: isAccepting }] = useAcceptInvitationMutation();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    mode: "onBlur",
+    defaultValues: { firstName: "", lastName: "", password: "", confirmPassword: "" },
+  });
+
+  const password = watch("password");
+
+  const onSubmit = async (data) => {
+    try {
+      const result = await acceptInvitation({ token, ...data }).unwrap();
+
+      toast.success(result.message, { duration: 5000 });
+      navigate("/login", { replace: true });
+    } catch (acceptError) {
+      toast.error(acceptError.message, { duration: 5000 });
+    }
+  };
+
+  const inputClass = (hasError) =>
+    `pl-12 h-12 border-2 ${
+      hasError
+        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+        : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
+    } rounded-xl`;
+
+  const nameRules = (label) => ({
+    required: `${label} is required`,
+    minLength: { value: 2, message: `${label} must be at least 2 characters` },
+    maxLength: { value: 50, message: `${label} must be at most 50 characters` },
+    pattern: {
+      value: NAME_PATTERN,
+      message: `${label} can only contain letters, spaces, hyphens, and apostrophes`,
+    },
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-10">
+        <Loader2 className="h-12 w-12 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (error || !invitation) {
+    return (
+      <div className="flex flex-col items-center justify-center py-10">
+        <div className="container max-w-md">
+          <div className="bg-background rounded-3xl shadow-2xl p-8 space-y-6 text-center">
+            <XCircle className="h-12 w-12 mx-auto text-error" />
+            <h2 className="text-2xl font-bold text-foreground">Invitation unavailable</h2>
+            <p className="text-muted-foreground">
+              {error?.message || "Invitation link is invalid or has expired"}.
+              Ask the administrator who invited you to send a new invitation.
+            </p>
+            <Link to="/login" className="block text-muted-foreground hover:text-foreground text-sm">
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col items-center justify-center py-10">
+      <div className="container max-w-md">
+        <div className="bg-background rounded-3xl shadow-2xl p-8 space-y-6">
+          <div className="text-center">
+            <h2 className="text-3xl font-bold text-foreground">Join the StyloPay Team</h2>
+            <p className="mt-2 text-muted-foreground">
+              You've been invited as <span className="font-medium text-foreground">{invitation.role}</span> with{" "}
+              <span className="font-medium text-foreground">{invitation.email}</span>.
+            </p>
+            <p className="mt-1 text-xs text-muted-foreground">
+              This invitation expires on {new Date(invitation.expiresAt).toLocaleString()}.
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="firstName" className="text-sm text-foreground">
+                  First Name
+                </Label>
+                <div className="relative">
+                  <User className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                  <Input
+                    id="firstName"
+                    autoComplete="given-name"
+                    className={inputClass(errors.firstName)}
+                    {...register("firstName", nameRules("First name"))}
+                  />
+                </div>
+                {errors.firstName && (
+                  <p className="text-red-500 text-xs mt-1">{errors.firstName.message}</p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="lastName" className="text-sm text-foreground">
+                  Last Name
+                </Label>
+                <div className="relative">
+                  <User className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                  <Input
+                    id="lastName"
+                    autoComplete="family-name"
+                    className={inputClass(errors.lastName)}
+                    {...register("lastName", nameRules("Last name"))}
+                  />
+                </div>
+                {errors.lastName && (
+                  <p className="text-red-500 text-xs mt-1">{errors.lastName.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="password" className="text-sm text-foreground">
+                Password
+              </Label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                <Input
+                  id="password"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  placeholder="Choose a password"
+                  className={`${inputClass(errors.password)} pr-12`}
+                  {...register("password", {
+                    required: "Password is required",
+                    minLength: {
+                      value: 8,
+                      message: "Password must be at least 8 characters",
+                    },
+                    validate: (value) =>
+                      (/[A-Z]/.test(value) && /[a-z]/.test(value) && /\d/.test(value) && /\W/.test(value)) ||
+                      "Password must contain uppercase, lowercase, number, and special character",
+                  })}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                >
+                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                </button>
+              </div>
+              {errors.password && (
+                <p className="text-red-500 text-xs mt-1">{errors.password.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="confirmPassword" className="text-sm text-foreground">
+                Confirm Password
+              </Label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Repeat the password"
+                  className={inputClass(errors.confirmPassword)}
+                  {...register("confirmPassword", {
+                    required: "Please confirm your password",
+                    validate: (value) => value === password || "Passwords do not match",
+                  })}
+                />
+              </div>
+              {errors.confirmPassword && (
+                <p className="text-red-500 text-xs mt-1">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+
+            <Button type="submit" size="lg" fullWidth disabled={isAccepting} isLoading={isAccepting}>
+              {isAccepting ? "Creating account..." : "Accept Invitation"}
+            </Button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitationPage;
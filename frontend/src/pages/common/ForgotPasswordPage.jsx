@@ -0,0 +1,101 @@
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Mail, MailCheck } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import { useForgotPasswordMutation } from "../../store/api/authApi";
+
+const ForgotPasswordPage = () => {
+  const [forgotPassword, { isLoading, isSuccess, data }] = useForgotPasswordMutation();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    mode: "onBlur",
+    defaultValues: { email: "" },
+  });
+
+  const onSubmit = async ({ email }) => {
+    try {
+      await forgotPassword(email.toLowerCase().trim()).unwrap();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center py-10">
+      <div className="container max-w-md">
+        <div className="bg-background rounded-3xl shadow-2xl p-8 space-y-6">
+          <div className="text-center">
+            <h2 className="text-3xl font-bold text-foreground">Forgot Password</h2>
+            <p className="mt-2 text-muted-foreground">
+              Enter your email and we'll send you a link to reset your password.
+            </p>
+          </div>
+
+          {isSuccess ? (
+            <div className="text-center space-y-4">
+              <MailCheck className="h-12 w-12 mx-auto text-success" />
+              <p className="text-foreground">{data?.message}</p>
+              <p className="text-sm text-muted-foreground">
+                The link expires in one hour and can only be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+              <div className="space-y-2">
+                <Label htmlFor="email" className="text-sm text-foreground">
+                  Email Address
+                </Label>
+                <div className="relative">
+                  <Mail className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                  <Input
+                    id="email"
+                    type="email"
+                    autoComplete="email"
+                    placeholder="Enter your email"
+                    className={`pl-12 h-12 border-2 ${
+                      errors.email
+                        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+                        : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
+                    } rounded-xl`}
+                    {...register("email", {
+                      required: "Email address is required",
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: "Please enter a valid email address",
+                      },
+                    })}
+                  />
+                </div>
+                {errors.email && (
+                  <p className="text-red-500 text-xs mt-1">{errors.email.message}</p>
+                )}
+              </div>
+
+              <Button type="submit" size="lg" fullWidth disabled={isLoading} isLoading={isLoading}>
+                {isLoading ? "Sending..." : "Send Reset Link"}
+              </Button>
+            </form>
+          )}
+
+          <Link
+            to="/login"
+            className="flex items-center justify-center gap-1 text-sm text-brand-500 hover:text-brand-600 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            Back to Sign In
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
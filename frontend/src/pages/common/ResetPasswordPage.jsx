@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { Eye, EyeOff, Lock } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import { useResetPasswordMutation } from "../../store/api/authApi";
+
+const ResetPasswordPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [showPassword, setShowPassword] = useState(false);
+
+  const [resetPassword, { isLoading }] = useResetPasswordMutation();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    formState: { errors },
+  } = useForm({
+    mode: "onBlur",
+    defaultValues: { password: "", confirmPassword: "" },
+  });
+
+  const password = watch("password");
+
+  const onSubmit = async (data) => {
+    try {
+      const result = await resetPassword({
+        token,
+        password: data.password,
+        confirmPassword: data.confirmPassword,
+      }).unwrap();
+
+      // Sessions were revoked server-side; drop anything stored in this browser
+      localStorage.removeItem("stylopay_token");
+      sessionStorage.removeItem("stylopay_token");
+      localStorage.removeItem("stylopay_auth_state");
+
+      toast.success(result.message, { duration: 5000 });
+      navigate("/login", { replace: true });
+    } catch (error) {
+      toast.error(error.message, { duration: 5000 });
+      reset({ password: "", confirmPassword: "" });
+    }
+  };
+
+  const inputClass = (hasError) =>
+    `pl-12 h-12 border-2 ${
+      hasError
+        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+        : "border-gray-200 focus:border-brand-400 focus:ring-brand-400/20"
+    } rounded-xl`;
+
+  return (
+    <div className="flex flex-col items-center justify-center py-10">
+      <div className="container max-w-md">
+        <div className="bg-background rounded-3xl shadow-2xl p-8 space-y-6">
+          <div className="text-center">
+            <h2 className="text-3xl font-bold text-foreground">Choose a New Password</h2>
+            <p className="mt-2 text-muted-foreground">
+              You'll be signed out of all devices after resetting your password.
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+            <div className="space-y-2">
+              <Label htmlFor="password" className="text-sm text-foreground">
+                New Password
+              </Label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                <Input
+                  id="password"
+                  type={showPassword ? "text" : "password"}
+                  autoComplete="new-password"
+                  placeholder="Enter a new password"
+                  className={`${inputClass(errors.password)} pr-12`}
+                  {...register("password", {
+                    required: "New password is required",
+                    minLength: {
+                      value: 8,
+                      message: "Password must be at least 8 characters",
+                    },
+                    validate: (value) =>
+                      (/[A-Z]/.test(value) && /[a-z]/.test(value) && /\d/.test(value) && /\W/.test(value)) ||
+                      "Password must contain uppercase, lowercase, number, and special character",
+                  })}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                >
+                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                </button>
+              </div>
+              {errors.password && (
+                <p className="text-red-500 text-xs mt-1">{errors.password.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="confirmPassword" className="text-sm text-foreground">
+                Confirm New Password
+              </Label>
+              <div className="relative">
+                <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Repeat the new password"
+                  className={inputClass(errors.confirmPassword)}
+                  {...register("confirmPassword", {
+                    required: "Please confirm your password",
+                    validate: (value) => value === password || "Passwords do not match",
+                  })}
+                />
+              </div>
+              {errors.confirmPassword && (
+                <p className="text-red-500 text-xs mt-1">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+
+            <Button type="submit" size="lg" fullWidth disabled={isLoading} isLoading={isLoading}>
+              {isLoading ? "Resetting..." : "Reset Password"}
+            </Button>
+          </form>
+
+          <div className="text-center text-sm space-y-2">
+            <Link to="/forgot-password" className="block text-brand-500 hover:text-brand-600 font-medium">
+              Request a new link
+            </Link>
+            <Link to="/login" className="block text-muted-foreground hover:text-foreground">
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
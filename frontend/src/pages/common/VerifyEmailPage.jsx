@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { CheckCircle, Loader2, Mail, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+
+import { Button } from "../../components/ui/Button";
+import { Input } from "../../components/ui/Input";
+import { Label } from "../../components/ui/Label";
+import {
+  useVerifyEmailQuery,
+  useResendVerificationMutation,
+} from "../../store/api/authApi";
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const [email, setEmail] = useState("");
+
+  const { data, error, isLoading } = useVerifyEmailQuery(token, {
+    skip: !token,
+  });
+  const [resendVerification, { isLoading: isResending, isSuccess: resent }] =
+    useResendVerificationMutation();
+
+  const handleResend = async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await resendVerification(email.toLowerCase().trim()).unwrap();
+      toast.success(result.message);
+    } catch (resendError) {
+      toast.error(resendError.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center py-10">
+      <div className="container max-w-md">
+        <div className="bg-background rounded-3xl shadow-2xl p-8 space-y-6 text-center">
+          {isLoading && (
+            <>
+              <Loader2 className="h-12 w-12 mx-auto animate-spin text-primary" />
+              <h2 className="text-2xl font-bold text-foreground">Verifying your email...</h2>
+            </>
+          )}
+
+          {data?.success && (
+            <>
+              <CheckCircle className="h-12 w-12 mx-auto text-success" />
+              <h2 className="text-2xl font-bold text-foreground">Email verified</h2>
+              <p className="text-muted-foreground">{data.message}</p>
+              <Link to="/login">
+                <Button fullWidth>Continue to Sign In</Button>
+              </Link>
+            </>
+          )}
+
+          {error && (
+            <>
+              <XCircle className="h-12 w-12 mx-auto text-error" />
+              <h2 className="text-2xl font-bold text-foreground">Verification failed</h2>
+              <p className="text-muted-foreground">{error.message}</p>
+
+              {resent ? (
+                <p className="text-sm text-foreground">
+                  If an unverified account exists for this email, a new link is on its way.
+                </p>
+              ) : (
+                <form onSubmit={handleResend} className="space-y-4 text-left">
+                  <div className="space-y-2">
+                    <Label htmlFor="resendEmail">Send a new verification link</Label>
+                    <div className="relative">
+                      <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                      <Input
+                        id="resendEmail"
+                        type="email"
+                        autoComplete="email"
+                        placeholder="Enter your email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="pl-9"
+                        required
+                      />
+                    </div>
+                  </div>
+                  <Button
+                    type="submit"
+                    fullWidth
+                    disabled={isResending || !email}
+                    isLoading={isResending}
+                  >
+                    Resend Verification Email
+                  </Button>
+                </form>
+              )}
+
+              <Link
+                to="/login"
+                className="block text-sm text-brand-500 hover:text-brand-600 font-medium"
+              >
+                Back to Sign In
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
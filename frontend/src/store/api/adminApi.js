@@ -0,0 +1,166 @@
+/**
+ * Admin API Slice using RTK Query
+ * Staff-only endpoints; every call is permission-checked by the backend
+ */
+
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+/**
+ * Base query with authentication for admin endpoints
+ */
+const baseQueryWithAuth = fetchBaseQuery({
+  baseUrl: `${API_BASE_URL}/admin`,
+  credentials: 'include',
+
+  prepareHeaders: (headers) => {
+    headers.set('Content-Type', 'application/json');
+    headers.set('X-Requested-With', 'XMLHttpRequest');
+
+    const token = localStorage.getItem('stylopay_token') || sessionStorage.getItem('stylopay_token');
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const csrfToken = Cookies.get('csrf_token');
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+
+    return headers;
+  },
+});
+
+/**
+ * Enhanced base query with token refresh and error normalization
+ */
+const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
+  let result = await baseQueryWithAuth(args, api, extraOptions);
+
+  // Handle authentication errors by rotating the refresh token once
+  if (result.error && result.error.status === 401) {
+    console.log('[ADMIN API] Access token rejected, attempting refresh...');
+
+    const refreshResult = await refreshSession(api.dispatch);
+
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    }
+  }
+
+  if (result.error) {
+    console.error('[ADMIN API] Error:', {
+      endpoint: args.url || args,
+      status: result.error.status,
+      code: result.error.data?.code,
+    });
+
+    // Surface the server's message to components, preferring the first validation error
+    result.error = {
+      ...result.error,
+      message: result.error.data?.details?.[0]?.message || result.error.data?.error || 'Request failed',
+      code: result.error.data?.code,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Admin API slice
+ */
+export const adminApi = createApi({
+  reducerPath: 'adminApi',
+  baseQuery: baseQueryWithErrorHandling,
+
+  tagTypes: ['Invitations', 'OnboardingDrafts'],
+
+  endpoints: (builder) => ({
+    /**
+     * List staff invitations
+     */
+    getInvitations: builder.query({
+      query: ({ status, limit = 20, offset = 0 } = {}) => ({
+        url: '/invitations',
+        params: { ...(status && { status }), limit, offset },
+      }),
+
+      transformResponse: (response) => ({
+        invitations: response.invitations,
+        pagination: response.pagination,
+      }),
+
+      providesTags: ['Invitations'],
+    }),
+
+    /**
+     * Invite an email address with a staff role
+     */
+    createInvitation: builder.mutation({
+      query: ({ email, role, expiresInHours }) => ({
+        url: '/invitations',
+        method: 'POST',
+        body: { email, role, expiresInHours },
+      }),
+
+      invalidatesTags: ['Invitations'],
+    }),
+
+    /**
+     * Send an invitation again with a new link
+     */
+    resendInvitation: builder.mutation({
+      query: (invitationId) => ({
+        url: `/invitations/${invitationId}/resend`,
+        method: 'POST',
+      }),
+
+      invalidatesTags: ['Invitations'],
+    }),
+
+    /**
+     * Revoke a pending invitation
+     */
+    revokeInvitation: builder.mutation({
+      query: ({ invitationId, reason }) => ({
+        url: `/invitations/${invitationId}`,
+        method: 'DELETE',
+        body: { reason },
+      }),
+
+      invalidatesTags: ['Invitations'],
+    }),
+
+    /**
+     * Abandoned onboarding applications and the section each stopped at
+     */
+    getOnboardingDrafts: builder.query({
+      query: ({ olderThanDays, limit = 20, offset = 0 } = {}) => ({
+        url: '/onboarding/drafts',
+        params: { ...(olderThanDays && { olderThanDays }), limit, offset },
+      }),
+
+      transformResponse: (response) => ({
+        abandonedAfterDays: response.abandonedAfterDays,
+        funnel: response.funnel,
+        drafts: response.drafts,
+        pagination: response.pagination,
+      }),
+
+      providesTags: ['OnboardingDrafts'],
+    }),
+  }),
+});
+
+export const {
+  useGetInvitationsQuery,
+  useCreateInvitationMutation,
+  useResendInvitationMutation,
+  useRevokeInvitationMutation,
+  useGetOnboardingDraftsQuery,
+} = adminApi;
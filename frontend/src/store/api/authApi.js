@@ -5,6 +5,7 @@
 
 import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
 import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
 
 // Base URL for the backend API
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
@@ -38,44 +39,47 @@ const baseQueryWithAuth = fetchBaseQuery({
   },
 });
 
+/**
+ * Store the access token from a completed login (remember-me uses localStorage)
+ */
+const storeLoginToken = (response) => {
+  const accessToken = response.token?.accessToken;
+  if (accessToken) {
+    console.log('[AUTH API] Storing token for user session');
+    if (response.session?.rememberMe) {
+      localStorage.setItem('stylopay_token', accessToken);
+    } else {
+      sessionStorage.setItem('stylopay_token', accessToken);
+    }
+  } else {
+    console.warn('[AUTH API] No access token found in response');
+  }
+};
+
 /**
  * Enhanced base query with retry logic and error handling
  */
 const baseQueryWithRetry = async (args, api, extraOptions) => {
   let result = await baseQueryWithAuth(args, api, extraOptions);
   
+  // Credential endpoints answer 401 for bad input, not for an expired access token
+  const url = typeof args === 'string' ? args : args.url;
+  const isCredentialRequest = ['/login', '/login/2fa', '/signup'].includes(url);
+  
   // Handle token expiration and automatic refresh
-  if (result.error && result.error.status === 401) {
+  if (result.error && result.error.status === 401 && !isCredentialRequest) {
     console.log('[AUTH API] Token expired, attempting refresh...');
     
-    // Try to refresh token
-    const refreshResult = await baseQueryWithAuth(
-      { url: '/refresh', method: 'POST' },
-      api,
-      extraOptions
-    );
+    // Rotate the refresh token (shared with the other API slices)
+    const refreshResult = await refreshSession(api.dispatch);
     
     if (refreshResult.data) {
       console.log('[AUTH API] Token refreshed successfully');
       
-      // Store new token
-      const { accessToken } = refreshResult.data;
-      if (accessToken) {
-        localStorage.setItem('stylopay_token', accessToken);
-      }
-      
       // Retry original request with new token
       result = await baseQueryWithAuth(args, api, extraOptions);
     } else {
       console.log('[AUTH API] Token refresh failed, redirecting to login');
-      
-      // Clear invalid tokens
-      localStorage.removeItem('stylopay_token');
-      sessionStorage.removeItem('stylopay_token');
-      Cookies.remove('auth_session');
-      
-      // Dispatch logout action
-      api.dispatch({ type: 'auth/sessionExpired' });
     }
   }
   
@@ -100,7 +104,7 @@ export const authApi = createApi({
   baseQuery: baseQueryWithRetry,
   
   // Tag types for cache invalidation
-  tagTypes: ['Auth', 'Session'],
+  tagTypes: ['Auth', 'Session', 'TwoFactor'],
   
   endpoints: (builder) => ({
     /**
@@ -117,19 +121,15 @@ export const authApi = createApi({
       transformResponse: (response) => {
         console.log('[AUTH API] Login response received:', response);
         
-        // Store token securely - backend sends token in response.token.accessToken
-        const accessToken = response.token?.accessToken;
-        if (accessToken) {
-          console.log('[AUTH API] Storing token for user session');
-          if (response.session?.rememberMe) {
-            localStorage.setItem('stylopay_token', accessToken);
-          } else {
-            sessionStorage.setItem('stylopay_token', accessToken);
-          }
-        } else {
-          console.warn('[AUTH API] No access token found in response');
+        // Two-factor accounts get a pending token; the session comes from the second step
+        if (response.twoFactorRequired) {
+          console.log('[AUTH API] Two-factor verification required');
+          return response;
         }
         
+        // Store token securely - backend sends token in response.token.accessToken
+        storeLoginToken(response);
+        
         return response;
       },
       
@@ -146,6 +146,33 @@ export const authApi = createApi({
       invalidatesTags: ['Auth', 'Session'],
     }),
 
+    /**
+     * Second login step for accounts with two-factor authentication
+     */
+    verifyTwoFactorLogin: builder.mutation({
+      query: ({ pendingToken, code, recoveryCode, deviceInfo }) => ({
+        url: '/login/2fa',
+        method: 'POST',
+        body: { pendingToken, code, recoveryCode, deviceInfo },
+      }),
+      
+      transformResponse: (response) => {
+        console.log('[AUTH API] Two-factor login successful');
+        storeLoginToken(response);
+        return response;
+      },
+      
+      transformErrorResponse: (response) => {
+        return {
+          status: response.status,
+          message: response.data?.error || 'Verification failed',
+          code: response.data?.code || 'TWO_FACTOR_ERROR',
+        };
+      },
+      
+      invalidatesTags: ['Auth', 'Session'],
+    }),
+
     /**
      * Signup endpoint
      */
@@ -177,6 +204,107 @@ export const authApi = createApi({
       // No cache invalidation needed for signup
     }),
 
+    /**
+     * Verify an email address from the link in the verification email
+     * A query (not a mutation) so repeated renders share one request
+     */
+    verifyEmail: builder.query({
+      query: (token) => `/verify-email/${token}`,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Verification failed',
+        code: response.data?.code || 'VERIFICATION_ERROR',
+      }),
+      
+      keepUnusedDataFor: 0,
+    }),
+
+    /**
+     * Request a new verification email
+     */
+    resendVerification: builder.mutation({
+      query: (email) => ({
+        url: '/resend-verification',
+        method: 'POST',
+        body: { email },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Could not resend the verification email',
+        code: response.data?.code || 'RESEND_ERROR',
+      }),
+    }),
+
+    /**
+     * Request a password reset email
+     */
+    forgotPassword: builder.mutation({
+      query: (email) => ({
+        url: '/forgot-password',
+        method: 'POST',
+        body: { email },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Could not send the reset email',
+        code: response.data?.code || 'FORGOT_PASSWORD_ERROR',
+      }),
+    }),
+
+    /**
+     * Set a new password with the token from the reset email
+     */
+    resetPassword: builder.mutation({
+      query: ({ token, password, confirmPassword }) => ({
+        url: '/reset-password',
+        method: 'POST',
+        body: { token, password, confirmPassword },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.details?.[0]?.message || response.data?.error || 'Password reset failed',
+        code: response.data?.code || 'RESET_PASSWORD_ERROR',
+      }),
+    }),
+
+    /**
+     * Look up a staff invitation by the token from its link
+     */
+    getInvitation: builder.query({
+      query: (token) => `/invitations/${token}`,
+
+      transformResponse: (response) => response.invitation,
+
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Invitation link is invalid or has expired',
+        code: response.data?.code || 'INVITATION_ERROR',
+      }),
+
+      keepUnusedDataFor: 0,
+    }),
+
+    /**
+     * Accept a staff invitation and create the account
+     */
+    acceptInvitation: builder.mutation({
+      query: ({ token, firstName, lastName, password, confirmPassword }) => ({
+        url: `/invitations/${token}/accept`,
+        method: 'POST',
+        body: { firstName, lastName, password, confirmPassword },
+      }),
+
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.details?.[0]?.message || response.data?.error || 'Could not accept the invitation',
+        code: response.data?.code || 'ACCEPT_INVITATION_ERROR',
+      }),
+    }),
+
     /**
      * Logout endpoint
      */
@@ -203,34 +331,104 @@ export const authApi = createApi({
     }),
 
     /**
-     * Token refresh endpoint
+     * Log out everywhere: revokes every session and access token of the user
      */
-    refreshToken: builder.mutation({
+    logoutAll: builder.mutation({
       query: () => ({
-        url: '/refresh',
+        url: '/logout-all',
         method: 'POST',
       }),
       
       transformResponse: (response) => {
-        console.log('[AUTH API] Token refresh response received:', response);
+        console.log('[AUTH API] Logged out of all sessions:', response.sessionsRevoked);
         
-        // Update stored token if provided
-        const accessToken = response.token?.accessToken || response.accessToken;
-        if (accessToken) {
-          console.log('[AUTH API] Updating stored token after refresh');
-          const currentToken = localStorage.getItem('stylopay_token');
-          if (currentToken) {
-            localStorage.setItem('stylopay_token', accessToken);
-          } else {
-            sessionStorage.setItem('stylopay_token', accessToken);
-          }
-        } else {
-          console.warn('[AUTH API] No access token found in refresh response');
-        }
+        // Clear all stored tokens
+        localStorage.removeItem('stylopay_token');
+        sessionStorage.removeItem('stylopay_token');
+        Cookies.remove('auth_session');
         
         return response;
       },
       
+      invalidatesTags: ['Auth', 'Session'],
+    }),
+
+    /**
+     * Two-factor authentication status
+     */
+    getTwoFactorStatus: builder.query({
+      query: () => '/2fa/status',
+      
+      transformResponse: (response) => response.twoFactor,
+      
+      providesTags: ['TwoFactor'],
+    }),
+
+    /**
+     * Start two-factor enrollment (returns otpauth URI and QR code)
+     */
+    setupTwoFactor: builder.mutation({
+      query: () => ({
+        url: '/2fa/setup',
+        method: 'POST',
+      }),
+      
+      transformResponse: (response) => response.setup,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Failed to start two-factor setup',
+        code: response.data?.code,
+      }),
+      
+      invalidatesTags: ['TwoFactor'],
+    }),
+
+    /**
+     * Confirm two-factor enrollment with the first code
+     */
+    confirmTwoFactor: builder.mutation({
+      query: (code) => ({
+        url: '/2fa/confirm',
+        method: 'POST',
+        body: { code },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Invalid verification code',
+        code: response.data?.code,
+      }),
+      
+      invalidatesTags: ['TwoFactor'],
+    }),
+
+    /**
+     * Disable two-factor authentication
+     */
+    disableTwoFactor: builder.mutation({
+      query: ({ password, code, recoveryCode }) => ({
+        url: '/2fa/disable',
+        method: 'POST',
+        body: { password, code, recoveryCode },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.error || 'Failed to disable two-factor authentication',
+        code: response.data?.code,
+      }),
+      
+      invalidatesTags: ['TwoFactor'],
+    }),
+
+    /**
+     * Token refresh endpoint
+     * Rotates the refresh token cookie and stores the new access token
+     */
+    refreshToken: builder.mutation({
+      queryFn: (_arg, api) => refreshSession(api.dispatch),
+      
       invalidatesTags: ['Session'],
     }),
 
@@ -288,12 +486,24 @@ export const authApi = createApi({
 // Export hooks for use in components
 export const {
   useLoginMutation,
+  useVerifyTwoFactorLoginMutation,
   useSignupMutation,
+  useVerifyEmailQuery,
+  useResendVerificationMutation,
+  useForgotPasswordMutation,
+  useResetPasswordMutation,
+  useGetInvitationQuery,
+  useAcceptInvitationMutation,
   useLogoutMutation,
+  useLogoutAllMutation,
   useRefreshTokenMutation,
   useGetAuthStatusQuery,
   useValidateTokenMutation,
   useGetAuthHealthQuery,
+  useGetTwoFactorStatusQuery,
+  useSetupTwoFactorMutation,
+  useConfirmTwoFactorMutation,
+  useDisableTwoFactorMutation,
 } = authApi;
 
 // Export API slice
@@ -0,0 +1,158 @@
+/**
+ * Beneficiary API Slice using RTK Query
+ * Saved payees for external payouts: list, add, edit, favourite and delete
+ */
+
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+/**
+ * Base query with authentication for beneficiary endpoints
+ */
+const baseQueryWithAuth = fetchBaseQuery({
+  baseUrl: `${API_BASE_URL}/beneficiaries`,
+  credentials: 'include',
+
+  prepareHeaders: (headers) => {
+    headers.set('Content-Type', 'application/json');
+    headers.set('X-Requested-With', 'XMLHttpRequest');
+
+    const token = localStorage.getItem('stylopay_token') || sessionStorage.getItem('stylopay_token');
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const csrfToken = Cookies.get('csrf_token');
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+
+    return headers;
+  },
+});
+
+/**
+ * Enhanced base query with token refresh and error normalization
+ */
+const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
+  let result = await baseQueryWithAuth(args, api, extraOptions);
+
+  // Handle authentication errors by rotating the refresh token once
+  if (result.error && result.error.status === 401) {
+    console.log('[BENEFICIARY API] Access token rejected, attempting refresh...');
+
+    const refreshResult = await refreshSession(api.dispatch);
+
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    }
+  }
+
+  if (result.error) {
+    console.error('[BENEFICIARY API] Error:', {
+      endpoint: args.url || args,
+      status: result.error.status,
+      code: result.error.data?.code,
+    });
+
+    // Validation failures carry a message list; everything else comes from the global error handler
+    result.error = {
+      ...result.error,
+      message:
+        result.error.data?.errors?.[0]?.msg || result.error.data?.error || result.error.data?.message || 'Request failed',
+      code: result.error.data?.code,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Beneficiary API slice
+ */
+export const beneficiaryApi = createApi({
+  reducerPath: 'beneficiaryApi',
+  baseQuery: baseQueryWithErrorHandling,
+
+  tagTypes: ['Beneficiaries'],
+
+  endpoints: (builder) => ({
+    /**
+     * Payees, favourites first
+     */
+    getBeneficiaries: builder.query({
+      query: ({ favourites, search } = {}) => ({
+        url: '/',
+        params: { ...(favourites && { favourites }), ...(search && { search }) },
+      }),
+
+      transformResponse: (response) => response.data.beneficiaries,
+
+      providesTags: ['Beneficiaries'],
+    }),
+
+    /**
+     * Save a payee; it starts in its cooling-off period
+     */
+    addBeneficiary: builder.mutation({
+      query: (beneficiary) => ({
+        url: '/',
+        method: 'POST',
+        body: beneficiary,
+      }),
+
+      invalidatesTags: ['Beneficiaries'],
+    }),
+
+    /**
+     * Replace a payee's details; a new holder or account restarts the cooling-off period
+     */
+    updateBeneficiary: builder.mutation({
+      query: ({ id, ...beneficiary }) => ({
+        url: `/${id}`,
+        method: 'PUT',
+        body: beneficiary,
+      }),
+
+      invalidatesTags: ['Beneficiaries'],
+    }),
+
+    /**
+     * Rename or (un)favourite a payee
+     */
+    setBeneficiaryPreferences: builder.mutation({
+      query: ({ id, ...changes }) => ({
+        url: `/${id}`,
+        method: 'PATCH',
+        body: changes,
+      }),
+
+      invalidatesTags: ['Beneficiaries'],
+    }),
+
+    /**
+     * Delete a payee
+     */
+    deleteBeneficiary: builder.mutation({
+      query: (id) => ({
+        url: `/${id}`,
+        method: 'DELETE',
+      }),
+
+      invalidatesTags: ['Beneficiaries'],
+    }),
+  }),
+});
+
+export const {
+  useGetBeneficiariesQuery,
+  useAddBeneficiaryMutation,
+  useUpdateBeneficiaryMutation,
+  useSetBeneficiaryPreferencesMutation,
+  useDeleteBeneficiaryMutation,
+} = beneficiaryApi;
@@ -0,0 +1,52 @@
+/**
+ * Idempotency Key Helper
+ * Gives each onboarding or transfer mutation an Idempotency-Key that is reused when the
+ * same request is sent again (double click, retry after a network error), so the backend
+ * replays the first outcome instead of creating, submitting or paying twice.
+ */
+
+// Keys for requests that have not reached a final outcome, by request fingerprint
+const pendingKeys = new Map();
+
+const fingerprint = ({ method, url, body }) =>
+  `${method} ${url} ${JSON.stringify(body ?? null)}`;
+
+const generateKey = () =>
+  crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+/**
+ * Attach an Idempotency-Key header to a mutation request
+ * @param {Object} request - RTK Query request ({ url, method, body })
+ * @returns {Object} Request with headers
+ */
+export const withIdempotencyKey = (request) => {
+  const id = fingerprint(request);
+
+  if (!pendingKeys.has(id)) {
+    pendingKeys.set(id, generateKey());
+  }
+
+  return {
+    ...request,
+    headers: { ...request.headers, 'Idempotency-Key': pendingKeys.get(id) },
+  };
+};
+
+/**
+ * Forget the key once the request has a final outcome
+ * Network errors, 409 (still in progress), 429 and 5xx keep it so a retry reuses it
+ * @param {Object} args - Request passed to the base query
+ * @param {Object} result - Base query result
+ */
+export const settleIdempotencyKey = (args, result) => {
+  if (!args?.headers?.['Idempotency-Key']) {
+    return;
+  }
+
+  const status = result.error?.status;
+  const final = !result.error || (typeof status === 'number' && status < 500 && status !== 409 && status !== 429);
+
+  if (final) {
+    pendingKeys.delete(fingerprint(args));
+  }
+};
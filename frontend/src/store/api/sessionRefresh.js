@@ -0,0 +1,116 @@
+/**
+ * Session Refresh Helper
+ * Rotates the refresh token on behalf of every API slice. Concurrent callers share
+ * one request because the backend treats a replayed refresh token as theft.
+ */
+
+import Cookies from 'js-cookie';
+import { tokenRefreshed, sessionExpired } from '../slices/authSlice';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+// In-flight refresh shared by all callers
+let refreshPromise = null;
+
+/**
+ * Store the new access token next to the previous one (remember-me uses localStorage)
+ */
+const storeAccessToken = (accessToken) => {
+  if (localStorage.getItem('stylopay_token')) {
+    localStorage.setItem('stylopay_token', accessToken);
+  } else {
+    sessionStorage.setItem('stylopay_token', accessToken);
+  }
+};
+
+/**
+ * Clear all locally stored credentials
+ */
+const clearStoredTokens = () => {
+  localStorage.removeItem('stylopay_token');
+  sessionStorage.removeItem('stylopay_token');
+  Cookies.remove('auth_session');
+};
+
+/**
+ * Call the refresh endpoint; the refresh token travels in an HTTP-only cookie
+ */
+const requestRefresh = async () => {
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+    },
+  });
+
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+};
+
+/**
+ * Rotate the refresh token and update the stored access token
+ * @param {Function} dispatch - Redux dispatch
+ * @returns {Promise<Object>} { data } on success or { error } on failure
+ */
+export const refreshSession = (dispatch) => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    try {
+      let result = await requestRefresh();
+
+      // Another tab rotated the token first; the cookie now holds its successor
+      if (!result.ok && result.data?.code === 'REFRESH_TOKEN_STALE') {
+        console.log('[SESSION REFRESH] Refresh token already rotated, retrying with latest cookie');
+        result = await requestRefresh();
+      }
+
+      if (!result.ok || !result.data?.token?.accessToken) {
+        console.log('[SESSION REFRESH] Refresh failed:', result.data?.code || result.status);
+
+        clearStoredTokens();
+        dispatch(sessionExpired());
+
+        return {
+          error: {
+            status: result.status,
+            message: result.data?.error || 'Session expired',
+            code: result.data?.code || 'REFRESH_FAILED',
+          },
+        };
+      }
+
+      const { token, user } = result.data;
+      storeAccessToken(token.accessToken);
+
+      dispatch(tokenRefreshed({
+        expiresAt: token.expiresAt,
+        refreshExpiresAt: token.refreshExpiresAt,
+        user,
+      }));
+
+      console.log('[SESSION REFRESH] Token pair rotated, access token expires at:', token.expiresAt);
+      return { data: result.data };
+    } catch (error) {
+      console.error('[SESSION REFRESH] Refresh request failed:', error);
+      return {
+        error: {
+          status: 'FETCH_ERROR',
+          message: error.message,
+          code: 'REFRESH_NETWORK_ERROR',
+        },
+      };
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
+export default refreshSession;
@@ -0,0 +1,133 @@
+/**
+ * Transaction API Slice using RTK Query
+ * The signed-in customer's statement: cursor-paged transactions and their details
+ */
+
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+/**
+ * Base query with authentication for transaction endpoints
+ */
+const baseQueryWithAuth = fetchBaseQuery({
+  baseUrl: `${API_BASE_URL}/transactions`,
+  credentials: 'include',
+
+  prepareHeaders: (headers) => {
+    headers.set('Content-Type', 'application/json');
+    headers.set('X-Requested-With', 'XMLHttpRequest');
+
+    const token = localStorage.getItem('stylopay_token') || sessionStorage.getItem('stylopay_token');
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const csrfToken = Cookies.get('csrf_token');
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+
+    return headers;
+  },
+});
+
+/**
+ * Enhanced base query with token refresh and error normalization
+ */
+const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
+  let result = await baseQueryWithAuth(args, api, extraOptions);
+
+  // Handle authentication errors by rotating the refresh token once
+  if (result.error && result.error.status === 401) {
+    console.log('[TRANSACTION API] Access token rejected, attempting refresh...');
+
+    const refreshResult = await refreshSession(api.dispatch);
+
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    }
+  }
+
+  if (result.error) {
+    console.error('[TRANSACTION API] Error:', {
+      endpoint: args.url || args,
+      status: result.error.status,
+      code: result.error.data?.code,
+    });
+
+    // Validation failures carry a message list; everything else comes from the global error handler
+    result.error = {
+      ...result.error,
+      message:
+        result.error.data?.errors?.[0]?.msg || result.error.data?.error || result.error.data?.message || 'Request failed',
+      code: result.error.data?.code,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Transaction API slice
+ */
+export const transactionApi = createApi({
+  reducerPath: 'transactionApi',
+  baseQuery: baseQueryWithErrorHandling,
+
+  tagTypes: ['Transactions'],
+
+  endpoints: (builder) => ({
+    /**
+     * Statement pages for one set of filters, merged into a single list as the cursor advances
+     */
+    getTransactions: builder.query({
+      query: ({ filters = {}, cursor, limit = 20 }) => ({
+        url: '/',
+        params: { ...filters, limit, ...(cursor && { cursor }) },
+      }),
+
+      transformResponse: (response, meta) => ({
+        transactions: response.data.transactions,
+        nextCursor: response.data.nextCursor,
+        total: Number(meta?.response?.headers.get('X-Total-Count') || 0),
+      }),
+
+      // One cache entry per filter set; later pages are appended to it
+      serializeQueryArgs: ({ endpointName, queryArgs }) => `${endpointName}(${JSON.stringify(queryArgs.filters || {})})`,
+
+      merge: (current, incoming, { arg }) => {
+        if (!arg.cursor) return incoming;
+
+        const seen = new Set(current.transactions.map((transaction) => transaction.id));
+        current.transactions.push(...incoming.transactions.filter((transaction) => !seen.has(transaction.id)));
+        current.nextCursor = incoming.nextCursor;
+        current.total = incoming.total;
+      },
+
+      forceRefetch: ({ currentArg, previousArg }) => currentArg?.cursor !== previousArg?.cursor,
+
+      providesTags: ['Transactions'],
+    }),
+
+    /**
+     * One transaction with its wallet
+     */
+    getTransaction: builder.query({
+      query: (transactionId) => `/${transactionId}`,
+
+      transformResponse: (response) => response.data,
+
+      providesTags: (result, error, transactionId) => [{ type: 'Transactions', id: transactionId }],
+    }),
+  }),
+});
+
+export const {
+  useGetTransactionsQuery,
+  useGetTransactionQuery,
+} = transactionApi;
@@ -0,0 +1,149 @@
+/**
+ * Transfer API Slice using RTK Query
+ * Peer-to-peer payments: preview for the confirmation screen, send and history
+ */
+
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
+import { withIdempotencyKey, settleIdempotencyKey } from './idempotency';
+import { walletApi } from './walletApi';
+import { transactionApi } from './transactionApi';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+/**
+ * Base query with authentication for transfer endpoints
+ */
+const baseQueryWithAuth = fetchBaseQuery({
+  baseUrl: `${API_BASE_URL}/transfers`,
+  credentials: 'include',
+
+  prepareHeaders: (headers) => {
+    headers.set('Content-Type', 'application/json');
+    headers.set('X-Requested-With', 'XMLHttpRequest');
+
+    const token = localStorage.getItem('stylopay_token') || sessionStorage.getItem('stylopay_token');
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const csrfToken = Cookies.get('csrf_token');
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+
+    return headers;
+  },
+});
+
+/**
+ * Enhanced base query with token refresh and error normalization
+ */
+const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
+  let result = await baseQueryWithAuth(args, api, extraOptions);
+
+  // Handle authentication errors by rotating the refresh token once
+  if (result.error && result.error.status === 401) {
+    console.log('[TRANSFER API] Access token rejected, attempting refresh...');
+
+    const refreshResult = await refreshSession(api.dispatch);
+
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    }
+  }
+
+  settleIdempotencyKey(args, result);
+
+  if (result.error) {
+    console.error('[TRANSFER API] Error:', {
+      endpoint: args.url || args,
+      status: result.error.status,
+      code: result.error.data?.code,
+    });
+
+    // Validation failures carry a message list; everything else comes from the global error handler
+    result.error = {
+      ...result.error,
+      message:
+        result.error.data?.errors?.[0]?.msg || result.error.data?.error || result.error.data?.message || 'Request failed',
+      code: result.error.data?.code,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Transfer API slice
+ */
+export const transferApi = createApi({
+  reducerPath: 'transferApi',
+  baseQuery: baseQueryWithErrorHandling,
+
+  tagTypes: ['Transfers'],
+
+  endpoints: (builder) => ({
+    /**
+     * Run every check without moving money: recipient name, fee, balance after
+     */
+    previewTransfer: builder.mutation({
+      query: (transfer) => ({
+        url: '/preview',
+        method: 'POST',
+        body: transfer,
+      }),
+
+      transformResponse: (response) => response.data,
+    }),
+
+    /**
+     * Send money; a retried submit reuses its Idempotency-Key so it cannot pay twice
+     */
+    sendTransfer: builder.mutation({
+      query: (transfer) => withIdempotencyKey({
+        url: '/',
+        method: 'POST',
+        body: transfer,
+      }),
+
+      transformResponse: (response) => response.data,
+
+      invalidatesTags: ['Transfers'],
+
+      // Balances and the statement live in their own slices
+      async onQueryStarted(transfer, { dispatch, queryFulfilled }) {
+        try {
+          await queryFulfilled;
+          dispatch(walletApi.util.invalidateTags(['Wallets']));
+          dispatch(transactionApi.util.invalidateTags(['Transactions']));
+        } catch {
+          // A failed transfer moved nothing
+        }
+      },
+    }),
+
+    /**
+     * Sent and received transfers, newest first
+     */
+    getTransfers: builder.query({
+      query: ({ direction, status, limit = 20, offset = 0 } = {}) => ({
+        url: '/',
+        params: { limit, offset, ...(direction && { direction }), ...(status && { status }) },
+      }),
+
+      transformResponse: (response) => response.data,
+
+      providesTags: ['Transfers'],
+    }),
+  }),
+});
+
+export const {
+  usePreviewTransferMutation,
+  useSendTransferMutation,
+  useGetTransfersQuery,
+} = transferApi;
@@ -5,6 +5,7 @@
 
 import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
 import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
 
 // Base URL for the backend API
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
@@ -16,9 +17,11 @@ const baseQueryWithAuth = fetchBaseQuery({
   baseUrl: `${API_BASE_URL}/user`,
   credentials: 'include',
   
-  prepareHeaders: (headers, { getState }) => {
-    // Add common headers
-    headers.set('Content-Type', 'application/json');
+  prepareHeaders: (headers, { endpoint }) => {
+    // Add common headers (file uploads let the browser set the multipart boundary)
+    if (endpoint !== 'uploadProfilePicture') {
+      headers.set('Content-Type', 'application/json');
+    }
     headers.set('X-Requested-With', 'XMLHttpRequest');
     
     // Get token from storage
@@ -44,17 +47,17 @@ const baseQueryWithAuth = fetchBaseQuery({
 const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
   let result = await baseQueryWithAuth(args, api, extraOptions);
   
-  // Handle authentication errors
+  // Handle authentication errors by rotating the refresh token once
   if (result.error && result.error.status === 401) {
-    console.log('[USER API] Authentication required, redirecting to login');
+    console.log('[USER API] Access token rejected, attempting refresh...');
     
-    // Clear invalid tokens
-    localStorage.removeItem('stylopay_token');
-    sessionStorage.removeItem('stylopay_token');
-    Cookies.remove('auth_session');
+    const refreshResult = await refreshSession(api.dispatch);
     
-    // Dispatch session expired action
-    api.dispatch({ type: 'auth/sessionExpired' });
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    } else {
+      console.log('[USER API] Token refresh failed, redirecting to login');
+    }
   }
   
   // Log API errors for monitoring
@@ -65,6 +68,13 @@ const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
       message: result.error.data?.message || result.error.error,
       code: result.error.data?.code,
     });
+
+    // Surface the server's message to components, preferring the first validation error
+    result.error = {
+      ...result.error,
+      message: result.error.data?.errors?.[0]?.msg || result.error.data?.message || 'Request failed',
+      code: result.error.data?.code,
+    };
   }
   
   return result;
@@ -78,7 +88,7 @@ export const userApi = createApi({
   baseQuery: baseQueryWithErrorHandling,
   
   // Tag types for cache invalidation
-  tagTypes: ['User', 'Profile', 'Security', 'Preferences', 'Session'],
+  tagTypes: ['User', 'Profile', 'Security', 'Preferences', 'Session', 'Devices'],
   
   endpoints: (builder) => ({
     /**
@@ -89,7 +99,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Profile data retrieved');
-        return response.profile;
+        return response.data.user;
       },
       
       providesTags: ['User', 'Profile'],
@@ -108,7 +118,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Profile updated successfully');
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       // Invalidate profile cache on update
@@ -123,7 +133,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Account status retrieved');
-        return response.accountStatus;
+        return response.data.accountStatus;
       },
       
       providesTags: ['User', 'Security'],
@@ -142,11 +152,17 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Password changed successfully');
-        return response;
+
+        // Every session was revoked server-side, including this one
+        localStorage.removeItem('stylopay_token');
+        sessionStorage.removeItem('stylopay_token');
+        Cookies.remove('auth_session');
+
+        return { message: response.message, ...response.data };
       },
       
       // Invalidate security-related cache
-      invalidatesTags: ['Security'],
+      invalidatesTags: ['Security', 'Session'],
     }),
 
     /**
@@ -157,7 +173,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Session info retrieved');
-        return response.session;
+        return response.data.session;
       },
       
       providesTags: ['Session'],
@@ -179,8 +195,8 @@ export const userApi = createApi({
       transformResponse: (response) => {
         console.log('[USER API] Security events retrieved');
         return {
-          events: response.events,
-          total: response.total,
+          events: response.data.events,
+          total: response.data.total,
         };
       },
       
@@ -205,7 +221,7 @@ export const userApi = createApi({
         sessionStorage.removeItem('stylopay_token');
         Cookies.remove('auth_session');
         
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       // Invalidate all user-related cache
@@ -220,7 +236,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] User preferences retrieved');
-        return response.preferences;
+        return response.data.preferences;
       },
       
       providesTags: ['Preferences'],
@@ -239,7 +255,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] User preferences updated');
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       // Invalidate preferences cache
@@ -254,7 +270,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Dashboard data retrieved');
-        return response.dashboard;
+        return response.data.dashboard;
       },
       
       providesTags: ['User', 'Profile'],
@@ -273,7 +289,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Notification settings updated');
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       invalidatesTags: ['Preferences'],
@@ -295,8 +311,8 @@ export const userApi = createApi({
       transformResponse: (response) => {
         console.log('[USER API] User activity retrieved');
         return {
-          activities: response.activities,
-          total: response.total,
+          activities: response.data.activities,
+          total: response.data.total,
         };
       },
       
@@ -316,7 +332,7 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] User action verified');
-        return response;
+        return { message: response.message, ...response.data };
       },
     }),
 
@@ -334,12 +350,91 @@ export const userApi = createApi({
       
       transformResponse: (response) => {
         console.log('[USER API] Profile picture uploaded');
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       invalidatesTags: ['Profile'],
     }),
 
+    /**
+     * List devices that have signed in to the account
+     */
+    getDevices: builder.query({
+      query: () => '/devices',
+      
+      transformResponse: (response) => {
+        console.log('[USER API] Devices retrieved');
+        return response.data;
+      },
+      
+      providesTags: ['Devices'],
+      keepUnusedDataFor: 60, // 1 minute
+    }),
+
+    /**
+     * Rename a device
+     */
+    renameDevice: builder.mutation({
+      query: ({ deviceId, name }) => ({
+        url: `/devices/${deviceId}`,
+        method: 'PATCH',
+        body: { name },
+      }),
+      
+      transformResponse: (response) => ({ message: response.message, ...response.data }),
+      
+      invalidatesTags: ['Devices'],
+    }),
+
+    /**
+     * Trust a device (requires an action token for "trust_device")
+     */
+    trustDevice: builder.mutation({
+      query: ({ deviceId, actionToken }) => ({
+        url: `/devices/${deviceId}/trust`,
+        method: 'PUT',
+        body: { actionToken },
+      }),
+      
+      transformResponse: (response) => {
+        console.log('[USER API] Device trusted');
+        return { message: response.message, ...response.data };
+      },
+      
+      invalidatesTags: ['Devices', 'Security'],
+    }),
+
+    /**
+     * Stop trusting a device
+     */
+    untrustDevice: builder.mutation({
+      query: (deviceId) => ({
+        url: `/devices/${deviceId}/trust`,
+        method: 'DELETE',
+      }),
+      
+      transformResponse: (response) => ({ message: response.message, ...response.data }),
+      
+      invalidatesTags: ['Devices', 'Security'],
+    }),
+
+    /**
+     * Remove a device and sign out its sessions
+     */
+    revokeDevice: builder.mutation({
+      query: (deviceId) => ({
+        url: `/devices/${deviceId}`,
+        method: 'DELETE',
+      }),
+      
+      transformResponse: (response) => {
+        console.log('[USER API] Device revoked');
+        return { message: response.message, ...response.data };
+      },
+      
+      invalidatesTags: ['Devices', 'Session', 'Security'],
+    }),
+
     /**
      * Delete user account (sensitive operation)
      */
@@ -357,7 +452,7 @@ export const userApi = createApi({
         localStorage.clear();
         sessionStorage.clear();
         
-        return response;
+        return { message: response.message, ...response.data };
       },
       
       // Invalidate all cache
@@ -383,6 +478,11 @@ export const {
   useVerifyUserActionMutation,
   useUploadProfilePictureMutation,
   useDeleteAccountMutation,
+  useGetDevicesQuery,
+  useRenameDeviceMutation,
+  useTrustDeviceMutation,
+  useUntrustDeviceMutation,
+  useRevokeDeviceMutation,
 } = userApi;
 
 // Export API slice
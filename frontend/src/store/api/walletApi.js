@@ -0,0 +1,143 @@
+/**
+ * Wallet API Slice using RTK Query
+ * The signed-in customer's wallets, their balances and lifecycle actions
+ */
+
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+import Cookies from 'js-cookie';
+import { refreshSession } from './sessionRefresh';
+
+// Base URL for the backend API
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+/**
+ * Base query with authentication for wallet endpoints
+ */
+const baseQueryWithAuth = fetchBaseQuery({
+  baseUrl: `${API_BASE_URL}/wallets`,
+  credentials: 'include',
+
+  prepareHeaders: (headers) => {
+    headers.set('Content-Type', 'application/json');
+    headers.set('X-Requested-With', 'XMLHttpRequest');
+
+    const token = localStorage.getItem('stylopay_token') || sessionStorage.getItem('stylopay_token');
+
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const csrfToken = Cookies.get('csrf_token');
+    if (csrfToken) {
+      headers.set('X-CSRF-Token', csrfToken);
+    }
+
+    return headers;
+  },
+});
+
+/**
+ * Enhanced base query with token refresh and error normalization
+ */
+const baseQueryWithErrorHandling = async (args, api, extraOptions) => {
+  let result = await baseQueryWithAuth(args, api, extraOptions);
+
+  // Handle authentication errors by rotating the refresh token once
+  if (result.error && result.error.status === 401) {
+    console.log('[WALLET API] Access token rejected, attempting refresh...');
+
+    const refreshResult = await refreshSession(api.dispatch);
+
+    if (refreshResult.data) {
+      result = await baseQueryWithAuth(args, api, extraOptions);
+    }
+  }
+
+  if (result.error) {
+    console.error('[WALLET API] Error:', {
+      endpoint: args.url || args,
+      status: result.error.status,
+      code: result.error.data?.code,
+    });
+
+    // Validation failures carry a message list; everything else comes from the global error handler
+    result.error = {
+      ...result.error,
+      message:
+        result.error.data?.errors?.[0]?.msg || result.error.data?.error || result.error.data?.message || 'Request failed',
+      code: result.error.data?.code,
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Wallet API slice
+ */
+export const walletApi = createApi({
+  reducerPath: 'walletApi',
+  baseQuery: baseQueryWithErrorHandling,
+
+  tagTypes: ['Wallets'],
+
+  endpoints: (builder) => ({
+    /**
+     * Wallets with their balances, primary first
+     */
+    getWallets: builder.query({
+      query: ({ includeClosed } = {}) => ({
+        url: '/',
+        params: includeClosed ? { includeClosed } : undefined,
+      }),
+
+      transformResponse: (response) => response.data.wallets,
+
+      providesTags: ['Wallets'],
+    }),
+
+    /**
+     * Available, ledger and pending amounts of one wallet
+     */
+    getWalletBalance: builder.query({
+      query: (walletId) => `/${walletId}/balance`,
+
+      transformResponse: (response) => response.data,
+
+      providesTags: (result, error, walletId) => [{ type: 'Wallets', id: walletId }],
+    }),
+
+    /**
+     * Open a wallet in another currency
+     */
+    openWallet: builder.mutation({
+      query: ({ currency, name }) => ({
+        url: '/',
+        method: 'POST',
+        body: { currency, ...(name && { name }) },
+      }),
+
+      invalidatesTags: ['Wallets'],
+    }),
+
+    /**
+     * Freeze, unfreeze or close a wallet
+     */
+    changeWalletStatus: builder.mutation({
+      query: ({ walletId, action, reason }) => ({
+        url: `/${walletId}/${action}`,
+        method: 'POST',
+        body: reason ? { reason } : {},
+      }),
+
+      invalidatesTags: ['Wallets'],
+    }),
+  }),
+});
+
+export const {
+  useGetWalletsQuery,
+  useGetWalletBalanceQuery,
+  useOpenWalletMutation,
+  useChangeWalletStatusMutation,
+} = walletApi;
@@ -6,10 +6,15 @@
 
 import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
 import { toast } from 'react-hot-toast';
+import { refreshSession } from './sessionRefresh';
+import { withIdempotencyKey, settleIdempotencyKey } from './idempotency';
 
 // Base URL for the backend API
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
+// Onboarding of the signed-in user's own account (absolute, so it bypasses the /zoqq base URL)
+const ONBOARDING_URL = `${API_BASE_URL}/v1/onboarding`;
+
 /**
  * Base query with authentication and comprehensive error handling
  */
@@ -17,9 +22,11 @@ const baseQueryWithAuth = fetchBaseQuery({
   baseUrl: `${API_BASE_URL}/zoqq`,
   credentials: 'include',
   
-  prepareHeaders: (headers, { getState }) => {
-    // Add common headers for security
-    headers.set('Content-Type', 'application/json');
+  prepareHeaders: (headers, { getState, endpoint }) => {
+    // Add common headers for security (file uploads let the browser set the multipart boundary)
+    if (endpoint !== 'uploadKycDocument') {
+      headers.set('Content-Type', 'application/json');
+    }
     headers.set('X-Requested-With', 'XMLHttpRequest');
     
     // Get token from localStorage or sessionStorage
@@ -43,39 +50,24 @@ const baseQueryWithRetry = async (args, api, extraOptions) => {
   if (result.error && result.error.status === 401) {
     console.log('[ZOQQ API] Token expired or missing, attempting to refresh...');
     
-    // Try to refresh token from auth API
-    const refreshResult = await baseQueryWithAuth(
-      { url: '../auth/refresh', method: 'POST' },
-      api,
-      extraOptions
-    );
+    // Rotate the refresh token (shared with the other API slices)
+    const refreshResult = await refreshSession(api.dispatch);
     
     if (refreshResult.data) {
       console.log('[ZOQQ API] Token refreshed successfully');
       
-      // Store new token
-      const { accessToken } = refreshResult.data;
-      if (accessToken) {
-        localStorage.setItem('stylopay_token', accessToken);
-      }
-      
       // Retry original request with new token
       result = await baseQueryWithAuth(args, api, extraOptions);
     } else {
       console.log('[ZOQQ API] Token refresh failed, redirecting to login');
       
-      // Clear invalid tokens
-      localStorage.removeItem('stylopay_token');
-      sessionStorage.removeItem('stylopay_token');
-      
       // Show error toast
       toast.error('Session expired. Please login again.');
-      
-      // Dispatch logout action
-      api.dispatch({ type: 'auth/sessionExpired' });
     }
   }
   
+  settleIdempotencyKey(args, result);
+  
   // Log API errors for monitoring
   if (result.error) {
     console.error('[ZOQQ API] Error:', {
@@ -87,7 +79,8 @@ const baseQueryWithRetry = async (args, api, extraOptions) => {
     
     // Show user-friendly error messages
     const errorMessage = result.error.data?.message || 'An error occurred';
-    if (result.error.status !== 401) { // Don't show toast for auth errors (handled above)
+    // Don't show toast for auth errors (handled above) or a duplicate submit still being processed
+    if (result.error.status !== 401 && result.error.data?.code !== 'IDEMPOTENCY_REQUEST_IN_PROGRESS') {
       toast.error(errorMessage);
     }
   }
@@ -103,7 +96,7 @@ export const zoqqApi = createApi({
   baseQuery: baseQueryWithRetry,
   
   // Tag types for intelligent cache invalidation
-  tagTypes: ['ZoqqAuth', 'ZoqqUser', 'ZoqqRFI', 'ZoqqStatus'],
+  tagTypes: ['ZoqqAuth', 'ZoqqUser', 'ZoqqRFI', 'ZoqqStatus', 'ZoqqOnboarding', 'ZoqqOnboardingDraft', 'ZoqqKycDocuments'],
   
   endpoints: (builder) => ({
     // ========== AUTHENTICATION ENDPOINTS ==========
@@ -137,8 +130,8 @@ export const zoqqApi = createApi({
      * Create User in Zoqq System
      */
     createZoqqUser: builder.mutation({
-      query: (userDetails) => ({
-        url: '/user/create',
+      query: (userDetails) => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/account`,
         method: 'POST',
         body: userDetails,
       }),
@@ -164,14 +157,15 @@ export const zoqqApi = createApi({
         };
       },
       
-      invalidatesTags: ['ZoqqUser', 'ZoqqStatus'],
+      invalidatesTags: ['ZoqqUser', 'ZoqqStatus', 'ZoqqOnboarding'],
     }),
     
     /**
      * Get Zoqq User Details
+     * Always the signed-in user's account; the account ID argument only keys the cache
      */
     getZoqqUser: builder.query({
-      query: (userId) => `/user/${userId}`,
+      query: () => `${ONBOARDING_URL}/account`,
       
       transformResponse: (response) => {
         console.log('[ZOQQ API] User details retrieved:', response.data);
@@ -194,8 +188,8 @@ export const zoqqApi = createApi({
      * Accept Terms and Conditions
      */
     acceptTerms: builder.mutation({
-      query: (userId) => ({
-        url: `/user/${userId}/terms`,
+      query: () => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/account/terms`,
         method: 'POST',
       }),
       
@@ -216,7 +210,8 @@ export const zoqqApi = createApi({
       
       invalidatesTags: (result, error, userId) => [
         { type: 'ZoqqUser', id: userId },
-        'ZoqqUser'
+        'ZoqqUser',
+        'ZoqqOnboarding'
       ],
     }),
     
@@ -224,8 +219,8 @@ export const zoqqApi = createApi({
      * Activate Account
      */
     activateAccount: builder.mutation({
-      query: (userId) => ({
-        url: `/user/${userId}/activate`,
+      query: () => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/account/activate`,
         method: 'POST',
       }),
       
@@ -247,17 +242,178 @@ export const zoqqApi = createApi({
       invalidatesTags: (result, error, userId) => [
         { type: 'ZoqqUser', id: userId },
         'ZoqqUser',
-        'ZoqqStatus'
+        'ZoqqStatus',
+        'ZoqqOnboarding'
       ],
     }),
 
+    /**
+     * Get Onboarding State
+     * Current step, next actions and recent transitions for the signed-in user
+     */
+    getOnboarding: builder.query({
+      query: () => ONBOARDING_URL,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to retrieve onboarding state',
+        code: response.data?.code || 'ONBOARDING_GET_ERROR',
+      }),
+      
+      providesTags: ['ZoqqOnboarding'],
+    }),
+
+    /**
+     * Get Onboarding Draft
+     * Saved business application with per-section progress and field errors
+     */
+    getOnboardingDraft: builder.query({
+      query: () => `${ONBOARDING_URL}/draft`,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to retrieve your saved application',
+        code: response.data?.code || 'ONBOARDING_DRAFT_GET_ERROR',
+      }),
+      
+      providesTags: ['ZoqqOnboardingDraft'],
+    }),
+
+    /**
+     * Save Onboarding Draft
+     * Autosaves changed fields; the response replaces the cached draft instead of refetching it
+     */
+    saveOnboardingDraft: builder.mutation({
+      query: ({ step, fields }) => ({
+        url: `${ONBOARDING_URL}/draft`,
+        method: 'PUT',
+        body: { step, fields },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to save your application',
+        code: response.data?.code || 'ONBOARDING_DRAFT_SAVE_ERROR',
+      }),
+      
+      async onQueryStarted(args, { dispatch, queryFulfilled }) {
+        try {
+          const { data: response } = await queryFulfilled;
+          dispatch(zoqqApi.util.upsertQueryData('getOnboardingDraft', undefined, response));
+        } catch {
+          // The base query already reported the error
+        }
+      },
+    }),
+
+    /**
+     * Submit Onboarding Draft
+     * Creates the Zoqq account from the saved application
+     */
+    submitOnboardingDraft: builder.mutation({
+      query: () => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/draft/submit`,
+        method: 'POST',
+      }),
+      
+      transformResponse: (response) => {
+        console.log('[ZOQQ API] Application submitted:', response.data);
+        return response;
+      },
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to submit your application',
+        code: response.data?.code || 'ONBOARDING_DRAFT_SUBMIT_ERROR',
+        draft: response.data?.data || null
+      }),
+      
+      invalidatesTags: ['ZoqqUser', 'ZoqqStatus', 'ZoqqOnboarding', 'ZoqqOnboardingDraft'],
+    }),
+
+    // ========== KYC DOCUMENT ENDPOINTS ==========
+
+    /**
+     * Get KYC Documents
+     * Uploaded documents and the Zoqq file IDs they provide for account creation
+     */
+    getKycDocuments: builder.query({
+      query: () => '/kyc/documents',
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to retrieve documents',
+        code: response.data?.code || 'KYC_DOCUMENTS_GET_ERROR',
+      }),
+      
+      providesTags: ['ZoqqKycDocuments'],
+    }),
+
+    /**
+     * Upload KYC Document
+     * FormData with "document", "purpose" and an optional "tag"
+     */
+    uploadKycDocument: builder.mutation({
+      query: (formData) => ({
+        url: '/kyc/documents',
+        method: 'POST',
+        body: formData,
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to upload document',
+        code: response.data?.code || 'KYC_DOCUMENT_UPLOAD_ERROR',
+        errors: response.data?.errors || []
+      }),
+      
+      // New file IDs change how complete the saved application is
+      invalidatesTags: ['ZoqqKycDocuments', 'ZoqqOnboardingDraft'],
+    }),
+
+    /**
+     * Retry sending a stored KYC document to Zoqq
+     */
+    retryKycDocument: builder.mutation({
+      query: (documentId) => ({
+        url: `/kyc/documents/${documentId}/forward`,
+        method: 'POST',
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to send document to Zoqq',
+        code: response.data?.code || 'KYC_DOCUMENT_FORWARD_ERROR',
+      }),
+      
+      invalidatesTags: ['ZoqqKycDocuments', 'ZoqqOnboardingDraft'],
+    }),
+
+    /**
+     * Delete KYC Document
+     */
+    deleteKycDocument: builder.mutation({
+      query: (documentId) => ({
+        url: `/kyc/documents/${documentId}`,
+        method: 'DELETE',
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to delete document',
+        code: response.data?.code || 'KYC_DOCUMENT_DELETE_ERROR',
+      }),
+      
+      invalidatesTags: ['ZoqqKycDocuments', 'ZoqqOnboardingDraft'],
+    }),
+
     // ========== RFI (REQUEST FOR INFORMATION) ENDPOINTS ==========
     
     /**
      * Get RFI Details
      */
     getRFIDetails: builder.query({
-      query: (userId) => `/user/${userId}/rfi`,
+      query: () => `${ONBOARDING_URL}/account/rfi`,
       
       transformResponse: (response) => {
         console.log('[ZOQQ API] RFI details retrieved:', response.data);
@@ -280,8 +436,8 @@ export const zoqqApi = createApi({
      * Respond to RFI
      */
     respondToRFI: builder.mutation({
-      query: ({ userId, rfiResponse }) => ({
-        url: `/user/${userId}/rfi`,
+      query: ({ rfiResponse }) => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/account/rfi`,
         method: 'POST',
         body: rfiResponse,
       }),
@@ -305,7 +461,89 @@ export const zoqqApi = createApi({
       invalidatesTags: (result, error, { userId }) => [
         { type: 'ZoqqRFI', id: userId },
         'ZoqqRFI',
-        { type: 'ZoqqUser', id: userId }
+        { type: 'ZoqqUser', id: userId },
+        'ZoqqOnboarding'
+      ],
+    }),
+
+    // ========== RFI INBOX ENDPOINTS ==========
+
+    /**
+     * Get RFIs
+     * Every request for information Zoqq raised, refreshed from Zoqq, with open and overdue counts
+     */
+    getRfis: builder.query({
+      query: ({ status } = {}) => ({
+        url: `${ONBOARDING_URL}/rfis`,
+        params: status ? { status } : undefined,
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to retrieve requests for information',
+        code: response.data?.code || 'RFI_LIST_ERROR',
+      }),
+      
+      providesTags: ['ZoqqRFI'],
+    }),
+
+    /**
+     * Get RFI Summary
+     * Open and overdue counts for badges
+     */
+    getRfiSummary: builder.query({
+      query: () => `${ONBOARDING_URL}/rfis/summary`,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to count requests for information',
+        code: response.data?.code || 'RFI_SUMMARY_ERROR',
+      }),
+      
+      providesTags: ['ZoqqRFI'],
+    }),
+
+    /**
+     * Get RFI
+     * One request with its questions and response history
+     */
+    getRfi: builder.query({
+      query: (rfiId) => `${ONBOARDING_URL}/rfis/${rfiId}`,
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to retrieve request for information',
+        code: response.data?.code || 'RFI_GET_ERROR',
+      }),
+      
+      providesTags: (result, error, rfiId) => [{ type: 'ZoqqRFI', id: rfiId }],
+    }),
+
+    /**
+     * Submit RFI Response
+     * Answers several questions of one RFI; answers Zoqq refused come back as failed
+     */
+    submitRfiResponse: builder.mutation({
+      query: ({ rfiId, answers }) => withIdempotencyKey({
+        url: `${ONBOARDING_URL}/rfis/${rfiId}/responses`,
+        method: 'POST',
+        body: { answers },
+      }),
+      
+      transformErrorResponse: (response) => ({
+        status: response.status,
+        message: response.data?.message || 'Failed to submit RFI response',
+        code: response.data?.code || 'RFI_RESPONSE_ERROR',
+        errors: response.data?.errors || [],
+        data: response.data?.data || null
+      }),
+      
+      // Answering can resume onboarding and locks the attached documents
+      invalidatesTags: (result, error, { rfiId }) => [
+        { type: 'ZoqqRFI', id: rfiId },
+        'ZoqqRFI',
+        'ZoqqOnboarding',
+        'ZoqqKycDocuments'
       ],
     }),
 
@@ -347,11 +585,25 @@ export const {
   useLazyGetZoqqUserQuery,
   useAcceptTermsMutation,
   useActivateAccountMutation,
+  useGetOnboardingQuery,
+  useGetOnboardingDraftQuery,
+  useSaveOnboardingDraftMutation,
+  useSubmitOnboardingDraftMutation,
+  
+  // KYC Documents
+  useGetKycDocumentsQuery,
+  useUploadKycDocumentMutation,
+  useRetryKycDocumentMutation,
+  useDeleteKycDocumentMutation,
   
   // RFI Management
   useGetRFIDetailsQuery,
   useLazyGetRFIDetailsQuery,
   useRespondToRFIMutation,
+  useGetRfisQuery,
+  useGetRfiSummaryQuery,
+  useGetRfiQuery,
+  useSubmitRfiResponseMutation,
   
   // Status Monitoring
   useGetZoqqStatusQuery,
@@ -445,69 +697,3 @@ export const formatZoqqUserData = (rawUserData) => {
     expireAt: rawUserData.expireAt ? new Date(rawUserData.expireAt).toISOString().split('T')[0] : null,
   };
 };
-
-/**
- * Get user onboarding status and next steps
- * @param {Object} userData - User data from API
- * @returns {Object} Status and next steps
- */
-export const getUserOnboardingStatus = (userData) => {
-  if (!userData) {
-    return {
-      status: 'not_started',
-      step: 1,
-      totalSteps: 4,
-      nextAction: 'Create Zoqq account',
-      description: 'Start the onboarding process by creating your Zoqq account'
-    };
-  }
-  
-  const accountStatus = userData.account_details?.status || userData.status;
-  
-  switch (accountStatus) {
-    case 'CREATED':
-      return {
-        status: 'created',
-        step: 2,
-        totalSteps: 4,
-        nextAction: 'Accept Terms and Conditions',
-        description: 'Review and accept the terms and conditions to proceed'
-      };
-    
-    case 'terms_accepted':
-      return {
-        status: 'terms_accepted',
-        step: 3,
-        totalSteps: 4,
-        nextAction: 'Activate Account',
-        description: 'Submit your account for activation and verification'
-      };
-    
-    case 'ACTIVE':
-      return {
-        status: 'active',
-        step: 4,
-        totalSteps: 4,
-        nextAction: 'Complete',
-        description: 'Your account is fully activated and ready to use'
-      };
-    
-    case 'ACTION_REQUIRED':
-      return {
-        status: 'rfi_required',
-        step: 3,
-        totalSteps: 4,
-        nextAction: 'Complete RFI',
-        description: 'Additional information is required for compliance verification'
-      };
-    
-    default:
-      return {
-        status: 'unknown',
-        step: 1,
-        totalSteps: 4,
-        nextAction: 'Check Status',
-        description: 'Please check your account status or contact support'
-      };
-  }
-}; 
\ No newline at end of file
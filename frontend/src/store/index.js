@@ -9,6 +9,11 @@ import authReducer from './slices/authSlice';
 import { authApi } from './api/authApi';
 import { userApi } from './api/userApi';
 import { zoqqApi } from './api/zoqqApi';
+import { adminApi } from './api/adminApi';
+import { walletApi } from './api/walletApi';
+import { transactionApi } from './api/transactionApi';
+import { transferApi } from './api/transferApi';
+import { beneficiaryApi } from './api/beneficiaryApi';
 
 /**
  * Configure Redux store with reducers and middleware
@@ -22,6 +27,11 @@ export const store = configureStore({
     [authApi.reducerPath]: authApi.reducer,
     [userApi.reducerPath]: userApi.reducer,
     [zoqqApi.reducerPath]: zoqqApi.reducer,
+    [adminApi.reducerPath]: adminApi.reducer,
+    [walletApi.reducerPath]: walletApi.reducer,
+    [transactionApi.reducerPath]: transactionApi.reducer,
+    [transferApi.reducerPath]: transferApi.reducer,
+    [beneficiaryApi.reducerPath]: beneficiaryApi.reducer,
   },
   
   middleware: (getDefaultMiddleware) =>
@@ -45,7 +55,12 @@ export const store = configureStore({
     })
     .concat(authApi.middleware)
     .concat(userApi.middleware)
-    .concat(zoqqApi.middleware),
+    .concat(zoqqApi.middleware)
+    .concat(adminApi.middleware)
+    .concat(walletApi.middleware)
+    .concat(transactionApi.middleware)
+    .concat(transferApi.middleware)
+    .concat(beneficiaryApi.middleware),
 
   // Enable Redux DevTools in development only
   devTools: process.env.NODE_ENV !== 'production',
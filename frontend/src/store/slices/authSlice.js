@@ -18,6 +18,9 @@ const initialState = {
   token: null,
   tokenExpiresAt: null,
   
+  // Refresh token lives in an HTTP-only cookie; only its expiry is tracked here
+  refreshExpiresAt: null,
+  
   // Authentication process status
   isLoading: false,
   error: null,
@@ -56,25 +59,28 @@ const authSlice = createSlice({
      * Handle successful login
      */
     loginSuccess: (state, action) => {
-      const { user, token, expiresAt, rememberMe = false } = action.payload;
+      const { user, token, expiresAt, refreshExpiresAt = null, rememberMe = false } = action.payload;
       
       state.isAuthenticated = true;
       state.user = {
         email: user.email,
         authenticatedAt: user.authenticatedAt,
         role: user.role,
-        isAdmin: user.isAdmin || user.role === 'admin',
+        isAdmin: !!user.isAdmin,
+        permissions: user.permissions || [],
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         isVerified: user.isVerified,
         accountStatus: user.accountStatus,
         profileCompleteness: user.profileCompleteness,
+        twoFactorEnabled: !!user.twoFactorEnabled,
         // Store all relevant user data in Redux state
       };
       
       // Store token info (token itself should be in secure storage)
       state.tokenExpiresAt = expiresAt;
+      state.refreshExpiresAt = refreshExpiresAt;
       
       // Session information
       state.sessionInfo = {
@@ -89,8 +95,9 @@ const authSlice = createSlice({
       
       // Security status
       state.securityStatus.sessionValid = true;
+      state.securityStatus.twoFactorEnabled = !!user.twoFactorEnabled;
       
-      console.log('[AUTH SLICE] Login successful for user:', user.email, 'Role:', user.role, 'IsAdmin:', user.isAdmin || user.role === 'admin');
+      console.log('[AUTH SLICE] Login successful for user:', user.email, 'Role:', user.role, 'IsAdmin:', !!user.isAdmin);
     },
 
     /**
@@ -101,6 +108,7 @@ const authSlice = createSlice({
       state.user = null;
       state.token = null;
       state.tokenExpiresAt = null;
+      state.refreshExpiresAt = null;
       state.isLoading = false;
       state.error = action.payload;
       state.securityStatus.sessionValid = false;
@@ -117,6 +125,7 @@ const authSlice = createSlice({
       state.user = null;
       state.token = null;
       state.tokenExpiresAt = null;
+      state.refreshExpiresAt = null;
       state.error = null;
       state.sessionInfo = {
         loginTime: null,
@@ -170,8 +179,22 @@ const authSlice = createSlice({
      * Handle token refresh
      */
     tokenRefreshed: (state, action) => {
-      const { expiresAt } = action.payload;
+      const { expiresAt, refreshExpiresAt, user } = action.payload;
       state.tokenExpiresAt = expiresAt;
+      if (refreshExpiresAt) {
+        state.refreshExpiresAt = refreshExpiresAt;
+      }
+      
+      // Rotation returns the latest user snapshot (role or status may have changed)
+      if (user) {
+        state.isAuthenticated = true;
+        state.user = {
+          ...state.user,
+          ...user,
+          isAdmin: !!user.isAdmin,
+        };
+      }
+      
       state.sessionInfo.lastActivity = new Date().toISOString();
       state.securityStatus.sessionValid = true;
       
@@ -186,6 +209,7 @@ const authSlice = createSlice({
       state.user = null;
       state.token = null;
       state.tokenExpiresAt = null;
+      state.refreshExpiresAt = null;
       state.error = 'Session has expired. Please log in again.';
       state.securityStatus.sessionValid = false;
       
@@ -206,16 +230,19 @@ const authSlice = createSlice({
      * Restore authentication state from storage (on app initialization)
      */
     restoreAuthState: (state, action) => {
-      const { user, expiresAt, sessionInfo, securityStatus } = action.payload;
+      const { user, expiresAt, refreshExpiresAt, sessionInfo, securityStatus } = action.payload;
       
-      // Check if token is still valid
+      // The session survives as long as either token is still valid;
+      // an expired access token is renewed with the refresh token
       const now = new Date();
       const tokenExpiry = new Date(expiresAt);
+      const refreshExpiry = refreshExpiresAt ? new Date(refreshExpiresAt) : null;
       
-      if (tokenExpiry > now) {
+      if (tokenExpiry > now || (refreshExpiry && refreshExpiry > now)) {
         state.isAuthenticated = true;
         state.user = user;
         state.tokenExpiresAt = expiresAt;
+        state.refreshExpiresAt = refreshExpiresAt || null;
         state.sessionInfo = sessionInfo || state.sessionInfo;
         state.securityStatus = securityStatus || state.securityStatus;
         state.securityStatus.sessionValid = true;
@@ -226,6 +253,7 @@ const authSlice = createSlice({
         state.isAuthenticated = false;
         state.user = null;
         state.tokenExpiresAt = null;
+        state.refreshExpiresAt = null;
         state.error = 'Session expired during restore';
         state.securityStatus.sessionValid = false;
         
@@ -259,6 +287,7 @@ const authSlice = createSlice({
         state.user = null;
         state.token = null;
         state.tokenExpiresAt = null;
+        state.refreshExpiresAt = null;
         state.securityStatus.sessionValid = false;
         Cookies.remove('auth_session');
       }
@@ -285,14 +314,22 @@ const authSlice = createSlice({
         },
         (state, action) => {
           console.log('[AUTH SLICE] Login fulfilled - updating auth state', action.payload);
+          
+          // Password accepted but the second factor is still pending
+          if (action.payload?.twoFactorRequired) {
+            state.isLoading = false;
+            return;
+          }
+          
           state.isLoading = false;
           state.isAuthenticated = true;
           state.user = {
             ...action.payload.user,
             role: action.payload.user.role,
-            isAdmin: action.payload.user.isAdmin || action.payload.user.role === 'admin',
+            isAdmin: !!action.payload.user.isAdmin,
           };
           state.tokenExpiresAt = action.payload.token.expiresAt;
+          state.refreshExpiresAt = action.payload.token.refreshExpiresAt || null;
           state.sessionInfo = {
             loginTime: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
@@ -316,6 +353,7 @@ const authSlice = createSlice({
           state.user = null;
           state.token = null;
           state.tokenExpiresAt = null;
+          state.refreshExpiresAt = null;
           state.error = action.payload?.message || action.error?.message || 'Login failed';
           state.securityStatus.sessionValid = false;
         }
@@ -335,7 +373,7 @@ const authSlice = createSlice({
             state.user = {
               ...state.user, // Keep existing user data
               ...action.payload.user, // Update with data from validation
-              isAdmin: action.payload.user.isAdmin || action.payload.user.role === 'admin',
+              isAdmin: !!action.payload.user.isAdmin,
             };
             state.securityStatus.sessionValid = true;
             state.tokenExpiresAt = action.payload.expiresAt;
@@ -367,7 +405,7 @@ const authSlice = createSlice({
             state.user = {
               ...state.user, // Keep existing user data
               ...action.payload.user, // Update with data from status
-              isAdmin: action.payload.user.isAdmin || action.payload.user.role === 'admin',
+              isAdmin: !!action.payload.user.isAdmin,
             };
             state.securityStatus.sessionValid = true;
             state.tokenExpiresAt = action.payload.token?.expiresAt;
@@ -409,6 +447,7 @@ export const selectAuthError = (state) => state.auth.error;
 export const selectSessionInfo = (state) => state.auth.sessionInfo;
 export const selectSecurityStatus = (state) => state.auth.securityStatus;
 export const selectTokenExpiresAt = (state) => state.auth.tokenExpiresAt;
+export const selectRefreshExpiresAt = (state) => state.auth.refreshExpiresAt;
 
 // Helper selector to check if token is about to expire (within 5 minutes)
 export const selectIsTokenExpiringSoon = (state) => {
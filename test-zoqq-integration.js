@@ -11,7 +11,11 @@ const path = require('path');
 
 // Test configuration
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:5000/api';
-const TEST_USER_EMAIL = 'test-zoqq-integration@example.com';
+// Against the mock Zoqq server, TEST_RFI_SCENARIO picks its RFI scenario via an email tag
+const TEST_RFI_SCENARIO = process.env.TEST_RFI_SCENARIO;
+const TEST_USER_EMAIL = TEST_RFI_SCENARIO
+  ? `test-zoqq-integration+rfi-${TEST_RFI_SCENARIO}-${Date.now()}@example.com`
+  : 'test-zoqq-integration@example.com';
 
 console.log('🧪 Zoqq Integration Test Suite');
 console.log('==============================');
@@ -440,12 +444,17 @@ Examples:
   node test-zoqq-integration.js
   node test-zoqq-integration.js --api-url https://api.yourdomain.com/api
   node test-zoqq-integration.js --auth-token your-jwt-token
+  TEST_RFI_SCENARIO=multiple node test-zoqq-integration.js
 
 Prerequisites:
   1. Backend server must be running
   2. MongoDB must be accessible
   3. Zoqq credentials must be configured
   4. Network connectivity to Zoqq API
+
+  To run offline, start the mock (cd backend && npm run mock-zoqq) and set
+  ZOQQ_BASE_URL=http://localhost:4010 with any ZOQQ_CLIENT_ID / ZOQQ_API_KEY
+  in backend/.env instead of 3 and 4.
 `);
   process.exit(0);
 }